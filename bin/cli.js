@@ -3,6 +3,13 @@
 const toolkit = require("../index");
 const liquidTestGenerator = require("../lib/liquidTestGenerator");
 const liquidTestRunner = require("../lib/liquidTestRunner");
+const testReporter = require("../lib/liquidTestReporter");
+const templateDiff = require("../lib/templateDiff");
+const templatePromotion = require("../lib/templatePromotion");
+const manifestSync = require("../lib/manifestSync");
+const templateRename = require("../lib/templateRename");
+const templateBlueprints = require("../lib/templateBlueprints");
+const liquidTestValidator = require("../lib/liquidTestValidator");
 const stats = require("../lib/cli/stats");
 const { Command, Option } = require("commander");
 const pkg = require("../package.json");
@@ -10,11 +17,16 @@ const cliUpdates = require("../lib/cli/cliUpdates");
 const cliUtils = require("../lib/cli/utils");
 const program = new Command();
 const devMode = require("../lib/cli/devMode");
+const mockServer = require("../lib/cli/mockServer");
 const { firmCredentials } = require("../lib/api/firmCredentials");
+const cassettes = require("../lib/api/cassettes");
 const SF = require("../lib/api/sfApi");
 const path = require("path");
 const { consola } = require("consola");
 const { runCommandChecks } = require("../lib/cli/utils");
+const fsUtils = require("../lib/utils/fsUtils");
+const templateUtils = require("../lib/utils/templateUtils");
+const errorUtils = require("../lib/utils/errorUtils");
 
 let firmIdDefault = cliUtils.loadDefaultFirmId();
 cliUtils.handleUncaughtErrors();
@@ -22,11 +34,29 @@ cliUtils.handleUncaughtErrors();
 // Name & Version
 program.name("silverfin");
 pkg.version ? program.version(pkg.version) : undefined;
+// Exit code of invalid options or arguments (help and version exit with 0)
+program.exitOverride((error) => {
+  process.exit(
+    error.exitCode === 0 ? 0 : errorUtils.EXIT_CODES.INVALID_INPUT
+  );
+});
 // Verbose Option
 program.option("-v, --verbose", "Verbose output");
 program.on("option:verbose", () => {
   consola.level = "debug"; // default: "info"
 });
+// Record & replay the API requests (see lib/api/cassettes.js)
+program.option("--record <directory>", "Record the API requests in cassettes");
+program.on("option:record", (directory) => {
+  process.env[cassettes.RECORD_ENV] = directory;
+});
+program.option(
+  "--replay <directory>",
+  "Replay the API requests from cassettes, failing on requests that were not recorded"
+);
+program.on("option:replay", (directory) => {
+  process.env[cassettes.REPLAY_ENV] = directory;
+});
 
 // READ reconciliations
 program
@@ -44,6 +74,10 @@ program
     "-e, --existing",
     "Import all reconciliations (already stored in the repository)"
   )
+  .option(
+    "--force",
+    "Overwrite the local changes made since the last import or update (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
   .action(async (options) => {
     const settings = runCommandChecks(
@@ -56,18 +90,30 @@ program
       toolkit.fetchReconciliationByHandle(
         settings.type,
         settings.envId,
-        options.handle
+        options.handle,
+        options.force
       );
     } else if (options.id) {
-      toolkit.fetchReconciliationById(
+      const fetched = await toolkit.fetchReconciliationById(
         settings.type,
         settings.envId,
-        options.id
+        options.id,
+        options.force
       );
+      // Single template: stop here when it couldn't be imported
+      if (!fetched) process.exit(errorUtils.EXIT_CODES.API_ERROR);
     } else if (options.all) {
-      toolkit.fetchAllReconciliations(settings.type, settings.envId);
+      toolkit.fetchAllReconciliations(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     } else if (options.existing) {
-      toolkit.fetchExistingReconciliations(settings.type, settings.envId);
+      toolkit.fetchExistingReconciliations(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     }
   });
 
@@ -87,6 +133,18 @@ program
     "Add a message to Silverfin's changelog (optional)",
     undefined
   )
+  .option(
+    "--dry-run",
+    "Show the changes that would be published, without updating the template (optional)"
+  )
+  .option(
+    "--force",
+    "Overwrite the changes made in Silverfin since the last import or update (optional)"
+  )
+  .option(
+    "--merge",
+    "Merge the changes made in Silverfin since the last import or update into the local files before updating (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
   .action((options) => {
     cliUtils.checkPartnerSupport(options);
@@ -94,7 +152,8 @@ program
       ["handle", "all"],
       options,
       firmIdDefault,
-      true // Message required
+      !options.dryRun, // Message required
+      options.dryRun // Skip the confirmation, nothing is overwritten
     );
 
     if (options.handle) {
@@ -102,13 +161,19 @@ program
         settings.type,
         settings.envId,
         options.handle,
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     } else if (options.all) {
       toolkit.publishAllReconciliations(
         settings.type,
         settings.envId,
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     }
   });
@@ -158,6 +223,121 @@ program
     }
   });
 
+// DELETE reconciliation
+program
+  .command("delete-reconciliation")
+  .description(
+    "Delete a reconciliation in Silverfin. Its shared parts are removed from it first"
+  )
+  .option("-f, --firm <firm-id>", "Specify the firm to be used", firmIdDefault)
+  .option("-p, --partner <partner-id>", "Specify the partner to be used")
+  .requiredOption(
+    "-h, --handle <handle>",
+    "Specify the handle of the reconciliation text to be deleted"
+  )
+  .option(
+    "--local",
+    "Remove the reconciliation from the repository as well (optional)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    const settings = runCommandChecks(
+      ["handle"],
+      options,
+      firmIdDefault,
+      false, // Message required
+      true // Confirmation asked below
+    );
+    if (!options.yes) {
+      cliUtils.promptConfirmation(
+        `This will delete reconciliation "${options.handle}" on ${settings.type} ${settings.envId}. Do you want to proceed? (y/n): `
+      );
+    }
+
+    await toolkit.deleteTemplate(
+      settings.type,
+      settings.envId,
+      "reconciliationText",
+      options.handle,
+      options.local
+    );
+  });
+
+// NEW template from a blueprint
+program
+  .command("new")
+  .description(
+    "Create a new template in the repository from a blueprint (config, Liquid files and Liquid Test)"
+  )
+  .argument(
+    "<type>",
+    `Type of template: ${Object.keys(
+      templateBlueprints.TEMPLATE_TYPE_ARGUMENTS
+    ).join(", ")}`
+  )
+  .option("-h, --handle <handle>", "Specify the handle of the reconciliation")
+  .option(
+    "-n, --name <name>",
+    "Specify the name of the shared part, export file or account template"
+  )
+  .option(
+    "-b, --blueprint <blueprint>",
+    "Specify the blueprint to be used (optional)",
+    "default"
+  )
+  .option(
+    "--blueprint-dir <paths...>",
+    "Specify folders with custom blueprints (optional, the blueprints folder of the repository is always used)"
+  )
+  .option(
+    "-s, --shared-part <names...>",
+    "Specify shared parts of the repository to include (optional)"
+  )
+  .option("--list", "List the available blueprints")
+  .action((type, options) => {
+    const templateType = templateBlueprints.TEMPLATE_TYPE_ARGUMENTS[type];
+    if (!templateType) {
+      consola.error(
+        `Unknown type "${type}". Use one of: ${Object.keys(
+          templateBlueprints.TEMPLATE_TYPE_ARGUMENTS
+        ).join(", ")}`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    if (options.list) {
+      const blueprints = templateBlueprints.listBlueprints(
+        templateType,
+        options.blueprintDir
+      );
+      blueprints.forEach((blueprint) =>
+        consola.log(
+          `${blueprint.name}${
+            blueprint.description ? `: ${blueprint.description}` : ""
+          }`
+        )
+      );
+      return;
+    }
+
+    const name =
+      templateType === "reconciliationText" ? options.handle : options.name;
+    if (!name) {
+      consola.error(
+        templateType === "reconciliationText"
+          ? `The handle of the reconciliation is required, please use "--handle"`
+          : `The name of the template is required, please use "--name"`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    templateBlueprints.newTemplate(
+      templateType,
+      name,
+      options.blueprint,
+      options.blueprintDir,
+      options.sharedPart
+    );
+  });
+
 // READ export file
 program
   .command("import-export-file")
@@ -171,8 +351,12 @@ program
     "-e, --existing",
     "Import all export files (already stored in the repository)"
   )
+  .option(
+    "--force",
+    "Overwrite the local changes made since the last import or update (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
-  .action((options) => {
+  .action(async (options) => {
     const settings = runCommandChecks(
       ["name", "id", "all", "existing"],
       options,
@@ -183,18 +367,30 @@ program
       toolkit.fetchExportFileByName(
         settings.type,
         settings.envId,
-        options.name
+        options.name,
+        options.force
       );
     } else if (options.id) {
-      toolkit.fetchExportFileById(
-        settings.type, 
-        settings.envId, 
-        options.id
+      const fetched = await toolkit.fetchExportFileById(
+        settings.type,
+        settings.envId,
+        options.id,
+        options.force
       );
+      // Single template: stop here when it couldn't be imported
+      if (!fetched) process.exit(errorUtils.EXIT_CODES.API_ERROR);
     } else if (options.all) {
-      toolkit.fetchAllExportFiles(settings.type, settings.envId);
+      toolkit.fetchAllExportFiles(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     } else if (options.existing) {
-      toolkit.fetchExistingExportFiles(settings.type, settings.envId);
+      toolkit.fetchExistingExportFiles(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     }
   });
 
@@ -211,6 +407,18 @@ program
     "Add a message to Silverfin's changelog (optional)",
     undefined
   )
+  .option(
+    "--dry-run",
+    "Show the changes that would be published, without updating the template (optional)"
+  )
+  .option(
+    "--force",
+    "Overwrite the changes made in Silverfin since the last import or update (optional)"
+  )
+  .option(
+    "--merge",
+    "Merge the changes made in Silverfin since the last import or update into the local files before updating (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
   .action((options) => {
     cliUtils.checkPartnerSupport(options);
@@ -218,7 +426,8 @@ program
       ["name", "all"],
       options,
       firmIdDefault,
-      true // Message required
+      !options.dryRun, // Message required
+      options.dryRun // Skip the confirmation, nothing is overwritten
     );
 
     if (options.name) {
@@ -226,13 +435,19 @@ program
         settings.type,
         settings.envId,
         options.name,
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     } else if (options.all) {
       toolkit.publishAllExportFiles(
         settings.type,
         settings.envId,
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     }
   });
@@ -281,6 +496,46 @@ program
     }
   });
 
+// DELETE export file
+program
+  .command("delete-export-file")
+  .description(
+    "Delete an export file in Silverfin. Its shared parts are removed from it first"
+  )
+  .option("-f, --firm <firm-id>", "Specify the firm to be used", firmIdDefault)
+  .option("-p, --partner <partner-id>", "Specify the partner to be used")
+  .requiredOption(
+    "-e, --export-file <name>",
+    "Specify the name of the export file to be deleted"
+  )
+  .option(
+    "--local",
+    "Remove the export file from the repository as well (optional)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    const settings = runCommandChecks(
+      ["exportFile"],
+      options,
+      firmIdDefault,
+      false, // Message required
+      true // Confirmation asked below
+    );
+    if (!options.yes) {
+      cliUtils.promptConfirmation(
+        `This will delete export file "${options.exportFile}" on ${settings.type} ${settings.envId}. Do you want to proceed? (y/n): `
+      );
+    }
+
+    await toolkit.deleteTemplate(
+      settings.type,
+      settings.envId,
+      "exportFile",
+      options.exportFile,
+      options.local
+    );
+  });
+
 // READ account template
 program
   .command("import-account-template")
@@ -294,8 +549,12 @@ program
     "-e, --existing",
     "Import all account templates (already stored in the repository)"
   )
+  .option(
+    "--force",
+    "Overwrite the local changes made since the last import or update (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
-  .action((options) => {
+  .action(async (options) => {
     const settings = runCommandChecks(
       ["name", "id", "all", "existing"],
       options,
@@ -306,18 +565,30 @@ program
       toolkit.fetchAccountTemplateByName(
         settings.type,
         settings.envId,
-        options.name
+        options.name,
+        options.force
       );
     } else if (options.id) {
-      toolkit.fetchAccountTemplateById(
+      const fetched = await toolkit.fetchAccountTemplateById(
         settings.type,
         settings.envId,
-        options.id
+        options.id,
+        options.force
       );
+      // Single template: stop here when it couldn't be imported
+      if (!fetched) process.exit(errorUtils.EXIT_CODES.API_ERROR);
     } else if (options.all) {
-      toolkit.fetchAllAccountTemplates(settings.type, settings.envId);
+      toolkit.fetchAllAccountTemplates(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     } else if (options.existing) {
-      toolkit.fetchExistingAccountTemplates(settings.type, settings.envId);
+      toolkit.fetchExistingAccountTemplates(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     }
   });
 
@@ -337,6 +608,18 @@ program
     "Add a message to Silverfin's changelog (optional)",
     undefined
   )
+  .option(
+    "--dry-run",
+    "Show the changes that would be published, without updating the template (optional)"
+  )
+  .option(
+    "--force",
+    "Overwrite the changes made in Silverfin since the last import or update (optional)"
+  )
+  .option(
+    "--merge",
+    "Merge the changes made in Silverfin since the last import or update into the local files before updating (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
   .action((options) => {
     cliUtils.checkPartnerSupport(options);
@@ -344,7 +627,8 @@ program
       ["name", "all"],
       options,
       firmIdDefault,
-      true // Message required
+      !options.dryRun, // Message required
+      options.dryRun // Skip the confirmation, nothing is overwritten
     );
 
     if (options.name) {
@@ -352,13 +636,19 @@ program
         settings.type,
         settings.envId,
         options.name,
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     } else if (options.all) {
       toolkit.publishAllAccountTemplates(
         settings.type,
         settings.envId,
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     }
   });
@@ -408,6 +698,46 @@ program
     }
   });
 
+// DELETE account template
+program
+  .command("delete-account-template")
+  .description(
+    "Delete an account template in Silverfin. Its shared parts are removed from it first"
+  )
+  .option("-f, --firm <firm-id>", "Specify the firm to be used", firmIdDefault)
+  .option("-p, --partner <partner-id>", "Specify the partner to be used")
+  .requiredOption(
+    "-at, --account-template <name>",
+    "Specify the name of the account template to be deleted"
+  )
+  .option(
+    "--local",
+    "Remove the account template from the repository as well (optional)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    const settings = runCommandChecks(
+      ["accountTemplate"],
+      options,
+      firmIdDefault,
+      false, // Message required
+      true // Confirmation asked below
+    );
+    if (!options.yes) {
+      cliUtils.promptConfirmation(
+        `This will delete account template "${options.accountTemplate}" on ${settings.type} ${settings.envId}. Do you want to proceed? (y/n): `
+      );
+    }
+
+    await toolkit.deleteTemplate(
+      settings.type,
+      settings.envId,
+      "accountTemplate",
+      options.accountTemplate,
+      options.local
+    );
+  });
+
 // READ shared part
 program
   .command("import-shared-part")
@@ -421,6 +751,10 @@ program
     "-e, --existing",
     "Import all shared parts (already stored in the repository)"
   )
+  .option(
+    "--force",
+    "Overwrite the local changes made since the last import or update (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
   .action(async (options) => {
     const settings = runCommandChecks(
@@ -433,18 +767,28 @@ program
       await toolkit.fetchSharedPartByName(
         settings.type,
         settings.envId,
-        options.sharedPart
+        options.sharedPart,
+        options.force
       );
     } else if (options.id) {
       await toolkit.fetchSharedPartById(
         settings.type,
         settings.envId,
-        options.id
+        options.id,
+        options.force
       );
     } else if (options.all) {
-      await toolkit.fetchAllSharedParts(settings.type, settings.envId);
+      await toolkit.fetchAllSharedParts(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     } else if (options.existing) {
-      toolkit.fetchExistingSharedParts(settings.type, settings.envId);
+      toolkit.fetchExistingSharedParts(
+        settings.type,
+        settings.envId,
+        options.force
+      );
     }
   });
 
@@ -464,6 +808,18 @@ program
     "Add a message to Silverfin's changelog (optional)",
     undefined
   )
+  .option(
+    "--dry-run",
+    "Show the changes that would be published, without updating the template (optional)"
+  )
+  .option(
+    "--force",
+    "Overwrite the changes made in Silverfin since the last import or update (optional)"
+  )
+  .option(
+    "--merge",
+    "Merge the changes made in Silverfin since the last import or update into the local files before updating (optional)"
+  )
   .option("--yes", "Skip the prompt confirmation (optional)")
   .action((options) => {
     cliUtils.checkPartnerSupport(options);
@@ -471,7 +827,8 @@ program
       ["sharedPart", "all"],
       options,
       firmIdDefault,
-      true // Message required
+      !options.dryRun, // Message required
+      options.dryRun // Skip the confirmation, nothing is overwritten
     );
 
     if (options.sharedPart) {
@@ -479,13 +836,19 @@ program
         settings.type,
         settings.envId,
         options.sharedPart,
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     } else if (options.all) {
       toolkit.publishAllSharedParts(
         settings.type, 
         settings.envId, 
-        options.message
+        options.message,
+        options.dryRun,
+        options.force,
+        options.merge
       );
     }
   });
@@ -531,6 +894,46 @@ program
     }
   });
 
+// DELETE shared part
+program
+  .command("delete-shared-part")
+  .description(
+    "Delete a shared part in Silverfin. It's removed from every template that uses it first"
+  )
+  .option("-f, --firm <firm-id>", "Specify the firm to be used", firmIdDefault)
+  .option("-p, --partner <partner-id>", "Specify the partner to be used")
+  .requiredOption(
+    "-s, --shared-part <name>",
+    "Specify the name of the shared part to be deleted"
+  )
+  .option(
+    "--local",
+    "Remove the shared part from the repository as well (optional)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    const settings = runCommandChecks(
+      ["sharedPart"],
+      options,
+      firmIdDefault,
+      false, // Message required
+      true // Confirmation asked below
+    );
+    if (!options.yes) {
+      cliUtils.promptConfirmation(
+        `This will delete shared part "${options.sharedPart}" on ${settings.type} ${settings.envId}. Do you want to proceed? (y/n): `
+      );
+    }
+
+    await toolkit.deleteTemplate(
+      settings.type,
+      settings.envId,
+      "sharedPart",
+      options.sharedPart,
+      options.local
+    );
+  });
+
 // Add shared part to reconciliation
 program
   .command("add-shared-part")
@@ -671,26 +1074,301 @@ program
     }
   });
 
+// Rename a reconciliation
+program
+  .command("rename-reconciliation")
+  .description(
+    "Rename a reconciliation in the repository (references in other templates and Liquid Tests included) and in every firm and partner stored in its config"
+  )
+  .requiredOption(
+    "-h, --handle <handle>",
+    "Specify the reconciliation to be renamed"
+  )
+  .requiredOption("-n, --new-handle <handle>", "Specify the new handle")
+  .option(
+    "-m, --message <message>",
+    "Add a message to Silverfin's changelog (required when the templates are stored in a partner)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    if (!options.yes) {
+      cliUtils.promptConfirmation();
+    }
+    await templateRename.renameReconciliation(
+      options.handle,
+      options.newHandle,
+      options.message
+    );
+  });
+
+// Rename a shared part
+program
+  .command("rename-shared-part")
+  .description(
+    "Rename a shared part in the repository (includes in other templates included) and in every firm and partner stored in its config"
+  )
+  .requiredOption(
+    "-s, --shared-part <name>",
+    "Specify the shared part to be renamed"
+  )
+  .requiredOption("-n, --new-name <name>", "Specify the new name")
+  .option(
+    "-m, --message <message>",
+    "Add a message to Silverfin's changelog (required when the templates are stored in a partner)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    if (!options.yes) {
+      cliUtils.promptConfirmation();
+    }
+    await templateRename.renameSharedPart(
+      options.sharedPart,
+      options.newName,
+      options.message
+    );
+  });
+
+// Compare a template with Silverfin
+program
+  .command("diff")
+  .description(
+    "Show the differences between a local template and the template stored in Silverfin"
+  )
+  .option("-f, --firm <firm-id>", "Specify the firm to be used", firmIdDefault)
+  .option("-p, --partner <partner-id>", "Specify the partner to be used")
+  .option("-h, --handle <handle>", "Specify the reconciliation to be compared")
+  .option("-s, --shared-part <name>", "Specify the shared part to be compared")
+  .option("-e, --export-file <name>", "Specify the export file to be compared")
+  .option(
+    "-at, --account-template <name>",
+    "Specify the account template to be compared"
+  )
+  .action((options) => {
+    const settings = runCommandChecks(
+      ["handle", "sharedPart", "exportFile", "accountTemplate"],
+      options,
+      firmIdDefault,
+      false,
+      true // Nothing is overwritten
+    );
+
+    if (options.handle) {
+      templateDiff.diffTemplate(
+        settings.type,
+        settings.envId,
+        "reconciliationText",
+        options.handle
+      );
+    } else if (options.sharedPart) {
+      templateDiff.diffTemplate(
+        settings.type,
+        settings.envId,
+        "sharedPart",
+        options.sharedPart
+      );
+    } else if (options.exportFile) {
+      templateDiff.diffTemplate(
+        settings.type,
+        settings.envId,
+        "exportFile",
+        options.exportFile
+      );
+    } else if (options.accountTemplate) {
+      templateDiff.diffTemplate(
+        settings.type,
+        settings.envId,
+        "accountTemplate",
+        options.accountTemplate
+      );
+    }
+  });
+
+// Promote templates to other firms or partners
+program
+  .command("promote")
+  .description(
+    "Promote templates from one firm or partner to others: create or update them, together with the shared parts they include"
+  )
+  .option(
+    "-f, --firm <firm-id>",
+    "Specify the firm to promote the templates from",
+    firmIdDefault
+  )
+  .option(
+    "-p, --partner <partner-id>",
+    "Specify the partner to promote the templates from"
+  )
+  .option(
+    "--to-firm <firm-ids...>",
+    "Specify the firms to promote the templates to"
+  )
+  .option(
+    "--to-partner <partner-ids...>",
+    "Specify the partners to promote the templates to"
+  )
+  .option("-h, --handle <handles...>", "Specify the reconciliations to promote")
+  .option("-s, --shared-part <names...>", "Specify the shared parts to promote")
+  .option("-e, --export-file <names...>", "Specify the export files to promote")
+  .option(
+    "-at, --account-template <names...>",
+    "Specify the account templates to promote"
+  )
+  .option(
+    "-a, --all",
+    "Promote all templates of the repository stored in the source firm or partner"
+  )
+  .option(
+    "-m, --message <message>",
+    "Add a message to Silverfin's changelog (required when promoting to partners)"
+  )
+  .option(
+    "--force",
+    "Overwrite the changes made in the target firms or partners since the last import or update (optional)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    if (!options.firm && !options.partner) {
+      consola.error(
+        "A firm or partner id to promote the templates from is required, please use --firm, --partner or set a default firm id"
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    const source = cliUtils.getCommandSettings(options);
+    const targets = [
+      ...(options.toFirm || []).map((envId) => ({ type: "firm", envId })),
+      ...(options.toPartner || []).map((envId) => ({
+        type: "partner",
+        envId,
+      })),
+    ];
+    if (!targets.length) {
+      consola.error(
+        `At least one firm or partner to promote the templates to is required, please use "--to-firm" or "--to-partner"`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    if (
+      targets.some(
+        (target) =>
+          target.type === source.type &&
+          String(target.envId) === String(source.envId)
+      )
+    ) {
+      consola.error(
+        `Templates can't be promoted to the ${source.type} they are promoted from`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    if (options.toPartner && !options.message) {
+      consola.error(
+        `Message required when updating a partner template. Please use "--message"`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+
+    const selection = {
+      reconciliationText: options.handle,
+      sharedPart: options.sharedPart,
+      exportFile: options.exportFile,
+      accountTemplate: options.accountTemplate,
+    };
+    const selected = Object.values(selection).some(Boolean);
+    if (selected === Boolean(options.all)) {
+      consola.error(
+        `Use "--all", or select the templates with "--handle", "--shared-part", "--export-file" and/or "--account-template"`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    if (!options.yes) {
+      cliUtils.promptConfirmation();
+    }
+
+    await templatePromotion.promoteTemplates(source, targets, selection, {
+      all: options.all,
+      message: options.message,
+      force: options.force,
+    });
+  });
+
+// Sync the templates listed in silverfin.yml
+program
+  .command("sync")
+  .description(
+    "Compare the environments of silverfin.yml with Silverfin and create, update or link the templates that differ"
+  )
+  .option("--plan", "Show the changes, without applying them")
+  .option("--apply", "Apply the changes")
+  .option(
+    "-e, --environment <names...>",
+    "Specify the environments of silverfin.yml to sync (optional, by default all of them)"
+  )
+  .option(
+    "-m, --message <message>",
+    "Add a message to Silverfin's changelog (required when applying the changes to partners)"
+  )
+  .option(
+    "--force",
+    "Overwrite the changes made in Silverfin since the last import or update (optional)"
+  )
+  .option("--yes", "Skip the prompt confirmation (optional)")
+  .action(async (options) => {
+    cliUtils.checkUniqueOption(["plan", "apply"], options);
+    // The plan is printed before asking for confirmation
+    await manifestSync.syncManifest(
+      options.environment,
+      options.apply,
+      options.message,
+      options.force,
+      options.yes
+        ? undefined
+        : () =>
+            cliUtils.promptConfirmation(
+              "This will apply the plan above. Do you want to proceed? (y/n): "
+            )
+    );
+  });
+
 // Run Liquid Test
 program
   .command("run-test")
   .description(
-    "Run Liquid Tests for a reconciliation template from a YAML file"
+    "Run Liquid Tests for a reconciliation template or account template from a YAML file"
   )
   .requiredOption(
     "-f, --firm <firm-id>",
     "Specify the firm to be used",
     firmIdDefault
   )
-  .requiredOption(
+  .option(
     "-h, --handle <handle>",
-    "Specify the reconciliation to be used (mandatory)"
+    "Specify the reconciliation to be used. A glob pattern (e.g. \"unit_*\") or a comma separated list runs the tests of every matching reconciliation"
+  )
+  .option(
+    "-at, --account-template <name>",
+    "Specify the account template to be used. A glob pattern or a comma separated list runs the tests of every matching account template"
+  )
+  .option(
+    "-a, --all",
+    "Run the Liquid Tests of all reconciliations and account templates stored in the repository"
+  )
+  .option(
+    "-c, --concurrency <number>",
+    "Maximum number of test runs processed at the same time when testing multiple templates (optional)",
+    "3"
   )
   .option(
     "-t, --test <test-name>",
     "Specify the name of the test to be run (optional)",
     ""
   )
+  .option(
+    "-g, --grep <regex>",
+    "Run only the tests whose name matches the regular expression (optional)"
+  )
+  .option(
+    "--tag <tag>",
+    `Run only the tests marked with this tag in a YAML comment, e.g. "# @rollforward" above the test (optional)`
+  )
   .option(
     "--html-input",
     "Get a static html of the input-view of the template generated with the Liquid Test data (optional)",
@@ -711,38 +1389,169 @@ program
     "Only return the status of the test runs as PASSED/FAILED (optional)",
     false
   )
+  .addOption(
+    new Option(
+      "-r, --reporter <reporter>",
+      `Write a report of the test runs that can be parsed by CI tools. It has to be used together with "--output" (optional)`
+    ).choices(testReporter.REPORTERS)
+  )
+  .option(
+    "-o, --output <file>",
+    `Specify the file where the report is written. It has to be used together with "--reporter"`
+  )
+  .option(
+    "--update-expectations",
+    "Write the values got in the failed tests as the new expectations of the YAML file, approving each change in a prompt (optional)",
+    false
+  )
+  .option(
+    "--yes",
+    `Approve every change when using "--update-expectations" (optional)`
+  )
+  .option(
+    "--local",
+    "Run the tests with the local Liquid engine, without calling the API. Templates using code it doesn't support are tested in Silverfin (optional)",
+    false
+  )
   .action((options) => {
     cliUtils.checkDefaultFirm(options.firm, firmIdDefault);
+    cliUtils.checkUniqueOption(["handle", "accountTemplate", "all"], options);
+
+    if (Boolean(options.reporter) !== Boolean(options.output)) {
+      consola.error(`"--reporter" and "--output" have to be used together`);
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    const testFilter = cliUtils.getTestFilter(options);
+    if (options.reporter && options.previewOnly) {
+      consola.error(`"--reporter" can't be used together with "--preview-only"`);
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    if (options.updateExpectations && (options.previewOnly || options.status)) {
+      consola.error(
+        `"--update-expectations" can't be used together with "--preview-only" or "--status"`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+
+    const templateType = options.handle
+      ? "reconciliationText"
+      : "accountTemplate";
+    const templateName = options.handle || options.accountTemplate;
+
+    // Multiple templates
+    const batch =
+      options.all ||
+      (templateUtils.isTemplateSelection(templateName) &&
+        !fsUtils.configExists(templateType, templateName));
+    if (batch) {
+      if (
+        options.test ||
+        options.htmlInput ||
+        options.htmlPreview ||
+        options.previewOnly ||
+        options.updateExpectations
+      ) {
+        consola.error(
+          `"--test", "--html-input", "--html-preview", "--preview-only" and "--update-expectations" can only be used when testing a single template`
+        );
+        process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+      }
+      const templates = options.all
+        ? liquidTestRunner.listTemplatesToTest("all")
+        : liquidTestRunner.listTemplatesToTest(templateType, templateName);
+      liquidTestRunner.runTestsBatch(
+        options.firm,
+        templates,
+        parseInt(options.concurrency) || 1,
+        options.status,
+        options.reporter,
+        options.output,
+        testFilter,
+        options.local
+      );
+      return;
+    }
+
     if (options.status) {
       liquidTestRunner.runTestsStatusOnly(
         options.firm,
-        options.handle,
-        options.test
+        templateName,
+        options.test,
+        options.reporter,
+        options.output,
+        testFilter,
+        options.local,
+        templateType
       );
     } else {
       if (options.previewOnly && !options.htmlInput && !options.htmlPreview) {
         consola.info(
           `When using "--preview-only" you need to specify at least one of the following options: "--html-input", "--html-preview"`
         );
-        process.exit(1);
+        process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
       }
 
       liquidTestRunner.runTestsWithOutput(
         options.firm,
-        options.handle,
+        templateName,
         options.test,
         options.previewOnly,
         options.htmlInput,
-        options.htmlPreview
+        options.htmlPreview,
+        options.reporter,
+        options.output,
+        testFilter,
+        options.updateExpectations,
+        options.yes,
+        options.local,
+        templateType
       );
     }
   });
 
+// Validate Liquid Tests
+program
+  .command("validate-tests")
+  .description(
+    "Validate the format of the Liquid Tests (YAML files) without running them"
+  )
+  .option(
+    "-h, --handle <handle>",
+    "Specify the reconciliation to be used. A glob pattern (e.g. \"unit_*\") or a comma separated list validates the tests of every matching reconciliation"
+  )
+  .option(
+    "-at, --account-template <name>",
+    "Specify the account template to be used. A glob pattern or a comma separated list validates the tests of every matching account template"
+  )
+  .option(
+    "-a, --all",
+    "Validate the Liquid Tests of all reconciliations and account templates stored in the repository"
+  )
+  .action((options) => {
+    cliUtils.checkUniqueOption(["handle", "accountTemplate", "all"], options);
+
+    const templates = options.all
+      ? liquidTestRunner.listTemplatesToTest("all")
+      : liquidTestRunner.listTemplatesToTest(
+          options.handle ? "reconciliationText" : "accountTemplate",
+          options.handle || options.accountTemplate
+        );
+    if (!templates.length) {
+      consola.error("No templates found to be validated");
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+
+    const valid = liquidTestValidator.validateTests(templates);
+    if (!valid) {
+      process.exitCode = errorUtils.EXIT_CODES.INVALID_INPUT;
+    }
+  });
+
 // Create Liquid Test
 program
   .command("create-test")
   .description(
-    "Create Liquid Test (YAML file) from an existing reconciliation in a company file"
+    "Create Liquid Test (YAML file) from an existing reconciliation or account template in a company file"
   )
   .requiredOption("-u, --url <url>", "Specify the url to be used (mandatory)")
   .option(
@@ -753,10 +1562,34 @@ program
     "-t, --test <test-name>",
     "Establish the name of the test. It should have no white-spaces (e.g. test_name)(optional)"
   )
+  .option(
+    "--append",
+    "Add the test to the test file of the template instead of creating a new file (optional)"
+  )
+  .option(
+    "--overwrite",
+    "Replace the test with the same name in the test file. Only with --append (optional)"
+  )
+  .option(
+    "--anchors",
+    "Reuse the company and period data of previous tests in the test file through YAML anchors. Only with --append (optional)"
+  )
   .action((options) => {
+    if ((options.overwrite || options.anchors) && !options.append) {
+      consola.error(
+        `"--overwrite" and "--anchors" can only be used with "--append"`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
     reconciledStatus = options.unreconciled ? false : true;
     let testName = options.test ? options.test : "test_name";
-    liquidTestGenerator.testGenerator(options.url, testName);
+    liquidTestGenerator.testGenerator(
+      options.url,
+      testName,
+      options.append,
+      options.overwrite,
+      options.anchors
+    );
   });
 
 // Authorize APP
@@ -1056,34 +1889,52 @@ program
     "-h, --handle <handle>",
     "Watch for changes in liquid and yaml files related to the reconcilation mentioned. Run a new Liquid Test on each save"
   )
+  .option(
+    "-at, --account-template <name>",
+    "Watch for changes in liquid and yaml files related to the account template mentioned. Run a new Liquid Test on each save"
+  )
   .option(
     "-u, --update-templates",
     "Watch for changes in any liquid file. Publish the new code of the template into the Platform on each save"
   )
   .option(
     "-t, --test <test-name>",
-    `Specify the name of the test to be run (optional). It has to be used together with "--handle"`,
+    `Specify the name of the test to be run (optional). It has to be used together with "--handle" or "--account-template"`,
     ""
   )
+  .option(
+    "-g, --grep <regex>",
+    `Run only the tests whose name matches the regular expression (optional). It has to be used together with "--handle" or "--account-template"`
+  )
+  .option(
+    "--tag <tag>",
+    `Run only the tests marked with this tag in a YAML comment, e.g. "# @rollforward" above the test (optional). It has to be used together with "--handle" or "--account-template"`
+  )
   .option(
     "--html",
-    `Get a html file of the template's input-view generated with the Liquid Test information (optional). It has to be used together with "--handle"`,
+    `Get a html file of the template's input-view generated with the Liquid Test information (optional). It has to be used together with "--handle" or "--account-template"`,
     false
   )
   .option("--yes", "Skip the prompt confirmation (optional)")
   .action((options) => {
     cliUtils.checkDefaultFirm(options.firm, firmIdDefault);
-    cliUtils.checkUniqueOption(["handle", "updateTemplates"], options);
+    cliUtils.checkUniqueOption(
+      ["handle", "accountTemplate", "updateTemplates"],
+      options
+    );
+    const testFilter = cliUtils.getTestFilter(options);
 
     if (options.updateTemplates && !options.yes) {
       cliUtils.promptConfirmation();
     }
-    if (options.handle) {
+    if (options.handle || options.accountTemplate) {
       devMode.watchLiquidTest(
         options.firm,
-        options.handle,
+        options.handle ? "reconciliationText" : "accountTemplate",
+        options.handle || options.accountTemplate,
         options.test,
-        options.html
+        options.html,
+        testFilter
       );
     }
     if (options.updateTemplates) {
@@ -1091,6 +1942,40 @@ program
     }
   });
 
+// Mock Silverfin API
+program
+  .command("mock-server")
+  .description(
+    "Start a local stand-in for the Silverfin API (firm and partner environments) backed by JSON fixtures"
+  )
+  .option(
+    "--port <port>",
+    "Port of the server (optional)",
+    String(mockServer.DEFAULT_PORT)
+  )
+  .option(
+    "--fixtures <directory>",
+    "Directory of the JSON fixtures, e.g. <directory>/firms/<firm-id>/reconciliations.json (optional)"
+  )
+  .option(
+    "--persist",
+    "Write the changes made through the API to the fixtures (optional)",
+    false
+  )
+  .action(async (options) => {
+    const port = parseInt(options.port);
+    if (isNaN(port)) {
+      consola.error(`Invalid port: ${options.port}`);
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    try {
+      await mockServer.startMockServer(port, options.fixtures, options.persist);
+    } catch (error) {
+      consola.error(`Mock server could not be started: ${error.message}`);
+      process.exit(errorUtils.EXIT_CODES.UNEXPECTED_ERROR);
+    }
+  });
+
 // Update the CLI
 if (pkg.repository && pkg.repository.url) {
   program
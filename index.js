@@ -8,16 +8,27 @@ const { firmCredentials } = require("./lib/api/firmCredentials");
 const { ExportFile } = require("./lib/templates/exportFile");
 const { AccountTemplate } = require("./lib/templates/accountTemplate");
 const { consola } = require("consola");
+const templateDiff = require("./lib/templateDiff");
+const templateSync = require("./lib/templateSync");
+const manifestUtils = require("./lib/utils/manifestUtils");
 
-async function fetchReconciliationById(type, envId, id) {
+// Import a template by its ID. Also used for every template of a batch: failures set the exit code and return false instead of exiting
+async function fetchReconciliationById(type, envId, id, force = false) {
   try {
     const template = await SF.readReconciliationTextById(type, envId, id);
     if (!template || !template.data) {
       consola.error(`Reconciliation with id ${id} wasn't found in ${type} ${envId}`);
-      process.exit(1);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+      return false;
     }
 
-    const saved = await ReconciliationText.save(type, envId, template.data);
+    const saved = await templateSync.importTemplate(
+      type,
+      envId,
+      "reconciliationText",
+      template.data,
+      force
+    );
 
     if (saved) {
       consola.success(
@@ -32,11 +43,12 @@ async function fetchReconciliationById(type, envId, id) {
     };
   } catch (error) {
     consola.error(error);
-    process.exit(1);
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+    return false;
   }
 }
 
-async function fetchReconciliationByHandle(type, envId, handle) {
+async function fetchReconciliationByHandle(type, envId, handle, force = false) {
   try {
     const configPresent = fsUtils.configExists("reconciliationText", handle);
 
@@ -60,43 +72,63 @@ async function fetchReconciliationByHandle(type, envId, handle) {
         consola.error(
           `Reconciliation not found inside the reconciliation_texts folder or in the ${type} ${envId}. Please run create-reconciliation if you still need to create it.`
         );
-        process.exit(1);
+        process.exit(errorUtils.EXIT_CODES.API_ERROR);
       } else {
         id = existingTemplate.id;
       }
     }
 
-    fetchReconciliationById(type, envId, id);
+    const fetched = await fetchReconciliationById(type, envId, id, force);
+    if (!fetched) process.exit(errorUtils.EXIT_CODES.API_ERROR);
   } catch (error) {
     consola.error(error);
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 }
 
-async function fetchAllReconciliations(type, envId, page = 1) {
+async function fetchAllReconciliations(
+  type,
+  envId,
+  force = false,
+  page = 1,
+  summary = { total: 0, failed: 0 }
+) {
   const templates = await SF.readReconciliationTexts(type, envId, page);
   if (templates.length == 0) {
     if (page == 1) {
       consola.error(`No reconciliations found in ${type} ${envId}`);
     }
+    errorUtils.setBatchExitCode(
+      summary.failed,
+      summary.total,
+      "Import reconciliations"
+    );
     return;
   }
 
   for (let template of templates) {
+    summary.total++;
     try {
-      const saved = await ReconciliationText.save(type, envId, template);
+      const saved = await templateSync.importTemplate(
+        type,
+        envId,
+        "reconciliationText",
+        template,
+        force
+      );
 
       if (saved)
         consola.success(`Reconciliation "${template.handle}" imported from ${type} ${envId}`);
     } catch (error) {
       consola.error(error);
+      summary.failed++;
     }
   }
 
-  fetchAllReconciliations(type, envId, page + 1);
+  await fetchAllReconciliations(type, envId, force, page + 1, summary);
 }
 
-async function fetchExistingReconciliations(type, envId) {
+async function fetchExistingReconciliations(type, envId, force = false) {
   const templates = fsUtils.getAllTemplatesOfAType("reconciliationText");
 
   if (!templates || templates.length == 0) {
@@ -104,6 +136,7 @@ async function fetchExistingReconciliations(type, envId) {
     return;
   }
 
+  let failed = 0;
   for (let handle of templates) {
     try {
       const configPresent = fsUtils.configExists("reconciliationText", handle);
@@ -119,21 +152,41 @@ async function fetchExistingReconciliations(type, envId) {
 
       if (!templateId) {
         errorUtils.missingReconciliationId(handle);
+        failed++;
       } else {
-        await fetchReconciliationById(type, envId, templateId);
+        const fetched = await fetchReconciliationById(
+          type,
+          envId,
+          templateId,
+          force
+        );
+        if (!fetched) failed++;
       }
     } catch (error) {
       consola.error(error);
+      failed++;
     }
   }
+  errorUtils.setBatchExitCode(
+    failed,
+    templates.length,
+    "Import reconciliations"
+  );
 }
 
 async function publishReconciliationByHandle(
   type,
   envId,
   handle,
-  message = "Updated with the Silverfin CLI"
+  message = "Updated with the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
+  // Show the changes instead of publishing them
+  if (dryRun) {
+    return templateDiff.diffTemplate(type, envId, "reconciliationText", handle);
+  }
   try {
     const configPresent = fsUtils.configExists("reconciliationText", handle);
 
@@ -150,10 +203,25 @@ async function publishReconciliationByHandle(
       return false;
     }
 
+    // Changes made in Silverfin since the last import or update are not overwritten
+    const canPublish = await templateSync.checkBeforePublish(
+      type,
+      envId,
+      "reconciliationText",
+      handle,
+      templateId,
+      force,
+      merge
+    );
+    if (!canPublish) return false;
+
     consola.debug(`Updating reconciliation ${handle}...`);
 
     const template = await ReconciliationText.read(handle);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
 
     // Add API-only required fields
     template.version_comment = message;
@@ -172,9 +240,17 @@ async function publishReconciliationByHandle(
 
     if (response && response.data && response.data.handle) {
       consola.success(`Reconciliation updated: ${response.data.handle}`);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "reconciliationText",
+        handle,
+        response.data
+      );
       return true;
     } else {
       consola.error(`Reconciliation update failed: ${handle}`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return false;
     }
   } catch (error) {
@@ -185,13 +261,29 @@ async function publishReconciliationByHandle(
 async function publishAllReconciliations(
   type,
   envId,
-  message = "updated through the Silverfin CLI"
+  message = "updated through the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
   let templates = fsUtils.getAllTemplatesOfAType("reconciliationText");
+  let total = 0;
+  let failed = 0;
   for (let handle of templates) {
     if (!handle) continue;
-    await publishReconciliationByHandle(type, envId, handle, message);
+    total++;
+    const published = await publishReconciliationByHandle(
+      type,
+      envId,
+      handle,
+      message,
+      dryRun,
+      force,
+      merge
+    );
+    if (!published) failed++;
   }
+  errorUtils.setBatchExitCode(failed, total, "Update reconciliations");
 }
 
 async function newReconciliation(type, envId, handle) {
@@ -209,7 +301,10 @@ async function newReconciliation(type, envId, handle) {
     }
 
     const template = await ReconciliationText.read(handle);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
     template.version_comment = "Created with the Silverfin CLI";
     const response = await SF.createReconciliationText(
       type,
@@ -219,8 +314,21 @@ async function newReconciliation(type, envId, handle) {
     // Store new id
     if (response && response.status == 201) {
       ReconciliationText.updateTemplateId(type, envId, handle, response.data.id);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "reconciliationText",
+        handle,
+        response.data
+      );
       consola.success(`Reconciliation "${handle}" created on ${type} ${envId}`);
+      return true;
     }
+    consola.error(
+      `Reconciliation "${handle}" couldn't be created on ${type} ${envId}`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+    return false;
   } catch (error) {
     errorUtils.errorHandler(error);
   }
@@ -228,40 +336,60 @@ async function newReconciliation(type, envId, handle) {
 
 async function newAllReconciliations(type, envId) {
   const templates = fsUtils.getAllTemplatesOfAType("reconciliationText");
+  let failed = 0;
   for (let handle of templates) {
-    await newReconciliation(type, envId, handle);
+    const created = await newReconciliation(type, envId, handle);
+    if (created === false) failed++;
   }
+  errorUtils.setBatchExitCode(
+    failed,
+    templates.length,
+    "Create reconciliations"
+  );
 }
 
-async function fetchExportFileByName(type, envId, name) {
+async function fetchExportFileByName(type, envId, name, force = false) {
   try {
     const template = await SF.findExportFileByName(type, envId, name);
     
     if (!template) {
       consola.error(`Export file "${name}" wasn't found in ${type} ${envId}`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
 
-    const saved = ExportFile.save(type, envId, template);
+    const saved = await templateSync.importTemplate(
+      type,
+      envId,
+      "exportFile",
+      template,
+      force
+    );
     if (saved) {
       consola.success(`Export file "${name}" imported from ${type} ${envId}`);
     }
   } catch (error) {
     consola.error(error);
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 }
 
-async function fetchExportFileById(type, envId, id) {
+async function fetchExportFileById(type, envId, id, force = false) {
   try {
     const template = await SF.readExportFileById(type, envId, id);
 
     if (!template) {
       consola.error(`Export file with id ${id} wasn't found in ${type} ${envId}`);
-      process.exit(1);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+      return false;
     }
 
-    const saved = ExportFile.save(type, envId, template);
+    const saved = await templateSync.importTemplate(
+      type,
+      envId,
+      "exportFile",
+      template,
+      force
+    );
     if (saved) {
       consola.success(
         `Export file "${template.name}" imported from ${type} ${envId}`
@@ -275,56 +403,93 @@ async function fetchExportFileById(type, envId, id) {
     }
   } catch (error) {
     consola.error(error);
-    process.exit(1);
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+    return false;
   }
 }
 
-async function fetchAllExportFiles(type, envId, page = 1) {
+async function fetchAllExportFiles(
+  type,
+  envId,
+  force = false,
+  page = 1,
+  summary = { total: 0, failed: 0 }
+) {
   const templates = await SF.readExportFiles(type, envId, page);
 
   if (templates.length == 0) {
     if (page == 1) {
       consola.error(`No export files found in ${type} ${envId}`);
     }
+    errorUtils.setBatchExitCode(
+      summary.failed,
+      summary.total,
+      "Import export files"
+    );
     return;
   }
 
-  templates.forEach(async (template) => {
-    const saved = ExportFile.save(type, envId, template);
+  for (let template of templates) {
+    summary.total++;
+    try {
+      const saved = await templateSync.importTemplate(
+        type,
+        envId,
+        "exportFile",
+        template,
+        force
+      );
 
-    if (saved) {
-      consola.success(`Export file "${template.name}" imported from ${type} ${envId}`);
+      if (saved) {
+        consola.success(
+          `Export file "${template.name}" imported from ${type} ${envId}`
+        );
+      }
+    } catch (error) {
+      consola.error(error);
+      summary.failed++;
     }
-  });
-  fetchAllExportFiles(type, envId, page + 1);
+  }
+  await fetchAllExportFiles(type, envId, force, page + 1, summary);
 }
 
-async function fetchExistingExportFiles(type, envId) {
+async function fetchExistingExportFiles(type, envId, force = false) {
   const templates = fsUtils.getAllTemplatesOfAType("exportFile");
   if (!templates) {
     consola.warn(`No export files found in ${type} ${envId}`);
     return;
   }
 
-  templates.forEach(async (name) => {
+  let failed = 0;
+  for (let name of templates) {
     const templateConfig = fsUtils.readConfig("exportFile", name);
     let templateId = fsUtils.getTemplateId(type, envId, templateConfig);
-    
+
     if (!templateId) {
       errorUtils.missingExportFileId(name);
-      return false;
+      failed++;
+      continue;
     }
 
-    await fetchExportFileById(type, envId, templateId);
-  });
+    const fetched = await fetchExportFileById(type, envId, templateId, force);
+    if (!fetched) failed++;
+  }
+  errorUtils.setBatchExitCode(failed, templates.length, "Import export files");
 }
 
 async function publishExportFileByName(
   type,
   envId,
   name,
-  message = "updated through the Silverfin CLI"
+  message = "updated through the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
+  // Show the changes instead of publishing them
+  if (dryRun) {
+    return templateDiff.diffTemplate(type, envId, "exportFile", name);
+  }
   try {
     const configPresent = fsUtils.configExists("exportFile", name);
 
@@ -341,10 +506,25 @@ async function publishExportFileByName(
       return false;
     }
 
+    // Changes made in Silverfin since the last import or update are not overwritten
+    const canPublish = await templateSync.checkBeforePublish(
+      type,
+      envId,
+      "exportFile",
+      name,
+      templateId,
+      force,
+      merge
+    );
+    if (!canPublish) return false;
+
     consola.debug(`Updating export file ${name}...`);
 
     const template = await ExportFile.read(name);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
 
     // Add API-only required fields
     template.version_comment = message;
@@ -362,9 +542,17 @@ async function publishExportFileByName(
 
     if (response && response.data && response.data.name) {
       consola.success(`Export file updated: ${response.data.name}`);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "exportFile",
+        name,
+        response.data
+      );
       return true;
     } else {
       consola.error(`Export file update failed: ${name}`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return false;
     }
   } catch (error) {
@@ -375,13 +563,29 @@ async function publishExportFileByName(
 async function publishAllExportFiles(
   type,
   envId,
-  message = "updated through the Silverfin CLI"
+  message = "updated through the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
   let templates = fsUtils.getAllTemplatesOfAType("exportFile");
+  let total = 0;
+  let failed = 0;
   for (let name of templates) {
     if (!name) continue;
-    await publishExportFileByName(type, envId, name, message);
+    total++;
+    const published = await publishExportFileByName(
+      type,
+      envId,
+      name,
+      message,
+      dryRun,
+      force,
+      merge
+    );
+    if (!published) failed++;
   }
+  errorUtils.setBatchExitCode(failed, total, "Update export files");
 }
 
 async function newExportFile(type, envId, name) {
@@ -394,15 +598,31 @@ async function newExportFile(type, envId, name) {
       return;
     }
     const template = await ExportFile.read(name);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
     template.version_comment = "Created through the Silverfin CLI";
     const response = await SF.createExportFile(type, envId, template);
 
     // Store new id
     if (response && response.status == 201) {
       ExportFile.updateTemplateId(type, envId, name, response.data.id);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "exportFile",
+        name,
+        response.data
+      );
       consola.success(`Export file "${name}" created on ${type} ${envId}`);
+      return true;
     }
+    consola.error(
+      `Export file "${name}" couldn't be created on ${type} ${envId}`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+    return false;
   } catch (error) {
     errorUtils.errorHandler(error);
   }
@@ -410,94 +630,162 @@ async function newExportFile(type, envId, name) {
 
 async function newAllExportFiles(type, envId) {
   const templates = fsUtils.getAllTemplatesOfAType("exportFile");
+  let failed = 0;
   for (let name of templates) {
-    await newExportFile(type, envId, name);
+    const created = await newExportFile(type, envId, name);
+    if (created === false) failed++;
   }
+  errorUtils.setBatchExitCode(failed, templates.length, "Create export files");
 }
 
-async function fetchAccountTemplateByName(type, envId, name) {
+async function fetchAccountTemplateByName(type, envId, name, force = false) {
   try {
     const template = await SF.findAccountTemplateByName(type, envId, name);
 
     if (!template) {
       consola.error(`Account template "${name}" wasn't found in ${type} ${envId}`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
 
-    const saved = AccountTemplate.save(type, envId, template);
+    const saved = await templateSync.importTemplate(
+      type,
+      envId,
+      "accountTemplate",
+      template,
+      force
+    );
     if (saved) {
       consola.success(`Account template "${template?.name_nl}" imported from ${type} ${envId}`);
     }
   } catch (error) {
     consola.error(error);
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 }
 
-async function fetchAccountTemplateById(type, envId, id) {
+async function fetchAccountTemplateById(type, envId, id, force = false) {
   try {
     const template = await SF.readAccountTemplateById(type, envId, id);
 
     if (!template) {
       consola.error(`Account template ${id} wasn't found in ${type} ${envId}`);
-      process.exit(1);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+      return false;
     }
 
-    const saved = AccountTemplate.save(type, envId, template);
+    const saved = await templateSync.importTemplate(
+      type,
+      envId,
+      "accountTemplate",
+      template,
+      force
+    );
     if (saved) {
       consola.success(`Account template "${template?.name_nl}" imported from ${type} ${envId}`);
     }
+
+    return {
+      type,
+      envId,
+      template,
+    };
   } catch (error) {
     consola.error(error);
-    process.exit(1);
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+    return false;
   }
 }
 
-async function fetchAllAccountTemplates(type, envId, page = 1) {
+async function fetchAllAccountTemplates(
+  type,
+  envId,
+  force = false,
+  page = 1,
+  summary = { total: 0, failed: 0 }
+) {
   const templates = await SF.readAccountTemplates(type, envId, page);
 
   if (templates.length == 0) {
     if (page == 1) {
       consola.warn(`No account templates found in ${type} ${envId}`);
     }
+    errorUtils.setBatchExitCode(
+      summary.failed,
+      summary.total,
+      "Import account templates"
+    );
     return;
   }
 
-  templates.forEach(async (template) => {
-    const saved = AccountTemplate.save(type, envId, template);
+  for (let template of templates) {
+    summary.total++;
+    try {
+      const saved = await templateSync.importTemplate(
+        type,
+        envId,
+        "accountTemplate",
+        template,
+        force
+      );
 
-    if (saved)
-      consola.success(`Account template "${template?.name_nl}" imported from ${type} ${envId}`);
-  });
-  fetchAllAccountTemplates(type, envId, page + 1);
+      if (saved)
+        consola.success(
+          `Account template "${template?.name_nl}" imported from ${type} ${envId}`
+        );
+    } catch (error) {
+      consola.error(error);
+      summary.failed++;
+    }
+  }
+  await fetchAllAccountTemplates(type, envId, force, page + 1, summary);
 }
 
-async function fetchExistingAccountTemplates(type, envId) {
+async function fetchExistingAccountTemplates(type, envId, force = false) {
   const templates = fsUtils.getAllTemplatesOfAType("accountTemplate");
   if (!templates) {
     consola.warn(`No account templates found in ${type} ${envId}`);
     return;
   }
 
-  templates.forEach(async (name) => {
+  let failed = 0;
+  for (let name of templates) {
     const templateConfig = fsUtils.readConfig("accountTemplate", name);
     let templateId = fsUtils.getTemplateId(type, envId, templateConfig);
 
     if (!templateId) {
       errorUtils.missingAccountTemplateId(name);
-      return false;
+      failed++;
+      continue;
     }
 
-    await fetchAccountTemplateById(type, envId, templateId);
-  });
+    const fetched = await fetchAccountTemplateById(
+      type,
+      envId,
+      templateId,
+      force
+    );
+    if (!fetched) failed++;
+  }
+  errorUtils.setBatchExitCode(
+    failed,
+    templates.length,
+    "Import account templates"
+  );
 }
 
 async function publishAccountTemplateByName(
   type,
   envId,
   name,
-  message = "updated through the Silverfin CLI"
+  message = "updated through the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
+  // Show the changes instead of publishing them
+  if (dryRun) {
+    return templateDiff.diffTemplate(type, envId, "accountTemplate", name);
+  }
   try {
     const configPresent = fsUtils.configExists("accountTemplate", name);
 
@@ -514,10 +802,25 @@ async function publishAccountTemplateByName(
       return false;
     }
 
+    // Changes made in Silverfin since the last import or update are not overwritten
+    const canPublish = await templateSync.checkBeforePublish(
+      type,
+      envId,
+      "accountTemplate",
+      name,
+      templateId,
+      force,
+      merge
+    );
+    if (!canPublish) return false;
+
     consola.debug(`Updating account template ${name}...`);
 
     const template = await AccountTemplate.read(name);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
 
     // Add API-only required fields
     template.version_comment = message;
@@ -541,9 +844,17 @@ async function publishAccountTemplateByName(
 
     if (response && response.data && response.data.name_nl) {
       consola.success(`Account template updated: ${response.data.name_nl}`);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "accountTemplate",
+        name,
+        response.data
+      );
       return true;
     } else {
       consola.error(`Account template update failed: ${name}`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return false;
     }
   } catch (error) {
@@ -554,13 +865,29 @@ async function publishAccountTemplateByName(
 async function publishAllAccountTemplates(
   type,
   envId,
-  message = "updated through the Silverfin CLI"
+  message = "updated through the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
   let templates = fsUtils.getAllTemplatesOfAType("accountTemplate");
+  let total = 0;
+  let failed = 0;
   for (let name of templates) {
     if (!name) continue;
-    await publishAccountTemplateByName(type, envId, name, message);
+    total++;
+    const published = await publishAccountTemplateByName(
+      type,
+      envId,
+      name,
+      message,
+      dryRun,
+      force,
+      merge
+    );
+    if (!published) failed++;
   }
+  errorUtils.setBatchExitCode(failed, total, "Update account templates");
 }
 
 async function newAccountTemplate(type, envId, name) {
@@ -578,13 +905,16 @@ async function newAccountTemplate(type, envId, name) {
       return;
     }
     const template = await AccountTemplate.read(name);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
     template.version_comment = "Created through the Silverfin CLI";
 
     // Only keep the mapping_list_ranges that belong to this firm or partner for the request
     template.mapping_list_ranges = template.mapping_list_ranges.filter(
       (range) => {
-        return range.type === "firm" && range.env_id === firmId;
+        return range.type === type && range.env_id === envId;
       }
     );
 
@@ -594,8 +924,21 @@ async function newAccountTemplate(type, envId, name) {
     // Store new id
     if (response && response.status == 201) {
       AccountTemplate.updateTemplateId(type, envId, handle, response.data.id);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "accountTemplate",
+        handle,
+        response.data
+      );
       consola.success(`Account template "${handle}" created on on ${type} ${envId}.`);
+      return true;
     }
+    consola.error(
+      `Account template "${name}" couldn't be created on ${type} ${envId}`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+    return false;
   } catch (error) {
     errorUtils.errorHandler(error);
   }
@@ -603,74 +946,108 @@ async function newAccountTemplate(type, envId, name) {
 
 async function newAllAccountTemplates(type, envId) {
   const templates = fsUtils.getAllTemplatesOfAType("accountTemplate");
+  let failed = 0;
   for (let name of templates) {
-    await newAccountTemplate(type, envId, name);
+    const created = await newAccountTemplate(type, envId, name);
+    if (created === false) failed++;
   }
+  errorUtils.setBatchExitCode(
+    failed,
+    templates.length,
+    "Create account templates"
+  );
 }
 
-async function fetchSharedPartById(type, envId, sharedPartId) {
+async function fetchSharedPartById(type, envId, sharedPartId, force = false) {
   try {
     const template = await SF.readSharedPartById(type, envId, sharedPartId);
     if (!template || !template.data) {
       consola.error(`Shared part ${sharedPartId} wasn't found in ${type} ${envId}`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
 
-    await SharedPart.save(type, envId, template.data);
-    consola.success(`Shared part "${template.data.name}" imported from ${type} ${envId}`);
+    const saved = await templateSync.importTemplate(
+      type,
+      envId,
+      "sharedPart",
+      template.data,
+      force
+    );
+    if (saved) {
+      consola.success(`Shared part "${template.data.name}" imported from ${type} ${envId}`);
+    }
 
     return template.data;
   } catch (error) {
     consola.error(error);
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 }
 
-async function fetchSharedPartByName(type, envId, name) {
+async function fetchSharedPartByName(type, envId, name, force = false) {
   const sharedPartByName = await SF.findSharedPartByName(type, envId, name);
   if (!sharedPartByName) {
     consola.error(`Shared part "${name}" wasn't found in ${type} ${envId}`);
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 
-  const template = await fetchSharedPartById(type, envId, sharedPartByName.id);
+  const template = await fetchSharedPartById(
+    type,
+    envId,
+    sharedPartByName.id,
+    force
+  );
 
   return template;
 }
 
-async function fetchAllSharedParts(type, envId, page = 1) {
+async function fetchAllSharedParts(
+  type,
+  envId,
+  force = false,
+  page = 1,
+  summary = { total: 0, failed: 0 }
+) {
   const response = await SF.readSharedParts(type, envId, page);
   const sharedParts = response.data;
   if (sharedParts.length == 0) {
     if (page == 1) {
       consola.error(`No shared parts found in ${type} ${envId}`);
     }
+    errorUtils.setBatchExitCode(
+      summary.failed,
+      summary.total,
+      "Import shared parts"
+    );
     return;
   }
 
   for (let sharedPart of sharedParts) {
+    summary.total++;
     try {
-      await fetchSharedPartById(type, envId, sharedPart.id);
+      await fetchSharedPartById(type, envId, sharedPart.id, force);
     } catch (error) {
       consola.error(error);
+      summary.failed++;
     }
   }
 
-  await fetchAllSharedParts(type, envId, page + 1);
+  await fetchAllSharedParts(type, envId, force, page + 1, summary);
 }
 
-async function fetchExistingSharedParts(type, envId) {
+async function fetchExistingSharedParts(type, envId, force = false) {
   const templates = fsUtils.getAllTemplatesOfAType("sharedPart");
   if (!templates) return;
 
+  let failed = 0;
   for (let name of templates) {
     try {
       const configPresent = fsUtils.configExists("sharedPart", name);
 
       if (!configPresent) {
         consola.error(`Config file for shared part "${name}" not found`);
-
-        return;
+        failed++;
+        continue;
       }
 
       const templateConfig = fsUtils.readConfig("sharedPart", name);
@@ -678,21 +1055,31 @@ async function fetchExistingSharedParts(type, envId) {
 
       if (!templateId) {
         errorUtils.missingSharedPartId(name);
+        failed++;
       } else {
-        await fetchSharedPartById(type, envId, templateId);
+        await fetchSharedPartById(type, envId, templateId, force);
       }
     } catch (error) {
       consola.error(error);
+      failed++;
     }
   }
+  errorUtils.setBatchExitCode(failed, templates.length, "Import shared parts");
 }
 
 async function publishSharedPartByName(
   type,
   envId,
   name,
-  message = "Updated through the Silverfin CLI"
+  message = "Updated through the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
+  // Show the changes instead of publishing them
+  if (dryRun) {
+    return templateDiff.diffTemplate(type, envId, "sharedPart", name);
+  }
   try {
     const configPresent = fsUtils.configExists("sharedPart", name);
     if (!configPresent) {
@@ -706,10 +1093,25 @@ async function publishSharedPartByName(
       errorUtils.missingSharedPartId(name);
       return false;
     }
+    // Changes made in Silverfin since the last import or update are not overwritten
+    const canPublish = await templateSync.checkBeforePublish(
+      type,
+      envId,
+      "sharedPart",
+      name,
+      templateId,
+      force,
+      merge
+    );
+    if (!canPublish) return false;
+
     consola.debug(`Updating shared part ${name}...`);
 
     const template = await SharedPart.read(name);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
 
     // Add API-only required fields
     template.version_comment = message;
@@ -727,9 +1129,17 @@ async function publishSharedPartByName(
 
     if (response && response.data && response.data.name) {
       consola.success(`Shared part updated: ${response.data.name}`);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "sharedPart",
+        name,
+        response.data
+      );
       return true;
     } else {
       consola.error(`Shared part update failed: ${name}`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return false;
     }
   } catch (error) {
@@ -740,13 +1150,29 @@ async function publishSharedPartByName(
 async function publishAllSharedParts(
   type,
   envId,
-  message = "updated through the Silverfin CLI"
+  message = "updated through the Silverfin CLI",
+  dryRun = false,
+  force = false,
+  merge = false
 ) {
   let templates = fsUtils.getAllTemplatesOfAType("sharedPart");
+  let total = 0;
+  let failed = 0;
   for (let name of templates) {
     if (!name) continue;
-    await publishSharedPartByName(type, envId, name, message);
+    total++;
+    const published = await publishSharedPartByName(
+      type,
+      envId,
+      name,
+      message,
+      dryRun,
+      force,
+      merge
+    );
+    if (!published) failed++;
   }
+  errorUtils.setBatchExitCode(failed, total, "Update shared parts");
 }
 
 async function newSharedPart(type, envId, name) {
@@ -764,15 +1190,31 @@ async function newSharedPart(type, envId, name) {
       return;
     }
     const template = await SharedPart.read(name);
-    if (!template) return;
+    if (!template) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
     template.version_comment = "Created through the API";
     const response = await SF.createSharedPart(type, envId, template);
 
     // Store new firm id
     if (response && response.status == 201) {
       SharedPart.updateTemplateId(type, envId, name, response.data.id);
+      await templateSync.recordSync(
+        type,
+        envId,
+        "sharedPart",
+        name,
+        response.data
+      );
       consola.success(`Shared part "${name}" created on ${type} ${envId}`);
+      return true;
     }
+    consola.error(
+      `Shared part "${name}" couldn't be created on ${type} ${envId}`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+    return false;
   } catch (error) {
     errorUtils.errorHandler(error);
   }
@@ -780,9 +1222,12 @@ async function newSharedPart(type, envId, name) {
 
 async function newAllSharedParts(type, envId) {
   const templates = fsUtils.getAllTemplatesOfAType("sharedPart");
+  let failed = 0;
   for (let name of templates) {
-    await newSharedPart(type, envId, name);
+    const created = await newSharedPart(type, envId, name);
+    if (created === false) failed++;
   }
+  errorUtils.setBatchExitCode(failed, templates.length, "Create shared parts");
 }
 
 /** This function adds a shared part to a template. It will make a POST request to the API. If the ID of one of the templates is missing, it will try to fetch it first by making a GET request. In case of success, it will store the details in the corresponding config files.
@@ -869,6 +1314,7 @@ async function addSharedPart(
       consola.warn(
         `Adding shared part "${sharedPartName}" to "${templateHandle}" failed (${templateType}).`
       );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return false;
     }
 
@@ -941,6 +1387,8 @@ async function addSharedPart(
 async function addAllSharedParts(type, envId, force = false) {
   const envConfigKey = type === "partner" ? "partner_id" : "id";
   const sharedPartsArray = fsUtils.getAllTemplatesOfAType("sharedPart");
+  let total = 0;
+  let failed = 0;
 
   for await (let sharedPartName of sharedPartsArray) {
     let sharedPartConfig = await fsUtils.readConfig(
@@ -1018,15 +1466,18 @@ async function addAllSharedParts(type, envId, force = false) {
       // add arbitrary delay to avoid rate limiting
       await new Promise((resolve) => setTimeout(resolve, 500));
 
-      addSharedPart(
+      total++;
+      const added = await addSharedPart(
         type,
         envId,
         sharedPartConfig.name,
         template.handle,
         template.type
       );
+      if (!added) failed++;
     }
   }
+  errorUtils.setBatchExitCode(failed, total, "Add shared parts");
 }
 
 async function removeSharedPart(
@@ -1045,6 +1496,7 @@ async function removeSharedPart(
       consola.warn(
         `Template id not found for ${templateHandle} (${templateType}). Skipping.`
       );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
       return false;
     }
 
@@ -1055,6 +1507,7 @@ async function removeSharedPart(
 
     if (!sharedPartId) {
       consola.warn(`Shared part id not found for ${templateHandle}. Skipping.`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
       return false;
     }
 
@@ -1079,11 +1532,16 @@ async function removeSharedPart(
       templateId
     );
 
-    if (response && response?.status === 200) {
-      consola.debug(
-        `Remove shared part with id ${sharedPartId} removed from ${templateType} with id ${templateId} on the platform.`
+    if (!response || response.status !== 200) {
+      consola.warn(
+        `Removing shared part "${sharedPartHandle}" from "${templateHandle}" failed (${templateType}).`
       );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+      return false;
     }
+    consola.debug(
+      `Remove shared part with id ${sharedPartId} removed from ${templateType} with id ${templateId} on the platform.`
+    );
 
     // Remove reference from shared part config
     const templateIndex = sharedPartConfig.used_in.findIndex(
@@ -1129,11 +1587,237 @@ async function removeSharedPart(
     consola.success(
       `Shared part "${sharedPartHandle}" removed from template "${templateHandle}" (${templateType}).`
     );
+    return true;
+  } catch (error) {
+    errorUtils.errorHandler(error);
+  }
+}
+
+/**
+ * Delete a template in a firm or partner environment. Its shared parts are removed from it first (for a shared part: it's removed from every template that uses it). The ID of the environment is removed from the config file
+ * @param {String} type - Options: `firm` or `partner`
+ * @param {Number} envId
+ * @param {String} templateType - Options: `reconciliationText`, `sharedPart`, `exportFile` or `accountTemplate`
+ * @param {String} name - Handle or name of the template
+ * @param {boolean} local - If true, the template folder is removed from the repository as well, with its last sync and its mentions in `silverfin.yml` (only when no other firm or partner of its config uses it)
+ * @returns {Promise<boolean>}
+ */
+async function deleteTemplate(type, envId, templateType, name, local = false) {
+  try {
+    const label = templateDiff.TEMPLATE_DETAILS[templateType].label;
+    if (!fsUtils.configExists(templateType, name)) {
+      consola.error(`${label} "${name}" not found in the repository`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+    let templateConfig = fsUtils.readConfig(templateType, name);
+
+    // The folder is still needed by the other firms and partners of the config
+    if (local) {
+      const otherEnvironments = [
+        ["firm", templateConfig.id],
+        ["partner", templateConfig.partner_id],
+      ].flatMap(([envType, ids]) =>
+        Object.keys(ids || {})
+          .filter((id) => envType !== type || id != envId)
+          .map((id) => `${envType} ${id}`)
+      );
+      if (otherEnvironments.length) {
+        consola.error(
+          `${label} "${name}" is still stored in ${otherEnvironments.join(
+            ", "
+          )}. Delete it there first, or don't use "--local" to keep it in the repository`
+        );
+        errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+        return false;
+      }
+    }
+
+    let templateId = fsUtils.getTemplateId(type, envId, templateConfig);
+
+    // Missing ID. Try to identify it based on the handle or name
+    if (!templateId) {
+      const updated = await getTemplateId(type, envId, templateType, name);
+      if (!updated) return false;
+      templateConfig = fsUtils.readConfig(templateType, name);
+      templateId = fsUtils.getTemplateId(type, envId, templateConfig);
+    }
+
+    const unlinked =
+      templateType === "sharedPart"
+        ? await removeSharedPartFromAllTemplates(type, envId, name, templateId)
+        : await removeAllSharedPartsFromTemplate(
+            type,
+            envId,
+            templateType,
+            name,
+            templateId
+          );
+    if (!unlinked) {
+      consola.error(
+        `${label} "${name}" was not deleted on ${type} ${envId}: its shared parts couldn't be removed`
+      );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+      return false;
+    }
+
+    let deleteOnPlatform;
+    switch (templateType) {
+      case "reconciliationText":
+        deleteOnPlatform = SF.deleteReconciliationText;
+        break;
+      case "sharedPart":
+        deleteOnPlatform = SF.deleteSharedPart;
+        break;
+      case "exportFile":
+        deleteOnPlatform = SF.deleteExportFile;
+        break;
+      case "accountTemplate":
+        deleteOnPlatform = SF.deleteAccountTemplate;
+        break;
+    }
+    const response = await deleteOnPlatform(type, envId, templateId);
+    if (!response || ![200, 204].includes(response.status)) {
+      consola.error(
+        `${label} "${name}" couldn't be deleted on ${type} ${envId}`
+      );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+      return false;
+    }
+    consola.success(`${label} "${name}" deleted on ${type} ${envId}`);
+
+    if (local) {
+      templateSync.forgetSync(type, envId, templateType, name);
+      fs.rmSync(`./${fsUtils.FOLDERS[templateType]}/${name}`, {
+        recursive: true,
+        force: true,
+      });
+      // The shared parts of the repository don't refer to the template anymore
+      for (const sharedPartName of fsUtils.getAllTemplatesOfAType(
+        "sharedPart"
+      )) {
+        const sharedPartConfig = fsUtils.readConfig(
+          "sharedPart",
+          sharedPartName
+        );
+        const usedIn = (sharedPartConfig.used_in || []).filter(
+          (template) =>
+            !(
+              template.type === templateType &&
+              (template.handle === name || template.name === name)
+            )
+        );
+        if (usedIn.length === (sharedPartConfig.used_in || []).length) continue;
+        sharedPartConfig.used_in = usedIn;
+        fsUtils.writeConfig("sharedPart", sharedPartName, sharedPartConfig);
+      }
+      if (manifestUtils.removeTemplateFromManifest(templateType, name)) {
+        consola.info(
+          `${label} "${name}" removed from the environments of ${manifestUtils.MANIFEST_FILE}`
+        );
+      }
+      consola.success(`${label} "${name}" removed from the repository`);
+      return true;
+    }
+
+    // Remove the ID of the environment from the config files
+    templateSync.forgetSync(type, envId, templateType, name);
+    templateConfig = fsUtils.readConfig(templateType, name);
+    const envConfigKey = type == "firm" ? "id" : "partner_id";
+    if (templateConfig[envConfigKey]) {
+      delete templateConfig[envConfigKey][envId];
+    }
+    if (templateType === "sharedPart") {
+      templateConfig.used_in = (templateConfig.used_in || []).filter(
+        (template) => {
+          delete template[envConfigKey]?.[envId];
+          const totalIds =
+            Object.keys(template.id || {}).length +
+            Object.keys(template.partner_id || {}).length;
+          return totalIds > 0;
+        }
+      );
+    }
+    fsUtils.writeConfig(templateType, name, templateConfig);
+    return true;
   } catch (error) {
     errorUtils.errorHandler(error);
+    return false;
   }
 }
 
+// Remove the shared parts of the repository that are used in a template (in Silverfin)
+async function removeAllSharedPartsFromTemplate(
+  type,
+  envId,
+  templateType,
+  templateHandle,
+  templateId
+) {
+  for (const sharedPartName of fsUtils.getAllTemplatesOfAType("sharedPart")) {
+    const sharedPartConfig = fsUtils.readConfig("sharedPart", sharedPartName);
+    const sharedPartId = fsUtils.getTemplateId(type, envId, sharedPartConfig);
+    if (!sharedPartId) continue;
+
+    const response = await SF.readSharedPartById(type, envId, sharedPartId);
+    const usedInTemplate = (response?.data?.used_in || []).some((template) => {
+      template = SharedPart.checkTemplateType({ ...template });
+      return template.id == templateId && template.type === templateType;
+    });
+    if (!usedInTemplate) continue;
+
+    const removed = await removeSharedPart(
+      type,
+      envId,
+      sharedPartName,
+      templateHandle,
+      templateType
+    );
+    if (!removed) return false;
+  }
+  return true;
+}
+
+// Remove a shared part from every template that uses it (in Silverfin)
+async function removeSharedPartFromAllTemplates(
+  type,
+  envId,
+  sharedPartName,
+  sharedPartId
+) {
+  const response = await SF.readSharedPartById(type, envId, sharedPartId);
+  if (!response?.data) return false;
+
+  for (let template of response.data.used_in || []) {
+    template = SharedPart.checkTemplateType({ ...template });
+    let removeSharedPartOnPlatform;
+    switch (template.type) {
+      case "reconciliationText":
+        removeSharedPartOnPlatform = SF.removeSharedPartFromReconciliation;
+        break;
+      case "exportFile":
+        removeSharedPartOnPlatform = SF.removeSharedPartFromExportFile;
+        break;
+      case "accountTemplate":
+        removeSharedPartOnPlatform = SF.removeSharedPartFromAccountTemplate;
+        break;
+      default:
+        continue;
+    }
+    const removed = await removeSharedPartOnPlatform(
+      type,
+      envId,
+      sharedPartId,
+      template.id
+    );
+    if (!removed || removed.status !== 200) return false;
+    consola.debug(
+      `Shared part "${sharedPartName}" removed from ${template.type} with id ${template.id}`
+    );
+  }
+  return true;
+}
+
 // Look for the template in Silverfin with the handle/name and get it's ID
 // Type has to be either "reconciliationText", "exportFile". "accountTemplate" or "sharedPart"
 async function getTemplateId(type, envId, templateType, handle) {
@@ -1160,6 +1844,7 @@ async function getTemplateId(type, envId, templateType, handle) {
 
   if (!templateText) {
     consola.warn(`Template ${handle} wasn't found (${type})`);
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
     return false;
   }
   const config = fsUtils.readConfig(templateType, handle);
@@ -1193,6 +1878,8 @@ async function getTemplateId(type, envId, templateType, handle) {
 async function getAllTemplatesId(type, envId, templateType) {
   try {
     let templates = fsUtils.getAllTemplatesOfAType(templateType);
+    let total = 0;
+    let failed = 0;
     for (let templateName of templates) {
       let configTemplate = fsUtils.readConfig(templateType, templateName);
       let handle =
@@ -1200,8 +1887,11 @@ async function getAllTemplatesId(type, envId, templateType) {
       if (!handle) {
         continue;
       }
-      await getTemplateId(type, envId, templateType, handle);
+      total++;
+      const updated = await getTemplateId(type, envId, templateType, handle);
+      if (!updated) failed++;
     }
+    errorUtils.setBatchExitCode(failed, total, "Get template IDs");
   } catch (error) {
     errorUtils.errorHandler(error);
   }
@@ -1212,6 +1902,7 @@ async function updateFirmName(firmId) {
     const firmDetails = await SF.getFirmDetails(firmId);
     if (!firmDetails) {
       consola.warn(`Firm ${firmId} not found.`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return false;
     }
     firmCredentials.storeFirmName(firmId, firmDetails.name);
@@ -1258,6 +1949,7 @@ module.exports = {
   addSharedPart,
   removeSharedPart,
   addAllSharedParts,
+  deleteTemplate,
   getTemplateId,
   getAllTemplatesId,
   updateFirmName,
@@ -2,6 +2,8 @@ const { firmCredentials } = require("./firmCredentials");
 const axios = require("axios");
 const { consola } = require("consola");
 const pkg = require("../../package.json");
+const errorUtils = require("../utils/errorUtils");
+const cassettes = require("./cassettes");
 
 class AxiosFactory {
   constructor() {}
@@ -10,6 +12,7 @@ class AxiosFactory {
    * Create an axios instance for a given type and environment id.
    * It will add the necessary headers and interceptors to handle the authorization, and refresh the tokens if needed.
    * The created instance will be used to make requests to the Silverfin API.
+   * Requests are recorded in (or replayed from) cassettes when `SF_RECORD_DIR` or `SF_REPLAY_DIR` is set (see `cassettes.useCassettes`).
    * @param {String} type - The type of instance to create (firm or partner)
    * @param {Number} envId - The environment id to create the instance for
    * @returns {Object} - The created axios instance
@@ -27,7 +30,7 @@ class AxiosFactory {
         break;
       default:
         consola.error(`Invalid type environment: ${type}`);
-        process.exit(1);
+        process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
     }
 
     return axiosInstance;
@@ -64,14 +67,17 @@ class AxiosFactory {
       axiosDetails.headers.Authorization = this.#basicAuthHeader();
     }
 
-    return axios.create(axiosDetails);
+    return cassettes.useCassettes(axios.create(axiosDetails));
   }
 
   static #createAxiosInstanceForFirms(envId) {
-    const firmTokens = firmCredentials.getTokenPair(envId);
+    // Recorded requests can be replayed without credentials
+    const firmTokens =
+      firmCredentials.getTokenPair(envId) ||
+      (cassettes.isReplaying() ? cassettes.REPLAY_TOKENS : null);
     if (!firmTokens) {
       consola.error(`Missing authorization for firm id: ${envId}`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
 
     let baseHeaders = {
@@ -101,7 +107,7 @@ class AxiosFactory {
       };
     }
 
-    let axiosInstance = axios.create(axiosDetails);
+    let axiosInstance = cassettes.useCassettes(axios.create(axiosDetails));
     axiosInstance = this.#addFirmTokenRefresher(axiosInstance);
 
     return axiosInstance;
@@ -184,17 +190,19 @@ class AxiosFactory {
   }
 
   static #createAxiosInstanceForPartners(envId) {
-    const partnerToken = firmCredentials.getPartnerCredentials(envId)?.token;
+    const partnerToken =
+      firmCredentials.getPartnerCredentials(envId)?.token ||
+      (cassettes.isReplaying() ? cassettes.REPLAY_TOKENS.accessToken : null);
     if (!partnerToken) {
       consola.error(`Missing authorization for partner id: ${envId}`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
 
     let axiosDetails = this.#prepareAxiosDetailsForPartners(
       envId,
       partnerToken
     );
-    let axiosInstance = axios.create(axiosDetails);
+    let axiosInstance = cassettes.useCassettes(axios.create(axiosDetails));
     axiosInstance = this.#addPartnerTokenRefresher(axiosInstance);
 
     return axiosInstance;
@@ -255,7 +263,7 @@ class AxiosFactory {
   static #basicAuthHeader() {
     if (!process.env.SF_BASIC_AUTH) {
       consola.error(`Missing environment variable: SF_BASIC_AUTH`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
     return `Basic ${process.env.SF_BASIC_AUTH}`;
   }
@@ -284,7 +292,10 @@ class AxiosFactory {
         data
       );
 
-      firmCredentials.storeNewTokenPair(firmId, response.data);
+      // Replayed tokens come from a cassette (filtered): the stored ones are kept
+      if (!cassettes.isReplaying()) {
+        firmCredentials.storeNewTokenPair(firmId, response.data);
+      }
       consola.debug(`Refreshed tokens for firm ${firmId}`);
 
       return true;
@@ -308,12 +319,16 @@ class AxiosFactory {
         partnerId,
         partnerToken
       );
-      const newAxiosInstance = axios.create(newAxiosDetails);
+      const newAxiosInstance = cassettes.useCassettes(
+        axios.create(newAxiosDetails)
+      );
       const response = await newAxiosInstance.post(
         `${this.BASE_URL}/api/partner/v1/refresh_api_key?api_key=${partnerToken}`
       );
 
-      firmCredentials.storePartnerApiKey(partnerId, response.data.api_key);
+      if (!cassettes.isReplaying()) {
+        firmCredentials.storePartnerApiKey(partnerId, response.data.api_key);
+      }
 
       consola.debug(`Refreshed API key for partner ${partnerId}`);
 
@@ -332,7 +347,7 @@ class AxiosFactory {
     consola.error(
       `Error refreshing credentials. Try running the authentication process again`
     );
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 }
 
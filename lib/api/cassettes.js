@@ -0,0 +1,223 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const { consola } = require("consola");
+const errorUtils = require("../utils/errorUtils");
+
+// Environment variables that enable the cassettes (set by the `--record` and `--replay` options)
+const RECORD_ENV = "SF_RECORD_DIR";
+const REPLAY_ENV = "SF_REPLAY_DIR";
+
+// Credentials that are never stored in a cassette (query params and request bodies)
+const SECRET_PARAMS = [
+  "access_token",
+  "refresh_token",
+  "api_key",
+  "client_id",
+  "client_secret",
+  "code",
+];
+// Credentials returned by the API (response bodies)
+const SECRET_ATTRIBUTES = ["access_token", "refresh_token", "api_key"];
+const FILTERED = "[FILTERED]";
+
+// Tokens used when replaying without stored credentials
+const REPLAY_TOKENS = {
+  accessToken: "replay-access-token",
+  refreshToken: "replay-refresh-token",
+};
+
+// Requests recorded (or replayed) by the current process, by cassette file
+const recordedFiles = new Set();
+const replayCounters = new Map();
+
+/**
+ * Record or replay mode of the API requests, enabled by environment variables
+ * @returns {Object|null} `{ mode, directory }`, where mode is `record` or `replay`. Null when the cassettes are not used
+ */
+function getMode() {
+  const recordDirectory = process.env[RECORD_ENV];
+  const replayDirectory = process.env[REPLAY_ENV];
+  if (recordDirectory && replayDirectory) {
+    consola.error(
+      `Requests can't be recorded and replayed at the same time (${RECORD_ENV} and ${REPLAY_ENV} are both set)`
+    );
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+  if (recordDirectory) {
+    return { mode: "record", directory: path.resolve(recordDirectory) };
+  }
+  if (replayDirectory) {
+    return { mode: "replay", directory: path.resolve(replayDirectory) };
+  }
+  return null;
+}
+
+function isReplaying() {
+  return getMode()?.mode === "replay";
+}
+
+/**
+ * Record the requests of an axios instance in cassettes, or serve them from the cassettes, depending on the mode (see `getMode`)
+ * @param {Object} axiosInstance
+ * @returns {Object} The same axios instance
+ */
+function useCassettes(axiosInstance) {
+  const cassetteMode = getMode();
+  if (!cassetteMode) return axiosInstance;
+
+  if (cassetteMode.mode === "replay") {
+    axiosInstance.defaults.adapter = (config) =>
+      replayRequest(cassetteMode.directory, config);
+  } else {
+    const adapter = axios.getAdapter(axiosInstance.defaults.adapter);
+    axiosInstance.defaults.adapter = (config) =>
+      recordRequest(cassetteMode.directory, adapter, config);
+  }
+  return axiosInstance;
+}
+
+/**
+ * Request as it is stored in a cassette: method, path (without host) and params, without credentials
+ * @param {Object} config Config of the axios request
+ * @returns {Object} `{ method, path, params, data }`
+ */
+function describeRequest(config) {
+  const url = new URL(axios.getUri(config), "http://localhost");
+  const params = {};
+  for (const key of [...url.searchParams.keys()].sort()) {
+    params[key] = SECRET_PARAMS.includes(key)
+      ? FILTERED
+      : url.searchParams.getAll(key).join(",");
+  }
+  return {
+    method: (config.method || "get").toUpperCase(),
+    path: url.pathname,
+    params,
+    data: filterSecrets(parseData(config.data), SECRET_PARAMS),
+  };
+}
+
+// Cassette file of a request. Requests with the same method, path, params and body share the same file
+function cassettePath(directory, request) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(request))
+    .digest("hex")
+    .slice(0, 12);
+  const name = request.path
+    .replace(/[^\w]+/g, "_")
+    .replace(/^_|_$/g, "")
+    .slice(-80);
+  return path.join(directory, `${request.method}_${name}_${hash}.json`);
+}
+
+async function recordRequest(directory, adapter, config) {
+  let response;
+  let failure;
+  try {
+    response = await adapter(config);
+  } catch (error) {
+    if (!error.response) throw error;
+    failure = error;
+    response = error.response;
+  }
+
+  const request = describeRequest(config);
+  const filePath = cassettePath(directory, request);
+  // A cassette recorded by a previous process is replaced
+  let cassette = { request, responses: [] };
+  if (recordedFiles.has(filePath)) {
+    cassette = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  }
+  cassette.responses.push({
+    status: response.status,
+    statusText: response.statusText,
+    headers: { "content-type": response.headers?.["content-type"] },
+    data: filterSecrets(parseData(response.data), SECRET_ATTRIBUTES),
+  });
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(cassette, null, 2));
+  recordedFiles.add(filePath);
+  consola.debug(
+    `Recorded ${request.method} ${request.path} (${response.status})`
+  );
+
+  if (failure) throw failure;
+  return response;
+}
+
+// Responses are served in the order they were recorded. The last one is repeated (e.g. polling a test run)
+async function replayRequest(directory, config) {
+  const request = describeRequest(config);
+  const filePath = cassettePath(directory, request);
+  if (!fs.existsSync(filePath)) {
+    consola.error(
+      `No recorded response for ${request.method} ${
+        request.path
+      } (params: ${JSON.stringify(request.params)}) in ${directory}`
+    );
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
+  }
+  const cassette = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  const index = replayCounters.get(filePath) || 0;
+  replayCounters.set(filePath, index + 1);
+  const recorded =
+    cassette.responses[Math.min(index, cassette.responses.length - 1)];
+  consola.debug(
+    `Replayed ${request.method} ${request.path} (${recorded.status})`
+  );
+
+  const response = {
+    data: recorded.data,
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: new axios.AxiosHeaders(recorded.headers),
+    config,
+    request: {},
+  };
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500
+      ? axios.AxiosError.ERR_BAD_RESPONSE
+      : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+}
+
+function parseData(data) {
+  if (typeof data !== "string") return data ?? null;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+// Credentials are filtered at any depth of the data (nested objects and arrays)
+function filterSecrets(data, keys) {
+  if (Array.isArray(data)) return data.map((item) => filterSecrets(item, keys));
+  if (!data || typeof data !== "object") return data;
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [
+      key,
+      keys.includes(key) ? FILTERED : filterSecrets(value, keys),
+    ])
+  );
+}
+
+module.exports = {
+  RECORD_ENV,
+  REPLAY_ENV,
+  REPLAY_TOKENS,
+  getMode,
+  isReplaying,
+  useCassettes,
+  describeRequest,
+};
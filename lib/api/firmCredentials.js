@@ -2,6 +2,7 @@ const fs = require("fs");
 const path = require("path");
 const homedir = require("os").homedir();
 const { consola } = require("consola");
+const errorUtils = require("../utils/errorUtils");
 
 /**
  * Class to manage the credentials for the firms
@@ -148,7 +149,7 @@ class FirmCredentials {
       return true;
     } catch (err) {
       consola.error(`Error while storing partner credentials: ${err}`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.UNEXPECTED_ERROR);
     }
   }
 
@@ -168,7 +169,7 @@ class FirmCredentials {
       existingPartners.forEach((item) =>
         consola.log(`${item.id}${item.name ? " - " + item.name : ""}`)
       );
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
 
     return {
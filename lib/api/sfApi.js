@@ -113,6 +113,20 @@ async function updateReconciliationText(
   }
 }
 
+async function deleteReconciliationText(type, envId, reconciliationId) {
+  const instance = AxiosFactory.createInstance(type, envId);
+  try {
+    const response = await instance.delete(
+      `reconciliations/${reconciliationId}`
+    );
+    apiUtils.responseSuccessHandler(response);
+    return response;
+  } catch (error) {
+    const response = await apiUtils.responseErrorHandler(error);
+    return response;
+  }
+}
+
 async function readReconciliationTextDetails(
   type,
   envId,
@@ -233,6 +247,18 @@ async function updateSharedPart(type, envId, sharedPartId, attributes) {
   }
 }
 
+async function deleteSharedPart(type, envId, sharedPartId) {
+  const instance = AxiosFactory.createInstance(type, envId);
+  try {
+    const response = await instance.delete(`shared_parts/${sharedPartId}`);
+    apiUtils.responseSuccessHandler(response);
+    return response;
+  } catch (error) {
+    const response = await apiUtils.responseErrorHandler(error);
+    return response;
+  }
+}
+
 async function createSharedPart(type, envId, attributes) {
   const instance = AxiosFactory.createInstance(type, envId);
   try {
@@ -310,6 +336,18 @@ async function updateExportFile(type, envId, exportFileId, attributes) {
   }
 }
 
+async function deleteExportFile(type, envId, exportFileId) {
+  const instance = AxiosFactory.createInstance(type, envId);
+  try {
+    const response = await instance.delete(`export_files/${exportFileId}`);
+    apiUtils.responseSuccessHandler(response);
+    return response;
+  } catch (error) {
+    const response = await apiUtils.responseErrorHandler(error);
+    return response;
+  }
+}
+
 async function readExportFiles(type, envId, page = 1) {
   const instance = AxiosFactory.createInstance(type, envId);
   try {
@@ -422,6 +460,20 @@ async function updateAccountTemplate(
   }
 }
 
+async function deleteAccountTemplate(type, envId, accountTemplateId) {
+  const instance = AxiosFactory.createInstance(type, envId);
+  try {
+    const response = await instance.delete(
+      `account_templates/${accountTemplateId}`
+    );
+    apiUtils.responseSuccessHandler(response);
+    return response;
+  } catch (error) {
+    const response = await apiUtils.responseErrorHandler(error);
+    return response;
+  }
+}
+
 async function readAccountTemplates(type, envId, page = 1) {
   const instance = AxiosFactory.createInstance(type, envId);
   try {
@@ -514,10 +566,31 @@ async function removeSharedPartFromAccountTemplate(
   }
 }
 
-async function createTestRun(firmId, attributes) {
+// Liquid Tests are run against a different endpoint depending on the template type
+const TEST_RUN_ENDPOINTS = {
+  reconciliationText: "reconciliations",
+  accountTemplate: "account_templates",
+};
+
+function testRunEndpoint(templateType) {
+  const endpoint = TEST_RUN_ENDPOINTS[templateType];
+  if (!endpoint) {
+    throw `Liquid Tests are not supported for template type: ${templateType}`;
+  }
+  return endpoint;
+}
+
+async function createTestRun(
+  firmId,
+  attributes,
+  templateType = "reconciliationText"
+) {
   const instance = AxiosFactory.createInstance("firm", firmId);
   try {
-    const response = await instance.post("reconciliations/test", attributes);
+    const response = await instance.post(
+      `${testRunEndpoint(templateType)}/test`,
+      attributes
+    );
     return response;
   } catch (error) {
     const response = await apiUtils.responseErrorHandler(error);
@@ -525,10 +598,17 @@ async function createTestRun(firmId, attributes) {
   }
 }
 
-async function createPreviewRun(firmId, attributes) {
+async function createPreviewRun(
+  firmId,
+  attributes,
+  templateType = "reconciliationText"
+) {
   const instance = AxiosFactory.createInstance("firm", firmId);
   try {
-    const response = await instance.post("reconciliations/render", attributes);
+    const response = await instance.post(
+      `${testRunEndpoint(templateType)}/render`,
+      attributes
+    );
     return response;
   } catch (error) {
     const response = await apiUtils.responseErrorHandler(error);
@@ -536,10 +616,16 @@ async function createPreviewRun(firmId, attributes) {
   }
 }
 
-async function readTestRun(firmId, testId) {
+async function readTestRun(
+  firmId,
+  testId,
+  templateType = "reconciliationText"
+) {
   const instance = AxiosFactory.createInstance("firm", firmId);
   try {
-    const response = await instance.get(`reconciliations/test_runs/${testId}`);
+    const response = await instance.get(
+      `${testRunEndpoint(templateType)}/test_runs/${testId}`
+    );
     return response;
   } catch (error) {
     const response = await apiUtils.responseErrorHandler(error);
@@ -692,6 +778,22 @@ async function findReconciliationInWorkflows(
   );
 }
 
+// Accounts of a period, with their value ({ account: { id, number, name }, value })
+async function getAccounts(firmId, companyId, periodId, page = 1) {
+  const instance = AxiosFactory.createInstance("firm", firmId);
+  try {
+    const response = await instance.get(
+      `companies/${companyId}/periods/${periodId}/accounts`,
+      { params: { page: page, per_page: 200 } }
+    );
+    apiUtils.responseSuccessHandler(response);
+    return response;
+  } catch (error) {
+    const response = await apiUtils.responseErrorHandler(error);
+    return response;
+  }
+}
+
 async function getAccountDetails(firmId, companyId, periodId, accountId) {
   const instance = AxiosFactory.createInstance("firm", firmId);
   try {
@@ -706,6 +808,48 @@ async function getAccountDetails(firmId, companyId, periodId, accountId) {
   }
 }
 
+async function getAccountTemplateCustom(
+  type,
+  envId,
+  companyId,
+  periodId,
+  accountId,
+  page = 1
+) {
+  const instance = AxiosFactory.createInstance(type, envId);
+  try {
+    const response = await instance.get(
+      `/companies/${companyId}/periods/${periodId}/accounts/${accountId}/custom`,
+      { params: { page: page, per_page: 200 } }
+    );
+    apiUtils.responseSuccessHandler(response);
+    return response;
+  } catch (error) {
+    const response = await apiUtils.responseErrorHandler(error);
+    return response;
+  }
+}
+
+async function getAccountTemplateResults(
+  type,
+  envId,
+  companyId,
+  periodId,
+  accountId
+) {
+  const instance = AxiosFactory.createInstance(type, envId);
+  try {
+    const response = await instance.get(
+      `/companies/${companyId}/periods/${periodId}/accounts/${accountId}/results`
+    );
+    apiUtils.responseSuccessHandler(response);
+    return response;
+  } catch (error) {
+    const response = await apiUtils.responseErrorHandler(error);
+    return response;
+  }
+}
+
 // Liquid Linter
 // attributes should be JSON
 async function verifyLiquid(firmId, attributes) {
@@ -744,6 +888,7 @@ module.exports = {
   readReconciliationTexts,
   readReconciliationTextById,
   updateReconciliationText,
+  deleteReconciliationText,
   findReconciliationTextByHandle,
   readReconciliationTextDetails,
   getReconciliationCustom,
@@ -752,11 +897,13 @@ module.exports = {
   readSharedPartById,
   findSharedPartByName,
   updateSharedPart,
+  deleteSharedPart,
   createSharedPart,
   addSharedPartToReconciliation,
   removeSharedPartFromReconciliation,
   createExportFile,
   updateExportFile,
+  deleteExportFile,
   readExportFiles,
   readExportFileById,
   findExportFileByName,
@@ -764,6 +911,7 @@ module.exports = {
   removeSharedPartFromExportFile,
   createAccountTemplate,
   updateAccountTemplate,
+  deleteAccountTemplate,
   readAccountTemplates,
   readAccountTemplateById,
   findAccountTemplateByName,
@@ -780,7 +928,10 @@ module.exports = {
   getWorkflowInformation,
   findReconciliationInWorkflow,
   findReconciliationInWorkflows,
+  getAccounts,
   getAccountDetails,
+  getAccountTemplateCustom,
+  getAccountTemplateResults,
   verifyLiquid,
   getFirmDetails,
 };
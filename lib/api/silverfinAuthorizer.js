@@ -3,6 +3,7 @@ const prompt = require("prompt-sync")({ sigint: true });
 const { AxiosFactory } = require("./axiosFactory");
 const open = require("open");
 const { consola } = require("consola");
+const errorUtils = require("../utils/errorUtils");
 
 class SilverfinAuthorizer {
   constructor() {}
@@ -45,7 +46,7 @@ class SilverfinAuthorizer {
         consola.error(
           `Firm ${firmId} is not authorized. Please authorize the firm first`
         );
-        process.exit(1);
+        process.exit(errorUtils.EXIT_CODES.API_ERROR);
       }
 
       const BASE_URL = firmCredentials.getHost();
@@ -77,7 +78,7 @@ class SilverfinAuthorizer {
           "\nError refreshing the tokens. Try running the authentication process again"
         );
       }
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
   }
 
@@ -96,7 +97,7 @@ class SilverfinAuthorizer {
         consola.error(
           `Partner ${partnerId} is not authorized. Please authorize the partner first`
         );
-        process.exit(1);
+        process.exit(errorUtils.EXIT_CODES.API_ERROR);
       }
 
       const BASE_URL = firmCredentials.getHost();
@@ -118,7 +119,7 @@ class SilverfinAuthorizer {
           `Response Status: ${error.response.status} (${error.response.statusText}). An error occurred trying to refresh the partner API key`
         );
       }
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
   }
 
@@ -163,7 +164,7 @@ class SilverfinAuthorizer {
       return authCode.trim();
     } catch (error) {
       consola.error(error);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
   }
 
@@ -191,7 +192,7 @@ class SilverfinAuthorizer {
           error.response.data.error_description
         )}`
       );
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
   }
 
@@ -211,7 +212,7 @@ class SilverfinAuthorizer {
 
   static #missingFirmIdMessage() {
     consola.error("Firm ID is missing. Please provide a valid one.");
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
 }
 
@@ -3,65 +3,166 @@ const path = require("path");
 const toolkit = require("../../index");
 const liquidTestRunner = require("../liquidTestRunner");
 const fsUtils = require("../utils/fsUtils");
+const errorUtils = require("../utils/errorUtils");
 const { consola } = require("consola");
 const chokidar = require("chokidar");
 
+// Template types that can store and run Liquid Tests
+const TEST_TEMPLATE_TYPES = ["reconciliationText", "accountTemplate"];
+
+// Several events can be triggered for a single save (editors writing temporary files, formatters, etc.)
+const DEBOUNCE_DELAY = 300;
+
+// Files of a template that trigger a new test run: liquid files, YAML files and config.json
+const WATCHED_EXTENSIONS = [".liquid", ".yml", ".yaml", ".json"];
+
+/**
+ * Run an async task once after a burst of calls. If it's called while the task is running, it runs once more when it finishes
+ * @param {Function} task Async function
+ * @param {Number} delay Milliseconds to wait after the last call
+ * @returns {Function} Function that schedules the task
+ */
+function debounceTask(task, delay = DEBOUNCE_DELAY) {
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  const run = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      consola.error(error);
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        schedule();
+      }
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, delay);
+  };
+  return schedule;
+}
+
 /**
  *  Watch for changes in an specific YAML and their related liquid files. Run a new test when file is saved.
+ *  The directories of the template and the shared parts are watched recursively, so new files (e.g. new parts or shared parts) are picked up.
  * @param {Number} firmId - Firm ID
- * @param {String} handle - template handle
+ * @param {String} templateType - Options: `reconciliationText` or `accountTemplate`
+ * @param {String} handle - `handle` of the reconciliation text or `name_nl` of the account template
  * @param {String} testName - Test name (empty string to run all tests)
  * @param {boolean} renderInput - Open browser and show the HTML from input view
+ * @param {Object} testFilter - Run only the tests selected by `{ grep, tag }` (optional)
  */
-async function watchLiquidTest(firmId, handle, testName, renderInput) {
+async function watchLiquidTest(
+  firmId,
+  templateType,
+  handle,
+  testName,
+  renderInput,
+  testFilter = {}
+) {
+  if (!TEST_TEMPLATE_TYPES.includes(templateType)) {
+    consola.error(
+      `Liquid Tests are only supported for ${TEST_TEMPLATE_TYPES.join(" and ")}`
+    );
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+  const templatePath = path.resolve(
+    process.cwd(),
+    fsUtils.FOLDERS[templateType],
+    handle
+  );
+  if (!fs.existsSync(templatePath)) {
+    consola.error(`Template "${handle}" not found: ${templatePath}`);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
   consola.info(
-    `Watching for changes related to reconciliation "${handle}" to run a new test...`
+    `Watching for changes related to ${
+      templateType === "accountTemplate" ? "account template" : "reconciliation"
+    } "${handle}" to run a new test...`
   );
   consola.warn(
     `Don't forget to terminate this process when you don't need it anymore! (Ctrl + C)`
   );
-  const filePath = path.resolve(
-    process.cwd(),
-    "reconciliation_texts",
-    handle,
-    "tests",
-    `${handle}_liquid_test.yml`
-  );
-  if (!fs.existsSync(filePath)) {
-    consola.warn("YAML file not found: ", filePath);
-    return;
-  }
 
-  // Watch YAML
-  chokidar.watch(filePath).on("change", async (path) => {
-    // Run test
-    await liquidTestRunner.runTestsWithOutput(
+  const runTests = debounceTask(() =>
+    liquidTestRunner.runTestsWithOutput(
       firmId,
       handle,
       testName,
       false,
-      renderInput
-    );
-  });
-
-  // Watch liquid files
-  const liquidFiles = fsUtils.listExistingRelatedLiquidFiles(firmId, handle);
-  for (let filePath of liquidFiles) {
-    chokidar.watch(filePath).on("change", async (path) => {
-      // Run test
-      await liquidTestRunner.runTestsWithOutput(
+      renderInput,
+      false,
+      "",
+      "",
+      testFilter,
+      false,
+      false,
+      false,
+      templateType
+    )
+  );
+
+  const sharedPartsPath = path.resolve(
+    process.cwd(),
+    fsUtils.FOLDERS.sharedPart
+  );
+  chokidar
+    .watch([templatePath, sharedPartsPath], { ignoreInitial: true })
+    .on("all", (event, filePath) => {
+      if (!["add", "change", "unlink"].includes(event)) return;
+      if (!WATCHED_EXTENSIONS.includes(path.extname(filePath))) return;
+
+      // Shared parts: only the ones used in the template (checked on every change, so newly added shared parts are included)
+      if (filePath.startsWith(sharedPartsPath + path.sep)) {
+        const details = fsUtils.identifyTypeAndHandle(filePath);
+        const sharedParts = fsUtils.listSharedPartsUsedInTemplate(
+          firmId,
+          templateType,
+          handle
+        );
+        if (!details || !sharedParts.includes(details.handle)) return;
+      }
+      consola.debug(`${event}: ${filePath}`);
+      runTests();
+    });
+}
+
+// Publish the updates of a template to Silverfin
+async function publishTemplate(firmId, details) {
+  switch (details.type) {
+    case "reconciliationText":
+      return toolkit.publishReconciliationByHandle(
+        "firm",
         firmId,
-        handle,
-        testName,
-        false,
-        renderInput
+        details.handle
+      );
+    case "sharedPart":
+      return toolkit.publishSharedPartByName("firm", firmId, details.handle);
+    case "exportFile":
+      return toolkit.publishExportFileByName("firm", firmId, details.handle);
+    case "accountTemplate":
+      return toolkit.publishAccountTemplateByName(
+        "firm",
+        firmId,
+        details.handle
       );
-    });
   }
 }
 
 /**
- * Watch for changes in any file `.liquid`. Identify if it's a `reconciliationText` or `sharedPart`. **Publish updates to Silverfin when file is saved**.
+ * Watch for changes in any file `.liquid` of every template type. Identify the template it belongs to. **Publish updates to Silverfin when file is saved**.
+ * Directories are watched recursively, so files created later are picked up as well.
  * @param {Number} firmId
  */
 function watchLiquidFiles(firmId) {
@@ -71,32 +172,30 @@ function watchLiquidFiles(firmId) {
   consola.warn(
     `Don't forget to terminate this process when you don't need it anymore! (Ctrl + C)`
   );
-  const files = fsUtils.listExistingFiles("liquid");
+  const folders = Object.values(fsUtils.FOLDERS).map((folder) =>
+    path.resolve(process.cwd(), folder)
+  );
 
   // The fs.watch function in Node.js can sometimes be unstable and trigger multiple events for a single change, especially on certain platforms like macOS.
 
-  // To mitigate this, we use the chokidar package that aims to make this behavior more reliable.
-  for (let filePath of files) {
-    chokidar.watch(filePath).on("change", (path) => {
-      let details = fsUtils.identifyTypeAndHandle(path);
+  // To mitigate this, we use the chokidar package that aims to make this behavior more reliable. Changes are debounced per template as well
+  const publishers = {};
+  chokidar
+    .watch(folders, { ignoreInitial: true })
+    .on("all", (event, filePath) => {
+      if (!["add", "change"].includes(event)) return;
+      if (path.extname(filePath) !== ".liquid") return;
+
+      const details = fsUtils.identifyTypeAndHandle(filePath);
       if (!details) {
         return;
       }
-
-      if (details.type === "reconciliationText") {
-        toolkit.publishReconciliationByHandle("firm", firmId, details.handle);
-      }
-      if (details.type === "sharedPart") {
-        toolkit.publishSharedPartByName("firm", firmId, details.handle);
-      }
-      if (details.type === "exportFile") {
-        toolkit.publishExportFileByName("firm", firmId, details.handle);
-      }
-      if (details.type === "accountTemplate") {
-        toolkit.publishAccountTemplateByName("firm", firmId, details.handle);
+      const key = `${details.type}/${details.handle}`;
+      if (!publishers[key]) {
+        publishers[key] = debounceTask(() => publishTemplate(firmId, details));
       }
+      publishers[key]();
     });
-  }
 }
 
-module.exports = { watchLiquidTest, watchLiquidFiles };
+module.exports = { watchLiquidTest, watchLiquidFiles, debounceTask };
@@ -0,0 +1,407 @@
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { consola } = require("consola");
+const liquidLocalRunner = require("../liquidLocalRunner");
+
+const DEFAULT_PORT = 4000;
+
+// Templates stored by the mock server: fixture file and attribute that has to be unique
+const RESOURCES = {
+  reconciliations: { unique: "handle", linkType: "reconciliation" },
+  shared_parts: { unique: "name" },
+  export_files: { unique: "name", linkType: "export_file" },
+  account_templates: { unique: "name_nl", linkType: "account_template" },
+};
+
+// Template types of the test runs, by endpoint
+const TEST_RUN_TYPES = {
+  reconciliations: "reconciliationText",
+  account_templates: "accountTemplate",
+};
+
+// Tokens returned by the OAuth and partner endpoints (any token is accepted)
+const MOCK_TOKENS = {
+  access_token: "mock-access-token",
+  refresh_token: "mock-refresh-token",
+  api_key: "mock-api-key",
+};
+
+class MockApiError extends Error {
+  constructor(status, body) {
+    super(typeof body.error === "string" ? body.error : `Status ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const notFound = (message) => new MockApiError(404, { error: message });
+
+/**
+ * HTTP stand-in for the Silverfin API used by the CLI (firm and partner environments).
+ * Templates are loaded from JSON fixtures: `<fixtures>/firms/<firmId>/<resource>.json` or `<fixtures>/partners/<partnerId>/<resource>.json`,
+ * where the resource is `reconciliations`, `shared_parts`, `export_files` or `account_templates` (an array of templates).
+ * Changes are kept in memory, unless they are persisted in the fixtures.
+ * Liquid Tests are run with the local Liquid engine.
+ */
+class MockServer {
+  /**
+   * @param {String} fixturesPath Directory of the fixtures (it doesn't need to exist)
+   * @param {Boolean} persist Write the changes to the fixtures
+   */
+  constructor(fixturesPath, persist = false) {
+    this.fixturesPath = fixturesPath ? path.resolve(fixturesPath) : null;
+    this.persist = persist && Boolean(this.fixturesPath);
+    this.environments = {};
+    this.testRuns = {};
+    this.lastTestRunId = 0;
+    this.server = http.createServer((request, response) =>
+      this.#handleRequest(request, response)
+    );
+  }
+
+  /**
+   * Start listening
+   * @param {Number} port Use 0 for a random port
+   * @returns {Promise<String>} URL of the server, to be used as host of the CLI
+   */
+  listen(port = DEFAULT_PORT) {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, "127.0.0.1", () => {
+        resolve(`http://localhost:${this.server.address().port}`);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  // PRIVATE METHODS
+
+  async #handleRequest(request, response) {
+    const url = new URL(request.url, "http://localhost");
+    let status = 200;
+    let body;
+    try {
+      const payload = await this.#readBody(request);
+      ({ status, body } = this.#route(request.method, url, payload, request));
+    } catch (error) {
+      if (!(error instanceof MockApiError)) {
+        consola.error(error);
+        error = new MockApiError(500, { error: error.message });
+      }
+      status = error.status;
+      body = error.body;
+    }
+    consola.log(`${request.method} ${url.pathname} ${status}`);
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body ?? {}));
+  }
+
+  #readBody(request) {
+    return new Promise((resolve, reject) => {
+      let data = "";
+      request.on("data", (chunk) => (data += chunk));
+      request.on("end", () => {
+        if (!data) return resolve({});
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new MockApiError(400, { error: "Invalid JSON body" }));
+        }
+      });
+      request.on("error", reject);
+    });
+  }
+
+  #route(method, url, payload, request) {
+    const pathname = url.pathname.replace(/\/+$/, "");
+    let match;
+
+    // OAuth (any authorization code is accepted) and partner API keys
+    if (/^\/f\/\d+\/oauth\/authorize$/.test(pathname)) {
+      return { status: 200, body: { code: "mock-authorization-code" } };
+    }
+    if (/^\/f\/\d+\/oauth\/token$/.test(pathname)) {
+      return { status: 200, body: MOCK_TOKENS };
+    }
+    if (pathname === "/api/partner/v1/refresh_api_key") {
+      return { status: 200, body: { api_key: MOCK_TOKENS.api_key } };
+    }
+
+    // Firm environments
+    if ((match = pathname.match(/^\/api\/v4\/f\/(\d+)(\/.*)?$/))) {
+      const authorized =
+        /^Bearer \S+/.test(request.headers.authorization || "") ||
+        url.searchParams.get("access_token");
+      if (!authorized) {
+        throw new MockApiError(401, { error: "Missing access token" });
+      }
+      const environment = this.#environment("firms", match[1]);
+      return this.#routeEnvironment(
+        environment,
+        method,
+        match[2] || "",
+        url,
+        payload
+      );
+    }
+
+    // Partner environments
+    if ((match = pathname.match(/^\/api\/partner\/v1(\/.*)?$/))) {
+      const partnerId = url.searchParams.get("partner_id");
+      if (!url.searchParams.get("api_key") || !partnerId) {
+        throw new MockApiError(401, { error: "Missing partner API key" });
+      }
+      const environment = this.#environment("partners", partnerId);
+      return this.#routeEnvironment(
+        environment,
+        method,
+        match[1] || "",
+        url,
+        payload
+      );
+    }
+    throw notFound(`${method} ${pathname} is not available in the mock server`);
+  }
+
+  #routeEnvironment(environment, method, route, url, payload) {
+    const segments = route.split("/").filter(Boolean);
+    const [resource, id, linkResource, linkId] = segments;
+
+    if (method === "GET" && route === "/user/firm") {
+      return { status: 200, body: environment.details };
+    }
+
+    // Liquid Tests
+    if (TEST_RUN_TYPES[resource]) {
+      if (method === "POST" && id === "test" && segments.length === 2) {
+        return { status: 201, body: this.#createTestRun(resource, payload) };
+      }
+      if (method === "POST" && id === "render" && segments.length === 2) {
+        return { status: 201, body: this.#createPreviewRun() };
+      }
+      if (method === "GET" && id === "test_runs" && segments.length === 3) {
+        const testRun = this.testRuns[linkResource];
+        if (!testRun) throw notFound(`Test run ${linkResource} not found`);
+        return { status: 200, body: testRun };
+      }
+    }
+
+    if (!RESOURCES[resource]) {
+      throw notFound(`${method} ${route} is not available in the mock server`);
+    }
+
+    // Collections
+    if (segments.length === 1) {
+      if (method === "GET") {
+        return { status: 200, body: this.#page(environment, resource, url) };
+      }
+      if (method === "POST") {
+        return {
+          status: 201,
+          body: this.#createTemplate(environment, resource, payload),
+        };
+      }
+    }
+
+    // Single templates
+    if (segments.length === 2) {
+      const template = this.#findTemplate(environment, resource, id);
+      if (method === "GET") return { status: 200, body: template };
+      if (method === "POST") {
+        Object.assign(template, payload, {
+          id: template.id,
+          updated_at: new Date().toISOString(),
+        });
+        this.#save(environment, resource);
+        return { status: 200, body: template };
+      }
+      if (method === "DELETE") {
+        environment[resource] = environment[resource].filter(
+          (item) => item !== template
+        );
+        this.#save(environment, resource);
+        // Deleted templates don't use shared parts anymore
+        const type = RESOURCES[resource].linkType;
+        if (type) {
+          for (const sharedPart of environment.shared_parts) {
+            sharedPart.used_in = (sharedPart.used_in || []).filter(
+              (link) => !(link.id === template.id && link.type === type)
+            );
+          }
+          this.#save(environment, "shared_parts");
+        }
+        return { status: 200, body: {} };
+      }
+    }
+
+    // Shared parts added to (or removed from) a template
+    if (segments.length === 4 && linkResource === "shared_parts") {
+      if (!RESOURCES[resource].linkType) {
+        throw notFound(`Shared parts can't be added to ${resource}`);
+      }
+      const template = this.#findTemplate(environment, resource, id);
+      const sharedPart = this.#findTemplate(
+        environment,
+        "shared_parts",
+        linkId
+      );
+      const type = RESOURCES[resource].linkType;
+      sharedPart.used_in = (sharedPart.used_in || []).filter(
+        (link) => !(link.id === template.id && link.type === type)
+      );
+      if (method === "POST") {
+        sharedPart.used_in.push({
+          id: template.id,
+          type,
+          [RESOURCES[resource].unique]: template[RESOURCES[resource].unique],
+        });
+      } else if (method !== "DELETE") {
+        throw notFound(`${method} ${route} is not available`);
+      }
+      this.#save(environment, "shared_parts");
+      return { status: method === "POST" ? 201 : 200, body: {} };
+    }
+    throw notFound(`${method} ${route} is not available in the mock server`);
+  }
+
+  // Templates of a firm or partner, loaded from the fixtures the first time they are used
+  #environment(kind, envId) {
+    const key = `${kind}/${envId}`;
+    if (this.environments[key]) return this.environments[key];
+
+    const directory = this.fixturesPath
+      ? path.join(this.fixturesPath, kind, String(envId))
+      : null;
+    const environment = {
+      directory,
+      details: {
+        id: Number(envId),
+        name: `Mock ${kind.slice(0, -1)} ${envId}`,
+      },
+    };
+    const detailsPath = directory && path.join(directory, "firm.json");
+    if (detailsPath && fs.existsSync(detailsPath)) {
+      Object.assign(
+        environment.details,
+        JSON.parse(fs.readFileSync(detailsPath, "utf-8"))
+      );
+    }
+    for (const resource of Object.keys(RESOURCES)) {
+      const fixturePath = directory && path.join(directory, `${resource}.json`);
+      environment[resource] =
+        fixturePath && fs.existsSync(fixturePath)
+          ? JSON.parse(fs.readFileSync(fixturePath, "utf-8"))
+          : [];
+    }
+    this.environments[key] = environment;
+    return environment;
+  }
+
+  #save(environment, resource) {
+    if (!this.persist) return;
+    fs.mkdirSync(environment.directory, { recursive: true });
+    fs.writeFileSync(
+      path.join(environment.directory, `${resource}.json`),
+      JSON.stringify(environment[resource], null, 2)
+    );
+  }
+
+  #page(environment, resource, url) {
+    const page = Number(url.searchParams.get("page")) || 1;
+    const perPage = Number(url.searchParams.get("per_page")) || 200;
+    return environment[resource].slice((page - 1) * perPage, page * perPage);
+  }
+
+  #findTemplate(environment, resource, id) {
+    const template = environment[resource].find(
+      (item) => String(item.id) === String(id)
+    );
+    if (!template) throw notFound(`${resource} ${id} not found`);
+    return template;
+  }
+
+  #createTemplate(environment, resource, attributes) {
+    const unique = RESOURCES[resource].unique;
+    if (!attributes[unique]) {
+      throw new MockApiError(422, { [unique]: ["can't be blank"] });
+    }
+    if (
+      environment[resource].some((item) => item[unique] === attributes[unique])
+    ) {
+      throw new MockApiError(422, { [unique]: ["has already been taken"] });
+    }
+    const id =
+      Math.max(
+        0,
+        ...environment[resource].map((item) => Number(item.id) || 0)
+      ) + 1;
+    const template = {
+      ...attributes,
+      id,
+      updated_at: new Date().toISOString(),
+    };
+    if (resource === "shared_parts") template.used_in = [];
+    environment[resource].push(template);
+    this.#save(environment, resource);
+    return template;
+  }
+
+  // The test run is completed right away (the CLI polls it as usual)
+  #createTestRun(resource, testParams) {
+    const id = ++this.lastTestRunId;
+    try {
+      this.testRuns[id] = liquidLocalRunner.runTestsLocally(
+        TEST_RUN_TYPES[resource],
+        testParams
+      );
+    } catch (error) {
+      if (!liquidLocalRunner.requiresPlatform(error)) throw error;
+      this.testRuns[id] = {
+        status: "test_error",
+        error_message: error.message,
+      };
+    }
+    return id;
+  }
+
+  #createPreviewRun() {
+    const id = ++this.lastTestRunId;
+    this.testRuns[id] = {
+      status: "test_error",
+      error_message: "HTML previews are not available in the mock server",
+    };
+    return id;
+  }
+}
+
+/**
+ * Start the mock server and keep it running until the process is terminated
+ * @param {Number} port
+ * @param {String} fixturesPath Directory of the JSON fixtures (optional)
+ * @param {Boolean} persist Write the changes to the fixtures
+ */
+async function startMockServer(port = DEFAULT_PORT, fixturesPath, persist) {
+  const mockServer = new MockServer(fixturesPath, persist);
+  const host = await mockServer.listen(port);
+  consola.success(`Mock server running at ${host}`);
+  consola.info(
+    `Use it with "silverfin config --set-host ${host}" or the environment variable SF_HOST=${host}`
+  );
+  if (fixturesPath) {
+    consola.info(
+      `Fixtures: ${mockServer.fixturesPath}${
+        mockServer.persist ? " (changes are written to the fixtures)" : ""
+      }`
+    );
+  }
+  consola.warn(
+    `Don't forget to terminate this process when you don't need it anymore! (Ctrl + C)`
+  );
+  return mockServer;
+}
+
+module.exports = { MockServer, startMockServer, DEFAULT_PORT };
@@ -35,13 +35,13 @@ function handleUncaughtErrors() {
 }
 
 // Prompt Confirmation
-function promptConfirmation() {
-  const confirm = prompt(
-    "This will overwrite existing templates. Do you want to proceed? (y/n): "
-  );
+function promptConfirmation(
+  question = "This will overwrite existing templates. Do you want to proceed? (y/n): "
+) {
+  const confirm = prompt(question);
   if (confirm.toLocaleLowerCase() !== "yes" && confirm.toLowerCase() !== "y") {
     consola.warn("Operation cancelled");
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
   return true;
 }
@@ -78,7 +78,7 @@ function checkUniqueOption(uniqueParameters = [], options) {
         ", "
       )}`
     );
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
 
   // Check if the options aren't used together
@@ -90,7 +90,7 @@ function checkUniqueOption(uniqueParameters = [], options) {
       "Used incompatible options. Only one of the following options must be used: " +
         formattedParameters.join(", ")
     );
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
 
   return true;
@@ -116,7 +116,7 @@ function checkRequiredFirmOrPartner(
       } or set a default firm id when using this command`
     );
 
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
 
   return true;
@@ -146,7 +146,7 @@ function runCommandChecks(
       consola.error(
         `Message required when updating a partner template. Please use "--message"`
       );
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
     }
   }
 
@@ -182,8 +182,32 @@ function logCurrentHost() {
 function checkPartnerSupport(options) {
   if (options.partner && options.all) {
     consola.error("Not possible to update all templates at once in a partner environment.");
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+}
+
+// Tests selected with "--grep" and/or "--tag" (run-test and development-mode)
+function getTestFilter(options) {
+  const testFilter = {
+    grep: options.grep || "",
+    tag: (options.tag || "").replace(/^@/, ""),
+  };
+  if (!testFilter.grep && !testFilter.tag) {
+    return testFilter;
+  }
+  if (options.test) {
+    consola.error(`"--test" can't be used together with "--grep" or "--tag"`);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+  if (testFilter.grep) {
+    try {
+      new RegExp(testFilter.grep);
+    } catch (error) {
+      consola.error(`Invalid regular expression: ${testFilter.grep}`);
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
   }
+  return testFilter;
 }
 
 module.exports = {
@@ -198,4 +222,5 @@ module.exports = {
   runCommandChecks,
   logCurrentHost,
   checkPartnerSupport,
+  getTestFilter,
 };
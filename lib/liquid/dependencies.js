@@ -0,0 +1,370 @@
+// Find the data of Silverfin used by Liquid code (results and custom drops of reconciliations, accounts, company drops and shared parts), following the variables through assign, capture, for loops and includes
+const { parse } = require("./parser");
+const { LiquidSyntaxError } = require("./errors");
+
+// Limit of nested includes (a part including itself would never end)
+const MAX_INCLUDE_DEPTH = 50;
+
+// Variables of Silverfin whose data is collected
+const DATA_ROOTS = ["period", "company"];
+
+// Periods that can be reached from `period`
+const PERIOD_KEYS = ["minus_1y", "minus_2y"];
+
+// Filters that return their input (or their argument when the input is unknown)
+const TRANSPARENT_FILTERS = ["default", "strip"];
+
+// Values of the expressions, as far as they can be known without the data:
+// - `{ type: "text", value }`: literal or text built with captures and string filters
+// - `{ type: "drop", root, path }`: data of Silverfin. Segments of the path are null when unknown (e.g. the items of a loop)
+const UNKNOWN = { type: "unknown" };
+
+class DependencyScanner {
+  constructor(templates) {
+    this.templates = templates;
+    this.variables = {};
+    this.reads = [];
+    this.includes = [];
+    this.tags = new Set();
+    this.inputs = [];
+    this.includeStack = [];
+    this.errors = [];
+  }
+
+  scan(source, name) {
+    let document;
+    try {
+      document = parse(source || "");
+    } catch (error) {
+      if (!(error instanceof LiquidSyntaxError)) throw error;
+      this.errors.push({ name, error });
+      return;
+    }
+    this.walk(document.body);
+  }
+
+  walk(nodes) {
+    for (const node of nodes) {
+      if (node.error) continue;
+      if (node.type === "output") {
+        this.use(node.expression);
+      } else if (node.type === "tag") {
+        this.walkTag(node);
+      }
+    }
+  }
+
+  walkTag(node) {
+    this.tags.add(node.name);
+    switch (node.name) {
+      case "assign":
+        this.variables[node.variable] = this.value(node.expression);
+        return;
+      case "capture":
+        this.variables[node.variable] = this.capture(node.body);
+        return;
+      case "for":
+      case "fori": {
+        const collection = this.use(node.collection);
+        this.variables[node.variable] =
+          collection.type === "drop"
+            ? { ...collection, path: [...collection.path, null] }
+            : UNKNOWN;
+        for (const value of Object.values(node.options || {})) this.use(value);
+        node.branches.forEach((branch) => this.walk(branch.body));
+        return;
+      }
+      case "if":
+      case "unless":
+      case "ifi":
+        for (const branch of node.branches) {
+          if (branch.condition) this.use(branch.condition);
+          this.walk(branch.body);
+        }
+        return;
+      case "case":
+        this.use(node.expression);
+        for (const branch of node.branches.slice(1)) {
+          (branch.values || []).forEach((value) => this.use(value));
+          this.walk(branch.body);
+        }
+        return;
+      case "include":
+        this.include(node);
+        return;
+      case "#":
+      case "comment":
+      case "raw":
+        return;
+    }
+
+    // Other tags (result, rollforward, input, ...)
+    (node.args || []).forEach((arg) => this.use(arg));
+    const options = {};
+    for (const [key, option] of Object.entries(node.options || {})) {
+      options[key] = this.use(option);
+    }
+    if (node.name === "input" && node.args?.length) {
+      this.inputs.push({
+        name: variableName(node.args[0]),
+        // `as:account_collection` (a word, not a variable)
+        as: node.options?.as ? variableName(node.options.as) : null,
+        markup: node.markup,
+        options,
+        line: node.line,
+      });
+    }
+    if (node.body) this.walk(node.body);
+    if (node.branches) {
+      node.branches.forEach((branch) => this.walk(branch.body));
+    }
+  }
+
+  include(node) {
+    const name = this.use(node.template);
+    if (name.type !== "text") return;
+    if (!this.includes.includes(name.value)) this.includes.push(name.value);
+    const source = this.templates[name.value];
+    if (
+      source === undefined ||
+      this.includeStack.includes(name.value) ||
+      this.includeStack.length >= MAX_INCLUDE_DEPTH
+    ) {
+      return;
+    }
+    this.includeStack.push(name.value);
+    this.scan(source, name.value);
+    this.includeStack.pop();
+  }
+
+  // Text of a capture, when every part of it is known
+  capture(nodes) {
+    let text = "";
+    let known = true;
+    for (const node of nodes) {
+      if (node.error) {
+        known = false;
+      } else if (node.type === "text") {
+        text += node.value;
+      } else if (node.type === "output") {
+        const value = this.use(node.expression);
+        if (value.type === "text") {
+          text += value.value;
+        } else {
+          known = false;
+        }
+      } else {
+        this.walkTag(node);
+        if (!["assign", "#", "comment"].includes(node.name)) known = false;
+      }
+    }
+    return known ? { type: "text", value: text } : UNKNOWN;
+  }
+
+  // Value of an expression that is used (printed, compared, passed to a tag): the data it reads is collected
+  use(expression) {
+    const value = this.value(expression);
+    if (value.type === "drop") this.reads.push(value);
+    return value;
+  }
+
+  // Value of an expression. Only the data used to compute it is collected (e.g. an assigned drop is collected where the variable is used)
+  value(expression) {
+    if (!expression) return UNKNOWN;
+    switch (expression.type) {
+      case "literal":
+        return ["string", "number"].includes(typeof expression.value)
+          ? { type: "text", value: String(expression.value) }
+          : UNKNOWN;
+      case "variable":
+        return this.variable(expression);
+      case "filtered":
+        return this.filtered(expression);
+      case "range":
+        this.use(expression.from);
+        this.use(expression.to);
+        return UNKNOWN;
+      case "logical":
+      case "comparison":
+      case "arithmetic":
+        this.use(expression.left);
+        this.use(expression.right);
+        return UNKNOWN;
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  variable(expression) {
+    let path = expression.path;
+    let value;
+    if (expression.name === null) {
+      const name = this.use(path[0]);
+      value = name.type === "text" ? this.lookup(name.value) : UNKNOWN;
+      path = path.slice(1);
+    } else {
+      value = this.lookup(expression.name);
+    }
+    for (const segment of path) {
+      let key = segment;
+      if (typeof segment !== "string") {
+        const keyValue = this.use(segment);
+        key = keyValue.type === "text" ? keyValue.value : null;
+      }
+      value =
+        value.type === "drop"
+          ? { ...value, path: [...value.path, key] }
+          : UNKNOWN;
+    }
+    return value;
+  }
+
+  lookup(name) {
+    if (this.variables.hasOwnProperty(name)) return this.variables[name];
+    if (DATA_ROOTS.includes(name))
+      return { type: "drop", root: name, path: [] };
+    return UNKNOWN;
+  }
+
+  filtered(expression) {
+    let value = this.value(expression.input);
+    for (const filter of expression.filters) {
+      const args = filter.args.map((arg) => this.use(arg));
+      Object.values(filter.kwargs).forEach((arg) => this.use(arg));
+      if (TRANSPARENT_FILTERS.includes(filter.name)) {
+        if (value.type === "unknown" && filter.name === "default") {
+          value = args[0] || UNKNOWN;
+        }
+        continue;
+      }
+      if (value.type === "drop") this.reads.push(value);
+      const [arg] = args;
+      if (
+        ["append", "prepend"].includes(filter.name) &&
+        value.type === "text" &&
+        arg?.type === "text"
+      ) {
+        value = {
+          type: "text",
+          value:
+            filter.name === "append"
+              ? value.value + arg.value
+              : arg.value + value.value,
+        };
+      } else {
+        value = UNKNOWN;
+      }
+    }
+    return value;
+  }
+}
+
+// Name of a variable with a static path (e.g. `custom.namespace.key`), or null
+function variableName(expression) {
+  if (
+    expression.type !== "variable" ||
+    expression.name === null ||
+    !expression.path.every((segment) => typeof segment === "string")
+  ) {
+    return null;
+  }
+  return [expression.name, ...expression.path].join(".");
+}
+
+function addName(collection, name) {
+  if (!collection.includes(name)) collection.push(name);
+}
+
+// Results and custom drops read from a reconciliation: `*` is used for names that can't be known (e.g. in a loop)
+function addReconciliationRead(period, path) {
+  const [, handle, section, ...names] = path;
+  if (typeof handle !== "string") return;
+  const reconciliation = (period.reconciliations[handle] ||= {
+    results: [],
+    custom: [],
+  });
+  if (section === "results") {
+    addName(reconciliation.results, names[0] ?? "*");
+  } else if (section === "custom") {
+    const [namespace, key] = names;
+    addName(
+      reconciliation.custom,
+      namespace ? `${namespace}.${key ?? "*"}` : "*"
+    );
+  }
+}
+
+function collectDependencies(scanner) {
+  const dependencies = {
+    periods: {},
+    company: { drops: [], custom: [] },
+    sharedParts: [],
+    parts: [],
+    inputs: scanner.inputs,
+    tags: [...scanner.tags],
+    errors: scanner.errors,
+  };
+  for (const include of scanner.includes) {
+    const [folder, name] = include.split("/");
+    if (folder === "shared" && name) addName(dependencies.sharedParts, name);
+    if (folder === "parts" && name) addName(dependencies.parts, name);
+  }
+
+  for (const { root, path } of scanner.reads) {
+    if (root === "company") {
+      if (path[0] === "custom") {
+        if (typeof path[1] === "string" && typeof path[2] === "string") {
+          addName(dependencies.company.custom, `${path[1]}.${path[2]}`);
+        }
+      } else if (typeof path[0] === "string") {
+        addName(dependencies.company.drops, path[0]);
+      }
+      continue;
+    }
+    const periodKey = PERIOD_KEYS.includes(path[0]) ? path[0] : "current";
+    const periodPath = periodKey === "current" ? path : path.slice(1);
+    const period = (dependencies.periods[periodKey] ||= {
+      reconciliations: {},
+      accounts: false,
+    });
+    if (periodPath[0] === "accounts") period.accounts = true;
+    if (periodPath[0] === "reconciliations") {
+      addReconciliationRead(period, periodPath);
+    }
+  }
+  return dependencies;
+}
+
+/**
+ * Data of Silverfin used by the Liquid code of a template. Included parts and shared parts are analysed where they are included, with the variables assigned at that point
+ * @param {Object} template `{ text, text_parts }` (text parts as `{ name, content }`)
+ * @param {Object} sharedParts Liquid code of the shared parts, by name. Shared parts without code are listed but not analysed
+ * @returns {Object} `{ periods, company, sharedParts, parts, inputs, tags, errors }`:
+ * - `periods`: by period (`current`, `minus_1y` or `minus_2y`), `{ reconciliations: { handle: { results, custom } }, accounts }`. Names that can't be known are `*` (e.g. `namespace.*`)
+ * - `company`: `{ drops, custom }`, names of the company drops and custom drops (`namespace.key`)
+ * - `sharedParts` and `parts`: names of the shared parts and parts included
+ * - `inputs`: `{ name, as, markup, options, line }` of each input tag: name of its variable, its type and values of its options
+ * - `tags`: names of the tags used
+ * - `errors`: `{ name, error }` of the code that couldn't be parsed
+ */
+function findDependencies(template, sharedParts = {}) {
+  const templates = {};
+  for (const part of template.text_parts || []) {
+    templates[`parts/${part.name}`] = part.content;
+  }
+  for (const [name, source] of Object.entries(sharedParts)) {
+    templates[`shared/${name}`] = source;
+  }
+
+  const scanner = new DependencyScanner(templates);
+  scanner.scan(template.text, "main");
+  // Parts that are not included (by name) are analysed after the main part
+  for (const part of template.text_parts || []) {
+    if (!scanner.includes.includes(`parts/${part.name}`)) {
+      scanner.scan(part.content, `parts/${part.name}`);
+    }
+  }
+  return collectDependencies(scanner);
+}
+
+module.exports = { findDependencies };
@@ -0,0 +1,267 @@
+// Silverfin drops (period, accounts, reconciliations, company, custom) built from the data of a Liquid Test
+const { LiquidUnsupportedError } = require("./errors");
+
+/**
+ * Base class of the drops. Properties that are not available in the test data can't be rendered locally
+ */
+class Drop {
+  constructor(name) {
+    this.dropName = name;
+  }
+
+  get(key) {
+    const properties = this.properties();
+    if (!properties.hasOwnProperty(key)) {
+      throw new LiquidUnsupportedError(
+        `"${this.dropName}.${key}" can't be rendered`
+      );
+    }
+    return properties[key]();
+  }
+
+  // Getter of each supported property
+  properties() {
+    return {};
+  }
+}
+
+/**
+ * Custom data of a drop. Keys stored as `namespace.key` are nested, missing keys are nil
+ * @param {Object} data Custom data of the test (e.g. `{ "pit.tax_rate": 25 }`)
+ * @returns {Object} `{ namespace: { key: value } }`
+ */
+function buildCustom(data = {}) {
+  const custom = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    const [namespace, ...rest] = key.split(".");
+    if (!rest.length) {
+      custom[namespace] =
+        value && typeof value === "object" && !Array.isArray(value)
+          ? { ...custom[namespace], ...value }
+          : value;
+      continue;
+    }
+    custom[namespace] = custom[namespace] || {};
+    custom[namespace][rest.join(".")] = value;
+  }
+  return custom;
+}
+
+class AccountDrop extends Drop {
+  constructor(number, data) {
+    super("account");
+    this.number = String(number);
+    this.data = data && typeof data === "object" ? data : { value: data ?? 0 };
+  }
+
+  toValue() {
+    return Number(this.data.value ?? 0);
+  }
+
+  properties() {
+    return {
+      number: () => this.number,
+      name: () => this.data.name ?? "",
+      original_name: () => this.data.original_name ?? this.data.name ?? "",
+      value: () => this.toValue(),
+      id: () => this.data.id,
+      custom: () => buildCustom(this.data.custom),
+    };
+  }
+}
+
+// Account ranges: prefixes (`6`) or prefix intervals (`60__62`) separated by commas
+function parseAccountRanges(range) {
+  const text = String(range ?? "").replace(/\s/g, "");
+  if (!/^[\w.]+(?:,[\w.]+)*$/.test(text)) {
+    throw new LiquidUnsupportedError(
+      `Account range "${range}" can't be rendered`
+    );
+  }
+  return text.split(",").map((part) => {
+    const [from, to = from] = part.split("__");
+    return { from, to };
+  });
+}
+
+function inAccountRange(number, { from, to }) {
+  return (
+    number.slice(0, from.length) >= from && number.slice(0, to.length) <= to
+  );
+}
+
+/**
+ * Accounts of a period. Its value is the sum of the value of the accounts
+ */
+class AccountCollectionDrop extends Drop {
+  constructor(accounts, includeZeros = false) {
+    super("accounts");
+    this.accounts = accounts;
+    this.includeZeros = includeZeros;
+  }
+
+  static fromData(data = {}) {
+    const accounts = Object.entries(data || {})
+      .map(([number, account]) => new AccountDrop(number, account))
+      .sort((a, b) => a.number.localeCompare(b.number));
+    return new AccountCollectionDrop(accounts);
+  }
+
+  toArray() {
+    return this.includeZeros
+      ? this.accounts
+      : this.accounts.filter((account) => account.toValue() !== 0);
+  }
+
+  toValue() {
+    const total = this.accounts.reduce(
+      (sum, account) => sum + account.toValue(),
+      0
+    );
+    return parseFloat(total.toPrecision(15));
+  }
+
+  filter(name, args) {
+    if (name !== "range") return undefined;
+    const ranges = parseAccountRanges(args[0]);
+    return new AccountCollectionDrop(
+      this.accounts.filter((account) =>
+        ranges.some((range) => inAccountRange(account.number, range))
+      ),
+      this.includeZeros
+    );
+  }
+
+  properties() {
+    return {
+      value: () => this.toValue(),
+      count: () => this.toArray().length,
+      size: () => this.toArray().length,
+      first: () => this.toArray()[0],
+      last: () => this.toArray()[this.toArray().length - 1],
+      include_zeros: () => new AccountCollectionDrop(this.accounts, true),
+    };
+  }
+}
+
+class ReconciliationDrop extends Drop {
+  constructor(handle, data = {}) {
+    super(`reconciliations.${handle}`);
+    this.handle = handle;
+    this.data = data || {};
+  }
+
+  properties() {
+    return {
+      handle: () => this.handle,
+      custom: () => buildCustom(this.data.custom),
+      results: () => ({ ...this.data.results }),
+      starred: () => this.data.starred ?? false,
+    };
+  }
+}
+
+// Reconciliations of a period by handle. Reconciliations without data in the test are nil
+class ReconciliationsDrop extends Drop {
+  constructor(data = {}) {
+    super("reconciliations");
+    this.data = data || {};
+  }
+
+  get(handle) {
+    if (!this.data.hasOwnProperty(handle)) return undefined;
+    return new ReconciliationDrop(handle, this.data[handle]);
+  }
+}
+
+// Same day of the month a number of years earlier (29 February becomes 28 February)
+function shiftYears(date, years) {
+  const [year, month, day] = String(date).split("-").map(Number);
+  const shifted = new Date(Date.UTC(year + years, month - 1, day));
+  if (shifted.getUTCMonth() !== month - 1) shifted.setUTCDate(0);
+  return shifted.toISOString().slice(0, 10);
+}
+
+class PeriodDrop extends Drop {
+  constructor(periods, endDate) {
+    super("period");
+    this.periods = periods || {};
+    this.endDate = String(endDate);
+    this.data = this.periods[this.endDate] || {};
+  }
+
+  periodYearsAgo(years) {
+    return new PeriodDrop(this.periods, shiftYears(this.endDate, -years));
+  }
+
+  properties() {
+    return {
+      end_date: () => this.endDate,
+      exists: () => this.periods.hasOwnProperty(this.endDate),
+      custom: () => buildCustom(this.data.custom),
+      accounts: () => AccountCollectionDrop.fromData(this.data.accounts),
+      reconciliations: () => new ReconciliationsDrop(this.data.reconciliations),
+      minus_1y: () => this.periodYearsAgo(1),
+      minus_2y: () => this.periodYearsAgo(2),
+    };
+  }
+}
+
+// Company data of the test. Attributes that are not in the data are nil
+class CompanyDrop extends Drop {
+  constructor(data = {}) {
+    super("company");
+    this.data = data || {};
+  }
+
+  get(key) {
+    if (key === "custom") return buildCustom(this.data.custom);
+    return this.data[key];
+  }
+}
+
+// Variables of Silverfin that are not part of the test data
+const UNSUPPORTED_GLOBALS = ["user", "firm", "people", "ledger"];
+
+class UnsupportedDrop extends Drop {}
+
+/**
+ * Global variables of a template for the data of a Liquid Test
+ * @param {Object} test Liquid Test (`context` and `data`)
+ * @param {String} templateType `reconciliationText` or `accountTemplate`
+ * @param {String} handle Handle of the reconciliation text
+ * @returns {Object} Drops by variable name
+ */
+function buildGlobals(test, templateType, handle) {
+  const context = test.context || {};
+  const data = test.data || {};
+  const periods = data.periods || {};
+  const endDate = String(context.period ?? "");
+  const periodData = periods[endDate] || {};
+
+  const globals = {
+    period: new PeriodDrop(periods, endDate),
+    company: new CompanyDrop(data.company),
+  };
+  for (const name of UNSUPPORTED_GLOBALS) {
+    globals[name] = new UnsupportedDrop(name);
+  }
+
+  if (templateType === "accountTemplate") {
+    const number = String(context.current_account ?? "");
+    const account = new AccountDrop(number, periodData.accounts?.[number] ?? 0);
+    globals.current_account = account;
+    globals.custom = account.get("custom");
+  } else {
+    globals.custom = buildCustom(periodData.reconciliations?.[handle]?.custom);
+  }
+  return globals;
+}
+
+module.exports = {
+  Drop,
+  buildGlobals,
+  buildCustom,
+  parseAccountRanges,
+  inAccountRange,
+};
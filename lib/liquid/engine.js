@@ -0,0 +1,344 @@
+// Render Liquid templates locally, collecting the results, rollforwards and reconciliation status of Silverfin tags
+const { parse } = require("./parser");
+const { evaluate, isTruthy } = require("./expression");
+const { applyFilter, unwrap, toNumber, toText, toArray } = require("./filters");
+const { Drop } = require("./drops");
+const { LiquidUnsupportedError } = require("./errors");
+
+// Limit of nested includes (a part including itself would never end)
+const MAX_INCLUDE_DEPTH = 50;
+
+// Tags of the loops are interrupted with these signals
+class BreakSignal {}
+class ContinueSignal {}
+
+class RenderContext {
+  constructor({ globals = {}, templates = {}, locale = "en" }) {
+    this.globals = globals;
+    this.templates = templates;
+    this.locale = locale;
+    this.variables = {};
+    this.scopes = [];
+    this.includeDepth = 0;
+    this.parsedTemplates = {};
+    this.results = {};
+    this.rollforwards = {};
+    this.unreconciled = [];
+    this.translations = {};
+  }
+
+  resolve(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].hasOwnProperty(name)) return this.scopes[i][name];
+    }
+    if (this.variables.hasOwnProperty(name)) return this.variables[name];
+    return this.globals[name];
+  }
+
+  property(object, key) {
+    if (object === null || object === undefined) return undefined;
+    if (object instanceof Drop) {
+      if (typeof key === "number" && typeof object.toArray === "function") {
+        return object.toArray()[key];
+      }
+      return object.get(String(key));
+    }
+    if (Array.isArray(object) || typeof object === "string") {
+      if (key === "size") return object.length;
+      if (Array.isArray(object) && key === "first") return object[0];
+      if (Array.isArray(object) && key === "last") {
+        return object[object.length - 1];
+      }
+      if (Array.isArray(object) && Number.isInteger(Number(key))) {
+        const index = Number(key);
+        return object[index < 0 ? object.length + index : index];
+      }
+      return undefined;
+    }
+    if (typeof object === "object") {
+      if (object.hasOwnProperty(key)) return object[key];
+      if (key === "size") return Object.keys(object).length;
+    }
+    return undefined;
+  }
+
+  filter(name, input, args, kwargs) {
+    return applyFilter(name, input, args, kwargs, this);
+  }
+
+  toValue(value) {
+    return unwrap(value);
+  }
+
+  toNumber(value) {
+    return toNumber(value);
+  }
+
+  template(name) {
+    if (!this.parsedTemplates.hasOwnProperty(name)) {
+      if (!this.templates.hasOwnProperty(name)) {
+        throw new LiquidUnsupportedError(`Template "${name}" not found`);
+      }
+      this.parsedTemplates[name] = parse(this.templates[name]);
+    }
+    return this.parsedTemplates[name];
+  }
+}
+
+function renderNodes(nodes, context) {
+  let output = "";
+  for (const node of nodes) {
+    output += renderNode(node, context);
+  }
+  return output;
+}
+
+function renderNode(node, context) {
+  if (node.error) {
+    throw new LiquidUnsupportedError(node.error.message);
+  }
+  switch (node.type) {
+    case "text":
+      return node.value;
+    case "output":
+      return toText(evaluate(node.expression, context));
+  }
+  const tag = TAGS[node.name];
+  if (!tag) {
+    throw new LiquidUnsupportedError(
+      `Tag "${node.name}" can't be rendered`,
+      node.line
+    );
+  }
+  return tag(node, context) ?? "";
+}
+
+// Name of the variable a value is rolled forward to (e.g. `custom.namespace.key`)
+function targetName(node) {
+  if (
+    node?.type !== "variable" ||
+    !node.name ||
+    node.path.some((segment) => typeof segment !== "string")
+  ) {
+    throw new LiquidUnsupportedError(
+      "Rollforward targets must be a variable",
+      node?.line
+    );
+  }
+  return [node.name, ...node.path].join(".");
+}
+
+function loopItems(collection) {
+  if (collection && typeof collection === "object") {
+    if (Array.isArray(collection) || collection instanceof Drop) {
+      return toArray(collection);
+    }
+    return Object.entries(collection);
+  }
+  return toArray(collection);
+}
+
+function renderLoop(node, context) {
+  const [loop, otherwise] = node.branches;
+  let items = loopItems(evaluate(node.collection, context));
+  const offset = node.options.offset
+    ? toNumber(evaluate(node.options.offset, context))
+    : 0;
+  const limit = node.options.limit
+    ? toNumber(evaluate(node.options.limit, context))
+    : items.length;
+  items = items.slice(offset, offset + limit);
+  if (node.reversed) items = [...items].reverse();
+
+  if (!items.length) {
+    return otherwise ? renderNodes(otherwise.body, context) : "";
+  }
+  let output = "";
+  const scope = {};
+  context.scopes.push(scope);
+  try {
+    for (const [index, item] of items.entries()) {
+      scope[node.variable] = item;
+      scope.forloop = {
+        index: index + 1,
+        index0: index,
+        rindex: items.length - index,
+        rindex0: items.length - index - 1,
+        first: index === 0,
+        last: index === items.length - 1,
+        length: items.length,
+      };
+      try {
+        output += renderNodes(loop.body, context);
+      } catch (signal) {
+        if (signal instanceof BreakSignal) break;
+        if (!(signal instanceof ContinueSignal)) throw signal;
+      }
+    }
+  } finally {
+    context.scopes.pop();
+  }
+  return output;
+}
+
+function renderConditional(node, context) {
+  for (const [index, branch] of node.branches.entries()) {
+    if (branch.name === "else") return renderNodes(branch.body, context);
+    let matches = isTruthy(evaluate(branch.condition, context));
+    if (node.name === "unless" && index === 0) matches = !matches;
+    if (matches) return renderNodes(branch.body, context);
+  }
+  return "";
+}
+
+function renderCase(node, context) {
+  const value = context.toValue(evaluate(node.expression, context));
+  for (const branch of node.branches.slice(1)) {
+    if (branch.name === "else") return renderNodes(branch.body, context);
+    const matches = branch.values.some((valueNode) =>
+      evaluate(
+        {
+          type: "comparison",
+          operator: "==",
+          left: { type: "literal", value },
+          right: valueNode,
+        },
+        context
+      )
+    );
+    if (matches) return renderNodes(branch.body, context);
+  }
+  return "";
+}
+
+function renderInclude(node, context) {
+  const name = toText(evaluate(node.template, context));
+  if (context.includeDepth >= MAX_INCLUDE_DEPTH) {
+    throw new LiquidUnsupportedError(
+      `Too many nested includes ("${name}")`,
+      node.line
+    );
+  }
+  const template = context.template(name);
+  context.includeDepth++;
+  try {
+    return renderNodes(template.body, context);
+  } finally {
+    context.includeDepth--;
+  }
+}
+
+// Value of the first argument of a tag (e.g. the name of a translation or the variable of an input)
+function firstArgument(node, context) {
+  if (!node.args?.length) {
+    throw new LiquidUnsupportedError(
+      `Tag "${node.name}" without arguments`,
+      node.line
+    );
+  }
+  return evaluate(node.args[0], context);
+}
+
+function renderTranslation(node, context) {
+  if (Object.keys(node.options || {}).length) {
+    throw new LiquidUnsupportedError(
+      "Translations with variables can't be rendered",
+      node.line
+    );
+  }
+  const key = toText(firstArgument(node, context));
+  const translation = context.translations[key];
+  if (!translation) return key;
+  return translation[context.locale] ?? translation.default ?? key;
+}
+
+function defineTranslation(node, context) {
+  const key = toText(firstArgument(node, context));
+  const translation = {};
+  for (const [locale, value] of Object.entries(node.options || {})) {
+    translation[locale] = toText(evaluate(value, context));
+  }
+  context.translations[key] = translation;
+}
+
+const TAGS = {
+  assign: (node, context) => {
+    context.variables[node.variable] = evaluate(node.expression, context);
+  },
+  capture: (node, context) => {
+    context.variables[node.variable] = renderNodes(node.body, context);
+  },
+  if: renderConditional,
+  unless: renderConditional,
+  ifi: renderConditional,
+  case: renderCase,
+  for: renderLoop,
+  break: () => {
+    throw new BreakSignal();
+  },
+  continue: () => {
+    throw new ContinueSignal();
+  },
+  "#": () => "",
+  comment: () => "",
+  raw: (node) => renderNodes(node.body, {}),
+  include: renderInclude,
+  result: (node, context) => {
+    const name = toText(firstArgument(node, context));
+    context.results[name] = node.args[1]
+      ? context.toValue(evaluate(node.args[1], context))
+      : null;
+  },
+  rollforward: (node, context) => {
+    const value = context.toValue(firstArgument(node, context));
+    context.rollforwards[targetName(node.args[1])] = value;
+  },
+  unreconciled: (node, context) => {
+    context.unreconciled.push(
+      node.args?.length ? context.toValue(evaluate(node.args[0], context)) : 0
+    );
+  },
+  input: (node, context) => toText(firstArgument(node, context)),
+  t: renderTranslation,
+  "t=": defineTranslation,
+  ic: (node, context) => renderNodes(node.body || [], context),
+  nic: (node, context) => renderNodes(node.body || [], context),
+  stripnewlines: (node, context) =>
+    renderNodes(node.body || [], context).replace(/\r?\n/g, ""),
+  newpage: () => "",
+};
+
+/**
+ * Render a Liquid template
+ * @param {String} source Liquid code of the main part
+ * @param {Object} options
+ * @param {Object} options.globals Variables of Silverfin (see `drops.buildGlobals`)
+ * @param {Object} options.templates Liquid code of the templates that can be included by name (e.g. `parts/name` or `shared/name`)
+ * @param {String} options.locale Locale used by translations and number filters
+ * @returns {Object} `{ output, results, rollforwards, unreconciled }`. `unreconciled` has the value of each `unreconciled` tag
+ * @throws {LiquidUnsupportedError} The template uses code that can't be rendered locally
+ * @throws {LiquidSyntaxError} The template is not valid Liquid code
+ */
+function render(source, options = {}) {
+  const context = new RenderContext(options);
+  const document = parse(source);
+  let output;
+  try {
+    output = renderNodes(document.body, context);
+  } catch (signal) {
+    if (signal instanceof BreakSignal || signal instanceof ContinueSignal) {
+      throw new LiquidUnsupportedError(
+        "break and continue are only valid in loops"
+      );
+    }
+    throw signal;
+  }
+  return {
+    output,
+    results: context.results,
+    rollforwards: context.rollforwards,
+    unreconciled: context.unreconciled,
+  };
+}
+
+module.exports = { render };
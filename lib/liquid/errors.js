@@ -0,0 +1,23 @@
+/**
+ * Error in the syntax of the Liquid code
+ */
+class LiquidSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = "LiquidSyntaxError";
+    this.line = line;
+  }
+}
+
+/**
+ * The Liquid code uses a tag, filter or drop that can't be rendered locally (the test run should be done in the platform)
+ */
+class LiquidUnsupportedError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = "LiquidUnsupportedError";
+    this.line = line;
+  }
+}
+
+module.exports = { LiquidSyntaxError, LiquidUnsupportedError };
@@ -0,0 +1,486 @@
+// Parse and evaluate Liquid expressions: values, variables, ranges, comparisons, arithmetic and filters
+const { LiquidSyntaxError } = require("./errors");
+
+const TOKEN_PATTERNS = [
+  ["space", /^\s+/],
+  ["string", /^'[^']*'|^"[^"]*"/],
+  ["number", /^\d+(?:\.\d+)?(?![\w])/],
+  ["range", /^\.\./],
+  ["comparison", /^(?:==|!=|<>|<=|>=|<|>)/],
+  ["arithmetic", /^[+\-*/]/],
+  // Property names can start with a digit (e.g. `custom.namespace.1_key`)
+  ["identifier", /^(?:[A-Za-z_]\w*\??|\d+[A-Za-z_]\w*)/],
+  ["punctuation", /^[.|:,()\[\]]/],
+];
+
+// Literals that are parsed as values instead of variables
+const KEYWORDS = {
+  true: true,
+  false: false,
+  nil: null,
+  null: null,
+  blank: { special: "blank" },
+  empty: { special: "empty" },
+};
+
+function lex(markup, line) {
+  const tokens = [];
+  let rest = markup;
+  while (rest.length) {
+    let matched = false;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      const match = rest.match(pattern);
+      if (!match) continue;
+      if (type !== "space") tokens.push({ type, value: match[0] });
+      rest = rest.slice(match[0].length);
+      matched = true;
+      break;
+    }
+    if (!matched) {
+      throw new LiquidSyntaxError(
+        `Unexpected character "${rest[0]}" in "${markup}"`,
+        line
+      );
+    }
+  }
+  return tokens;
+}
+
+class ExpressionParser {
+  constructor(markup, line) {
+    this.markup = markup;
+    this.line = line;
+    this.tokens = lex(markup, line);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  accept(value) {
+    if (this.peek()?.value === value) return this.next();
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token?.value !== value) this.fail(`expected "${value}"`);
+    return token;
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  fail(reason) {
+    throw new LiquidSyntaxError(
+      `Invalid expression "${this.markup}": ${reason}`,
+      this.line
+    );
+  }
+
+  // Value followed by filters (outputs and assigns)
+  parseFiltered() {
+    const input = this.parseArithmetic();
+    const filters = [];
+    while (this.accept("|")) {
+      const name = this.next();
+      if (name?.type !== "identifier") this.fail("filter name expected");
+      const filter = { name: name.value, args: [], kwargs: {} };
+      if (this.accept(":")) {
+        do {
+          if (
+            this.peek()?.type === "identifier" &&
+            this.peek(1)?.value === ":"
+          ) {
+            const key = this.next().value;
+            this.next();
+            filter.kwargs[key] = this.parseArithmetic();
+          } else {
+            filter.args.push(this.parseArithmetic());
+          }
+        } while (this.accept(","));
+      }
+      filters.push(filter);
+    }
+    return filters.length ? { type: "filtered", input, filters } : input;
+  }
+
+  // Conditions of `if`, `unless` and `elsif`: `and` / `or` are evaluated from right to left
+  parseCondition() {
+    const left = this.parseComparison();
+    const operator = this.peek();
+    if (operator?.value === "and" || operator?.value === "or") {
+      this.next();
+      return {
+        type: "logical",
+        operator: operator.value,
+        left,
+        right: this.parseCondition(),
+      };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    const left = this.parseArithmetic();
+    const operator = this.peek();
+    if (operator?.type === "comparison" || operator?.value === "contains") {
+      this.next();
+      return {
+        type: "comparison",
+        operator: operator.value === "<>" ? "!=" : operator.value,
+        left,
+        right: this.parseArithmetic(),
+      };
+    }
+    return left;
+  }
+
+  parseArithmetic() {
+    let left = this.parseTerm();
+    while (this.peek()?.value === "+" || this.peek()?.value === "-") {
+      const operator = this.next().value;
+      left = { type: "arithmetic", operator, left, right: this.parseTerm() };
+    }
+    return left;
+  }
+
+  parseTerm() {
+    let left = this.parseUnary();
+    while (this.peek()?.value === "*" || this.peek()?.value === "/") {
+      const operator = this.next().value;
+      left = { type: "arithmetic", operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.peek()?.value === "-") {
+      this.next();
+      const operand = this.parseUnary();
+      if (operand.type === "literal" && typeof operand.value === "number") {
+        return { type: "literal", value: -operand.value };
+      }
+      return {
+        type: "arithmetic",
+        operator: "-",
+        left: { type: "literal", value: 0 },
+        right: operand,
+      };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) this.fail("value expected");
+
+    switch (token.type) {
+      case "string":
+        return { type: "literal", value: token.value.slice(1, -1) };
+      case "number":
+        return { type: "literal", value: Number(token.value) };
+      case "identifier":
+        if (KEYWORDS.hasOwnProperty(token.value)) {
+          return { type: "literal", value: KEYWORDS[token.value] };
+        }
+        return this.parsePath({
+          type: "variable",
+          name: token.value,
+          path: [],
+        });
+    }
+
+    if (token.value === "(") {
+      const from = this.parseArithmetic();
+      if (this.accept("..")) {
+        const to = this.parseArithmetic();
+        this.expect(")");
+        return { type: "range", from, to };
+      }
+      this.expect(")");
+      return from;
+    }
+    if (token.value === "[") {
+      // Variable with a dynamic name: [name]
+      const name = this.parseArithmetic();
+      this.expect("]");
+      return this.parsePath({ type: "variable", name: null, path: [name] });
+    }
+    this.fail(`unexpected "${token.value}"`);
+  }
+
+  // Properties of a variable: `.name`, `.123` or `[expression]`
+  parsePath(variable) {
+    while (true) {
+      if (this.peek()?.value === ".") {
+        this.next();
+        const segment = this.next();
+        if (!segment || !["identifier", "number"].includes(segment.type)) {
+          this.fail("property name expected");
+        }
+        variable.path.push(segment.value);
+      } else if (this.peek()?.value === "[") {
+        this.next();
+        variable.path.push(this.parseArithmetic());
+        this.expect("]");
+      } else {
+        return variable;
+      }
+    }
+  }
+}
+
+/**
+ * Parse an expression with filters (e.g. the content of `{{ }}` or the value of an `assign`)
+ * @param {String} markup
+ * @param {Number} line Line of the code (used in errors)
+ * @returns {Object} Expression node
+ */
+function parseExpression(markup, line) {
+  const parser = new ExpressionParser(markup, line);
+  const expression = parser.parseFiltered();
+  if (!parser.done()) parser.fail(`unexpected "${parser.peek().value}"`);
+  return expression;
+}
+
+/**
+ * Parse the condition of an `if`, `elsif` or `unless` tag
+ * @param {String} markup
+ * @param {Number} line Line of the code (used in errors)
+ * @returns {Object} Expression node
+ */
+function parseCondition(markup, line) {
+  const parser = new ExpressionParser(markup, line);
+  const condition = parser.parseCondition();
+  if (!parser.done()) parser.fail(`unexpected "${parser.peek().value}"`);
+  return condition;
+}
+
+/**
+ * Parse the arguments of a tag: positional values and `key:value` options (e.g. `'name' value` or `custom.a.b as:currency default:0`)
+ * @param {String} markup
+ * @param {Number} line Line of the code (used in errors)
+ * @returns {Object} `{ args, options }` with the expression of each argument
+ */
+function parseArguments(markup, line) {
+  const parser = new ExpressionParser(markup, line);
+  const args = [];
+  const options = {};
+  while (!parser.done()) {
+    if (parser.peek().type === "identifier" && parser.peek(1)?.value === ":") {
+      const key = parser.next().value;
+      parser.next();
+      options[key] = parser.parseArithmetic();
+    } else {
+      args.push(parser.parseFiltered());
+    }
+    parser.accept(",");
+  }
+  return { args, options };
+}
+
+/**
+ * Name of the variables read in an expression, with their static path (e.g. `period.reconciliations.handle.results`)
+ * @param {Object} node Expression node
+ * @returns {Array<Object>} `{ name, path }` of each variable. The path stops at the first dynamic segment
+ */
+function listVariables(node, variables = []) {
+  if (!node || typeof node !== "object") return variables;
+  switch (node.type) {
+    case "variable": {
+      const dynamicIndex = node.path.findIndex(
+        (segment) => typeof segment !== "string"
+      );
+      const path =
+        dynamicIndex === -1 ? node.path : node.path.slice(0, dynamicIndex);
+      if (node.name) variables.push({ name: node.name, path });
+      node.path
+        .filter((segment) => typeof segment !== "string")
+        .forEach((segment) => listVariables(segment, variables));
+      return variables;
+    }
+    case "filtered":
+      listVariables(node.input, variables);
+      for (const filter of node.filters) {
+        filter.args.forEach((arg) => listVariables(arg, variables));
+        Object.values(filter.kwargs).forEach((arg) =>
+          listVariables(arg, variables)
+        );
+      }
+      return variables;
+    case "range":
+      listVariables(node.from, variables);
+      return listVariables(node.to, variables);
+    case "logical":
+    case "comparison":
+    case "arithmetic":
+      listVariables(node.left, variables);
+      return listVariables(node.right, variables);
+    default:
+      return variables;
+  }
+}
+
+function isBlank(value) {
+  if (value === null || value === undefined || value === false) return true;
+  if (typeof value === "string") return value.trim() === "";
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === "object" && value.constructor === Object) {
+    return Object.keys(value).length === 0;
+  }
+  return false;
+}
+
+function isEmpty(value) {
+  if (typeof value === "string" || Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (value && typeof value === "object" && value.constructor === Object) {
+    return Object.keys(value).length === 0;
+  }
+  return false;
+}
+
+/**
+ * Evaluate an expression node
+ * @param {Object} node Expression node (see `parseExpression`)
+ * @param {Object} context Object with `resolve(name)`, `property(object, key)`, `filter(name, input, args, kwargs)`, `toValue(value)` and `toNumber(value, node)`
+ * @returns {*} Value of the expression
+ */
+function evaluate(node, context) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "variable": {
+      let value =
+        node.name === null ? undefined : context.resolve(node.name, node);
+      let path = node.path;
+      if (node.name === null) {
+        value = context.resolve(String(evaluate(node.path[0], context)), node);
+        path = node.path.slice(1);
+      }
+      for (const segment of path) {
+        const key =
+          typeof segment === "string" ? segment : evaluate(segment, context);
+        value = context.property(value, key, node);
+      }
+      return value;
+    }
+    case "range": {
+      const from = Math.trunc(context.toNumber(evaluate(node.from, context)));
+      const to = Math.trunc(context.toNumber(evaluate(node.to, context)));
+      const items = [];
+      for (let i = from; i <= to; i++) items.push(i);
+      return items;
+    }
+    case "filtered":
+      return node.filters.reduce((input, filter) => {
+        const args = filter.args.map((arg) => evaluate(arg, context));
+        const kwargs = {};
+        for (const [key, arg] of Object.entries(filter.kwargs)) {
+          kwargs[key] = evaluate(arg, context);
+        }
+        return context.filter(filter.name, input, args, kwargs, node);
+      }, evaluate(node.input, context));
+    case "logical": {
+      const left = isTruthy(evaluate(node.left, context));
+      if (node.operator === "and") {
+        return left && isTruthy(evaluate(node.right, context));
+      }
+      return left || isTruthy(evaluate(node.right, context));
+    }
+    case "comparison":
+      return compare(
+        node.operator,
+        context.toValue(evaluate(node.left, context)),
+        context.toValue(evaluate(node.right, context))
+      );
+    case "arithmetic": {
+      const left = context.toNumber(evaluate(node.left, context), node);
+      const right = context.toNumber(evaluate(node.right, context), node);
+      switch (node.operator) {
+        case "+":
+          return left + right;
+        case "-":
+          return left - right;
+        case "*":
+          return left * right;
+        case "/":
+          return right === 0 ? null : left / right;
+      }
+    }
+  }
+}
+
+function compare(operator, left, right) {
+  // blank and empty
+  for (const [value, other] of [
+    [left, right],
+    [right, left],
+  ]) {
+    if (other?.special) {
+      const matches =
+        other.special === "blank" ? isBlank(value) : isEmpty(value);
+      if (operator === "==") return matches;
+      if (operator === "!=") return !matches;
+      return false;
+    }
+  }
+
+  switch (operator) {
+    case "==":
+      return equals(left, right);
+    case "!=":
+      return !equals(left, right);
+    case "contains":
+      if (typeof left === "string") return left.includes(String(right ?? ""));
+      if (Array.isArray(left)) return left.some((item) => equals(item, right));
+      return false;
+  }
+  const comparable =
+    (typeof left === "number" && typeof right === "number") ||
+    (typeof left === "string" && typeof right === "string");
+  if (!comparable) return false;
+  switch (operator) {
+    case "<":
+      return left < right;
+    case ">":
+      return left > right;
+    case "<=":
+      return left <= right;
+    case ">=":
+      return left >= right;
+  }
+}
+
+function equals(left, right) {
+  if ((left ?? null) === (right ?? null)) return true;
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return (
+      left.length === right.length &&
+      left.every((item, index) => equals(item, right[index]))
+    );
+  }
+  return false;
+}
+
+// Only false and nil are falsy in Liquid
+function isTruthy(value) {
+  return value !== false && value !== null && value !== undefined;
+}
+
+module.exports = {
+  parseExpression,
+  parseCondition,
+  parseArguments,
+  listVariables,
+  evaluate,
+  isTruthy,
+  isBlank,
+};
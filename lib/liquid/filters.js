@@ -0,0 +1,243 @@
+// Standard Liquid filters and the Silverfin filters that can be rendered locally
+const { LiquidUnsupportedError } = require("./errors");
+
+// Decimal and thousands separators of the number filters (`currency`, `integer`)
+const NUMBER_FORMATS = {
+  en: { decimal: ".", thousands: "," },
+  nl: { decimal: ",", thousands: "." },
+  fr: { decimal: ",", thousands: "." },
+  de: { decimal: ",", thousands: "." },
+};
+
+// Drops are converted to their value (e.g. the total value of an account collection)
+function unwrap(value) {
+  return typeof value?.toValue === "function" ? value.toValue() : value;
+}
+
+function toNumber(value) {
+  value = unwrap(value);
+  if (typeof value === "number") return value;
+  if (value === null || value === undefined || value === "") return 0;
+  const number = Number(String(value).trim());
+  return Number.isFinite(number) ? number : 0;
+}
+
+function toText(value) {
+  value = unwrap(value);
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(toText).join("");
+  return String(value);
+}
+
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value?.toArray === "function") return value.toArray();
+  return [value];
+}
+
+// Round half away from zero (like Ruby)
+function round(value, precision = 0) {
+  const factor = 10 ** precision;
+  const rounded =
+    Math.round(Math.abs(value) * factor + Number.EPSILON) / factor;
+  return value < 0 ? -rounded : rounded;
+}
+
+function formatNumber(value, precision, locale) {
+  const format = NUMBER_FORMATS[locale] || NUMBER_FORMATS.en;
+  const [integer, decimals] = round(toNumber(value), precision)
+    .toFixed(precision)
+    .split(".");
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, format.thousands);
+  return decimals ? `${grouped}${format.decimal}${decimals}` : grouped;
+}
+
+// `date` filter: only numeric formats, names of months and days depend on the locale of the platform
+const DATE_FORMATS = {
+  Y: (date) => String(date.getUTCFullYear()),
+  y: (date) => String(date.getUTCFullYear()).slice(-2),
+  m: (date) => String(date.getUTCMonth() + 1).padStart(2, "0"),
+  d: (date) => String(date.getUTCDate()).padStart(2, "0"),
+  e: (date) => String(date.getUTCDate()).padStart(2, " "),
+  "-m": (date) => String(date.getUTCMonth() + 1),
+  "-d": (date) => String(date.getUTCDate()),
+  "%": () => "%",
+};
+
+function formatDate(input, format) {
+  if (input === null || input === undefined || input === "") return input;
+  const date = input === "now" || input === "today" ? null : new Date(input);
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new LiquidUnsupportedError(`Date "${input}" can't be rendered`);
+  }
+  return String(format).replace(/%(-?[a-zA-Z%])/g, (match, directive) => {
+    if (!DATE_FORMATS[directive]) {
+      throw new LiquidUnsupportedError(
+        `Date format "${match}" can't be rendered`
+      );
+    }
+    return DATE_FORMATS[directive](date);
+  });
+}
+
+function property(item, key, context) {
+  return context.property(item, key);
+}
+
+const FILTERS = {
+  // Numbers
+  plus: (input, [value]) => toNumber(input) + toNumber(value),
+  minus: (input, [value]) => toNumber(input) - toNumber(value),
+  times: (input, [value]) => toNumber(input) * toNumber(value),
+  // Integer division when both numbers are integers (`7.0` can't be told apart from `7` here)
+  divided_by: (input, [value]) => {
+    const dividend = toNumber(input);
+    const divisor = toNumber(value);
+    if (divisor === 0) return null;
+    const result = dividend / divisor;
+    return Number.isInteger(dividend) && Number.isInteger(divisor)
+      ? Math.floor(result)
+      : result;
+  },
+  modulo: (input, [value]) => {
+    const divisor = toNumber(value);
+    if (divisor === 0) return null;
+    const dividend = toNumber(input);
+    return dividend - divisor * Math.floor(dividend / divisor);
+  },
+  round: (input, [precision]) => round(toNumber(input), toNumber(precision)),
+  ceil: (input) => Math.ceil(toNumber(input)),
+  floor: (input) => Math.floor(toNumber(input)),
+  abs: (input) => Math.abs(toNumber(input)),
+  at_least: (input, [value]) => Math.max(toNumber(input), toNumber(value)),
+  at_most: (input, [value]) => Math.min(toNumber(input), toNumber(value)),
+
+  // Silverfin number formats
+  currency: (input, [precision = 2], kwargs, context) =>
+    formatNumber(input, toNumber(precision), context.locale),
+  integer: (input, args, kwargs, context) =>
+    formatNumber(input, 0, context.locale),
+
+  // Strings
+  append: (input, [value]) => toText(input) + toText(value),
+  prepend: (input, [value]) => toText(value) + toText(input),
+  upcase: (input) => toText(input).toUpperCase(),
+  downcase: (input) => toText(input).toLowerCase(),
+  capitalize: (input) => {
+    const text = toText(input);
+    return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+  },
+  strip: (input) => toText(input).trim(),
+  lstrip: (input) => toText(input).replace(/^\s+/, ""),
+  rstrip: (input) => toText(input).replace(/\s+$/, ""),
+  strip_newlines: (input) => toText(input).replace(/\r?\n/g, ""),
+  newline_to_br: (input) => toText(input).replace(/\r?\n/g, "<br />\n"),
+  strip_html: (input) => toText(input).replace(/<[^>]*>/g, ""),
+  escape: (input) =>
+    toText(input)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;"),
+  remove: (input, [value]) => toText(input).split(toText(value)).join(""),
+  remove_first: (input, [value]) => toText(input).replace(toText(value), ""),
+  replace: (input, [value, replacement]) =>
+    toText(input).split(toText(value)).join(toText(replacement)),
+  replace_first: (input, [value, replacement]) =>
+    toText(input).replace(toText(value), () => toText(replacement)),
+  truncate: (input, [length = 50, ellipsis = "..."]) => {
+    const text = toText(input);
+    if (text.length <= length) return text;
+    const end = Math.max(0, length - toText(ellipsis).length);
+    return text.slice(0, end) + toText(ellipsis);
+  },
+  split: (input, [separator]) => {
+    const text = toText(input);
+    return text === "" ? [] : text.split(toText(separator));
+  },
+  size: (input) => {
+    if (typeof input === "string" || Array.isArray(input)) return input.length;
+    if (typeof input?.toArray === "function") return input.toArray().length;
+    if (input && typeof input === "object") return Object.keys(input).length;
+    return 0;
+  },
+  slice: (input, [start, length = 1]) => {
+    const items = typeof input === "string" ? input : toArray(input);
+    const from = start < 0 ? items.length + start : start;
+    return items.slice(from, from + length);
+  },
+
+  // Arrays
+  first: (input) => {
+    if (typeof input === "string") return input.charAt(0);
+    return toArray(input)[0];
+  },
+  last: (input) => {
+    if (typeof input === "string") return input.charAt(input.length - 1);
+    const items = toArray(input);
+    return items[items.length - 1];
+  },
+  join: (input, [separator = " "]) =>
+    toArray(input).map(toText).join(toText(separator)),
+  reverse: (input) => [...toArray(input)].reverse(),
+  sort: (input, [key], kwargs, context) => {
+    const value = (item) => (key ? property(item, key, context) : item);
+    return [...toArray(input)].sort((a, b) => {
+      const left = value(a);
+      const right = value(b);
+      if (left === right) return 0;
+      if (left === null || left === undefined) return 1;
+      if (right === null || right === undefined) return -1;
+      return left < right ? -1 : 1;
+    });
+  },
+  uniq: (input) => [...new Set(toArray(input))],
+  compact: (input) =>
+    toArray(input).filter((item) => item !== null && item !== undefined),
+  concat: (input, [value]) => [...toArray(input), ...toArray(value)],
+  map: (input, [key], kwargs, context) =>
+    toArray(input).map((item) => property(item, key, context)),
+  where: (input, [key, value], kwargs, context) =>
+    toArray(input).filter((item) => {
+      const itemValue = property(item, key, context);
+      return value === undefined
+        ? itemValue !== null && itemValue !== undefined && itemValue !== false
+        : itemValue === value;
+    }),
+
+  // Other values
+  default: (input, [value]) =>
+    input === null ||
+    input === undefined ||
+    input === false ||
+    input === "" ||
+    (Array.isArray(input) && input.length === 0)
+      ? value
+      : input,
+  date: (input, [format]) => formatDate(input, format),
+};
+
+/**
+ * Apply a filter
+ * @param {String} name Name of the filter
+ * @param {*} input Value the filter is applied to
+ * @param {Array} args Positional arguments
+ * @param {Object} kwargs `key: value` arguments
+ * @param {Object} context Render context (locale and properties of drops)
+ * @returns {*} Filtered value
+ */
+function applyFilter(name, input, args, kwargs, context) {
+  // Filters of drops (e.g. `range` of account collections)
+  if (typeof input?.filter === "function" && !Array.isArray(input)) {
+    const result = input.filter(name, args, kwargs);
+    if (result !== undefined) return result;
+  }
+  if (!FILTERS.hasOwnProperty(name)) {
+    throw new LiquidUnsupportedError(`Filter "${name}" can't be rendered`);
+  }
+  return FILTERS[name](input, args, kwargs, context);
+}
+
+module.exports = { applyFilter, unwrap, toNumber, toText, toArray };
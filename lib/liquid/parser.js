@@ -0,0 +1,191 @@
+// Build the syntax tree of Liquid code
+const { tokenize } = require("./tokenizer");
+const { LiquidSyntaxError } = require("./errors");
+const {
+  parseExpression,
+  parseCondition,
+  parseArguments,
+} = require("./expression");
+
+// Tags that split the body of a block into branches
+const BRANCH_TAGS = {
+  if: ["elsif", "else"],
+  unless: ["elsif", "else"],
+  case: ["when", "else"],
+  for: ["else"],
+  fori: ["else"],
+  ifi: ["elsif", "else"],
+};
+
+/**
+ * Parse Liquid code. Any tag with a matching `end` tag (e.g. `{% ic %}...{% endic %}`) is a block.
+ * Invalid expressions don't stop the parsing, they are stored in the `error` of their node
+ * @param {String} source Liquid code
+ * @returns {Object} `{ type: "document", body }` where body is an array of nodes:
+ * - `{ type: "text", value }`
+ * - `{ type: "output", markup, expression, line }`
+ * - `{ type: "tag", name, markup, line, ... }`, blocks have a `body` (or `branches` for `if`, `unless`, `case` and `for`)
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  const blockNames = new Set(
+    tokens
+      .filter((token) => token.type === "tag" && token.name.startsWith("end"))
+      .map((token) => token.name.slice(3))
+  );
+  const parser = { tokens, position: 0, blockNames };
+  const body = parseBody(parser, null);
+  return { type: "document", body };
+}
+
+// Parse nodes until the end of the block (or the end of the code when `block` is null)
+function parseBody(parser, block, stopNames = []) {
+  const nodes = [];
+  while (parser.position < parser.tokens.length) {
+    const token = parser.tokens[parser.position];
+    if (token.type === "tag") {
+      if (block && token.name === `end${block.name}`) return nodes;
+      if (block && stopNames.includes(token.name)) return nodes;
+      if (token.name.startsWith("end")) {
+        throw new LiquidSyntaxError(`Unexpected "${token.name}"`, token.line);
+      }
+      if (Object.values(BRANCH_TAGS).flat().includes(token.name)) {
+        throw new LiquidSyntaxError(`Unexpected "${token.name}"`, token.line);
+      }
+    }
+    parser.position++;
+    nodes.push(parseNode(parser, token));
+  }
+  if (block) {
+    throw new LiquidSyntaxError(`"${block.name}" was not closed`, block.line);
+  }
+  return nodes;
+}
+
+function parseNode(parser, token) {
+  switch (token.type) {
+    case "text":
+      return { type: "text", value: token.value };
+    case "output":
+      return withExpressions(
+        { type: "output", markup: token.value, line: token.line },
+        (node) => {
+          node.expression = parseExpression(token.value, token.line);
+        }
+      );
+  }
+
+  const node = {
+    type: "tag",
+    name: token.name,
+    markup: token.markup,
+    line: token.line,
+  };
+  const branchNames = BRANCH_TAGS[token.name];
+  if (!parser.blockNames.has(token.name)) {
+    if (branchNames) {
+      throw new LiquidSyntaxError(`"${token.name}" was not closed`, token.line);
+    }
+    return withExpressions(node, parseTagMarkup);
+  }
+
+  // Blocks
+  if (branchNames) {
+    node.branches = [];
+    let branch = { name: token.name, markup: token.markup, line: token.line };
+    while (true) {
+      branch.body = parseBody(parser, node, branchNames);
+      node.branches.push(branch);
+      const next = parser.tokens[parser.position++];
+      if (next.name === `end${node.name}`) break;
+      branch = { name: next.name, markup: next.markup, line: next.line };
+    }
+  } else {
+    node.body = parseBody(parser, node);
+    parser.position++;
+  }
+  return withExpressions(node, parseTagMarkup);
+}
+
+// Parse the expressions of a node, keeping the syntax error (if any) in the node
+function withExpressions(node, parseFunction) {
+  try {
+    parseFunction(node);
+  } catch (error) {
+    if (!(error instanceof LiquidSyntaxError)) throw error;
+    node.error = error;
+  }
+  return node;
+}
+
+// Expressions of the tags known by the engine
+function parseTagMarkup(node) {
+  switch (node.name) {
+    case "assign": {
+      const match = node.markup.match(/^([\w-]+)\s*=\s*([\s\S]+)$/);
+      if (!match) {
+        throw new LiquidSyntaxError(
+          `Invalid assign "${node.markup}"`,
+          node.line
+        );
+      }
+      node.variable = match[1];
+      node.expression = parseExpression(match[2], node.line);
+      break;
+    }
+    case "capture":
+      node.variable = node.markup.replace(/^['"]|['"]$/g, "").trim();
+      break;
+    case "if":
+    case "unless":
+      for (const branch of node.branches) {
+        if (branch.name !== "else") {
+          branch.condition = parseCondition(branch.markup, branch.line);
+        }
+      }
+      break;
+    case "case":
+      node.expression = parseExpression(node.branches[0].markup, node.line);
+      for (const branch of node.branches.slice(1)) {
+        if (branch.name === "when") {
+          branch.values = parseArguments(
+            branch.markup.replace(/\s+or\s+/g, ", "),
+            branch.line
+          ).args;
+        }
+      }
+      break;
+    case "for":
+    case "fori": {
+      const match = node.markup.match(/^([\w-]+)\s+in\s+(\([^)]*\)|\S+)(.*)$/);
+      if (!match) {
+        throw new LiquidSyntaxError(
+          `Invalid ${node.name} loop "${node.markup}"`,
+          node.line
+        );
+      }
+      node.variable = match[1];
+      node.collection = parseExpression(match[2], node.line);
+      const { args, options } = parseArguments(match[3], node.line);
+      node.options = options;
+      node.reversed = args.some(
+        (arg) => arg.type === "variable" && arg.name === "reversed"
+      );
+      break;
+    }
+    case "include":
+      node.template = parseExpression(node.markup, node.line);
+      break;
+    case "#":
+    case "comment":
+    case "raw":
+      break;
+    default:
+      // Other tags: positional arguments and `key:value` options
+      if (node.markup) {
+        Object.assign(node, parseArguments(node.markup, node.line));
+      }
+  }
+}
+
+module.exports = { parse };
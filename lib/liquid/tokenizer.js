@@ -0,0 +1,125 @@
+// Split Liquid code into text, output (`{{ }}`) and tag (`{% %}`) tokens
+const { LiquidSyntaxError } = require("./errors");
+
+function countLines(text) {
+  let count = 0;
+  for (const char of text) {
+    if (char === "\n") count++;
+  }
+  return count;
+}
+
+/**
+ * Tokenize Liquid code. Whitespace control (`{{-`, `-%}`) is applied to the text tokens.
+ * The content of `raw` and `comment` blocks is kept as a single text token
+ * @param {String} source Liquid code
+ * @returns {Array<Object>} `{ type, value, line }` of each token. Tags have their `name` and `markup` (the rest of the tag) as well
+ */
+function tokenize(source) {
+  const tokens = [];
+  const delimiters = /\{\{|\{%/g;
+  let position = 0;
+  let line = 1;
+
+  const pushText = (value) => {
+    if (value) tokens.push({ type: "text", value, line });
+    line += countLines(value);
+  };
+
+  while (position < source.length) {
+    delimiters.lastIndex = position;
+    const match = delimiters.exec(source);
+    if (!match) {
+      pushText(source.slice(position));
+      break;
+    }
+    pushText(source.slice(position, match.index));
+
+    const isTag = match[0] === "{%";
+    const closing = isTag ? "%}" : "}}";
+    const end = source.indexOf(closing, match.index + 2);
+    if (end === -1) {
+      throw new LiquidSyntaxError(
+        `${isTag ? "Tag" : "Output"} was not closed with "${closing}"`,
+        line
+      );
+    }
+    let inner = source.slice(match.index + 2, end);
+    const trimLeft = inner.startsWith("-");
+    const trimRight = inner.endsWith("-");
+    inner = inner.slice(trimLeft ? 1 : 0, trimRight ? -1 : undefined).trim();
+
+    const token = isTag
+      ? { type: "tag", ...splitTag(inner), line, trimLeft, trimRight }
+      : { type: "output", value: inner, line, trimLeft, trimRight };
+    line += countLines(source.slice(match.index, end + 2));
+    position = end + 2;
+    tokens.push(token);
+
+    // Keep the content of raw and comment blocks as it is
+    if (isTag && (token.name === "raw" || token.name === "comment")) {
+      const rawBlock = findBlockEnd(source, position, token.name, line);
+      pushText(source.slice(position, rawBlock.start));
+      tokens.push({
+        type: "tag",
+        name: `end${token.name}`,
+        markup: "",
+        line,
+        trimLeft: rawBlock.trimLeft,
+        trimRight: rawBlock.trimRight,
+      });
+      line += countLines(source.slice(rawBlock.start, rawBlock.end));
+      position = rawBlock.end;
+    }
+  }
+
+  applyWhitespaceControl(tokens);
+  return tokens.filter((token) => token.type !== "text" || token.value !== "");
+}
+
+// Tag name and markup. Inline comments (`{% # comment %}`) are named `#`
+function splitTag(inner) {
+  if (inner.startsWith("#")) return { name: "#", markup: inner.slice(1) };
+  const match = inner.match(/^([\w]+=?)\s*([\s\S]*)$/);
+  if (!match) return { name: inner, markup: "" };
+  return { name: match[1], markup: match[2].trim() };
+}
+
+// Position of the tag closing a raw or comment block (nested comments are allowed)
+function findBlockEnd(source, position, name, line) {
+  const tags = new RegExp(`\\{%(-?)\\s*(end)?${name}\\s*(-?)%\\}`, "g");
+  tags.lastIndex = position;
+  let depth = 1;
+  let match;
+  while ((match = tags.exec(source))) {
+    if (!match[2] && name === "comment") {
+      depth++;
+      continue;
+    }
+    if (match[2] && --depth === 0) {
+      return {
+        start: match.index,
+        end: match.index + match[0].length,
+        trimLeft: match[1] === "-",
+        trimRight: match[3] === "-",
+      };
+    }
+  }
+  throw new LiquidSyntaxError(`"${name}" was not closed`, line);
+}
+
+function applyWhitespaceControl(tokens) {
+  tokens.forEach((token, index) => {
+    if (token.type === "text") return;
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (token.trimLeft && previous?.type === "text") {
+      previous.value = previous.value.replace(/\s+$/, "");
+    }
+    if (token.trimRight && next?.type === "text") {
+      next.value = next.value.replace(/^\s+/, "");
+    }
+  });
+}
+
+module.exports = { tokenize };
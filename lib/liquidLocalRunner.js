@@ -0,0 +1,162 @@
+const yaml = require("yaml");
+const runTestUtils = require("./utils/runTestUtils");
+const { render } = require("./liquid/engine");
+const { buildGlobals } = require("./liquid/drops");
+const {
+  LiquidSyntaxError,
+  LiquidUnsupportedError,
+} = require("./liquid/errors");
+
+// Locale of the tests without `context.locale`
+const DEFAULT_LOCALE = "en";
+
+function isNumeric(value) {
+  if (typeof value === "number") return Number.isFinite(value);
+  return (
+    typeof value === "string" &&
+    value.trim() !== "" &&
+    Number.isFinite(Number(value))
+  );
+}
+
+// Results are compared like the platform stores them: numbers by value, anything else as text
+function valuesMatch(expected, got) {
+  if (isNumeric(expected) && isNumeric(got)) {
+    return Math.abs(Number(expected) - Number(got)) < 1e-9;
+  }
+  const normalize = (value) =>
+    value === null || value === undefined ? "" : String(value);
+  return normalize(expected) === normalize(got);
+}
+
+// Failed expectations of a section (results or rollforwards)
+function compareSection(expected = {}, got = {}) {
+  const failures = {};
+  for (const [name, expectedValue] of Object.entries(expected || {})) {
+    const gotValue = got[name] ?? null;
+    if (!valuesMatch(expectedValue, gotValue)) {
+      failures[name] = { got: gotValue, expected: expectedValue };
+    }
+  }
+  return failures;
+}
+
+// Reconciliation status of a reconciliation text, based on its `unreconciled` tags
+function reconciledStatus(template, unreconciled) {
+  switch (template.reconciliation_type) {
+    case "reconciliation_not_necessary":
+      return true;
+    case "only_reconciled_with_data":
+      throw new LiquidUnsupportedError(
+        `Reconciliation type "${template.reconciliation_type}" can't be checked locally`
+      );
+    default:
+      return unreconciled.every((value) => Number(value || 0) === 0);
+  }
+}
+
+/**
+ * Render a template locally with the data of a Liquid Test
+ * @param {String} templateType Options: `reconciliationText` or `accountTemplate`
+ * @param {Object} template `{ text, handle }`
+ * @param {Object} templates Liquid code of the parts and shared parts, by the name used to include them (e.g. `parts/name` or `shared/name`)
+ * @param {Object} test Liquid Test (`context` and `data`)
+ * @returns {Object} `{ output, results, rollforwards, unreconciled }`
+ * @throws {LiquidUnsupportedError} The template uses code that can't be rendered locally
+ * @throws {LiquidSyntaxError} The template is not valid Liquid code
+ */
+function renderTest(templateType, template, templates, test) {
+  return render(template.text || "", {
+    globals: buildGlobals(test, templateType, template.handle),
+    templates,
+    locale: test.context?.locale || DEFAULT_LOCALE,
+  });
+}
+
+function runTest(templateType, template, templates, test) {
+  const rendered = renderTest(templateType, template, templates, test);
+  const expectation = test.expectation || {};
+  const feedback = {
+    results: compareSection(expectation.results, rendered.results),
+    rollforwards: compareSection(
+      expectation.rollforward,
+      rendered.rollforwards
+    ),
+  };
+  if (templateType === "reconciliationText") {
+    feedback.reconciled = null;
+    if (expectation.hasOwnProperty("reconciled")) {
+      const got = reconciledStatus(template, rendered.unreconciled);
+      if (got !== expectation.reconciled) {
+        feedback.reconciled = { got, expected: expectation.reconciled };
+      }
+    }
+  }
+  return feedback;
+}
+
+// Top-level keys that are tests. Maps with an anchor and without expectation only hold data reused in other tests (`<<: *anchor`), they are skipped like in Silverfin
+function listTestNames(testContent, tests) {
+  const doc = yaml.parseDocument(testContent, { merge: true });
+  if (!yaml.isMap(doc.contents)) return Object.keys(tests);
+  return doc.contents.items
+    .filter(
+      ({ key, value }) =>
+        !(
+          yaml.isMap(value) &&
+          value.anchor &&
+          !("expectation" in (tests[String(key?.value)] || {}))
+        )
+    )
+    .map(({ key }) => String(key?.value));
+}
+
+/**
+ * Run Liquid Tests with the local Liquid engine instead of the Silverfin platform
+ * @param {String} templateType Options: `reconciliationText` or `accountTemplate`
+ * @param {Object} testParams Template, parts, shared parts and tests, as sent to the platform (see `buildTestParams`)
+ * @returns {Object} Test run with the same shape as the ones of the platform: `{ status, tests }`
+ * @throws {LiquidUnsupportedError} The template uses code that can't be rendered locally
+ * @throws {LiquidSyntaxError} The template is not valid Liquid code
+ */
+function runTestsLocally(templateType, testParams) {
+  const tests = yaml.parse(testParams.tests, { merge: true }) || {};
+  const testNames = testParams.test_line
+    ? [runTestUtils.findTestAtLine(testParams.tests, testParams.test_line)]
+    : listTestNames(testParams.tests, tests);
+
+  // Parts and shared parts, by the name used to include them
+  const templates = {};
+  for (const part of testParams.template.text_parts || []) {
+    templates[`parts/${part.name}`] = part.content;
+  }
+  for (const sharedPart of testParams.template.text_shared_parts || []) {
+    templates[`shared/${sharedPart.name}`] = sharedPart.content;
+  }
+
+  const testRun = { status: "completed", tests: {} };
+  for (const testName of testNames) {
+    testRun.tests[testName] = runTest(
+      templateType,
+      testParams.template,
+      templates,
+      tests[testName] || {}
+    );
+  }
+  runTestUtils.locateFailureLines(testRun.tests, testParams.tests);
+  return testRun;
+}
+
+/**
+ * Check if the tests should be run in the platform because of an error of the local run
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+function requiresPlatform(error) {
+  return (
+    error instanceof LiquidUnsupportedError ||
+    error instanceof LiquidSyntaxError
+  );
+}
+
+module.exports = { runTestsLocally, renderTest, requiresPlatform };
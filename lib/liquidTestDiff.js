@@ -0,0 +1,216 @@
+// Strings longer than this (or with several lines) are compared character by character
+const LONG_STRING_LENGTH = 40;
+// Characters shown around the part of a string that changed
+const STRING_CONTEXT = 20;
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isNumeric(value) {
+  if (typeof value === "number") return Number.isFinite(value);
+  return (
+    typeof value === "string" &&
+    value.trim() !== "" &&
+    Number.isFinite(Number(value))
+  );
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => b.hasOwnProperty(key) && isEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+// Round the floating point noise of a subtraction (e.g. 0.30000000000000004)
+function numericDelta(expected, got) {
+  return parseFloat((Number(got) - Number(expected)).toPrecision(12));
+}
+
+function isLongString(value) {
+  return (
+    typeof value === "string" &&
+    (value.length > LONG_STRING_LENGTH || value.includes("\n"))
+  );
+}
+
+/**
+ * Show the part of a string that changed, with some context around it.
+ * Removed text is shown as `[-text-]` and added text as `{+text+}`
+ * @param {String} expected
+ * @param {String} got
+ * @returns {String}
+ */
+function stringExcerpt(expected, got) {
+  let prefix = 0;
+  const maxPrefix = Math.min(expected.length, got.length);
+  while (prefix < maxPrefix && expected[prefix] === got[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    expected[expected.length - 1 - suffix] === got[got.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const removed = expected.slice(prefix, expected.length - suffix);
+  const added = got.slice(prefix, got.length - suffix);
+  const before = expected.slice(Math.max(0, prefix - STRING_CONTEXT), prefix);
+  const after = expected.slice(
+    expected.length - suffix,
+    expected.length - suffix + STRING_CONTEXT
+  );
+
+  const excerpt = [
+    prefix > STRING_CONTEXT ? "…" : "",
+    before,
+    removed ? `[-${removed}-]` : "",
+    added ? `{+${added}+}` : "",
+    after,
+    suffix > STRING_CONTEXT ? "…" : "",
+  ].join("");
+  return excerpt.replace(/\n/g, "\\n");
+}
+
+// Details of a single value that changed: numeric delta or excerpt of long strings
+function scalarDetails(expected, got) {
+  if (isNumeric(expected) && isNumeric(got)) {
+    return { type: "number", delta: numericDelta(expected, got) };
+  }
+  if (isLongString(expected) && isLongString(got)) {
+    return { type: "string", excerpt: stringExcerpt(expected, got) };
+  }
+  return { type: "value" };
+}
+
+// Changes of every key (or index) of two objects (or arrays), nested keys are joined in a path
+function collectChanges(expected, got, path, changes) {
+  const keys = Array.isArray(expected)
+    ? [...Array(Math.max(expected.length, got.length)).keys()]
+    : [...new Set([...Object.keys(expected), ...Object.keys(got)])];
+
+  for (const key of keys) {
+    const keyPath = Array.isArray(expected)
+      ? `${path}[${key}]`
+      : path
+      ? `${path}.${key}`
+      : String(key);
+    const inExpected = Array.isArray(expected)
+      ? key < expected.length
+      : expected.hasOwnProperty(key);
+    const inGot = Array.isArray(got)
+      ? key < got.length
+      : got.hasOwnProperty(key);
+
+    if (!inExpected) {
+      changes.push({ path: keyPath, kind: "added", got: got[key] });
+    } else if (!inGot) {
+      changes.push({ path: keyPath, kind: "removed", expected: expected[key] });
+    } else if (!isEqual(expected[key], got[key])) {
+      const sameCollection =
+        (isPlainObject(expected[key]) && isPlainObject(got[key])) ||
+        (Array.isArray(expected[key]) && Array.isArray(got[key]));
+      if (sameCollection) {
+        collectChanges(expected[key], got[key], keyPath, changes);
+        continue;
+      }
+      const { type, ...details } = scalarDetails(expected[key], got[key]);
+      changes.push({
+        path: keyPath,
+        kind: "changed",
+        expected: expected[key],
+        got: got[key],
+        ...details,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare the expected value of a Liquid Test expectation with the value got in the test run
+ * @param {*} expected
+ * @param {*} got
+ * @returns {Object} Diff with a `type`:
+ * - `object` / `array`: `changes` of each key, `{ path, kind, expected, got }` where `kind` is `added`, `removed` or `changed`
+ * - `number`: `delta` between both values
+ * - `string`: `excerpt` of the part of a long text that changed
+ * - `value`: any other value
+ * Changed numbers and long strings of objects include their `delta` or `excerpt` as well
+ */
+function diffValues(expected, got) {
+  if (isPlainObject(expected) && isPlainObject(got)) {
+    return {
+      type: "object",
+      expected,
+      got,
+      changes: collectChanges(expected, got, "", []),
+    };
+  }
+  if (Array.isArray(expected) && Array.isArray(got)) {
+    return {
+      type: "array",
+      expected,
+      got,
+      changes: collectChanges(expected, got, "", []),
+    };
+  }
+  return { ...scalarDetails(expected, got), expected, got };
+}
+
+function formatValue(value) {
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  return JSON.stringify(value) ?? "undefined";
+}
+
+function formatDelta(delta) {
+  return `${delta > 0 ? "+" : ""}${delta}`;
+}
+
+// Single line describing a value that changed (`~` lines of objects and scalar diffs)
+function formatChange(change) {
+  if (change.excerpt !== undefined) return change.excerpt;
+  const line = `${formatValue(change.expected)} -> ${formatValue(change.got)}`;
+  return change.delta !== undefined
+    ? `${line} (${formatDelta(change.delta)})`
+    : line;
+}
+
+/**
+ * Render a diff created with `diffValues` as text. Objects and arrays have a line per key that was added (`+`), removed (`-`) or changed (`~`)
+ * @param {Object} diff
+ * @returns {Array<String>} Lines of the diff
+ */
+function formatDiff(diff) {
+  if (diff.type !== "object" && diff.type !== "array") {
+    return [formatChange(diff)];
+  }
+  return diff.changes.map((change) => {
+    switch (change.kind) {
+      case "added":
+        return `+ ${change.path}: ${formatValue(change.got)}`;
+      case "removed":
+        return `- ${change.path}: ${formatValue(change.expected)}`;
+      default:
+        return `~ ${change.path}: ${formatChange(change)}`;
+    }
+  });
+}
+
+module.exports = {
+  diffValues,
+  formatDiff,
+};
@@ -0,0 +1,199 @@
+const yaml = require("yaml");
+const testReporter = require("./liquidTestReporter");
+
+// Sections of the test feedback and the key where their expectations are stored in the YAML
+const EXPECTATION_KEYS = {
+  reconciled: "reconciled",
+  results: "results",
+  rollforwards: "rollforward",
+};
+
+/**
+ * List the expectations that should be updated to match the outcome of a test run
+ * @param {Object} testsFeedback Feedback of every test, as returned by the platform (`testRun.tests`)
+ * @returns {Array<Object>} `{ testName, section, name, got, expected }` of each failed expectation
+ */
+function listExpectationChanges(testsFeedback) {
+  const changes = [];
+  for (const testName of Object.keys(testsFeedback || {})) {
+    for (const failure of testReporter.listFailures(testsFeedback[testName])) {
+      changes.push({
+        testName,
+        section: failure.section,
+        name: failure.name,
+        got: failure.got,
+        expected: failure.expected,
+      });
+    }
+  }
+  return changes;
+}
+
+function describeChange(change) {
+  const label =
+    change.section === "reconciled"
+      ? "reconciled"
+      : `${EXPECTATION_KEYS[change.section]}.${change.name}`;
+  return `${change.testName} > ${label}: ${JSON.stringify(
+    change.expected
+  )} -> ${JSON.stringify(change.got)}`;
+}
+
+function isMergeKey(key) {
+  return (
+    yaml.isScalar(key) && (typeof key.value === "symbol" || key.value === "<<")
+  );
+}
+
+// Find the pair of the expectation in the test itself. Expectations defined through an alias or a merge key are not updated, since they are shared with other tests
+function findExpectationPair(doc, change) {
+  const path = [
+    change.testName,
+    "expectation",
+    EXPECTATION_KEYS[change.section],
+  ];
+  if (change.section !== "reconciled") path.push(change.name);
+
+  let node = doc.contents;
+  let pair;
+  for (const key of path) {
+    if (yaml.isAlias(node)) {
+      return { reason: `${key} is defined through the alias *${node.source}` };
+    }
+    if (!yaml.isMap(node)) return { reason: `${key} not found` };
+    pair = node.items.find(
+      (item) => !isMergeKey(item.key) && String(item.key?.value) === key
+    );
+    if (!pair) {
+      const merged = node.items.some((item) => isMergeKey(item.key));
+      return {
+        reason: merged
+          ? `${key} is inherited through a merge key (<<)`
+          : `${key} not found`,
+      };
+    }
+    node = pair.value;
+  }
+  if (yaml.isAlias(pair.value)) {
+    return {
+      reason: `value is defined through the alias *${pair.value.source}`,
+    };
+  }
+  return { pair };
+}
+
+// Keep numbers as numbers when the platform returns them as text
+function convertValue(currentNode, got) {
+  if (
+    typeof currentNode?.value === "number" &&
+    typeof got === "string" &&
+    got.trim() !== "" &&
+    !isNaN(Number(got))
+  ) {
+    return Number(got);
+  }
+  return got;
+}
+
+// Options of the YAML written in the test files (read as YAML 1.1 by Silverfin)
+const YAML_OPTIONS = { lineWidth: 0, flowCollectionPadding: false };
+
+function isBlockCollection(node) {
+  return yaml.isCollection(node) && !node.flow;
+}
+
+// Edit of the source that replaces the value of a pair. Only the text of that value changes
+function valueEdit(source, pair, value, inFlow) {
+  const valueDoc = new yaml.Document(value, { version: "1.1" });
+  // Keep the quotes of a text
+  if (yaml.isScalar(pair.value) && typeof value === "string") {
+    valueDoc.contents.type = pair.value.type;
+  }
+  const newBlock = yaml.isCollection(valueDoc.contents) && !inFlow;
+  const text = valueDoc
+    .toString({
+      ...YAML_OPTIONS,
+      collectionStyle: inFlow ? "flow" : "any",
+    })
+    .trimEnd();
+
+  let [start, end] = pair.value.range;
+  // A block collection starts on the line after its key: the edit starts after the key instead
+  if (newBlock || isBlockCollection(pair.value)) {
+    start = source.indexOf(":", pair.key.range[1]) + 1;
+    if (source[end - 1] === "\n") end--;
+  }
+  if (newBlock) {
+    const keyLine = source.slice(
+      source.lastIndexOf("\n", pair.key.range[0] - 1) + 1
+    );
+    const indent = " ".repeat(keyLine.length - keyLine.trimStart().length + 2);
+    return {
+      start,
+      end,
+      text:
+        "\n" +
+        text
+          .split("\n")
+          .map((line) => indent + line)
+          .join("\n"),
+    };
+  }
+  // Empty values, and the edits that start after the key
+  const separator = source[start - 1] === ":" ? " " : "";
+  return { start, end, text: separator + text };
+}
+
+// The pair is in a flow collection (e.g. `{ a: 1 }`), where its value must be written in flow style too
+function inFlowCollection(doc, pair) {
+  let inFlow = false;
+  yaml.visit(doc, {
+    Pair(_, node, path) {
+      if (node !== pair) return;
+      inFlow = path.some((parent) => yaml.isCollection(parent) && parent.flow);
+      return yaml.visit.BREAK;
+    },
+  });
+  return inFlow;
+}
+
+/**
+ * Write the outcome of a test run as the new expectations of a Liquid Test file.
+ * Only the text of the updated expectations changes: comments, anchors, the order of the keys and the other values are kept as they are written
+ * @param {String} testContent Content of the YAML file
+ * @param {Array<Object>} changes Changes listed with `listExpectationChanges`
+ * @returns {Object} `{ content, applied, skipped }`: the updated YAML, the changes applied and the changes that couldn't be applied (with a `reason`)
+ */
+function applyExpectationChanges(testContent, changes) {
+  const doc = yaml.parseDocument(testContent, { version: "1.1" });
+  const applied = [];
+  const skipped = [];
+  const edits = [];
+
+  for (const change of changes) {
+    const { pair, reason } = findExpectationPair(doc, change);
+    if (!pair) {
+      skipped.push({ ...change, reason });
+      continue;
+    }
+    const value = convertValue(pair.value, change.got);
+    edits.push(
+      valueEdit(testContent, pair, value, inFlowCollection(doc, pair))
+    );
+    applied.push(change);
+  }
+
+  // Edits from the end of the file, so the offsets stay valid
+  let content = testContent;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    content =
+      content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+  }
+  return { content, applied, skipped };
+}
+
+module.exports = {
+  listExpectationChanges,
+  describeChange,
+  applyExpectationChanges,
+};
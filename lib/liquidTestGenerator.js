@@ -2,9 +2,19 @@ const SF = require("./api/sfApi");
 const { firmCredentials } = require("../lib/api/firmCredentials");
 const Utils = require("./utils/liquidTestUtils");
 const { consola } = require("consola");
+const errorUtils = require("./utils/errorUtils");
+const { renderTest } = require("./liquidLocalRunner");
+const { findDependencies } = require("./liquid/dependencies");
 
 // MainProcess
-async function testGenerator(url, testName) {
+// append, overwrite, anchors: see Utils.appendYAML
+async function testGenerator(
+  url,
+  testName,
+  append = false,
+  overwrite = false,
+  anchors = false
+) {
   // Liquid Test Object
   const liquidTestObject = Utils.createBaseLiquidTest(testName);
 
@@ -16,13 +26,46 @@ async function testGenerator(url, testName) {
     consola.error(
       `You have no authorization to access firm id ${parameters.firmId}`
     );
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
   firmId = parameters.firmId;
 
   // Reconciled Status (CLI argument. True by default)
   liquidTestObject[testName].expectation.reconciled = reconciledStatus;
 
+  let templateType, templateName;
+  if (parameters.accountId) {
+    templateType = "accountTemplate";
+    templateName = await accountTemplateTestGenerator(
+      parameters,
+      testName,
+      liquidTestObject
+    );
+  } else {
+    templateType = "reconciliationText";
+    templateName = await reconciliationTestGenerator(
+      parameters,
+      testName,
+      liquidTestObject
+    );
+  }
+
+  // Save YAML
+  Utils.exportYAML(
+    templateName,
+    liquidTestObject,
+    templateType,
+    append,
+    overwrite,
+    anchors
+  );
+}
+
+async function reconciliationTestGenerator(
+  parameters,
+  testName,
+  liquidTestObject
+) {
   // Get Reconciliation Details
   const responseDetails = await SF.readReconciliationTextDetails(
     "firm",
@@ -44,42 +87,12 @@ async function testGenerator(url, testName) {
     ),
   }.starred;
 
-  // Get period data
-  const responsePeriods = await SF.getPeriods(
-    parameters.firmId,
-    parameters.companyId
-  );
-  const currentPeriodData = SF.findPeriod(
-    parameters.ledgerId,
-    responsePeriods.data
+  const { currentPeriodData, previousPeriodData } = await addPeriods(
+    parameters,
+    testName,
+    liquidTestObject
   );
 
-  // Set Current Period
-  liquidTestObject[testName].context.period = String(
-    currentPeriodData.fiscal_year.end_date
-  );
-  liquidTestObject[testName].data.periods[
-    currentPeriodData.fiscal_year.end_date
-  ] = liquidTestObject[testName].data.periods["replace_period_name"];
-  delete liquidTestObject[testName].data.periods["replace_period_name"];
-
-  // Check Previous Period
-  const currentPeriodIndex = responsePeriods.data.indexOf(currentPeriodData);
-  const periodsMaxIndex = responsePeriods.data.length - 1;
-  if (currentPeriodIndex < periodsMaxIndex) {
-    const previousPeriodData = responsePeriods.data[currentPeriodIndex + 1];
-    if (
-      previousPeriodData &&
-      previousPeriodData.fiscal_year.end_date !=
-        currentPeriodData.fiscal_year.end_date
-    ) {
-      // Add empty previous period to Liquid Test
-      liquidTestObject[testName].data.periods[
-        previousPeriodData.fiscal_year.end_date
-      ] = null;
-    }
-  }
-
   // Get all the text properties (Customs from current template)
   const responseCustom = await SF.getReconciliationCustom(
     "firm",
@@ -114,196 +127,325 @@ async function testGenerator(url, testName) {
   );
   if (!reconciliationCode) {
     consola.warn(`Reconciliation "${reconciliationHandle}" wasn't found`);
-    process.exit();
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 
-  // Search for results from other reconciliations used in the liquid code (main and text_parts)
-  let resultsObj;
-  resultsObj = Utils.searchForResultsFromDependenciesInLiquid(
+  const sharedParts = await addDependencies(
+    parameters,
+    testName,
+    liquidTestObject,
+    currentPeriodData,
     reconciliationCode,
     reconciliationHandle
   );
 
-  // Search for custom drops from other reconcilations used in the liquid code (main and text_parts)
-  let customsObj;
-  customsObj = Utils.searchForCustomsFromDependenciesInLiquid(
+  const previousPeriodDependencies = await addPreviousPeriod(
+    parameters,
+    testName,
+    liquidTestObject,
+    previousPeriodData,
+    "reconciliationText",
     reconciliationCode,
-    reconciliationHandle
+    reconciliationHandle,
+    sharedParts
   );
+  if (previousPeriodDependencies.rollforward) {
+    addRollforwardExpectations(
+      testName,
+      liquidTestObject,
+      "reconciliationText",
+      reconciliationCode,
+      reconciliationHandle,
+      sharedParts
+    );
+  }
 
-  // Search for shared parts in the liquid code (main and text_parts)
-  const sharedPartsUsed = Utils.lookForSharedPartsInLiquid(
-    reconciliationCode,
-    reconciliationHandle
+  return reconciliationHandle;
+}
+
+async function accountTemplateTestGenerator(
+  parameters,
+  testName,
+  liquidTestObject
+) {
+  // Get Account Details
+  const accountResponse = await SF.getAccountDetails(
+    parameters.firmId,
+    parameters.companyId,
+    parameters.ledgerId,
+    parameters.accountId
   );
-  if (sharedPartsUsed && sharedPartsUsed.length != 0) {
-    for (sharedPartName of sharedPartsUsed) {
-      // Look for shared part id
-      let sharedPartResponse = await SF.findSharedPartByName(
-        "firm",
-        parameters.firmId,
-        sharedPartName
-      );
-      let sharedPartId = sharedPartResponse.id;
-      // Get shared part details
-      let sharedPartDetails = await SF.readSharedPartById(
-        "firm",
-        parameters.firmId,
-        sharedPartId
-      );
-      // Look for nested shared parts (in that case, add them to this same loop)
-      let nestedSharedParts = Utils.lookForSharedPartsInLiquid(
-        sharedPartDetails.data
-      );
-      for (nested of nestedSharedParts) {
-        if (!sharedPartsUsed.includes(nested)) {
-          sharedPartsUsed.push(nested);
-        }
-      }
-      // Search for results from other reconciliations in shared part (we append to existing collection)
-      resultsObj = Utils.searchForResultsFromDependenciesInLiquid(
-        sharedPartDetails.data,
-        sharedPartDetails.data.name,
-        resultsObj
-      );
+  if (!accountResponse) {
+    consola.error(`Account ${parameters.accountId} wasn't found`);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
+  }
+  const account = accountResponse.data.account;
+  const accountTemplateDetails =
+    accountResponse.data.account_reconciliation_template;
+  if (!accountTemplateDetails) {
+    consola.error(`Account ${account.number} has no account template`);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
 
-      // Search for custom drops from other reconcilations in shared parts (we append to existing collection)
-      customsObj = Utils.searchForCustomsFromDependenciesInLiquid(
-        sharedPartDetails.data,
-        sharedPartDetails.data.name,
-        customsObj
-      );
+  // Get the code of the template
+  const accountTemplateCode = await SF.readAccountTemplateById(
+    "firm",
+    parameters.firmId,
+    accountTemplateDetails.id
+  );
+  if (!accountTemplateCode) {
+    consola.warn(`Account template ${accountTemplateDetails.id} wasn't found`);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
+  }
+  const accountTemplateName = accountTemplateCode.name_nl;
+
+  const { currentPeriodData, previousPeriodData } = await addPeriods(
+    parameters,
+    testName,
+    liquidTestObject
+  );
+  liquidTestObject[testName].context.current_account = String(account.number);
+
+  // Get all the text properties (Customs from current template)
+  const responseCustom = await SF.getAccountTemplateCustom(
+    "firm",
+    parameters.firmId,
+    parameters.companyId,
+    parameters.ledgerId,
+    parameters.accountId
+  );
+  liquidTestObject[testName].data.periods[
+    currentPeriodData.fiscal_year.end_date
+  ].accounts = {
+    [account.number]: {
+      id: account.id,
+      name: account.name,
+      value: Number(accountResponse.data.value),
+      custom: Utils.processCustom(responseCustom.data),
+    },
+  };
+
+  // Get all the results generated in current template
+  const responseResults = await SF.getAccountTemplateResults(
+    "firm",
+    parameters.firmId,
+    parameters.companyId,
+    parameters.ledgerId,
+    parameters.accountId
+  );
+  liquidTestObject[testName].expectation.results = responseResults.data;
+
+  const sharedParts = await addDependencies(
+    parameters,
+    testName,
+    liquidTestObject,
+    currentPeriodData,
+    accountTemplateCode,
+    accountTemplateName
+  );
+
+  const previousPeriodDependencies = await addPreviousPeriod(
+    parameters,
+    testName,
+    liquidTestObject,
+    previousPeriodData,
+    "accountTemplate",
+    accountTemplateCode,
+    accountTemplateName,
+    sharedParts
+  );
+  if (previousPeriodDependencies.rollforward) {
+    addRollforwardExpectations(
+      testName,
+      liquidTestObject,
+      "accountTemplate",
+      accountTemplateCode,
+      accountTemplateName,
+      sharedParts
+    );
+  }
+
+  // No reconciliations used in the template
+  const periodData =
+    liquidTestObject[testName].data.periods[
+      currentPeriodData.fiscal_year.end_date
+    ];
+  if (Object.keys(periodData.reconciliations).length === 0) {
+    delete periodData.reconciliations;
+  }
+
+  return accountTemplateName;
+}
+
+// Set the period of the company file (and add the previous one, if any)
+// Returns the current and previous period of the company file
+async function addPeriods(parameters, testName, liquidTestObject) {
+  // Get period data
+  const responsePeriods = await SF.getPeriods(
+    parameters.firmId,
+    parameters.companyId
+  );
+  const currentPeriodData = SF.findPeriod(
+    parameters.ledgerId,
+    responsePeriods.data
+  );
+
+  // Set Current Period
+  liquidTestObject[testName].context.period = String(
+    currentPeriodData.fiscal_year.end_date
+  );
+  liquidTestObject[testName].data.periods[
+    currentPeriodData.fiscal_year.end_date
+  ] = liquidTestObject[testName].data.periods["replace_period_name"];
+  delete liquidTestObject[testName].data.periods["replace_period_name"];
+
+  // Check Previous Period
+  let previousPeriodData;
+  const currentPeriodIndex = responsePeriods.data.indexOf(currentPeriodData);
+  const periodsMaxIndex = responsePeriods.data.length - 1;
+  if (currentPeriodIndex < periodsMaxIndex) {
+    previousPeriodData = responsePeriods.data[currentPeriodIndex + 1];
+    if (
+      previousPeriodData &&
+      previousPeriodData.fiscal_year.end_date !=
+        currentPeriodData.fiscal_year.end_date
+    ) {
+      // Add empty previous period to Liquid Test (filled in when the template uses it, see addPreviousPeriod)
+      liquidTestObject[testName].data.periods[
+        previousPeriodData.fiscal_year.end_date
+      ] = null;
+    } else {
+      previousPeriodData = undefined;
     }
   }
 
-  // Get results from dependencies reconciliations
-  if (Object.keys(resultsObj).length !== 0) {
-    // Search in each reconciliation
-    for (const [handle, resultsArray] of Object.entries(resultsObj)) {
+  return { currentPeriodData, previousPeriodData };
+}
+
+// Results and custom drops of other reconciliations, shared parts, company drops and accounts used in the liquid code of the template
+// Returns the details of the shared parts used
+async function addDependencies(
+  parameters,
+  testName,
+  liquidTestObject,
+  currentPeriodData,
+  templateCode,
+  templateName
+) {
+  // Search for shared parts in the liquid code (main and text_parts). Shared parts are analysed where they are included, so the nested ones are only found once their parent is fetched
+  const sharedParts = [];
+  const sharedPartsCode = {};
+  if (!templateCode || !templateCode.text) {
+    consola.warn(`Template "${templateName}": no liquid code found`);
+    return sharedParts;
+  }
+  let sharedPartsMissing = findDependencies(templateCode).sharedParts;
+  while (sharedPartsMissing.length != 0) {
+    for (const sharedPartName of sharedPartsMissing) {
+      // Not found shared parts are not fetched again
+      sharedPartsCode[sharedPartName] = "";
       try {
-        // Find reconciliation in Workflow to get id (depdeency template can be in a different Workflow)
-        let reconciliation = await SF.findReconciliationInWorkflows(
+        // Look for shared part id
+        const sharedPartResponse = await SF.findSharedPartByName(
+          "firm",
           parameters.firmId,
-          handle,
-          parameters.companyId,
-          parameters.ledgerId
+          sharedPartName
         );
-        if (reconciliation) {
-          // Fetch results
-          let reconciliationResults = await SF.getReconciliationResults(
-            "firm",
-            parameters.firmId,
-            parameters.companyId,
-            parameters.ledgerId,
-            reconciliation.id
-          );
-          // Add handle and results block to Liquid Test
-          liquidTestObject[testName].data.periods[
-            currentPeriodData.fiscal_year.end_date
-          ].reconciliations[handle] =
-            liquidTestObject[testName].data.periods[
-              currentPeriodData.fiscal_year.end_date
-            ].reconciliations[handle] || {};
-          liquidTestObject[testName].data.periods[
-            currentPeriodData.fiscal_year.end_date
-          ].reconciliations[handle].results =
-            liquidTestObject[testName].data.periods[
-              currentPeriodData.fiscal_year.end_date
-            ].reconciliations[handle].results || {};
-          // Search for results
-          for (resultTag of resultsArray) {
-            // Add result to Liquid Test
-            liquidTestObject[testName].data.periods[
-              currentPeriodData.fiscal_year.end_date
-            ].reconciliations[handle].results[resultTag] =
-              reconciliationResults.data[resultTag];
-          }
-        }
-      } catch (err) {
-        consola.error(err);
+        if (!sharedPartResponse) continue;
+        // Get shared part details
+        const sharedPartDetails = await SF.readSharedPartById(
+          "firm",
+          parameters.firmId,
+          sharedPartResponse.id
+        );
+        sharedParts.push(sharedPartDetails.data);
+        sharedPartsCode[sharedPartName] = sharedPartDetails.data.text;
+      } catch (error) {
+        consola.error(error);
       }
     }
+    sharedPartsMissing = findDependencies(
+      templateCode,
+      sharedPartsCode
+    ).sharedParts.filter((name) => !(name in sharedPartsCode));
   }
+  const dependencies = Utils.findDependenciesInLiquid(
+    templateCode,
+    templateName,
+    sharedPartsCode
+  );
 
-  // We already got the text properties from current reconciliation
-  if (customsObj.hasOwnProperty(reconciliationHandle)) {
-    delete customsObj[reconciliationHandle];
-  }
-
-  // Get custom drops from dependency reconciliations
-  if (Object.keys(customsObj).length !== 0) {
-    // Search in each reconciliation
-    for (const [handle, customsArray] of Object.entries(customsObj)) {
-      try {
-        // Find reconciliation in Workflow to get id (depdeency template can be in a different Workflow)
-        let reconciliation = await SF.findReconciliationInWorkflows(
+  // Get results and custom drops from dependency reconciliations (results and custom drops of the current template are already there)
+  const reconciliationsUsed = dependencies.periods.current
+    ? dependencies.periods.current.reconciliations
+    : {};
+  for (const [handle, dropsUsed] of Object.entries(reconciliationsUsed)) {
+    const customsArray = handle === templateName ? [] : dropsUsed.custom;
+    if (!dropsUsed.results.length && !customsArray.length) continue;
+    try {
+      // Find reconciliation in Workflow to get id (depdeency template can be in a different Workflow)
+      const reconciliation = await SF.findReconciliationInWorkflows(
+        parameters.firmId,
+        handle,
+        parameters.companyId,
+        parameters.ledgerId
+      );
+      if (!reconciliation) continue;
+      // Add handle to Liquid Test
+      const reconciliations =
+        liquidTestObject[testName].data.periods[
+          currentPeriodData.fiscal_year.end_date
+        ].reconciliations;
+      reconciliations[handle] = reconciliations[handle] || {};
+      if (dropsUsed.results.length) {
+        // Fetch results
+        const reconciliationResults = await SF.getReconciliationResults(
+          "firm",
           parameters.firmId,
-          handle,
           parameters.companyId,
-          parameters.ledgerId
+          parameters.ledgerId,
+          reconciliation.id
+        );
+        reconciliations[handle].results = Utils.selectDrops(
+          reconciliationResults.data,
+          dropsUsed.results
+        );
+      }
+      if (customsArray.length) {
+        // Fetch text properties
+        const reconciliationCustomResponse = await SF.getReconciliationCustom(
+          "firm",
+          parameters.firmId,
+          parameters.companyId,
+          parameters.ledgerId,
+          reconciliation.id
+        );
+        reconciliations[handle].custom = Utils.selectDrops(
+          Utils.processCustom(reconciliationCustomResponse.data),
+          customsArray
         );
-        if (reconciliation) {
-          // Fetch test properties
-          let reconciliationCustomResponse = await SF.getReconciliationCustom(
-            "firm",
-            parameters.firmId,
-            parameters.companyId,
-            parameters.ledgerId,
-            reconciliation.id
-          );
-          let reconciliationCustomDrops = Utils.processCustom(
-            reconciliationCustomResponse.data
-          );
-          // Filter Customs
-          let dropsKeys = Object.keys(reconciliationCustomDrops);
-          const matchingKeys = dropsKeys.filter(
-            (key) => customsArray.indexOf(key) !== -1
-          );
-          const filteredCustomDrops = {};
-          for (key of matchingKeys) {
-            filteredCustomDrops[key] = reconciliationCustomDrops[key];
-          }
-          // Add handle to Liquid Test
-          liquidTestObject[testName].data.periods[
-            currentPeriodData.fiscal_year.end_date
-          ].reconciliations[handle] =
-            liquidTestObject[testName].data.periods[
-              currentPeriodData.fiscal_year.end_date
-            ].reconciliations[handle] || {};
-          // Add custom drops
-          liquidTestObject[testName].data.periods[
-            currentPeriodData.fiscal_year.end_date
-          ].reconciliations[handle].custom = filteredCustomDrops;
-        }
-      } catch (err) {
-        consola.error(err);
       }
+    } catch (err) {
+      consola.error(err);
     }
   }
 
-  // Get company drop used in the liquid code (main and text_parts)
-  const companyObj = Utils.getCompanyDependencies(
-    reconciliationCode,
-    reconciliationHandle
-  );
+  // Get company drop used in the liquid code (main, text_parts and shared parts)
+  const companyObj = dependencies.company;
 
-  if (
-    companyObj.standardDropElements.length !== 0 ||
-    companyObj.customDropElements.length !== 0
-  ) {
+  if (companyObj.drops.length !== 0 || companyObj.custom.length !== 0) {
     liquidTestObject[testName].data.company = {};
   }
 
   // Get Company Data - company drop
-  if (companyObj.standardDropElements.length !== 0) {
+  if (companyObj.drops.length !== 0) {
     const responseCompanyDrop = await SF.getCompanyDrop(
       parameters.firmId,
       parameters.companyId
     );
     const companyData = responseCompanyDrop.data; // { foo: bar, baz: bat ... }
 
-    for (drop of companyObj.standardDropElements) {
-      const [a, key] = drop.split("."); // company.foo
+    for (const key of companyObj.drops) {
       if (key in companyData) {
         // Add to Liquid Test
         liquidTestObject[testName].data.company[key] = companyData[key];
@@ -312,7 +454,7 @@ async function testGenerator(url, testName) {
   }
 
   // Get Company Data - custom drop
-  if (companyObj.customDropElements.length !== 0) {
+  if (companyObj.custom.length !== 0) {
     const responseCompanyCustom = await SF.getCompanyCustom(
       parameters.firmId,
       parameters.companyId
@@ -320,15 +462,14 @@ async function testGenerator(url, testName) {
     const companyCustom = responseCompanyCustom.data; // [ { namespace: foo, key: bar, value: baz }... ]
     liquidTestObject[testName].data.company.custom = {};
 
-    for (drop of companyObj.customDropElements) {
-      const [a, b, namespace, key] = drop.split("."); // company.custom.namespace.key
+    for (const namespaceKey of companyObj.custom) {
+      const [namespace, key] = namespaceKey.split("."); // namespace.key
       let foundItem = companyCustom.find((element, index) => {
         if (element.namespace == namespace && element.key == key) {
           return true;
         }
       });
       if (foundItem) {
-        let namespaceKey = `${namespace}.${key}`;
         // Add to Liquid Test
         liquidTestObject[testName].data.company.custom[namespaceKey] =
           foundItem.value;
@@ -341,9 +482,14 @@ async function testGenerator(url, testName) {
   if (accountIds.length != 0) {
     liquidTestObject[testName].data.periods[
       currentPeriodData.fiscal_year.end_date
-    ].accounts = {};
+    ].accounts =
+      liquidTestObject[testName].data.periods[
+        currentPeriodData.fiscal_year.end_date
+      ].accounts || {};
     for (accountId of accountIds) {
       accountId = accountId.replace("#", "");
+      // Current account of an account template (already added)
+      if (accountId == parameters.accountId) continue;
       // Current Period
       try {
         let accountResponse = await SF.getAccountDetails(
@@ -364,14 +510,224 @@ async function testGenerator(url, testName) {
         }
       } catch (error) {
         consola.error(error);
-        // Previous Period
-        // Should we include this ?
       }
     }
   }
 
-  // Save YAML
-  Utils.exportYAML(reconciliationHandle, liquidTestObject);
+  // Default accounts of account collection inputs
+  const defaultAccountRanges = Utils.lookForDefaultAccounts(
+    dependencies,
+    templateName
+  );
+  if (defaultAccountRanges.length != 0) {
+    const periodAccounts = await getAllAccounts(
+      parameters,
+      parameters.ledgerId
+    );
+    const defaultAccounts = Utils.filterAccountsInRanges(
+      periodAccounts,
+      defaultAccountRanges
+    );
+    const accounts = (liquidTestObject[testName].data.periods[
+      currentPeriodData.fiscal_year.end_date
+    ].accounts ||= {});
+    for (const { account, value } of defaultAccounts) {
+      // Already added (e.g. current account of an account template)
+      if (account.number in accounts) continue;
+      accounts[account.number] = {
+        id: account.id,
+        name: account.name,
+        value: Number(value),
+      };
+    }
+  }
+
+  return sharedParts;
+}
+
+// Accounts of a period of the company (all pages)
+async function getAllAccounts(parameters, periodId) {
+  const accounts = [];
+  for (let page = 1; ; page++) {
+    const response = await SF.getAccounts(
+      parameters.firmId,
+      parameters.companyId,
+      periodId,
+      page
+    );
+    if (!response || !response.data || response.data.length == 0) break;
+    accounts.push(...response.data);
+  }
+  return accounts;
+}
+
+// Data of the previous period used by the template: results and custom drops of reconciliations (`period.minus_1y`), account values, and the custom drops of the template itself when it rolls data forward
+// Returns the previous period dependencies found in the liquid code
+async function addPreviousPeriod(
+  parameters,
+  testName,
+  liquidTestObject,
+  previousPeriodData,
+  templateType,
+  templateCode,
+  templateName,
+  sharedParts
+) {
+  const sharedPartsCode = {};
+  for (const sharedPart of sharedParts) {
+    sharedPartsCode[sharedPart.name] = sharedPart.text;
+  }
+  const dependencies = Utils.searchForPreviousPeriodDependenciesInLiquid(
+    templateCode,
+    sharedPartsCode
+  );
+  if (
+    !previousPeriodData ||
+    !(dependencies.previousPeriod || dependencies.rollforward)
+  ) {
+    return dependencies;
+  }
+  const periods = liquidTestObject[testName].data.periods;
+  const currentPeriod = periods[liquidTestObject[testName].context.period];
+  const previousPeriod = {};
+
+  // Reconciliations
+  const rolledForwardCustoms =
+    dependencies.rollforward && templateType === "reconciliationText";
+  const handles = new Set([
+    ...Object.keys(dependencies.results),
+    ...Object.keys(dependencies.customs),
+  ]);
+  if (rolledForwardCustoms) handles.add(templateName);
+  for (const handle of handles) {
+    try {
+      // Find reconciliation in Workflow of the previous period to get id
+      const reconciliation = await SF.findReconciliationInWorkflows(
+        parameters.firmId,
+        handle,
+        parameters.companyId,
+        previousPeriodData.id
+      );
+      if (!reconciliation) continue;
+      const reconciliationData = {};
+
+      const customsArray = dependencies.customs[handle] || [];
+      const allCustoms = rolledForwardCustoms && handle === templateName;
+      if (customsArray.length || allCustoms) {
+        const responseCustom = await SF.getReconciliationCustom(
+          "firm",
+          parameters.firmId,
+          parameters.companyId,
+          previousPeriodData.id,
+          reconciliation.id
+        );
+        reconciliationData.custom = Utils.selectDrops(
+          Utils.processCustom(responseCustom.data),
+          allCustoms ? ["*"] : customsArray
+        );
+      }
+
+      const resultsArray = dependencies.results[handle] || [];
+      if (resultsArray.length) {
+        const responseResults = await SF.getReconciliationResults(
+          "firm",
+          parameters.firmId,
+          parameters.companyId,
+          previousPeriodData.id,
+          reconciliation.id
+        );
+        reconciliationData.results = Utils.selectDrops(
+          responseResults.data,
+          resultsArray
+        );
+      }
+
+      previousPeriod.reconciliations = previousPeriod.reconciliations || {};
+      previousPeriod.reconciliations[handle] = reconciliationData;
+    } catch (error) {
+      consola.error(error);
+    }
+  }
+
+  // Accounts of the current period (and the custom drops of the account template when it rolls data forward)
+  if (dependencies.accounts || templateType === "accountTemplate") {
+    for (const [number, account] of Object.entries(
+      currentPeriod.accounts || {}
+    )) {
+      try {
+        const accountResponse = await SF.getAccountDetails(
+          parameters.firmId,
+          parameters.companyId,
+          previousPeriodData.id,
+          account.id
+        );
+        if (!accountResponse) continue;
+        previousPeriod.accounts = previousPeriod.accounts || {};
+        previousPeriod.accounts[number] = {
+          id: accountResponse.data.account.id,
+          name: accountResponse.data.account.name,
+          value: Number(accountResponse.data.value),
+        };
+        if (
+          dependencies.rollforward &&
+          templateType === "accountTemplate" &&
+          account.id == parameters.accountId
+        ) {
+          const responseCustom = await SF.getAccountTemplateCustom(
+            "firm",
+            parameters.firmId,
+            parameters.companyId,
+            previousPeriodData.id,
+            parameters.accountId
+          );
+          previousPeriod.accounts[number].custom = Utils.processCustom(
+            responseCustom.data
+          );
+        }
+      } catch (error) {
+        consola.error(error);
+      }
+    }
+  }
+
+  if (Object.keys(previousPeriod).length !== 0) {
+    periods[previousPeriodData.fiscal_year.end_date] = previousPeriod;
+  }
+  return dependencies;
+}
+
+// Rollforward expectations, from a local render of the template with the data of the test
+function addRollforwardExpectations(
+  testName,
+  liquidTestObject,
+  templateType,
+  templateCode,
+  templateName,
+  sharedParts
+) {
+  const templates = {};
+  for (const part of templateCode.text_parts || []) {
+    templates[`parts/${part.name}`] = part.content;
+  }
+  for (const sharedPart of sharedParts) {
+    templates[`shared/${sharedPart.name}`] = sharedPart.text;
+  }
+  try {
+    const rendered = renderTest(
+      templateType,
+      { text: templateCode.text, handle: templateName },
+      templates,
+      liquidTestObject[testName]
+    );
+    if (Object.keys(rendered.rollforwards).length !== 0) {
+      liquidTestObject[testName].expectation.rollforward =
+        rendered.rollforwards;
+    }
+  } catch (error) {
+    consola.warn(
+      `Rollforward expectations could not be generated (${error.message}). Add them to the test manually`
+    );
+  }
 }
 
 module.exports = {
@@ -0,0 +1,312 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("yaml");
+const fsUtils = require("./utils/fsUtils");
+const testDiff = require("./liquidTestDiff");
+const { consola } = require("consola");
+
+const REPORTERS = ["junit", "json", "tap"];
+
+/**
+ * Convert a test run provided by the Silverfin API into a suite that can be reported
+ * @param {String} name Name of the suite (handle or name of the template)
+ * @param {String} templateType Options: `reconciliationText` or `accountTemplate`
+ * @param {Object} testRun Test run as returned by `readTestRun` (null when the tests were not run)
+ * @returns {Object} `{ name, templateType, status, errorMessage, tests: [{ name, failures }] }`
+ * Each failure includes the `diff` between the expected value and the value got
+ */
+function buildSuite(name, templateType, testRun) {
+  const suite = {
+    name,
+    templateType,
+    status: testRun?.status || "not_run",
+    errorMessage: "",
+    tests: [],
+  };
+
+  // Possible status: started, completed, test_error, internal_error
+  switch (suite.status) {
+    case "completed":
+      suite.tests = Object.keys(testRun.tests)
+        .sort()
+        .map((testName) => ({
+          name: testName,
+          failures: listFailures(testRun.tests[testName]).map((failure) => ({
+            ...failure,
+            diff: describeDifferences(failure),
+          })),
+        }));
+      break;
+    case "test_error":
+      suite.errorMessage = testRun.error_message || "Test error";
+      break;
+    case "internal_error":
+      suite.errorMessage =
+        "Internal error. Try to run the test again or contact support if the issue persists.";
+      break;
+    case "started":
+      suite.errorMessage = "Timeout. Try to run your test again";
+      break;
+    default:
+      suite.errorMessage = "Tests could not be run";
+  }
+  return suite;
+}
+
+/**
+ * List the failed expectations of a single test
+ * @param {Object} testElements Feedback of the test (`reconciled`, `results`, `rollforwards`)
+ * @returns {Array<Object>} `{ section, name, got, expected, line_number }` of each failed expectation
+ */
+function listFailures(testElements) {
+  const failures = [];
+
+  // Account templates have no reconciled expectation
+  if (
+    testElements.hasOwnProperty("reconciled") &&
+    testElements.reconciled !== null
+  ) {
+    failures.push({
+      section: "reconciled",
+      name: "reconciled",
+      got: testElements.reconciled.got,
+      expected: testElements.reconciled.expected,
+      line_number: testElements.reconciled.line_number,
+    });
+  }
+
+  for (const section of ["results", "rollforwards"]) {
+    const items = testElements[section] || {};
+    for (const itemName of Object.keys(items)) {
+      failures.push({
+        section,
+        name: itemName,
+        got: items[itemName].got,
+        expected: items[itemName].expected,
+        line_number: items[itemName].line_number,
+      });
+    }
+  }
+
+  return failures;
+}
+
+// Differences between the expected value and the value got (see `diffValues`), without repeating both values
+function describeDifferences(failure) {
+  const { expected, got, ...diff } = testDiff.diffValues(
+    failure.expected,
+    failure.got
+  );
+  return diff;
+}
+
+function summarize(suites) {
+  const summary = { suites: suites.length, tests: 0, passed: 0, failed: 0 };
+  summary.errors = suites.filter(
+    (suite) => suite.status !== "completed"
+  ).length;
+  for (const suite of suites) {
+    for (const test of suite.tests) {
+      summary.tests++;
+      test.failures.length ? summary.failed++ : summary.passed++;
+    }
+  }
+  return summary;
+}
+
+function formatValue(value) {
+  if (typeof value === "string") return value;
+  return JSON.stringify(value);
+}
+
+function describeFailure(failure) {
+  const label =
+    failure.section === "reconciled"
+      ? "reconciled"
+      : `${failure.section}.${failure.name}`;
+  return `${label}: got ${formatValue(failure.got)} but expected ${formatValue(
+    failure.expected
+  )} (line ${failure.line_number})`;
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function junitReport(suites) {
+  const summary = summarize(suites);
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  lines.push(
+    `<testsuites name="silverfin" tests="${summary.tests}" failures="${summary.failed}" errors="${summary.errors}">`
+  );
+  for (const suite of suites) {
+    const classname = escapeXML(`${suite.templateType}.${suite.name}`);
+    if (suite.status !== "completed") {
+      // Errored suite: the test run couldn't be completed
+      lines.push(
+        `  <testsuite name="${escapeXML(
+          suite.name
+        )}" tests="1" failures="0" errors="1">`
+      );
+      lines.push(
+        `    <testcase name="${escapeXML(
+          suite.name
+        )}" classname="${classname}">`
+      );
+      lines.push(
+        `      <error message="${escapeXML(suite.errorMessage)}" type="${
+          suite.status
+        }">${escapeXML(suite.errorMessage)}</error>`
+      );
+      lines.push("    </testcase>");
+      lines.push("  </testsuite>");
+      continue;
+    }
+
+    const failed = suite.tests.filter((test) => test.failures.length).length;
+    lines.push(
+      `  <testsuite name="${escapeXML(suite.name)}" tests="${
+        suite.tests.length
+      }" failures="${failed}" errors="0">`
+    );
+    for (const test of suite.tests) {
+      const testcase = `    <testcase name="${escapeXML(
+        test.name
+      )}" classname="${classname}"`;
+      if (!test.failures.length) {
+        lines.push(`${testcase}/>`);
+        continue;
+      }
+      lines.push(`${testcase}>`);
+      for (const failure of test.failures) {
+        lines.push(
+          `      <failure message="${escapeXML(
+            describeFailure(failure)
+          )}" type="${failure.section}">${escapeXML(
+            testDiff
+              .formatDiff(testDiff.diffValues(failure.expected, failure.got))
+              .join("\n")
+          )}</failure>`
+        );
+      }
+      lines.push("    </testcase>");
+    }
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  return lines.join("\n") + "\n";
+}
+
+function jsonReport(suites) {
+  const summary = summarize(suites);
+  const report = {
+    status: summary.failed || summary.errors ? "FAILED" : "PASSED",
+    summary,
+    suites: suites.map((suite) => ({
+      ...suite,
+      tests: suite.tests.map((test) => ({
+        name: test.name,
+        status: test.failures.length ? "failed" : "passed",
+        failures: test.failures,
+      })),
+    })),
+  };
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+function tapReport(suites) {
+  const points = [];
+  for (const suite of suites) {
+    if (suite.status !== "completed") {
+      points.push({
+        ok: false,
+        description: `${suite.name} # test run ${suite.status}`,
+        diagnostics: { message: suite.errorMessage, status: suite.status },
+      });
+      continue;
+    }
+    for (const test of suite.tests) {
+      const point = {
+        ok: test.failures.length === 0,
+        description: `${suite.name} > ${test.name}`,
+      };
+      if (!point.ok) {
+        point.diagnostics = {
+          failures: test.failures.map((failure) => ({
+            expectation:
+              failure.section === "reconciled"
+                ? "reconciled"
+                : `${failure.section}.${failure.name}`,
+            got: failure.got,
+            expected: failure.expected,
+            line: failure.line_number,
+          })),
+        };
+      }
+      points.push(point);
+    }
+  }
+
+  const lines = ["TAP version 13", `1..${points.length}`];
+  points.forEach((point, index) => {
+    lines.push(
+      `${point.ok ? "ok" : "not ok"} ${index + 1} - ${point.description}`
+    );
+    if (point.diagnostics) {
+      const diagnostics = yaml
+        .stringify(point.diagnostics)
+        .trimEnd()
+        .split("\n")
+        .map((line) => `  ${line}`);
+      lines.push("  ---", ...diagnostics, "  ...");
+    }
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Generate a report of one or more test runs
+ * @param {Array<Object>} suites Suites created with `buildSuite`
+ * @param {String} reporter Options: `junit`, `json` or `tap`
+ * @returns {String} Content of the report
+ */
+function generateReport(suites, reporter) {
+  switch (reporter) {
+    case "junit":
+      return junitReport(suites);
+    case "json":
+      return jsonReport(suites);
+    case "tap":
+      return tapReport(suites);
+    default:
+      throw `Reporter should be one of ${REPORTERS.join(", ")}`;
+  }
+}
+
+/**
+ * Write a report to a file
+ * @param {Array<Object>} suites Suites created with `buildSuite`
+ * @param {String} reporter Options: `junit`, `json` or `tap`
+ * @param {String} outputPath Path of the file to be written
+ */
+function writeReport(suites, reporter, outputPath) {
+  const report = generateReport(suites, reporter);
+  const filePath = path.resolve(process.cwd(), outputPath);
+  fsUtils.createFolder(path.dirname(filePath));
+  fs.writeFileSync(filePath, report);
+  consola.info(`Test report (${reporter}) saved: ${filePath}`);
+}
+
+module.exports = {
+  REPORTERS,
+  buildSuite,
+  listFailures,
+  generateReport,
+  writeReport,
+};
@@ -1,4 +1,3 @@
-const yaml = require("yaml");
 const axios = require("axios");
 const open = require("open");
 const path = require("path");
@@ -12,44 +11,82 @@ const { spinner } = require("./cli/spinner");
 const SF = require("./api/sfApi");
 const fsUtils = require("./utils/fsUtils");
 const { ReconciliationText } = require("./templates/reconciliationText");
+const { AccountTemplate } = require("./templates/accountTemplate");
 const runTestUtils = require("./utils/runTestUtils");
+const templateUtils = require("./utils/templateUtils");
+const testReporter = require("./liquidTestReporter");
+const testValidator = require("./liquidTestValidator");
+const testExpectations = require("./liquidTestExpectations");
+const testDiff = require("./liquidTestDiff");
+const liquidLocalRunner = require("./liquidLocalRunner");
+const prompt = require("prompt-sync")({ sigint: true });
 const { consola } = require("consola");
 
-function findTestRows(testContent) {
-  const options = { maxAliasCount: 10000 };
-  const testYAML = yaml.parse(testContent, options);
+// Template types that can store and run Liquid Tests
+const TEST_TEMPLATE_TYPES = ["reconciliationText", "accountTemplate"];
 
-  const testNames = Object.keys(testYAML);
-  const testRows = testContent.split("\n");
+// Row index (starting at 0) of the name of each test
+function findTestRows(testContent) {
   const indexes = {};
-  testNames.forEach((testName) => {
-    let index = testRows.findIndex((element) => element.includes(testName));
-    indexes[testName] = index;
+  runTestUtils.locateTests(testContent).forEach((test) => {
+    indexes[test.name] = test.line - 1;
   });
   return indexes;
 }
 
-function buildTestParams(firmId, handle, testName = "", renderMode) {
-  const relativePath = `./reconciliation_texts/${handle}`;
+// Path of the YAML file with the Liquid Tests of a template
+function getTestPath(templateType, handle, config) {
+  return `./${fsUtils.FOLDERS[templateType]}/${handle}/${
+    config.test || `tests/${handle}_liquid_test.yml`
+  }`;
+}
+
+// When only some tests are sent, the line numbers of the feedback refer to that reduced YAML
+function locateFailuresInTestFile(templateType, handle, testRun, testFilter) {
+  if (!(testFilter.grep || testFilter.tag) || !testRun?.tests) return;
+  const config = fsUtils.readConfig(templateType, handle);
+  const testContent = fs.readFileSync(
+    getTestPath(templateType, handle, config),
+    "utf-8"
+  );
+  runTestUtils.locateFailureLines(testRun.tests, testContent);
+}
+
+function buildTestParams(
+  firmId,
+  templateType,
+  handle,
+  testName = "",
+  renderMode,
+  testFilter = {}
+) {
+  if (!TEST_TEMPLATE_TYPES.includes(templateType)) {
+    consola.error(
+      `Liquid Tests are only supported for ${TEST_TEMPLATE_TYPES.join(" and ")}`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return;
+  }
 
-  const configPresent = fsUtils.configExists("reconciliationText", handle);
+  const configPresent = fsUtils.configExists(templateType, handle);
 
   if (!configPresent) {
     consola.error(`Config file for "${handle}" not found`);
-
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
     return;
   }
 
-  const config = fsUtils.readConfig("reconciliationText", handle);
-  const testPath = `${relativePath}/${config.test}`;
+  const config = fsUtils.readConfig(templateType, handle);
+  const testPath = getTestPath(templateType, handle, config);
 
   if (!fs.existsSync(testPath)) {
     consola.error(`Test file for "${handle}" not found`);
-
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
     return;
   }
 
-  const testContent = fs.readFileSync(testPath, "utf-8").trim();
+  const fileContent = fs.readFileSync(testPath, "utf-8");
+  const testContent = fileContent.trim();
 
   // Empty YAML check
   if (testContent.split("\n").length <= 1) {
@@ -57,12 +94,24 @@ function buildTestParams(firmId, handle, testName = "", renderMode) {
     return false;
   }
 
-  const templateContent = ReconciliationText.read(handle);
-  templateContent.handle = handle;
-  templateContent.reconciliation_type = config.reconciliation_type;
+  // Pre-flight validation of the YAML (without calling the API)
+  const issues = testValidator.validateTestContent(fileContent);
+  testValidator.printIssues(testPath, issues);
+  if (issues.some((issue) => issue.severity === "error")) {
+    consola.error(`Test file for "${handle}" is not valid`);
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return;
+  }
+
+  const templateContent = readTemplateContent(templateType, handle, config);
+  if (!templateContent) {
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return;
+  }
+
   const sharedParts = fsUtils.listSharedPartsUsedInTemplate(
     firmId,
-    "reconciliationText",
+    templateType,
     handle
   );
   if (sharedParts.length !== 0) {
@@ -90,35 +139,86 @@ function buildTestParams(firmId, handle, testName = "", renderMode) {
     const indexes = findTestRows(testContent);
     if (!Object.keys(indexes).includes(testName)) {
       consola.error(`Test ${testName} not found in YAML`);
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
     }
     testParams.test_line = indexes[testName] + 1;
   }
+
+  // Include only the tests selected by name (regular expression) and/or tag
+  if (testFilter.grep || testFilter.tag) {
+    const selection = runTestUtils.selectTests(testContent, testFilter);
+    if (!selection.testNames.length) {
+      consola.info(`${handle}: there are no tests matching the selection`);
+      return false;
+    }
+    consola.debug(
+      `${handle}: selected tests ${selection.testNames.join(", ")}`
+    );
+    testParams.tests = selection.content;
+  }
   return testParams;
 }
 
-async function fetchResult(firmId, testRunId) {
+// Template details sent together with the tests (based on the template type)
+function readTemplateContent(templateType, handle, config) {
+  let templateContent;
+  switch (templateType) {
+    case "reconciliationText":
+      templateContent = ReconciliationText.read(handle);
+      if (!templateContent) return;
+      templateContent.handle = handle;
+      templateContent.reconciliation_type = config.reconciliation_type;
+      break;
+    case "accountTemplate":
+      templateContent = AccountTemplate.read(handle);
+      if (!templateContent) return;
+      templateContent.name_nl = config.name_nl || handle;
+      // Mapping list ranges are specific to each firm or partner and are not needed to run tests
+      delete templateContent.mapping_list_ranges;
+      break;
+  }
+  return templateContent;
+}
+
+// Run the tests with the local Liquid engine. Nothing is returned when they have to be run in Silverfin instead
+function runTestsLocally(templateType, handle, testParams) {
+  try {
+    return liquidLocalRunner.runTestsLocally(templateType, testParams);
+  } catch (error) {
+    if (!liquidLocalRunner.requiresPlatform(error)) throw error;
+    consola.info(
+      `${handle}: tests can't be run locally, running them in Silverfin (${error.message})`
+    );
+  }
+}
+
+async function fetchResult(
+  firmId,
+  testRunId,
+  templateType = "reconciliationText",
+  showSpinner = true
+) {
   let testRun = { status: "started" };
   let pollingDelay = 1000;
   const waitingLimit = 500000;
 
-  spinner.spin("Running tests..");
+  if (showSpinner) spinner.spin("Running tests..");
   let waitingTime = 0;
   while (testRun.status === "started") {
     await new Promise((resolve) => {
       setTimeout(resolve, pollingDelay);
     });
-    const response = await SF.readTestRun(firmId, testRunId);
+    const response = await SF.readTestRun(firmId, testRunId, templateType);
     testRun = response.data;
     waitingTime += pollingDelay;
     pollingDelay *= 1.05;
     if (waitingTime >= waitingLimit) {
-      spinner.stop();
+      if (showSpinner) spinner.stop();
       consola.error("Timeout. Try to run your test again");
       break;
     }
   }
-  spinner.stop();
+  if (showSpinner) spinner.stop();
   return testRun;
 }
 
@@ -138,6 +238,18 @@ function listErrors(items, type) {
     let expectedDataType = typeof itemDetails.expected;
     let displayedGot = itemDetails.got;
     let displayedExpected = itemDetails.expected;
+    const diff = testDiff.diffValues(itemDetails.expected, itemDetails.got);
+
+    // Objects and arrays: show the keys that differ
+    if (diff.type === "object" || diff.type === "array") {
+      consola.log(
+        `For ${type} ${chalk.blue.bold(itemName)} got a different ${
+          diff.type
+        } than expected`
+      );
+      printDiff(diff);
+      return;
+    }
 
     // If the type is an object, check if it's an array or an object
     if (gotDataType === "object") {
@@ -176,10 +288,23 @@ function listErrors(items, type) {
         displayedExpected
       )} (${chalk.italic(expectedDataType)})`
     );
+    // Numbers: difference between both values. Long texts: the part that changed
+    if (diff.type === "number" || diff.type === "string") {
+      printDiff(diff);
+    }
   });
   consola.log("");
 }
 
+const DIFF_COLORS = { "+": chalk.green, "-": chalk.red, "~": chalk.yellow };
+
+function printDiff(diff) {
+  testDiff.formatDiff(diff).forEach((line) => {
+    const color = DIFF_COLORS[line[0]] || chalk.yellow;
+    consola.log(`  ${color(line)}`);
+  });
+}
+
 // Find at least one error in the all tests
 function checkAllTestsErrorsPresent(testsFeedback) {
   let errorsPresent = false;
@@ -209,7 +334,7 @@ function checkTestErrorsPresent(testName, testsFeedback) {
         break;
       } else if (
         (section === "results" || section === "rollforwards") &&
-        Object.keys(sectionElement).length > 0
+        Object.keys(sectionElement || {}).length > 0
       ) {
         errorsPresent = true;
         break;
@@ -226,10 +351,12 @@ function processTestRunResponse(testRun, previewOnly) {
       consola.error(
         "Internal error. Try to run the test again or contact support if the issue persists."
       );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.TEST_FAILURE);
       break;
     case "test_error":
       consola.error("Ran into an error an couldn't complete test run");
       consola.log(chalk.red(testRun.error_message));
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.TEST_FAILURE);
       break;
     case "completed":
       const errorsPresent = checkAllTestsErrorsPresent(testRun.tests);
@@ -242,6 +369,7 @@ function processTestRunResponse(testRun, previewOnly) {
           consola.success(chalk.green("ALL TESTS HAVE PASSED"));
         }
       } else {
+        errorUtils.setExitCode(errorUtils.EXIT_CODES.TEST_FAILURE);
         consola.log("");
         consola.log(
           chalk.red(
@@ -269,22 +397,27 @@ function processTestRunResponse(testRun, previewOnly) {
           let testElements = testRun.tests[testName];
 
           // Display success messages of test
-          if (testElements.reconciled === null) {
+          // Account templates have no reconciled expectation
+          const reconciledPresent = testElements.hasOwnProperty("reconciled");
+          const results = testElements.results || {};
+          const rollforwards = testElements.rollforwards || {};
+
+          if (reconciledPresent && testElements.reconciled === null) {
             consola.success(chalk.green("Reconciliation expectation passed"));
           }
 
-          if (Object.keys(testElements.results).length === 0) {
+          if (Object.keys(results).length === 0) {
             consola.success(chalk.green("All result expectations passed"));
           }
 
-          if (Object.keys(testElements.rollforwards).length === 0) {
+          if (Object.keys(rollforwards).length === 0) {
             consola.success(chalk.green("All rollforward expectations passed"));
           }
 
           // Display error messages of test
 
           // Reconciled
-          if (testElements.reconciled !== null) {
+          if (reconciledPresent && testElements.reconciled !== null) {
             consola.log(chalk.red("Reconciliation expectation failed"));
             consola.log(
               `At line number ${testElements.reconciled.line_number}`
@@ -300,13 +433,13 @@ function processTestRunResponse(testRun, previewOnly) {
           }
 
           // Results
-          if (Object.keys(testElements.results).length > 0) {
-            listErrors(testElements.results, "result");
+          if (Object.keys(results).length > 0) {
+            listErrors(results, "result");
           }
 
           // Rollforwards
-          if (Object.keys(testElements.rollforwards).length > 0) {
-            listErrors(testElements.rollforwards, "rollforward");
+          if (Object.keys(rollforwards).length > 0) {
+            listErrors(rollforwards, "rollforward");
           }
         });
         break;
@@ -398,30 +531,70 @@ async function handleHTMLfiles(testName = "", testRun, renderMode) {
 }
 
 // Used by VSCode Extension
+/**
+ * Run the Liquid Tests of a template and wait for their results
+ * @param {Number} firmId
+ * @param {String} handle `handle` of the reconciliation text or `name_nl` of the account template
+ * @param {String} testName Run only this test (empty string to run all tests)
+ * @param {Boolean} previewOnly Skip the test run and only render the HTML
+ * @param {String} renderMode Options: `none`, `all`, `input` or `preview`
+ * @param {Object} testFilter Run only the tests selected by `{ grep, tag }`: a regular expression matching their name and/or a tag set in a YAML comment (optional)
+ * @param {Boolean} local Run the tests with the local Liquid engine when possible (optional)
+ * @param {String} templateType Options: `reconciliationText` or `accountTemplate` (optional)
+ * @returns {Object} `{ testRun, previewRun }` (`false` when there are no tests to be run)
+ */
 async function runTests(
   firmId,
   handle,
   testName = "",
   previewOnly = false,
-  renderMode = "none"
+  renderMode = "none",
+  testFilter = {},
+  local = false,
+  templateType = "reconciliationText"
 ) {
   try {
-    const testParams = buildTestParams(firmId, handle, testName, renderMode);
+    const testParams = buildTestParams(
+      firmId,
+      templateType,
+      handle,
+      testName,
+      renderMode,
+      testFilter
+    );
+    // Empty YAML or no tests selected: nothing to be tested
+    if (testParams === false) return false;
     if (!testParams) return;
 
     let testRun = null;
     let previewRun = null;
 
     if (renderMode !== "none") {
-      const previewRunResponse = await SF.createPreviewRun(firmId, testParams);
+      const previewRunResponse = await SF.createPreviewRun(
+        firmId,
+        testParams,
+        templateType
+      );
       const previewRunId = previewRunResponse.data;
-      previewRun = await fetchResult(firmId, previewRunId);
+      previewRun = await fetchResult(firmId, previewRunId, templateType);
+    }
+
+    if (!previewOnly && local) {
+      testRun = runTestsLocally(templateType, handle, testParams);
     }
 
-    if (!previewOnly) {
-      const testRunResponse = await SF.createTestRun(firmId, testParams);
+    if (!previewOnly && !testRun) {
+      const testRunResponse = await SF.createTestRun(
+        firmId,
+        testParams,
+        templateType
+      );
       const testRunId = testRunResponse.data;
-      testRun = await fetchResult(firmId, testRunId);
+      testRun = await fetchResult(firmId, testRunId, templateType);
+    }
+
+    if (testRun) {
+      locateFailuresInTestFile(templateType, handle, testRun, testFilter);
     }
 
     return { testRun, previewRun };
@@ -430,13 +603,88 @@ async function runTests(
   }
 }
 
+/**
+ * Update the expectations of the Liquid Test file with the values got in a test run.
+ * Every change is approved (or skipped) in a prompt, unless `approveAll` is true
+ * @param {String} templateType Options: `reconciliationText` or `accountTemplate`
+ * @param {String} handle `handle` of the reconciliation text or `name_nl` of the account template
+ * @param {Object} testRun Completed test run
+ * @param {Boolean} approveAll Apply every change without prompting
+ * @returns {Number} Number of expectations updated
+ */
+function updateTestExpectations(templateType, handle, testRun, approveAll) {
+  if (testRun?.status !== "completed") {
+    consola.warn(
+      "Expectations can only be updated when the test run is completed"
+    );
+    return 0;
+  }
+  const changes = testExpectations.listExpectationChanges(testRun.tests);
+  if (!changes.length) {
+    consola.info(`${handle}: there are no expectations to be updated`);
+    return 0;
+  }
+  if (!approveAll && !process.stdin.isTTY) {
+    consola.error(
+      `Changes can only be approved in an interactive terminal. Use "--yes" to approve all of them`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return 0;
+  }
+
+  const approvedChanges = changes.filter((change) => {
+    if (approveAll) return true;
+    const answer = prompt(
+      `${testExpectations.describeChange(change)}. Update? (y/n): `
+    );
+    return ["y", "yes"].includes(answer.toLowerCase());
+  });
+  if (!approvedChanges.length) {
+    consola.info(`${handle}: no expectations were updated`);
+    return 0;
+  }
+
+  const config = fsUtils.readConfig(templateType, handle);
+  const testPath = getTestPath(templateType, handle, config);
+  const { content, applied, skipped } =
+    testExpectations.applyExpectationChanges(
+      fs.readFileSync(testPath, "utf-8"),
+      approvedChanges
+    );
+  skipped.forEach((change) => {
+    consola.warn(
+      `Skipped ${testExpectations.describeChange(change)} (${change.reason})`
+    );
+  });
+  if (applied.length) {
+    fs.writeFileSync(testPath, content);
+    consola.success(
+      `${handle}: ${applied.length} expectation(s) updated in ${testPath}`
+    );
+  }
+  return applied.length;
+}
+
+// Report of the tests that couldn't be run (invalid test file or config, API error), as for the templates of a batch
+function writeNotRunReport(handle, templateType, reporter, outputPath) {
+  const suite = testReporter.buildSuite(handle, templateType, null);
+  testReporter.writeReport([suite], reporter, outputPath);
+}
+
 async function runTestsWithOutput(
   firmId,
   handle,
   testName = "",
   previewOnly = false,
   htmlInput = false,
-  htmlPreview = false
+  htmlPreview = false,
+  reporter = "",
+  outputPath = "",
+  testFilter = {},
+  updateExpectations = false,
+  approveAll = false,
+  local = false,
+  templateType = "reconciliationText"
 ) {
   try {
     const renderMode = runTestUtils.checkRenderMode(htmlInput, htmlPreview);
@@ -445,15 +693,40 @@ async function runTestsWithOutput(
       handle,
       testName,
       previewOnly,
-      renderMode
+      renderMode,
+      testFilter,
+      local,
+      templateType
     );
-    if (!testsRun) return;
+    if (!testsRun) {
+      if (testsRun !== false && reporter) {
+        writeNotRunReport(handle, templateType, reporter, outputPath);
+      }
+      return;
+    }
 
     processTestRunResponse(
       testsRun?.testRun || testsRun?.previewRun,
       previewOnly
     );
 
+    if (reporter && testsRun.testRun) {
+      testReporter.writeReport(
+        [testReporter.buildSuite(handle, templateType, testsRun.testRun)],
+        reporter,
+        outputPath
+      );
+    }
+
+    if (updateExpectations && testsRun.testRun) {
+      updateTestExpectations(
+        templateType,
+        handle,
+        testsRun.testRun,
+        approveAll
+      );
+    }
+
     if (
       testsRun.previewRun &&
       testsRun.previewRun.status !== "test_error" &&
@@ -468,18 +741,52 @@ async function runTestsWithOutput(
 
 // RETURN (AND LOG) ONLY PASSED OR FAILED
 // CAN BE USED BY GITHUB ACTIONS
-async function runTestsStatusOnly(firmId, handle, testName = "") {
+async function runTestsStatusOnly(
+  firmId,
+  handle,
+  testName = "",
+  reporter = "",
+  outputPath = "",
+  testFilter = {},
+  local = false,
+  templateType = "reconciliationText"
+) {
   let status = "FAILED";
-  const testResult = await runTests(firmId, handle, testName, false, "none");
+  const testResult = await runTests(
+    firmId,
+    handle,
+    testName,
+    false,
+    "none",
+    testFilter,
+    local,
+    templateType
+  );
 
-  if (!testResult) {
+  if (testResult === false) {
     status = "PASSED";
     consola.success(status);
     return status;
   }
 
+  if (!testResult) {
+    if (reporter) {
+      writeNotRunReport(handle, templateType, reporter, outputPath);
+    }
+    consola.error(status);
+    return status;
+  }
+
   const testRun = testResult?.testRun;
 
+  if (reporter) {
+    testReporter.writeReport(
+      [testReporter.buildSuite(handle, templateType, testRun)],
+      reporter,
+      outputPath
+    );
+  }
+
   if (testRun && testRun?.status === "completed") {
     const errorsPresent = checkAllTestsErrorsPresent(testRun.tests);
     if (errorsPresent === false) {
@@ -488,14 +795,310 @@ async function runTestsStatusOnly(firmId, handle, testName = "") {
       return status;
     }
   }
+  errorUtils.setExitCode(errorUtils.EXIT_CODES.TEST_FAILURE);
   consola.error(status);
   return status;
 }
 
+/**
+ * List the templates to be tested in a batch
+ * @param {String} templateType Options: `reconciliationText`, `accountTemplate` or `all` (both types)
+ * @param {String} selection Glob pattern or comma separated list of handles (optional, all templates by default)
+ * @returns {Array<Object>} `{ templateType, handle }` of each template
+ */
+function listTemplatesToTest(templateType, selection = "") {
+  const templateTypes =
+    templateType === "all" ? TEST_TEMPLATE_TYPES : [templateType];
+  return templateTypes.flatMap((type) => {
+    let handles = fsUtils.getAllTemplatesOfAType(type);
+    if (selection) {
+      handles = templateUtils.filterTemplatesBySelection(handles, selection);
+    }
+    return handles.sort().map((handle) => ({ templateType: type, handle }));
+  });
+}
+
+// Run all tests of a template and summarize its outcome
+async function runTemplateTestsSummary(
+  firmId,
+  templateType,
+  handle,
+  testFilter = {},
+  local = false
+) {
+  const summary = {
+    templateType,
+    handle,
+    status: "SKIPPED",
+    total: 0,
+    failedTests: [],
+    errorMessage: "",
+    errorCode: null,
+    testRun: null,
+  };
+  try {
+    const testParams = buildTestParams(
+      firmId,
+      templateType,
+      handle,
+      "",
+      "none",
+      testFilter
+    );
+    // Empty YAML file or no tests selected
+    if (testParams === false) return summary;
+
+    summary.status = "ERROR";
+    if (!testParams) {
+      summary.errorCode = errorUtils.EXIT_CODES.INVALID_INPUT;
+      return summary;
+    }
+
+    let testRun = local
+      ? runTestsLocally(templateType, handle, testParams)
+      : null;
+    if (!testRun) {
+      const testRunResponse = await SF.createTestRun(
+        firmId,
+        testParams,
+        templateType
+      );
+      if (!testRunResponse || !testRunResponse.data) {
+        summary.errorMessage = "Test run could not be created";
+        return summary;
+      }
+      testRun = await fetchResult(
+        firmId,
+        testRunResponse.data,
+        templateType,
+        false
+      );
+    }
+    locateFailuresInTestFile(templateType, handle, testRun, testFilter);
+    summary.testRun = testRun;
+
+    switch (testRun.status) {
+      case "completed":
+        const testNames = Object.keys(testRun.tests).sort();
+        summary.total = testNames.length;
+        summary.failedTests = testNames.filter((testName) =>
+          checkTestErrorsPresent(testName, testRun.tests)
+        );
+        summary.status = summary.failedTests.length ? "FAILED" : "PASSED";
+        break;
+      case "test_error":
+        summary.errorMessage = testRun.error_message;
+        break;
+      case "internal_error":
+        summary.errorMessage = "Internal error";
+        break;
+      default:
+        summary.errorMessage = "Timeout";
+    }
+  } catch (error) {
+    summary.status = "ERROR";
+    summary.errorMessage = error.message || String(error);
+  }
+  return summary;
+}
+
+/**
+ * Exit code of a batch of test runs, whatever the order in which the templates were processed:
+ * 1. `TEST_FAILURE` when tests of any template failed or couldn't be completed
+ * 2. `PARTIAL_FAILURE` when the tests of only some templates couldn't be run
+ * 3. `INVALID_INPUT` when no tests could be run and the test file or config of any template is invalid
+ * 4. `API_ERROR` when no tests could be run for another reason (e.g. the test runs couldn't be created)
+ * @param {Array<Object>} summaries Summary of each template (see `runTemplateTestsSummary`)
+ * @returns {Number|undefined} One of `EXIT_CODES`, or undefined when all tests passed or were skipped
+ */
+function batchExitCode(summaries) {
+  const failed = summaries.filter(
+    (summary) =>
+      summary.status === "FAILED" ||
+      (summary.status === "ERROR" && summary.testRun)
+  );
+  if (failed.length) return errorUtils.EXIT_CODES.TEST_FAILURE;
+
+  const notRun = summaries.filter((summary) => summary.status === "ERROR");
+  if (!notRun.length) return undefined;
+  if (notRun.length < summaries.length) {
+    return errorUtils.EXIT_CODES.PARTIAL_FAILURE;
+  }
+  return notRun.some(
+    (summary) => summary.errorCode === errorUtils.EXIT_CODES.INVALID_INPUT
+  )
+    ? errorUtils.EXIT_CODES.INVALID_INPUT
+    : errorUtils.EXIT_CODES.API_ERROR;
+}
+
+function printBatchSummary(summaries) {
+  const STATUS_COLORS = {
+    PASSED: chalk.green,
+    FAILED: chalk.red,
+    ERROR: chalk.red,
+    SKIPPED: chalk.yellow,
+  };
+  const nameWidth = Math.max(
+    "Template".length,
+    ...summaries.map((summary) => summary.handle.length)
+  );
+  const row = (name, type, tests, passed, failed, status) =>
+    `${name.padEnd(nameWidth)}  ${type.padEnd(18)}  ${tests.padStart(
+      5
+    )}  ${passed.padStart(6)}  ${failed.padStart(6)}  ${status}`;
+
+  consola.log("");
+  consola.log(
+    chalk.bold(row("Template", "Type", "Tests", "Passed", "Failed", "Status"))
+  );
+  for (const summary of summaries) {
+    const failed = summary.failedTests.length;
+    consola.log(
+      row(
+        summary.handle,
+        summary.templateType,
+        String(summary.total),
+        String(summary.total - failed),
+        String(failed),
+        STATUS_COLORS[summary.status](summary.status)
+      )
+    );
+  }
+
+  const total = summaries.reduce((acc, summary) => acc + summary.total, 0);
+  const failed = summaries.reduce(
+    (acc, summary) => acc + summary.failedTests.length,
+    0
+  );
+  consola.log(
+    chalk.bold(
+      row(
+        "TOTAL",
+        `${summaries.length} templates`,
+        String(total),
+        String(total - failed),
+        String(failed),
+        ""
+      )
+    )
+  );
+
+  // Details of the failures
+  const unsuccessful = summaries.filter(
+    (summary) => summary.status === "FAILED" || summary.status === "ERROR"
+  );
+  if (unsuccessful.length) {
+    consola.log("");
+    for (const summary of unsuccessful) {
+      if (summary.status === "ERROR") {
+        consola.log(
+          `${chalk.bold(summary.handle)}: ${chalk.red(
+            summary.errorMessage || "Tests could not be run"
+          )}`
+        );
+      } else {
+        consola.log(
+          `${chalk.bold(summary.handle)}: ${summary.failedTests.join(", ")}`
+        );
+      }
+    }
+  }
+  consola.log("");
+}
+
+/**
+ * Run the Liquid Tests of several templates, with a limited number of test runs at the same time, and print a combined summary. The exit code is set from the summaries of all templates (see `batchExitCode`), unless it was already set before the batch.
+ * @param {Number} firmId
+ * @param {Array<Object>} templates `{ templateType, handle }` of each template (see `listTemplatesToTest`)
+ * @param {Number} concurrency Maximum number of test runs processed at the same time
+ * @param {Boolean} statusOnly Only log PASSED/FAILED instead of the summary table
+ * @param {String} reporter Write a report of all test runs. Options: `junit`, `json` or `tap` (optional)
+ * @param {String} outputPath Path of the report file (required when using a reporter)
+ * @param {Object} testFilter Run only the tests selected by `{ grep, tag }` (optional)
+ * @param {Boolean} local Run the tests with the local Liquid engine when possible (optional)
+ * @returns {Array<Object>} Summary of each template
+ */
+async function runTestsBatch(
+  firmId,
+  templates,
+  concurrency = 3,
+  statusOnly = false,
+  reporter = "",
+  outputPath = "",
+  testFilter = {},
+  local = false
+) {
+  if (!templates.length) {
+    consola.warn("No templates found to be tested");
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return [];
+  }
+
+  // The templates set their own exit code while their tests are run, in whatever order they finish
+  const previousExitCode = process.exitCode;
+  spinner.spin(`Running tests of ${templates.length} templates..`);
+  const summaries = await runTestUtils.runWithConcurrency(
+    templates,
+    concurrency,
+    (template) =>
+      runTemplateTestsSummary(
+        firmId,
+        template.templateType,
+        template.handle,
+        testFilter,
+        local
+      )
+  );
+  spinner.stop();
+  process.exitCode = previousExitCode;
+
+  if (reporter) {
+    const suites = summaries
+      .filter((summary) => summary.status !== "SKIPPED")
+      .map((summary) => {
+        const suite = testReporter.buildSuite(
+          summary.handle,
+          summary.templateType,
+          summary.testRun
+        );
+        suite.errorMessage = summary.errorMessage || suite.errorMessage;
+        return suite;
+      });
+    testReporter.writeReport(suites, reporter, outputPath);
+  }
+
+  const allPassed = summaries.every(
+    (summary) => summary.status === "PASSED" || summary.status === "SKIPPED"
+  );
+
+  if (statusOnly) {
+    allPassed ? consola.success("PASSED") : consola.error("FAILED");
+  } else {
+    printBatchSummary(summaries);
+    if (allPassed) {
+      consola.success(chalk.green("ALL TESTS HAVE PASSED"));
+    }
+  }
+
+  const exitCode = batchExitCode(summaries);
+  if (exitCode) {
+    errorUtils.setExitCode(exitCode);
+  }
+  // Templates whose tests couldn't be run (invalid test file, API error), as for the other batch commands
+  const notRun = summaries.filter(
+    (summary) => summary.status === "ERROR" && !summary.testRun
+  );
+  errorUtils.setBatchExitCode(notRun.length, summaries.length, "Run tests");
+
+  return summaries;
+}
+
 module.exports = {
   runTests,
   runTestsWithOutput,
   runTestsStatusOnly,
+  runTestsBatch,
+  listTemplatesToTest,
   getHTML,
   resolveHTMLPath,
   checkAllTestsErrorsPresent,
@@ -0,0 +1,526 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("yaml");
+const chalk = require("chalk");
+const fsUtils = require("./utils/fsUtils");
+const { consola } = require("consola");
+
+// Known keys of each section of a Liquid Test. Other keys are reported as warnings (possible typos)
+const KNOWN_KEYS = {
+  test: ["context", "data", "expectation"],
+  context: ["period", "current_account", "locale"],
+  data: ["company", "periods", "people", "firm", "user"],
+  period: ["accounts", "reconciliations", "custom", "people"],
+  reconciliation: ["starred", "custom", "results"],
+  expectation: ["reconciled", "results", "rollforward"],
+};
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate the content of a Liquid Test (YAML) against the format of the Liquid Tests. No request is made to the Silverfin API.
+ * Anchors, aliases and merge keys are resolved the same way as in the platform (YAML 1.1).
+ * @param {String} content Content of the YAML file
+ * @returns {Array<Object>} `{ severity, line, col, message }` of each issue found, sorted by position (`severity` is `error` or `warning`)
+ */
+function validateTestContent(content) {
+  const lineCounter = new yaml.LineCounter();
+  const doc = yaml.parseDocument(content, {
+    version: "1.1",
+    lineCounter,
+    maxAliasCount: -1,
+  });
+  const issues = [];
+
+  const report = (severity, node, message) => {
+    const offset = node?.range ? node.range[0] : 0;
+    const { line, col } = lineCounter.linePos(offset);
+    issues.push({ severity, line, col, message });
+  };
+
+  // Syntax errors
+  for (const error of doc.errors) {
+    const { line, col } = error.linePos?.[0] || lineCounter.linePos(0);
+    issues.push({
+      severity: "error",
+      line,
+      col,
+      message: error.message.split(" at line ")[0],
+    });
+  }
+  if (issues.length) return issues;
+
+  const walker = new TestWalker(doc, report);
+  walker.validateRoot(doc.contents);
+
+  // Merged content (anchors) is validated for every test using it, report it only once
+  const uniqueIssues = issues.filter(
+    (issue, index) =>
+      issues.findIndex(
+        (other) =>
+          other.line === issue.line &&
+          other.col === issue.col &&
+          other.severity === issue.severity
+      ) === index
+  );
+  return uniqueIssues.sort((a, b) => a.line - b.line || a.col - b.col);
+}
+
+/**
+ * Validate a Liquid Test file
+ * @param {String} filePath Path to the YAML file
+ * @returns {Array<Object>} `{ severity, line, col, message }` of each issue found
+ */
+function validateTestFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf-8");
+  return validateTestContent(content);
+}
+
+// Walk through the nodes of a Liquid Test document
+class TestWalker {
+  constructor(doc, report) {
+    this.doc = doc;
+    this.report = report;
+  }
+
+  validateRoot(node) {
+    node = this.resolve(node);
+    if (node === null) return;
+    if (!yaml.isMap(node)) {
+      this.report("error", node, "A Liquid Test file should be a map of tests");
+      return;
+    }
+    for (const { name, keyNode, value } of this.entries(node)) {
+      // Shared data defined with an anchor to be reused in other tests
+      if (yaml.isMap(value) && value.anchor && !this.isTest(value)) continue;
+      this.validateTest(name, keyNode, value);
+    }
+  }
+
+  isTest(map) {
+    return this.entries(map).some((entry) => entry.name === "expectation");
+  }
+
+  validateTest(testName, keyNode, node) {
+    const test = this.expectMap(node, keyNode, `Test "${testName}"`);
+    if (!test) return;
+    const entries = this.entries(test);
+    this.checkKeys(entries, "test", `test "${testName}"`);
+
+    const context = entries.find((entry) => entry.name === "context");
+    if (!context) {
+      this.report("error", keyNode, `Test "${testName}" has no context`);
+    } else {
+      this.validateContext(testName, context);
+    }
+
+    const data = entries.find((entry) => entry.name === "data");
+    if (data) this.validateData(testName, data);
+
+    const expectation = entries.find((entry) => entry.name === "expectation");
+    if (!expectation) {
+      this.report("error", keyNode, `Test "${testName}" has no expectation`);
+    } else {
+      this.validateExpectation(testName, expectation);
+    }
+  }
+
+  validateContext(testName, { keyNode, value }) {
+    const context = this.expectMap(value, keyNode, `${testName}.context`);
+    if (!context) return;
+    const entries = this.entries(context);
+    this.checkKeys(entries, "context", `${testName}.context`);
+
+    const period = entries.find((entry) => entry.name === "period");
+    if (!period) {
+      this.report(
+        "error",
+        keyNode,
+        `${testName}.context: "period" is required`
+      );
+    } else if (!this.isDate(period.value)) {
+      this.report(
+        "error",
+        period.value || period.keyNode,
+        `${testName}.context.period should be a date (YYYY-MM-DD)`
+      );
+    }
+  }
+
+  validateData(testName, { keyNode, value }) {
+    const data = this.expectMap(value, keyNode, `${testName}.data`, true);
+    if (!data) return;
+    const entries = this.entries(data);
+    this.checkKeys(entries, "data", `${testName}.data`);
+
+    const company = entries.find((entry) => entry.name === "company");
+    if (company) {
+      this.expectMap(
+        company.value,
+        company.keyNode,
+        `${testName}.data.company`,
+        true
+      );
+    }
+
+    const periods = entries.find((entry) => entry.name === "periods");
+    if (!periods) return;
+    const periodsMap = this.expectMap(
+      periods.value,
+      periods.keyNode,
+      `${testName}.data.periods`,
+      true
+    );
+    if (!periodsMap) return;
+
+    for (const period of this.entries(periodsMap)) {
+      const location = `${testName}.data.periods.${period.name}`;
+      if (!this.isDate(period.keyNode)) {
+        this.report(
+          "error",
+          period.keyNode,
+          `${location}: period keys should be dates (YYYY-MM-DD)`
+        );
+      }
+      this.validatePeriod(location, period);
+    }
+  }
+
+  validatePeriod(location, { keyNode, value }) {
+    // Periods without data are allowed (e.g. previous period)
+    const period = this.expectMap(value, keyNode, location, true);
+    if (!period) return;
+    const entries = this.entries(period);
+    this.checkKeys(entries, "period", location);
+
+    const accounts = entries.find((entry) => entry.name === "accounts");
+    if (accounts) this.validateAccounts(`${location}.accounts`, accounts);
+
+    const custom = entries.find((entry) => entry.name === "custom");
+    if (custom) {
+      this.expectMap(custom.value, custom.keyNode, `${location}.custom`, true);
+    }
+
+    const reconciliations = entries.find(
+      (entry) => entry.name === "reconciliations"
+    );
+    if (!reconciliations) return;
+    const reconciliationsMap = this.expectMap(
+      reconciliations.value,
+      reconciliations.keyNode,
+      `${location}.reconciliations`,
+      true
+    );
+    if (!reconciliationsMap) return;
+    for (const reconciliation of this.entries(reconciliationsMap)) {
+      const reconciliationLocation = `${location}.reconciliations.${reconciliation.name}`;
+      const reconciliationMap = this.expectMap(
+        reconciliation.value,
+        reconciliation.keyNode,
+        reconciliationLocation,
+        true
+      );
+      if (!reconciliationMap) continue;
+      const reconciliationEntries = this.entries(reconciliationMap);
+      this.checkKeys(
+        reconciliationEntries,
+        "reconciliation",
+        reconciliationLocation
+      );
+      for (const entry of reconciliationEntries) {
+        if (entry.name === "custom" || entry.name === "results") {
+          this.expectMap(
+            entry.value,
+            entry.keyNode,
+            `${reconciliationLocation}.${entry.name}`,
+            true
+          );
+        }
+        if (entry.name === "starred" && !this.isBoolean(entry.value)) {
+          this.report(
+            "error",
+            entry.value || entry.keyNode,
+            `${reconciliationLocation}.starred should be true or false`
+          );
+        }
+      }
+    }
+  }
+
+  validateAccounts(location, { keyNode, value }) {
+    const accounts = this.expectMap(value, keyNode, location, true);
+    if (!accounts) return;
+    for (const account of this.entries(accounts)) {
+      const accountLocation = `${location}.${account.name}`;
+      // Account with details (name, value, custom, ...)
+      if (yaml.isMap(account.value)) {
+        const details = this.entries(account.value);
+        const accountValue = details.find((entry) => entry.name === "value");
+        if (accountValue && !this.isNumeric(accountValue.value)) {
+          this.report(
+            "error",
+            accountValue.value || accountValue.keyNode,
+            `${accountLocation}.value should be a number`
+          );
+        }
+        continue;
+      }
+      if (!this.isNumeric(account.value)) {
+        this.report(
+          "error",
+          account.value || account.keyNode,
+          `${accountLocation} should be a number or a map with its details`
+        );
+      }
+    }
+  }
+
+  validateExpectation(testName, { keyNode, value }) {
+    const location = `${testName}.expectation`;
+    const expectation = this.expectMap(value, keyNode, location);
+    if (!expectation) return;
+    const entries = this.entries(expectation);
+    this.checkKeys(entries, "expectation", location);
+
+    for (const entry of entries) {
+      if (entry.name === "reconciled" && !this.isBoolean(entry.value)) {
+        this.report(
+          "error",
+          entry.value || entry.keyNode,
+          `${location}.reconciled should be true or false`
+        );
+      }
+      // Values can be of any type (results can be objects or arrays)
+      if (entry.name === "results" || entry.name === "rollforward") {
+        const items = this.expectMap(
+          entry.value,
+          entry.keyNode,
+          `${location}.${entry.name}`,
+          true
+        );
+        if (items) this.entries(items);
+      }
+    }
+  }
+
+  // Resolve aliases. Unresolved aliases are reported
+  resolve(node) {
+    if (!yaml.isAlias(node)) return node ?? null;
+    const target = node.resolve(this.doc);
+    if (!target) {
+      this.report("error", node, `Anchor "${node.source}" is not defined`);
+      return undefined;
+    }
+    return this.resolve(target);
+  }
+
+  // List the pairs of a map (resolving aliases and merge keys)
+  entries(map) {
+    const entries = [];
+    for (const pair of map.items) {
+      if (this.isMergeKey(pair.key)) {
+        const sources = yaml.isSeq(pair.value)
+          ? pair.value.items
+          : [pair.value];
+        for (const source of sources) {
+          const sourceMap = this.resolve(source);
+          if (sourceMap === undefined) continue;
+          if (!yaml.isMap(sourceMap)) {
+            this.report("error", source, "Only maps can be merged (<<)");
+            continue;
+          }
+          for (const entry of this.entries(sourceMap)) {
+            // Keys of the map itself take precedence over merged keys
+            if (
+              !map.items.some((item) => this.keyName(item.key) === entry.name)
+            ) {
+              entries.push(entry);
+            }
+          }
+        }
+        continue;
+      }
+      const value = this.resolve(pair.value);
+      if (value === undefined) continue;
+      entries.push({
+        name: this.keyName(pair.key),
+        keyNode: pair.key,
+        value,
+      });
+    }
+    return entries;
+  }
+
+  isMergeKey(key) {
+    return (
+      yaml.isScalar(key) &&
+      (typeof key.value === "symbol" || key.value === "<<")
+    );
+  }
+
+  keyName(key) {
+    if (yaml.isScalar(key)) {
+      return key.source ?? String(key.value);
+    }
+    return String(key);
+  }
+
+  // Report when the node is not a map. Empty values are only allowed if `allowEmpty` is true
+  expectMap(node, keyNode, location, allowEmpty = false) {
+    if (yaml.isMap(node)) return node;
+    if (node === null || (yaml.isScalar(node) && node.value === null)) {
+      if (!allowEmpty) {
+        this.report("error", keyNode, `${location} is empty`);
+      }
+      return null;
+    }
+    this.report("error", node, `${location} should be a map`);
+    return null;
+  }
+
+  checkKeys(entries, section, location) {
+    for (const entry of entries) {
+      if (!KNOWN_KEYS[section].includes(entry.name)) {
+        this.report(
+          "warning",
+          entry.keyNode,
+          `${location}: unknown key "${entry.name}"${this.suggestion(
+            entry.name,
+            KNOWN_KEYS[section]
+          )}`
+        );
+      }
+    }
+  }
+
+  // Suggest a known key when the key looks like a typo
+  suggestion(name, knownKeys) {
+    const match = knownKeys.find((key) => editDistance(name, key) <= 2);
+    return match ? ` (did you mean "${match}"?)` : "";
+  }
+
+  isDate(node) {
+    if (!yaml.isScalar(node)) return false;
+    if (node.value instanceof Date) return !isNaN(node.value);
+    const text = String(node.value);
+    return DATE_REGEX.test(text) && !isNaN(Date.parse(text));
+  }
+
+  isNumeric(node) {
+    if (!yaml.isScalar(node)) return false;
+    if (typeof node.value === "number") return true;
+    return (
+      typeof node.value === "string" &&
+      node.value.trim() !== "" &&
+      !isNaN(Number(node.value))
+    );
+  }
+
+  isBoolean(node) {
+    return yaml.isScalar(node) && typeof node.value === "boolean";
+  }
+}
+
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) distances[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+/**
+ * List the Liquid Test files of a template (`*_liquid_test.yml` files in its tests folder and the file set in its config)
+ * @param {String} templateType Options: `reconciliationText` or `accountTemplate`
+ * @param {String} handle `handle` of the reconciliation text or `name_nl` of the account template
+ * @returns {Array<String>} Relative paths to the YAML files
+ */
+function listTestFiles(templateType, handle) {
+  const relativePath = `./${fsUtils.FOLDERS[templateType]}/${handle}`;
+  const files = [];
+  if (fsUtils.configExists(templateType, handle)) {
+    const config = fsUtils.readConfig(templateType, handle);
+    if (config.test) files.push(path.join(relativePath, config.test));
+  }
+  const testsFolder = path.join(relativePath, "tests");
+  if (fs.existsSync(testsFolder)) {
+    fs.readdirSync(testsFolder)
+      .filter((file) => file.endsWith("_liquid_test.yml"))
+      .sort()
+      .forEach((file) => files.push(path.join(testsFolder, file)));
+  }
+  return [...new Set(files)].filter((file) => fs.existsSync(file));
+}
+
+/**
+ * Log the issues found in a Liquid Test file as `file:line:col`
+ * @param {String} filePath Path to the YAML file
+ * @param {Array<Object>} issues Issues returned by `validateTestContent`
+ */
+function printIssues(filePath, issues) {
+  for (const issue of issues) {
+    const position = chalk.bold(`${filePath}:${issue.line}:${issue.col}`);
+    if (issue.severity === "error") {
+      consola.log(`${position} ${chalk.red("error")} ${issue.message}`);
+    } else {
+      consola.log(`${position} ${chalk.yellow("warning")} ${issue.message}`);
+    }
+  }
+}
+
+/**
+ * Validate the Liquid Tests of one or more templates and log the issues found
+ * @param {Array<Object>} templates `{ templateType, handle }` of each template
+ * @returns {Boolean} `true` when no errors were found (warnings are allowed)
+ */
+function validateTests(templates) {
+  let filesCount = 0;
+  let errorsCount = 0;
+  let warningsCount = 0;
+
+  for (const { templateType, handle } of templates) {
+    const files = listTestFiles(templateType, handle);
+    if (!files.length) {
+      consola.debug(`${handle}: no Liquid Test files found`);
+      continue;
+    }
+    for (const filePath of files) {
+      filesCount++;
+      const issues = validateTestFile(filePath);
+      printIssues(filePath, issues);
+      errorsCount += issues.filter(
+        (issue) => issue.severity === "error"
+      ).length;
+      warningsCount += issues.filter(
+        (issue) => issue.severity === "warning"
+      ).length;
+    }
+  }
+
+  const summary = `${filesCount} file${
+    filesCount === 1 ? "" : "s"
+  } validated: ${errorsCount} error${
+    errorsCount === 1 ? "" : "s"
+  }, ${warningsCount} warning${warningsCount === 1 ? "" : "s"}`;
+  if (errorsCount) {
+    consola.error(summary);
+    return false;
+  }
+  consola.success(summary);
+  return true;
+}
+
+module.exports = {
+  validateTestContent,
+  validateTestFile,
+  listTestFiles,
+  printIssues,
+  validateTests,
+};
@@ -0,0 +1,529 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("yaml");
+const chalk = require("chalk");
+const { consola } = require("consola");
+const SF = require("./api/sfApi");
+const toolkit = require("../index");
+const fsUtils = require("./utils/fsUtils");
+const errorUtils = require("./utils/errorUtils");
+const { MANIFEST_FILE } = require("./utils/manifestUtils");
+const templateDiff = require("./templateDiff");
+const templateSync = require("./templateSync");
+const templatePromotion = require("./templatePromotion");
+const { SharedPart } = require("./templates/sharedPart");
+
+// Shared parts go first, so they can be included by the other templates
+const TEMPLATE_TYPES = [
+  "sharedPart",
+  "reconciliationText",
+  "exportFile",
+  "accountTemplate",
+];
+
+// Attributes that can't be overridden per environment
+const CODE_ATTRIBUTES = ["text", "text_parts"];
+
+// API functions to find, create and update each type of template
+const TEMPLATE_API = {
+  sharedPart: {
+    find: SF.findSharedPartByName,
+    create: SF.createSharedPart,
+    update: SF.updateSharedPart,
+  },
+  reconciliationText: {
+    find: SF.findReconciliationTextByHandle,
+    create: SF.createReconciliationText,
+    update: SF.updateReconciliationText,
+  },
+  exportFile: {
+    find: SF.findExportFileByName,
+    create: SF.createExportFile,
+    update: SF.updateExportFile,
+  },
+  accountTemplate: {
+    find: SF.findAccountTemplateByName,
+    create: SF.createAccountTemplate,
+    update: SF.updateAccountTemplate,
+  },
+};
+
+const ACTION_SYMBOLS = {
+  create: chalk.green("+"),
+  update: chalk.yellow("~"),
+  link: chalk.green("+"),
+  unlink: chalk.red("-"),
+};
+
+function label(templateType) {
+  return templateDiff.TEMPLATE_DETAILS[templateType].label.toLowerCase();
+}
+
+function manifestError(message) {
+  consola.error(`${MANIFEST_FILE}: ${message}`);
+  process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+}
+
+// Handles or names of the templates of an environment (`all` is every template of that type in the repository)
+function readTemplateList(environmentName, templateType, value) {
+  const folder = fsUtils.FOLDERS[templateType];
+  if (value === "all") return fsUtils.getAllTemplatesOfAType(templateType);
+  if (!Array.isArray(value) || value.some((name) => typeof name !== "string")) {
+    manifestError(
+      `"${folder}" of environment "${environmentName}" should be a list of names or "all"`
+    );
+  }
+  for (const name of value) {
+    if (!fsUtils.configExists(templateType, name)) {
+      manifestError(
+        `${label(
+          templateType
+        )} "${name}" (environment "${environmentName}") not found in ${folder}`
+      );
+    }
+  }
+  return [...new Set(value)];
+}
+
+function readEnvironment(name, details) {
+  if (!details || typeof details !== "object") {
+    manifestError(`environment "${name}" should be a mapping`);
+  }
+  const { firm, partner, overrides = {}, ...lists } = details;
+  if (Boolean(firm) === Boolean(partner)) {
+    manifestError(`environment "${name}" needs either a "firm" or a "partner"`);
+  }
+
+  const templates = {};
+  for (const templateType of TEMPLATE_TYPES) templates[templateType] = [];
+  for (const [folder, value] of Object.entries(lists)) {
+    if (!Object.values(fsUtils.FOLDERS).includes(folder)) {
+      manifestError(
+        `unknown key "${folder}" in environment "${name}". Use firm, partner, overrides, ${Object.values(
+          fsUtils.FOLDERS
+        ).join(", ")}`
+      );
+    }
+    const templateType = fsUtils.TEMPLATE_TYPES.find(
+      (key) => fsUtils.FOLDERS[key] === folder
+    );
+    templates[templateType] = readTemplateList(name, templateType, value);
+  }
+
+  const environmentOverrides = {};
+  for (const templateType of TEMPLATE_TYPES) {
+    const folder = fsUtils.FOLDERS[templateType];
+    environmentOverrides[templateType] = overrides[folder] || {};
+    for (const [templateName, attributes] of Object.entries(
+      environmentOverrides[templateType]
+    )) {
+      if (!templates[templateType].includes(templateName)) {
+        manifestError(
+          `overrides of environment "${name}": ${label(
+            templateType
+          )} "${templateName}" is not part of the environment`
+        );
+      }
+      const code = Object.keys(attributes || {}).filter((attribute) =>
+        CODE_ATTRIBUTES.includes(attribute)
+      );
+      if (code.length) {
+        manifestError(
+          `overrides of environment "${name}": the Liquid code (${code.join(
+            ", "
+          )}) can't be overridden`
+        );
+      }
+    }
+  }
+
+  return {
+    name,
+    type: firm ? "firm" : "partner",
+    envId: String(firm || partner),
+    templates,
+    overrides: environmentOverrides,
+  };
+}
+
+/**
+ * Read the environments of the `silverfin.yml` manifest (at the root of the repository)
+ * @param {String[]} names Only these environments (optional)
+ * @returns {Object[]} `{ name, type, envId, templates, overrides }`, where templates and overrides are grouped by template type
+ */
+function loadManifest(names = []) {
+  const manifestPath = path.join(process.cwd(), MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    consola.error(`${MANIFEST_FILE} not found in ${process.cwd()}`);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+  let manifest;
+  try {
+    manifest = yaml.parse(fs.readFileSync(manifestPath, "utf-8"));
+  } catch (error) {
+    manifestError(`invalid YAML (${error.message})`);
+  }
+  const environments = manifest?.environments;
+  if (!environments || typeof environments !== "object") {
+    manifestError(`"environments" is missing`);
+  }
+
+  const unknown = names.filter((name) => !(name in environments));
+  if (unknown.length) {
+    manifestError(`unknown environment(s): ${unknown.join(", ")}`);
+  }
+  return Object.entries(environments)
+    .filter(([name]) => !names.length || names.includes(name))
+    .map(([name, details]) => readEnvironment(name, details));
+}
+
+function isLinked(usedIn, templateType, templateId) {
+  return (usedIn || []).some((link) => {
+    link = SharedPart.checkTemplateType({ ...link });
+    return link.id === templateId && link.type === templateType;
+  });
+}
+
+// The config of the shared part in the repository still lists the template in its `used_in`
+function listedInRepository(sharedPart, templateType, name) {
+  const { used_in } = fsUtils.readConfig("sharedPart", sharedPart);
+  return (used_in || []).some((template) => {
+    template = SharedPart.checkTemplateType({ ...template });
+    return (
+      template.type === templateType &&
+      (template.handle === name || template.name === name)
+    );
+  });
+}
+
+/**
+ * Compare an environment of the manifest with the templates stored in Silverfin
+ * @param {Object} environment See `loadManifest`
+ * @returns {Promise<Object[]>} Actions: `create`, `update`, `link` (add a shared part to a template) and `unlink` (remove it).
+ * Updates of templates changed in Silverfin since their last import or update are marked with `changedInSilverfin`. Nothing is checked or changed here: the templates are checked before they are updated (see `applyAction`)
+ */
+async function planEnvironment(environment) {
+  const { type, envId } = environment;
+  const templates = { ...environment.templates };
+
+  // Shared parts included by each template are part of the environment too
+  const includes = [];
+  const sharedParts = new Set(templates.sharedPart);
+  for (const templateType of TEMPLATE_TYPES.slice(1)) {
+    for (const name of templates[templateType]) {
+      const found = await templatePromotion.findSharedParts(templateType, name);
+      includes.push({ templateType, name, sharedParts: [...found] });
+      found.forEach((sharedPartName) => sharedParts.add(sharedPartName));
+    }
+  }
+  templates.sharedPart = [...sharedParts];
+
+  const actions = [];
+  const remoteIds = {};
+  const usedIn = {};
+  for (const templateType of TEMPLATE_TYPES) {
+    remoteIds[templateType] = {};
+    for (const name of templates[templateType]) {
+      const template = await templateDiff.readLocalTemplate(
+        type,
+        envId,
+        templateType,
+        name
+      );
+      if (!template) {
+        errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+        continue;
+      }
+      Object.assign(template, environment.overrides[templateType][name]);
+
+      const templateConfig = fsUtils.readConfig(templateType, name);
+      let id = fsUtils.getTemplateId(type, envId, templateConfig);
+      if (!id) {
+        id = (await TEMPLATE_API[templateType].find(type, envId, name))?.id;
+      }
+      const remoteTemplate = id
+        ? await templateDiff.TEMPLATE_DETAILS[templateType].readById(
+            type,
+            envId,
+            id
+          )
+        : null;
+
+      if (!remoteTemplate) {
+        actions.push({ action: "create", templateType, name, template });
+        continue;
+      }
+      remoteIds[templateType][name] = remoteTemplate.id;
+      if (templateType === "sharedPart") usedIn[name] = remoteTemplate.used_in;
+      const files = templateDiff.changedFiles(
+        templateType,
+        name,
+        template,
+        remoteTemplate
+      );
+      if (files.length) {
+        actions.push({
+          action: "update",
+          templateType,
+          name,
+          id: remoteTemplate.id,
+          template,
+          files,
+          changedInSilverfin: templateSync.changedInSilverfin(
+            type,
+            envId,
+            templateType,
+            name,
+            remoteTemplate
+          ),
+        });
+      }
+    }
+  }
+
+  for (const { templateType, name, sharedParts } of includes) {
+    const templateId = remoteIds[templateType][name];
+    for (const sharedPart of sharedParts) {
+      if (templateId && isLinked(usedIn[sharedPart], templateType, templateId))
+        continue;
+      actions.push({ action: "link", templateType, name, sharedPart });
+    }
+  }
+
+  // Shared parts that the templates of the environment don't include anymore (also those left out of the environment).
+  // Includes built at runtime can't be found in the Liquid code: links still listed in the `used_in` of the repository are kept
+  for (const sharedPart of fsUtils.getAllTemplatesOfAType("sharedPart")) {
+    if (sharedPart in usedIn) continue;
+    const id = fsUtils.getTemplateId(
+      type,
+      envId,
+      fsUtils.readConfig("sharedPart", sharedPart)
+    );
+    if (!id) continue;
+    const remoteSharedPart =
+      await templateDiff.TEMPLATE_DETAILS.sharedPart.readById(type, envId, id);
+    if (remoteSharedPart) usedIn[sharedPart] = remoteSharedPart.used_in;
+  }
+  for (const { templateType, name, sharedParts } of includes) {
+    const templateId = remoteIds[templateType][name];
+    if (!templateId) continue;
+    for (const sharedPart of Object.keys(usedIn)) {
+      if (sharedParts.includes(sharedPart)) continue;
+      if (
+        isLinked(usedIn[sharedPart], templateType, templateId) &&
+        !listedInRepository(sharedPart, templateType, name)
+      ) {
+        actions.push({ action: "unlink", templateType, name, sharedPart });
+      }
+    }
+  }
+  return actions;
+}
+
+function describeAction(action) {
+  const template = `${label(action.templateType)} ${action.name}`;
+  switch (action.action) {
+    case "create":
+      return `create ${template}`;
+    case "update":
+      return `update ${template} (${action.files.join(", ")})`;
+    case "link":
+      return `add shared part ${action.sharedPart} to ${template}`;
+    case "unlink":
+      return `remove shared part ${action.sharedPart} from ${template}`;
+  }
+}
+
+// Updates of templates changed in Silverfin are only applied with `force`
+function describeChangedInSilverfin(action, force) {
+  if (!action.changedInSilverfin) return "";
+  return chalk.red(
+    force
+      ? " - changed in Silverfin, those changes will be overwritten"
+      : ` - changed in Silverfin since the last import or update, use "--force" to overwrite those changes`
+  );
+}
+
+function printPlan(environment, actions, force) {
+  consola.info(
+    `Environment "${environment.name}" (${environment.type} ${environment.envId})`
+  );
+  if (!actions.length) {
+    consola.log("  No changes");
+    return;
+  }
+  consola.log(
+    actions
+      .map(
+        (action) =>
+          `  ${ACTION_SYMBOLS[action.action]} ${describeAction(
+            action
+          )}${describeChangedInSilverfin(action, force)}`
+      )
+      .join("\n")
+  );
+}
+
+async function applyAction(environment, action, message, force) {
+  const { type, envId } = environment;
+  const { templateType, name } = action;
+  const templateClass =
+    templateDiff.TEMPLATE_DETAILS[templateType].templateClass;
+
+  switch (action.action) {
+    case "create": {
+      const template = { ...action.template, version_comment: message };
+      const response = await TEMPLATE_API[templateType].create(
+        type,
+        envId,
+        template
+      );
+      if (response?.status != 201) return false;
+      templateClass.updateTemplateId(type, envId, name, response.data.id);
+      await templateSync.recordSync(
+        type,
+        envId,
+        templateType,
+        name,
+        response.data
+      );
+      return true;
+    }
+    case "update": {
+      const canPublish = await templateSync.checkBeforePublish(
+        type,
+        envId,
+        templateType,
+        name,
+        action.id,
+        force
+      );
+      if (!canPublish) return false;
+      const template = { ...action.template, version_comment: message };
+      if (type == "partner") {
+        template.version_significant_change = false;
+        if (templateType === "reconciliationText") delete template.is_active;
+      }
+      const response = await TEMPLATE_API[templateType].update(
+        type,
+        envId,
+        action.id,
+        template
+      );
+      if (!response?.data) return false;
+      // Found by its name, but not stored in the config yet
+      templateClass.updateTemplateId(type, envId, name, action.id);
+      await templateSync.recordSync(
+        type,
+        envId,
+        templateType,
+        name,
+        response.data
+      );
+      return true;
+    }
+    case "link":
+      return Boolean(
+        await toolkit.addSharedPart(
+          type,
+          envId,
+          action.sharedPart,
+          name,
+          templateType
+        )
+      );
+    case "unlink":
+      return Boolean(
+        await toolkit.removeSharedPart(
+          type,
+          envId,
+          action.sharedPart,
+          name,
+          templateType
+        )
+      );
+  }
+}
+
+/**
+ * Compare the environments of the `silverfin.yml` manifest with Silverfin and print the plan: templates to create or update, and shared parts to add or remove.
+ * When applied, the plan is carried out
+ * @param {String[]} environmentNames Only these environments of the manifest (optional)
+ * @param {Boolean} apply Carry out the plan
+ * @param {String} message Message for Silverfin's changelog (required for partners)
+ * @param {Boolean} force Overwrite the changes made in Silverfin since the last import or update
+ * @param {Function} confirm Called with the plan printed, before applying it (optional). The plan is only applied when it returns true
+ * @returns {Promise<Boolean>} The plan could be made (and applied)
+ */
+async function syncManifest(
+  environmentNames = [],
+  apply = false,
+  message,
+  force = false,
+  confirm
+) {
+  try {
+    const environments = loadManifest(environmentNames);
+    if (
+      apply &&
+      !message &&
+      environments.some((environment) => environment.type === "partner")
+    ) {
+      consola.error(
+        `Message required when updating partner templates. Please use "--message"`
+      );
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+    }
+    const plans = [];
+    for (const environment of environments) {
+      const actions = await planEnvironment(environment);
+      printPlan(environment, actions, force);
+      plans.push({ environment, actions });
+    }
+    const counts = plans
+      .flatMap((plan) => plan.actions)
+      .reduce((acc, { action }) => {
+        acc[action] = (acc[action] || 0) + 1;
+        return acc;
+      }, {});
+    consola.info(
+      `Plan: ${counts.create || 0} to create, ${
+        counts.update || 0
+      } to update, ${counts.link || 0} shared part(s) to add, ${
+        counts.unlink || 0
+      } to remove`
+    );
+    if (!apply) return true;
+    const changes = plans.some((plan) => plan.actions.length);
+    if (changes && confirm && !confirm()) return false;
+
+    let total = 0;
+    let failed = 0;
+    for (const { environment, actions } of plans) {
+      for (const action of actions) {
+        total++;
+        const applied = await applyAction(
+          environment,
+          action,
+          message || "Synchronized with the Silverfin CLI",
+          force
+        );
+        if (applied) {
+          consola.success(`${environment.name}: ${describeAction(action)}`);
+        } else {
+          consola.error(
+            `${environment.name}: couldn't ${describeAction(action)}`
+          );
+          failed++;
+        }
+      }
+    }
+    errorUtils.setBatchExitCode(failed, total, "Sync");
+    return failed === 0;
+  } catch (error) {
+    errorUtils.errorHandler(error);
+    return false;
+  }
+}
+
+module.exports = { MANIFEST_FILE, loadManifest, planEnvironment, syncManifest };
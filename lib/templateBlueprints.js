@@ -0,0 +1,293 @@
+const fs = require("fs");
+const path = require("path");
+const { consola } = require("consola");
+const fsUtils = require("./utils/fsUtils");
+const errorUtils = require("./utils/errorUtils");
+const templateUtils = require("./utils/templateUtils");
+const liquidTestUtils = require("./utils/liquidTestUtils");
+
+const BUNDLED_BLUEPRINTS = path.resolve(__dirname, "../resources/blueprints");
+// Blueprints of a team, stored in their repository
+const CUSTOM_BLUEPRINTS = "blueprints";
+const DEFAULT_BLUEPRINT = "default";
+const BLUEPRINT_DETAILS = "blueprint.json";
+
+// Replaced in the files of a blueprint (`{{ }}` would clash with Liquid)
+const PLACEHOLDERS = { handle: "__HANDLE__", name: "__NAME__" };
+
+// Template types, as used in the `new` command
+const TEMPLATE_TYPE_ARGUMENTS = {
+  reconciliation: "reconciliationText",
+  "shared-part": "sharedPart",
+  "export-file": "exportFile",
+  "account-template": "accountTemplate",
+};
+
+// Folders with blueprints, custom ones first (so they can replace bundled blueprints)
+function blueprintFolders(customFolders = []) {
+  const folders = [...customFolders];
+  if (
+    fs.existsSync(CUSTOM_BLUEPRINTS) &&
+    !folders.includes(CUSTOM_BLUEPRINTS)
+  ) {
+    folders.push(CUSTOM_BLUEPRINTS);
+  }
+  folders.push(BUNDLED_BLUEPRINTS);
+  return folders;
+}
+
+/**
+ * Blueprints available for a type of template
+ * @param {String} templateType
+ * @param {String[]} customFolders Folders with custom blueprints (`blueprints` in the current directory is always used)
+ * @returns {Object[]} `{ name, description, path }`, custom blueprints first
+ */
+function listBlueprints(templateType, customFolders = []) {
+  const blueprints = [];
+  for (const folder of blueprintFolders(customFolders)) {
+    const typeFolder = path.join(folder, fsUtils.FOLDERS[templateType]);
+    if (!fs.existsSync(typeFolder)) continue;
+    for (const name of fs.readdirSync(typeFolder).sort()) {
+      const blueprintPath = path.join(typeFolder, name);
+      if (!fs.statSync(blueprintPath).isDirectory()) continue;
+      if (blueprints.some((blueprint) => blueprint.name === name)) continue;
+      const detailsPath = path.join(blueprintPath, BLUEPRINT_DETAILS);
+      const details = fs.existsSync(detailsPath)
+        ? JSON.parse(fs.readFileSync(detailsPath, "utf-8"))
+        : {};
+      blueprints.push({ ...details, name, path: blueprintPath });
+    }
+  }
+  return blueprints;
+}
+
+// "fixed_assets" -> "Fixed assets"
+function readableName(name) {
+  const words = name.replace(/_/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function fillIn(text, name) {
+  return text
+    .split(PLACEHOLDERS.handle)
+    .join(name)
+    .split(PLACEHOLDERS.name)
+    .join(readableName(name));
+}
+
+// Files of a blueprint, by path relative to the blueprint folder
+function readFiles(folder, relativePath = "") {
+  const files = {};
+  for (const entry of fs.readdirSync(path.join(folder, relativePath))) {
+    const entryPath = path.join(relativePath, entry);
+    if (fs.statSync(path.join(folder, entryPath)).isDirectory()) {
+      Object.assign(files, readFiles(folder, entryPath));
+    } else if (entryPath !== BLUEPRINT_DETAILS) {
+      files[entryPath.split(path.sep).join("/")] = fs.readFileSync(
+        path.join(folder, entryPath),
+        "utf-8"
+      );
+    }
+  }
+  return files;
+}
+
+// Same layout as an imported template
+function templateFiles(templateType, name, blueprintFiles) {
+  const files = {};
+  const textParts = {};
+  const hasTests = ["reconciliationText", "accountTemplate"].includes(
+    templateType
+  );
+  for (const [filePath, content] of Object.entries(blueprintFiles)) {
+    if (filePath === "config.json") continue;
+    let templatePath = filePath;
+    if (filePath === "main.liquid" && templateType === "sharedPart") {
+      templatePath = `${name}.liquid`;
+    } else if (filePath === "tests/liquid_test.yml") {
+      if (!hasTests) continue;
+      templatePath = `tests/${name}_liquid_test.yml`;
+    } else if (/^text_parts\/[^/]+\.liquid$/.test(filePath)) {
+      textParts[path.basename(filePath, ".liquid")] = filePath;
+    }
+    files[templatePath] = fillIn(content, name);
+  }
+
+  if (hasTests) {
+    files[`tests/${name}_liquid_test.yml`] ??= "# Add your Liquid Tests here";
+    files["tests/README.md"] ??= fs.readFileSync(
+      path.resolve(__dirname, "../resources/liquidTests/README.md"),
+      "utf-8"
+    );
+  }
+  const mainFile =
+    templateType === "sharedPart" ? `${name}.liquid` : "main.liquid";
+  files[mainFile] ??= "";
+
+  const blueprintConfig = JSON.parse(
+    fillIn(blueprintFiles["config.json"] || "{}", name)
+  );
+  const config = { id: {}, partner_id: {} };
+  switch (templateType) {
+    case "reconciliationText":
+      Object.assign(config, {
+        test: `tests/${name}_liquid_test.yml`,
+        name_en: readableName(name),
+        name_nl: readableName(name),
+        ...blueprintConfig,
+        handle: name,
+      });
+      break;
+    case "accountTemplate":
+      Object.assign(config, {
+        test: `tests/${name}_liquid_test.yml`,
+        ...blueprintConfig,
+        name_nl: name,
+      });
+      break;
+    case "exportFile":
+      Object.assign(config, { ...blueprintConfig, name });
+      break;
+    case "sharedPart":
+      Object.assign(config, { ...blueprintConfig, name, used_in: [] });
+      break;
+  }
+  config.text = mainFile;
+  if (templateType !== "sharedPart") config.text_parts = textParts;
+  files["config.json"] = config;
+  return files;
+}
+
+// Include the shared parts in the template (unless the blueprint already does) and store the link in their config, to add them with "add-shared-part"
+function linkSharedParts(templateType, name, files, sharedParts) {
+  const linked = [];
+  if (templateType === "sharedPart") {
+    if (sharedParts.length) {
+      consola.warn(`Shared parts can't be added to a shared part. Skipping`);
+    }
+    return linked;
+  }
+  const liquid = {
+    text: files["main.liquid"] || " ",
+    text_parts: Object.values(files["config.json"].text_parts).map(
+      (filePath) => ({ name: filePath, content: files[filePath] })
+    ),
+  };
+  const included = liquidTestUtils.lookForSharedPartsInLiquid(liquid, name);
+
+  for (const sharedPartName of sharedParts) {
+    if (!fsUtils.configExists("sharedPart", sharedPartName)) {
+      consola.warn(
+        `Shared part "${sharedPartName}" not found in the repository. Skipping it`
+      );
+      continue;
+    }
+    if (!included.includes(sharedPartName)) {
+      files["main.liquid"] =
+        `{% include "shared/${sharedPartName}" %}\n` + files["main.liquid"];
+    }
+    const sharedPartConfig = fsUtils.readConfig("sharedPart", sharedPartName);
+    sharedPartConfig.used_in = sharedPartConfig.used_in || [];
+    if (
+      !sharedPartConfig.used_in.some(
+        (template) => template.type === templateType && template.handle === name
+      )
+    ) {
+      sharedPartConfig.used_in.push({
+        id: {},
+        partner_id: {},
+        type: templateType,
+        handle: name,
+      });
+    }
+    linked.push({ sharedPartName, sharedPartConfig });
+  }
+  return linked;
+}
+
+/**
+ * Create a new template in the repository from a blueprint: config file, Liquid files (main part and text parts) and a Liquid Test.
+ * Blueprints are folders with the files of a template (`config.json`, `main.liquid`, `text_parts/*.liquid`, `tests/liquid_test.yml`) where `__HANDLE__` and `__NAME__` are replaced, and an optional `blueprint.json` (`description` and `shared_parts` to include)
+ * @param {String} templateType
+ * @param {String} name Handle or name of the new template
+ * @param {String} blueprintName
+ * @param {String[]} customFolders Folders with custom blueprints (`blueprints` in the current directory is always used)
+ * @param {String[]} sharedParts Shared parts of the repository to include
+ * @returns {Boolean} Created
+ */
+function newTemplate(
+  templateType,
+  name,
+  blueprintName = DEFAULT_BLUEPRINT,
+  customFolders = [],
+  sharedParts = []
+) {
+  try {
+    const folder = path.join(fsUtils.FOLDERS[templateType], name);
+    if (!name || !templateUtils.checkValidName(name, templateType)) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+    if (fs.existsSync(folder)) {
+      consola.error(`"${folder}" already exists`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+    const blueprints = listBlueprints(templateType, customFolders);
+    const blueprint = blueprints.find(
+      (blueprint) => blueprint.name === blueprintName
+    );
+    if (!blueprint) {
+      consola.error(
+        `Blueprint "${blueprintName}" not found. Available blueprints: ${blueprints
+          .map((blueprint) => blueprint.name)
+          .join(", ")}`
+      );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+
+    const files = templateFiles(templateType, name, readFiles(blueprint.path));
+    const linked = linkSharedParts(templateType, name, files, [
+      ...new Set([...(blueprint.shared_parts || []), ...sharedParts]),
+    ]);
+
+    for (const [filePath, content] of Object.entries(files)) {
+      if (filePath === "config.json") continue;
+      fs.mkdirSync(path.dirname(path.join(folder, filePath)), {
+        recursive: true,
+      });
+      fs.writeFileSync(path.join(folder, filePath), content);
+    }
+    if (templateType !== "sharedPart") {
+      fs.mkdirSync(path.join(folder, "text_parts"), { recursive: true });
+    }
+    fsUtils.writeConfig(templateType, name, files["config.json"]);
+    for (const { sharedPartName, sharedPartConfig } of linked) {
+      fsUtils.writeConfig("sharedPart", sharedPartName, sharedPartConfig);
+    }
+
+    consola.success(
+      `"${folder}" created from the "${blueprint.name}" blueprint`
+    );
+    if (linked.length) {
+      consola.info(
+        `Shared parts included: ${linked
+          .map(({ sharedPartName }) => sharedPartName)
+          .join(
+            ", "
+          )}. Add them with "add-shared-part" once the template is created in Silverfin`
+      );
+    }
+    return true;
+  } catch (error) {
+    errorUtils.errorHandler(error);
+    return false;
+  }
+}
+
+module.exports = {
+  TEMPLATE_TYPE_ARGUMENTS,
+  listBlueprints,
+  newTemplate,
+};
@@ -0,0 +1,233 @@
+const chalk = require("chalk");
+const { consola } = require("consola");
+const SF = require("./api/sfApi");
+const fsUtils = require("./utils/fsUtils");
+const errorUtils = require("./utils/errorUtils");
+const diffUtils = require("./utils/diffUtils");
+const { ReconciliationText } = require("./templates/reconciliationText");
+const { SharedPart } = require("./templates/sharedPart");
+const { ExportFile } = require("./templates/exportFile");
+const { AccountTemplate } = require("./templates/accountTemplate");
+
+// How to read each type of template (locally and in Silverfin). `readById` returns the template returned by the API
+const TEMPLATE_DETAILS = {
+  reconciliationText: {
+    label: "Reconciliation",
+    templateClass: ReconciliationText,
+    readById: async (type, envId, id) =>
+      (await SF.readReconciliationTextById(type, envId, id))?.data,
+    missingId: errorUtils.missingReconciliationId,
+  },
+  sharedPart: {
+    label: "Shared part",
+    templateClass: SharedPart,
+    readById: async (type, envId, id) =>
+      (await SF.readSharedPartById(type, envId, id))?.data,
+    missingId: errorUtils.missingSharedPartId,
+  },
+  exportFile: {
+    label: "Export file",
+    templateClass: ExportFile,
+    readById: SF.readExportFileById,
+    missingId: errorUtils.missingExportFileId,
+  },
+  accountTemplate: {
+    label: "Account template",
+    templateClass: AccountTemplate,
+    readById: SF.readAccountTemplateById,
+    missingId: errorUtils.missingAccountTemplateId,
+  },
+};
+
+const DIFF_COLORS = { "+": chalk.green, "-": chalk.red, "@": chalk.cyan };
+
+// Template as it would be sent to Silverfin by the update commands
+async function readLocalTemplate(type, envId, templateType, name) {
+  const template = await TEMPLATE_DETAILS[templateType].templateClass.read(
+    name
+  );
+  if (!template) return false;
+
+  // Mapping list ranges are only sent for the current environment, without the details of the environment
+  if (templateType === "accountTemplate") {
+    template.mapping_list_ranges = (template.mapping_list_ranges || [])
+      .filter((range) => range.type === type && range.env_id === envId)
+      .map(({ type, env_id, ...range }) => range);
+  }
+  return template;
+}
+
+// Attributes sent by the update commands, besides the Liquid code
+function templateAttributes(template) {
+  return Object.keys(template).filter(
+    (attribute) => !["text", "text_parts"].includes(attribute)
+  );
+}
+
+/**
+ * Liquid code and attributes of a template, by file name. Only the attributes sent by the update commands are compared
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ * @param {Object} template Remote or local template
+ * @param {String[]} attributes Attributes to compare
+ * @returns {Object} Content of each file
+ */
+function templateFiles(templateType, name, template, attributes) {
+  const mainFile =
+    templateType === "sharedPart" ? `${name}.liquid` : "main.liquid";
+  const files = { [mainFile]: template.text ?? "" };
+  for (const part of template.text_parts || []) {
+    if (!part.name) continue;
+    files[`text_parts/${part.name}.liquid`] = part.content ?? "";
+  }
+  const config = attributes.reduce((acc, attribute) => {
+    acc[attribute] = template[attribute] ?? null;
+    return acc;
+  }, {});
+  files["config.json"] = JSON.stringify(config, null, 2);
+  return files;
+}
+
+// Remote and local files of a template, and the names of the files in any of them
+function pairFiles(templateType, name, localTemplate, remoteTemplate) {
+  const attributes = templateAttributes(localTemplate);
+  const remoteFiles = templateFiles(
+    templateType,
+    name,
+    remoteTemplate,
+    attributes
+  );
+  const localFiles = templateFiles(
+    templateType,
+    name,
+    localTemplate,
+    attributes
+  );
+  const fileNames = [
+    ...new Set([...Object.keys(remoteFiles), ...Object.keys(localFiles)]),
+  ];
+  return { fileNames, remoteFiles, localFiles };
+}
+
+/**
+ * Unified diff between the local files of a template and the template stored in Silverfin
+ * @param {String} templateType Options: `reconciliationText`, `sharedPart`, `exportFile` or `accountTemplate`
+ * @param {String} name Handle or name of the template
+ * @param {Object} localTemplate Template as it would be sent to Silverfin (see `read` of each template class)
+ * @param {Object} remoteTemplate Template returned by the Silverfin API
+ * @returns {String[]} Lines of the diff. Empty when there are no changes
+ */
+function compareTemplates(templateType, name, localTemplate, remoteTemplate) {
+  const { fileNames, remoteFiles, localFiles } = pairFiles(
+    templateType,
+    name,
+    localTemplate,
+    remoteTemplate
+  );
+  const folder = `${fsUtils.FOLDERS[templateType]}/${name}`;
+  return fileNames.flatMap((fileName) =>
+    diffUtils.unifiedDiff(remoteFiles[fileName], localFiles[fileName], {
+      oldLabel:
+        fileName in remoteFiles ? `remote/${folder}/${fileName}` : "/dev/null",
+      newLabel:
+        fileName in localFiles ? `local/${folder}/${fileName}` : "/dev/null",
+    })
+  );
+}
+
+/**
+ * Files of a template that an update would change (see `compareTemplates`)
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ * @param {Object} localTemplate
+ * @param {Object} remoteTemplate
+ * @returns {String[]} Names of the changed files (e.g. `main.liquid` or `config.json`)
+ */
+function changedFiles(templateType, name, localTemplate, remoteTemplate) {
+  const { fileNames, remoteFiles, localFiles } = pairFiles(
+    templateType,
+    name,
+    localTemplate,
+    remoteTemplate
+  );
+  return fileNames.filter(
+    (fileName) =>
+      diffUtils.unifiedDiff(remoteFiles[fileName], localFiles[fileName]).length
+  );
+}
+
+/**
+ * Print the changes that an update would make to a template in Silverfin (remote template vs local files)
+ * @param {String} type firm or partner
+ * @param {Number} envId
+ * @param {String} templateType Options: `reconciliationText`, `sharedPart`, `exportFile` or `accountTemplate`
+ * @param {String} name Handle or name of the template
+ * @returns {Promise<Boolean>} The template could be compared
+ */
+async function diffTemplate(type, envId, templateType, name) {
+  const details = TEMPLATE_DETAILS[templateType];
+  try {
+    if (!fsUtils.configExists(templateType, name)) {
+      consola.error(`${details.label} "${name}" not found in the repository`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+    const templateConfig = fsUtils.readConfig(templateType, name);
+    const templateId = fsUtils.getTemplateId(type, envId, templateConfig);
+    if (!templateId) {
+      return details.missingId(name);
+    }
+
+    const localTemplate = await readLocalTemplate(
+      type,
+      envId,
+      templateType,
+      name
+    );
+    if (!localTemplate) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+    const remoteTemplate = await details.readById(type, envId, templateId);
+    if (!remoteTemplate) {
+      consola.error(
+        `${details.label} ${name} (id: ${templateId}) wasn't found in ${type} ${envId}`
+      );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+      return false;
+    }
+
+    const lines = compareTemplates(
+      templateType,
+      name,
+      localTemplate,
+      remoteTemplate
+    );
+    if (!lines.length) {
+      consola.info(`${details.label} ${name}: no changes`);
+      return true;
+    }
+    consola.info(`${details.label} ${name}: changes to be published`);
+    consola.log(lines.map(colorLine).join("\n"));
+    return true;
+  } catch (error) {
+    errorUtils.errorHandler(error);
+    return false;
+  }
+}
+
+function colorLine(line) {
+  if (line.startsWith("---") || line.startsWith("+++")) return chalk.bold(line);
+  const color = DIFF_COLORS[line[0]];
+  return color ? color(line) : line;
+}
+
+module.exports = {
+  TEMPLATE_DETAILS,
+  readLocalTemplate,
+  templateAttributes,
+  templateFiles,
+  compareTemplates,
+  changedFiles,
+  diffTemplate,
+};
@@ -0,0 +1,295 @@
+const { consola } = require("consola");
+const SF = require("./api/sfApi");
+const toolkit = require("../index");
+const fsUtils = require("./utils/fsUtils");
+const errorUtils = require("./utils/errorUtils");
+const liquidTestUtils = require("./utils/liquidTestUtils");
+const templateDiff = require("./templateDiff");
+const { SharedPart } = require("./templates/sharedPart");
+
+// How to find, create and update each type of template in an environment. Shared parts go first, so they can be included by the other templates
+const PROMOTION_STEPS = {
+  sharedPart: {
+    find: SF.findSharedPartByName,
+    create: toolkit.newSharedPart,
+    update: toolkit.publishSharedPartByName,
+  },
+  reconciliationText: {
+    find: SF.findReconciliationTextByHandle,
+    create: toolkit.newReconciliation,
+    update: toolkit.publishReconciliationByHandle,
+  },
+  exportFile: {
+    find: SF.findExportFileByName,
+    create: toolkit.newExportFile,
+    update: toolkit.publishExportFileByName,
+  },
+  accountTemplate: {
+    find: SF.findAccountTemplateByName,
+    create: toolkit.newAccountTemplate,
+    update: toolkit.publishAccountTemplateByName,
+  },
+};
+
+function describeEnvironment(environment) {
+  return `${environment.type} ${environment.envId}`;
+}
+
+function getId(environment, templateType, name) {
+  if (!fsUtils.configExists(templateType, name)) return undefined;
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  return fsUtils.getTemplateId(
+    environment.type,
+    environment.envId,
+    templateConfig
+  );
+}
+
+/**
+ * Templates to promote, by type. With `all`, every template of the repository that is stored in the source environment
+ * @param {Object} source `{ type, envId }`
+ * @param {Object} selection Handles or names, by template type (e.g. `{ reconciliationText: ["handle"] }`)
+ * @param {Boolean} all
+ * @returns {Object} Handles or names, by template type
+ */
+function selectTemplates(source, selection, all) {
+  const templates = {};
+  for (const templateType of Object.keys(PROMOTION_STEPS)) {
+    templates[templateType] = all
+      ? fsUtils
+          .getAllTemplatesOfAType(templateType)
+          .filter((name) => getId(source, templateType, name))
+      : [...new Set(selection[templateType] || [])];
+  }
+  return templates;
+}
+
+// Shared parts included in the Liquid code of a template, also through other shared parts
+async function findSharedParts(templateType, name, found = new Set()) {
+  const template = await templateDiff.TEMPLATE_DETAILS[
+    templateType
+  ].templateClass.read(name);
+  if (!template) return found;
+
+  const included =
+    liquidTestUtils.lookForSharedPartsInLiquid(template, name) || [];
+  for (const sharedPartName of included) {
+    if (found.has(sharedPartName)) continue;
+    if (!fsUtils.configExists("sharedPart", sharedPartName)) {
+      consola.warn(
+        `Shared part "${sharedPartName}" (used in ${name}) not found in the repository. Skipping it`
+      );
+      continue;
+    }
+    found.add(sharedPartName);
+    await findSharedParts("sharedPart", sharedPartName, found);
+  }
+  return found;
+}
+
+// The local files have to be the version stored in the source environment
+async function matchesSource(source, templateType, name) {
+  const details = templateDiff.TEMPLATE_DETAILS[templateType];
+  const environment = describeEnvironment(source);
+  const templateId = getId(source, templateType, name);
+  if (!templateId) {
+    consola.error(
+      `${details.label} ${name} has no id for ${environment}. Create or import it there first`
+    );
+    return false;
+  }
+  const localTemplate = await templateDiff.readLocalTemplate(
+    source.type,
+    source.envId,
+    templateType,
+    name
+  );
+  const remoteTemplate = await details.readById(
+    source.type,
+    source.envId,
+    templateId
+  );
+  if (!localTemplate || !remoteTemplate) {
+    consola.error(
+      `${details.label} ${name} couldn't be read locally or in ${environment}`
+    );
+    return false;
+  }
+  const changes = templateDiff.compareTemplates(
+    templateType,
+    name,
+    localTemplate,
+    remoteTemplate
+  );
+  if (changes.length) {
+    consola.error(
+      `${details.label} ${name}: the local files don't match ${environment}. Update or import the template first (see "silverfin diff")`
+    );
+    return false;
+  }
+  return true;
+}
+
+// Create the template in the target environment, or update it when it's already there
+async function promoteTemplate(target, templateType, name, message, force) {
+  const steps = PROMOTION_STEPS[templateType];
+  let templateId = getId(target, templateType, name);
+
+  // Stored in the environment, but not in the config yet
+  if (!templateId) {
+    const existingTemplate = await steps.find(target.type, target.envId, name);
+    if (existingTemplate) {
+      const templateConfig = fsUtils.readConfig(templateType, name);
+      fsUtils.setTemplateId(
+        target.type,
+        target.envId,
+        templateConfig,
+        existingTemplate.id
+      );
+      fsUtils.writeConfig(templateType, name, templateConfig);
+      templateId = existingTemplate.id;
+    }
+  }
+
+  if (!templateId) {
+    return (await steps.create(target.type, target.envId, name)) === true;
+  }
+  return Boolean(
+    await steps.update(
+      target.type,
+      target.envId,
+      name,
+      message,
+      false,
+      force,
+      false
+    )
+  );
+}
+
+// Add the shared parts to the template in the target environment, unless they were already added
+async function linkSharedParts(target, templateType, name, sharedParts) {
+  let failed = 0;
+  for (const sharedPartName of sharedParts) {
+    const templateId = getId(target, templateType, name);
+    const sharedPartId = getId(target, "sharedPart", sharedPartName);
+    if (!templateId || !sharedPartId) {
+      // Their creation failed (already reported)
+      failed++;
+      continue;
+    }
+
+    const response = await SF.readSharedPartById(
+      target.type,
+      target.envId,
+      sharedPartId
+    );
+    const linked = (response?.data?.used_in || []).some((link) => {
+      link = SharedPart.checkTemplateType({ ...link });
+      return link.id === templateId && link.type === templateType;
+    });
+    if (linked) continue;
+
+    const added = await toolkit.addSharedPart(
+      target.type,
+      target.envId,
+      sharedPartName,
+      name,
+      templateType
+    );
+    if (!added) failed++;
+  }
+  return failed;
+}
+
+/**
+ * Promote templates from one environment to others (e.g. from a test firm to the production firms and a partner environment).
+ * Missing templates are created and existing ones updated, with the shared parts they include. Those shared parts are added to the templates when needed, and all new IDs are stored in the config files.
+ * The local files have to match the templates stored in the source environment
+ * @param {Object} source `{ type, envId }`
+ * @param {Object[]} targets `[{ type, envId }]`
+ * @param {Object} selection Handles or names, by template type (e.g. `{ reconciliationText: ["handle"], sharedPart: ["name"] }`)
+ * @param {Object} options
+ * @param {Boolean} options.all Promote all templates of the repository stored in the source environment
+ * @param {String} options.message Message for Silverfin's changelog
+ * @param {Boolean} options.force Overwrite the changes made in the target environments since the last import or update
+ * @returns {Promise<Boolean>} All templates were promoted
+ */
+async function promoteTemplates(source, targets, selection, options = {}) {
+  try {
+    const templates = selectTemplates(source, selection, options.all);
+
+    // Shared parts included by each template
+    const links = [];
+    const sharedParts = new Set(templates.sharedPart);
+    for (const templateType of Object.keys(templates)) {
+      if (templateType === "sharedPart") continue;
+      for (const name of templates[templateType]) {
+        const found = await findSharedParts(templateType, name);
+        links.push({ templateType, name, sharedParts: [...found] });
+        found.forEach((sharedPartName) => sharedParts.add(sharedPartName));
+      }
+    }
+    templates.sharedPart = [...sharedParts];
+
+    const selected = Object.entries(templates).flatMap(
+      ([templateType, names]) => names.map((name) => ({ templateType, name }))
+    );
+    if (!selected.length) {
+      consola.error(
+        `No templates to promote from ${describeEnvironment(source)}`
+      );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+
+    // Nothing is promoted unless every template matches the source
+    let mismatches = 0;
+    for (const { templateType, name } of selected) {
+      if (!(await matchesSource(source, templateType, name))) mismatches++;
+    }
+    if (mismatches) {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+
+    const message =
+      options.message || `Promoted from ${describeEnvironment(source)}`;
+    let total = 0;
+    let failed = 0;
+    for (const target of targets) {
+      consola.info(
+        `Promoting ${selected.length} template(s) to ${describeEnvironment(
+          target
+        )}`
+      );
+      for (const { templateType, name } of selected) {
+        total++;
+        const promoted = await promoteTemplate(
+          target,
+          templateType,
+          name,
+          message,
+          options.force
+        );
+        if (!promoted) failed++;
+      }
+      for (const link of links) {
+        total += link.sharedParts.length;
+        failed += await linkSharedParts(
+          target,
+          link.templateType,
+          link.name,
+          link.sharedParts
+        );
+      }
+    }
+    errorUtils.setBatchExitCode(failed, total, "Promote templates");
+    return failed === 0;
+  } catch (error) {
+    errorUtils.errorHandler(error);
+    return false;
+  }
+}
+
+module.exports = { findSharedParts, promoteTemplates };
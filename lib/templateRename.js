@@ -0,0 +1,492 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("yaml");
+const { consola } = require("consola");
+const toolkit = require("../index");
+const fsUtils = require("./utils/fsUtils");
+const errorUtils = require("./utils/errorUtils");
+const templateUtils = require("./utils/templateUtils");
+const manifestUtils = require("./utils/manifestUtils");
+const liquidTestUtils = require("./utils/liquidTestUtils");
+const liquidUtils = require("./utils/liquidUtils");
+const { parse } = require("./liquid/parser");
+const { LiquidSyntaxError } = require("./liquid/errors");
+const { findDependencies } = require("./liquid/dependencies");
+const templateSync = require("./templateSync");
+const manifestSync = require("./manifestSync");
+
+const PUBLISH_FUNCTIONS = {
+  reconciliationText: toolkit.publishReconciliationByHandle,
+  sharedPart: toolkit.publishSharedPartByName,
+  exportFile: toolkit.publishExportFileByName,
+  accountTemplate: toolkit.publishAccountTemplateByName,
+};
+
+const TEST_FOLDERS = ["reconciliationText", "accountTemplate"];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Liquid files of a template (main part and text parts): `{ filePath, part }`, where `part` is the name of the text part
+function liquidFiles(templateType, name) {
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  const folder = path.join(fsUtils.FOLDERS[templateType], name);
+  return [
+    { file: templateConfig.text },
+    ...Object.entries(templateConfig.text_parts || {}).map(([part, file]) => ({
+      file,
+      part,
+    })),
+  ]
+    .filter(({ file }) => file)
+    .map(({ file, part }) => ({ filePath: path.join(folder, file), part }))
+    .filter(({ filePath }) => fs.existsSync(filePath));
+}
+
+// Variables assigned to the reconciliations of a period (e.g. `{% assign recs = period.minus_1y.reconciliations %}`)
+function reconciliationAliases(contents) {
+  const aliases = new Set();
+  for (const content of contents) {
+    let document;
+    try {
+      document = parse(content || "");
+    } catch (error) {
+      if (!(error instanceof LiquidSyntaxError)) throw error;
+      continue;
+    }
+    for (const node of liquidUtils.findTags(document.body, "assign")) {
+      const { expression } = node;
+      if (
+        expression?.type === "variable" &&
+        expression.name !== null &&
+        expression.path.every((segment) => typeof segment === "string") &&
+        expression.path[expression.path.length - 1] === "reconciliations"
+      ) {
+        aliases.add(node.variable);
+      }
+    }
+  }
+  return [...aliases];
+}
+
+/**
+ * New content of a Liquid file that refers to the renamed template, or null.
+ * Reconciliations are renamed where they are read from the reconciliations of any period (`period.minus_1y.reconciliations.<handle>`, `reconciliations["<handle>"]`) or from a variable assigned to them (see `reconciliationAliases`)
+ */
+function renameInLiquid(templateType, oldName, newName, content, aliases = []) {
+  if (!content) return null;
+  if (templateType === "sharedPart") {
+    const liquid = { text: content, text_parts: [] };
+    const sharedParts =
+      liquidTestUtils.lookForSharedPartsInLiquid(liquid, oldName) || [];
+    if (!sharedParts.includes(oldName)) return null;
+    return content.replace(
+      new RegExp(`(shared\\/)${escapeRegExp(oldName)}(?!\\w)`, "g"),
+      `$1${newName}`
+    );
+  }
+
+  const name = escapeRegExp(oldName);
+  const renamed = [
+    "\\.reconciliations",
+    ...aliases.map((alias) => `(?<![\\w.])${escapeRegExp(alias)}`),
+  ].reduce(
+    (text, variable) =>
+      text
+        .replace(
+          new RegExp(`(${variable}\\.)${name}(?!\\w)`, "g"),
+          `$1${newName}`
+        )
+        .replace(
+          new RegExp(`(${variable}\\[(["']))${name}(?=\\2\\])`, "g"),
+          `$1${newName}`
+        ),
+    content
+  );
+  return renamed === content ? null : renamed;
+}
+
+// References to a reconciliation that are still found by the analysis of the Liquid code of a template (e.g. a handle built with a capture)
+function remainingReferences(template, oldName) {
+  const { periods } = findDependencies(template);
+  return Object.keys(periods)
+    .filter((period) => oldName in periods[period].reconciliations)
+    .map(
+      (period) =>
+        `${
+          period === "current" ? "period" : `period.${period}`
+        }.reconciliations.${oldName}`
+    );
+}
+
+// Replace the text of YAML nodes, keeping the rest of the file (comments, quotes, anchors) as it is
+function replaceNodes(source, nodes, oldName, newName) {
+  return nodes
+    .sort((a, b) => b.range[0] - a.range[0])
+    .reduce(
+      (text, node) =>
+        text.slice(0, node.range[0]) +
+        text.slice(node.range[0], node.range[1]).replace(oldName, newName) +
+        text.slice(node.range[1]),
+      source
+    );
+}
+
+// Keys of `reconciliations` (data of the periods) in a Liquid Test file
+function renameInTests(source, oldName, newName) {
+  const document = yaml.parseDocument(source);
+  if (document.errors.length) return null;
+  const keys = [];
+  yaml.visit(document, {
+    Pair(_, pair, ancestors) {
+      const parent = ancestors[ancestors.length - 2];
+      if (
+        yaml.isScalar(pair.key) &&
+        pair.key.value === oldName &&
+        yaml.isPair(parent) &&
+        parent.key?.value === "reconciliations"
+      ) {
+        keys.push(pair.key);
+      }
+    },
+  });
+  return keys.length ? replaceNodes(source, keys, oldName, newName) : null;
+}
+
+// Templates listed in the environments of silverfin.yml (and their overrides)
+function renameInManifest(source, templateType, oldName, newName) {
+  const document = yaml.parseDocument(source);
+  if (document.errors.length) return null;
+  const nodes = manifestUtils
+    .findTemplateNodes(document, templateType, oldName)
+    .map(({ node }) => (yaml.isPair(node) ? node.key : node));
+  return nodes.length ? replaceNodes(source, nodes, oldName, newName) : null;
+}
+
+// Firms and partners where the template is stored (IDs of its config file)
+function environments(templateType, name) {
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  return [
+    ...Object.keys(templateConfig.id || {}).map((envId) => ({
+      type: "firm",
+      envId,
+    })),
+    ...Object.keys(templateConfig.partner_id || {}).map((envId) => ({
+      type: "partner",
+      envId,
+    })),
+  ].map((environment) => ({
+    ...environment,
+    id: fsUtils.getTemplateId(
+      environment.type,
+      environment.envId,
+      templateConfig
+    ),
+  }));
+}
+
+/**
+ * Every change needed in the repository: files to write (`{ filePath, content }`) and files or folders to move (`{ from, to }`), the templates whose Liquid code changed,
+ * and the references that couldn't be renamed (`{ templateType, name, references }`)
+ */
+function planChanges(templateType, oldName, newName) {
+  const writes = [];
+  const moves = [];
+  const dependents = [];
+  const unrenamed = [];
+  const folder = fsUtils.FOLDERS[templateType];
+  const oldFolder = path.join(folder, oldName);
+  const newFolder = path.join(folder, newName);
+
+  // References in the Liquid code of every template
+  for (const type of fsUtils.TEMPLATE_TYPES) {
+    for (const name of fsUtils.getAllTemplatesOfAType(type)) {
+      const files = liquidFiles(type, name).map((file) => ({
+        ...file,
+        content: fs.readFileSync(file.filePath, "utf-8"),
+      }));
+      const aliases =
+        templateType === "reconciliationText"
+          ? reconciliationAliases(files.map(({ content }) => content))
+          : [];
+      let changed = false;
+      for (const file of files) {
+        const content = renameInLiquid(
+          templateType,
+          oldName,
+          newName,
+          file.content,
+          aliases
+        );
+        if (content === null) continue;
+        writes.push({ filePath: file.filePath, content });
+        file.content = content;
+        changed = true;
+      }
+      if (changed && !(type === templateType && name === oldName)) {
+        dependents.push({ templateType: type, name });
+      }
+
+      if (templateType !== "reconciliationText") continue;
+      const references = remainingReferences(
+        {
+          text: files.find(({ part }) => !part)?.content,
+          text_parts: files
+            .filter(({ part }) => part)
+            .map(({ part, content }) => ({ name: part, content })),
+        },
+        oldName
+      );
+      if (references.length) {
+        unrenamed.push({ templateType: type, name, references });
+      }
+    }
+  }
+
+  // Config files
+  const templateConfig = fsUtils.readConfig(templateType, oldName);
+  if (templateType === "reconciliationText") {
+    templateConfig.handle = newName;
+    const testPattern = new RegExp(
+      `^${escapeRegExp(oldName)}((?:_\\d+)?_liquid_test\\.yml)$`
+    );
+    const testsFolder = path.join(oldFolder, "tests");
+    for (const file of fs.existsSync(testsFolder)
+      ? fs.readdirSync(testsFolder)
+      : []) {
+      if (!testPattern.test(file)) continue;
+      const newFile = file.replace(testPattern, `${newName}$1`);
+      moves.push({
+        from: path.join(testsFolder, file),
+        to: path.join(testsFolder, newFile),
+      });
+      if (templateConfig.test === `tests/${file}`) {
+        templateConfig.test = `tests/${newFile}`;
+      }
+    }
+  } else {
+    templateConfig.name = newName;
+    if (templateConfig.text === `${oldName}.liquid`) {
+      templateConfig.text = `${newName}.liquid`;
+      moves.push({
+        from: path.join(oldFolder, `${oldName}.liquid`),
+        to: path.join(oldFolder, `${newName}.liquid`),
+      });
+    }
+  }
+  writes.push({
+    filePath: path.join(oldFolder, "config.json"),
+    content: JSON.stringify(templateConfig, null, 2),
+  });
+
+  if (templateType === "reconciliationText") {
+    // Shared parts used in the reconciliation
+    for (const name of fsUtils.getAllTemplatesOfAType("sharedPart")) {
+      const sharedPartConfig = fsUtils.readConfig("sharedPart", name);
+      const usedIn = (sharedPartConfig.used_in || []).filter(
+        (template) =>
+          template.type === templateType && template.handle === oldName
+      );
+      if (!usedIn.length) continue;
+      usedIn.forEach((template) => (template.handle = newName));
+      writes.push({
+        filePath: path.join(fsUtils.FOLDERS.sharedPart, name, "config.json"),
+        content: JSON.stringify(sharedPartConfig, null, 2),
+      });
+    }
+
+    // Data of the reconciliation in every Liquid Test
+    for (const type of TEST_FOLDERS) {
+      for (const name of fsUtils.getAllTemplatesOfAType(type)) {
+        const testsFolder = path.join(fsUtils.FOLDERS[type], name, "tests");
+        if (!fs.existsSync(testsFolder)) continue;
+        for (const file of fs.readdirSync(testsFolder)) {
+          if (!/\.ya?ml$/.test(file)) continue;
+          const filePath = path.join(testsFolder, file);
+          const content = renameInTests(
+            fs.readFileSync(filePath, "utf-8"),
+            oldName,
+            newName
+          );
+          if (content !== null) writes.push({ filePath, content });
+        }
+      }
+    }
+  }
+
+  if (fs.existsSync(manifestSync.MANIFEST_FILE)) {
+    const content = renameInManifest(
+      fs.readFileSync(manifestSync.MANIFEST_FILE, "utf-8"),
+      templateType,
+      oldName,
+      newName
+    );
+    if (content !== null) {
+      writes.push({ filePath: manifestSync.MANIFEST_FILE, content });
+    }
+  }
+
+  // Files inside the folder are moved before the folder itself
+  moves.push({ from: oldFolder, to: newFolder });
+  const snapshots = path.join(".silverfin", "sync", folder);
+  if (fs.existsSync(path.join(snapshots, oldName))) {
+    moves.push({
+      from: path.join(snapshots, oldName),
+      to: path.join(snapshots, newName),
+    });
+  }
+  return { writes, moves, dependents, unrenamed };
+}
+
+// Write and move the files, or leave the repository as it was when one of them fails
+function applyChanges({ writes, moves }) {
+  const done = [];
+  try {
+    for (const { filePath, content } of writes) {
+      const original = fs.readFileSync(filePath, "utf-8");
+      fs.writeFileSync(filePath, content);
+      done.push(() => fs.writeFileSync(filePath, original));
+    }
+    for (const { from, to } of moves) {
+      fs.renameSync(from, to);
+      done.push(() => fs.renameSync(to, from));
+    }
+    return true;
+  } catch (error) {
+    consola.error(`Renaming failed, the changes are undone: ${error.message}`);
+    done.reverse().forEach((undo) => undo());
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.UNEXPECTED_ERROR);
+    return false;
+  }
+}
+
+/**
+ * Rename a reconciliation or shared part in the repository and in every firm and partner stored in its config file.
+ * References in the Liquid code of other templates (`period.reconciliations.<handle>` or `shared/<name>` includes), Liquid Tests, config files and silverfin.yml are updated too, and the templates whose code changed are updated in their firms and partners.
+ * Nothing is changed when one of those templates was changed in Silverfin since its last import or update, or when the analysis of its Liquid code still finds references that couldn't be renamed
+ * @param {String} templateType `reconciliationText` or `sharedPart`
+ * @param {String} oldName Current handle or name
+ * @param {String} newName
+ * @param {String} message Message for Silverfin's changelog (required for partners)
+ * @returns {Promise<Boolean>} Renamed everywhere
+ */
+async function renameTemplate(templateType, oldName, newName, message) {
+  try {
+    const folder = fsUtils.FOLDERS[templateType];
+    if (!fsUtils.configExists(templateType, oldName)) {
+      consola.error(`"${oldName}" not found in ${folder}`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+    if (
+      oldName === newName ||
+      !templateUtils.checkValidName(newName, templateType) ||
+      fs.existsSync(path.join(folder, newName))
+    ) {
+      consola.error(`"${newName}" is not available in ${folder}`);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+
+    const changes = planChanges(templateType, oldName, newName);
+    if (changes.unrenamed.length) {
+      changes.unrenamed.forEach(({ name, references }) =>
+        consola.error(`"${name}": ${references.join(", ")} couldn't be renamed`)
+      );
+      consola.error(
+        `"${oldName}" was not renamed: those references can't be updated automatically`
+      );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+    const templates = [
+      { templateType, oldName, name: newName },
+      ...changes.dependents.map((dependent) => ({
+        ...dependent,
+        oldName: dependent.name,
+      })),
+    ].map((template) => ({
+      ...template,
+      environments: environments(template.templateType, template.oldName),
+    }));
+
+    const partners = templates.some((template) =>
+      template.environments.some(
+        (environment) => environment.type === "partner"
+      )
+    );
+    if (partners && !message) {
+      consola.error(
+        `Message required when updating partner templates. Please use "--message"`
+      );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      return false;
+    }
+
+    // Changes made in Silverfin can't be overwritten
+    for (const template of templates) {
+      for (const environment of template.environments) {
+        const canPublish = await templateSync.checkBeforePublish(
+          environment.type,
+          environment.envId,
+          template.templateType,
+          template.oldName,
+          environment.id
+        );
+        if (!canPublish) {
+          consola.error(
+            `"${oldName}" was not renamed. Update or import ${template.oldName} first`
+          );
+          return false;
+        }
+      }
+    }
+
+    if (!applyChanges(changes)) return false;
+    consola.success(
+      `"${oldName}" renamed to "${newName}" in the repository (${changes.writes.length} file(s) updated)`
+    );
+    changes.dependents.forEach(({ name }) =>
+      consola.info(`References updated in "${name}"`)
+    );
+
+    let total = 0;
+    let failed = 0;
+    for (const template of templates) {
+      for (const environment of template.environments) {
+        total++;
+        const published = await PUBLISH_FUNCTIONS[template.templateType](
+          environment.type,
+          environment.envId,
+          template.name,
+          message || `Renamed "${oldName}" to "${newName}"`,
+          false,
+          true, // Already checked
+          false
+        );
+        if (!published) failed++;
+      }
+    }
+    if (failed) {
+      consola.warn(
+        `Use the update commands to publish the templates that failed`
+      );
+    }
+    errorUtils.setBatchExitCode(failed, total, "Rename");
+    return failed === 0;
+  } catch (error) {
+    errorUtils.errorHandler(error);
+    return false;
+  }
+}
+
+async function renameReconciliation(oldHandle, newHandle, message) {
+  return renameTemplate("reconciliationText", oldHandle, newHandle, message);
+}
+
+async function renameSharedPart(oldName, newName, message) {
+  return renameTemplate("sharedPart", oldName, newName, message);
+}
+
+module.exports = { renameReconciliation, renameSharedPart };
@@ -0,0 +1,466 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { consola } = require("consola");
+const fsUtils = require("./utils/fsUtils");
+const errorUtils = require("./utils/errorUtils");
+const diffUtils = require("./utils/diffUtils");
+const templateDiff = require("./templateDiff");
+
+// Remote templates at their last import or update (base of the three-way merges), by environment
+const SNAPSHOTS_FOLDER = path.join(".silverfin", "sync");
+
+const CONFLICT_LABELS = { ours: "local", theirs: "remote" };
+const CONFLICT_MARKER = /^<<<<<<< local$/m;
+
+// Attributes of the config that are not merged (they are stored per environment)
+const UNMERGED_ATTRIBUTES = ["mapping_list_ranges"];
+
+function templateName(templateType, template) {
+  switch (templateType) {
+    case "reconciliationText":
+      return template?.handle;
+    case "accountTemplate":
+      return template?.name_nl;
+    default:
+      return template?.name;
+  }
+}
+
+function snapshotPath(type, envId, templateType, name) {
+  return path.join(
+    process.cwd(),
+    SNAPSHOTS_FOLDER,
+    fsUtils.FOLDERS[templateType],
+    name,
+    `${type}_${envId}.json`
+  );
+}
+
+function readSnapshot(type, envId, templateType, name) {
+  const filePath = snapshotPath(type, envId, templateType, name);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+function hashFiles(files) {
+  const entries = Object.keys(files)
+    .sort()
+    .map((fileName) => [fileName, files[fileName]]);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(entries))
+    .digest("hex");
+}
+
+function configAttributes(files) {
+  return Object.keys(JSON.parse(files?.["config.json"] || "{}"));
+}
+
+// Files of the template as it would be sent to Silverfin (see `templateDiff.templateFiles`)
+async function readLocalFiles(type, envId, templateType, name) {
+  const template = await templateDiff.readLocalTemplate(
+    type,
+    envId,
+    templateType,
+    name
+  );
+  if (!template) return null;
+  return templateDiff.templateFiles(
+    templateType,
+    name,
+    template,
+    templateDiff.templateAttributes(template)
+  );
+}
+
+/**
+ * Details of the last import or update of a template in an environment
+ * @param {String} type firm or partner
+ * @param {Number} envId
+ * @param {Object} templateConfig
+ * @returns {Object|undefined} `{ hash, updated_at, version }`
+ */
+function getSyncDetails(type, envId, templateConfig) {
+  return templateConfig?.last_sync?.[type]?.[envId];
+}
+
+/**
+ * Store the hash of the local files and the `updated_at` and `version` of the remote template in the config file, after an import or update.
+ * The remote template is also stored, as base of future merges
+ * @param {String} type firm or partner
+ * @param {Number} envId
+ * @param {String} templateType Options: `reconciliationText`, `sharedPart`, `exportFile` or `accountTemplate`
+ * @param {String} name Handle or name of the template
+ * @param {Object} remoteTemplate Template returned by the Silverfin API
+ * @param {Boolean} unpublishedChanges The local files have changes that are not in Silverfin yet (e.g. after a merge)
+ */
+async function recordSync(
+  type,
+  envId,
+  templateType,
+  name,
+  remoteTemplate,
+  unpublishedChanges = false
+) {
+  const localFiles = await readLocalFiles(type, envId, templateType, name);
+  if (!localFiles || !remoteTemplate) return;
+
+  const remoteFiles = templateDiff.templateFiles(
+    templateType,
+    name,
+    remoteTemplate,
+    configAttributes(localFiles)
+  );
+  const filePath = snapshotPath(type, envId, templateType, name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(remoteFiles, null, 2));
+
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  templateConfig.last_sync = templateConfig.last_sync || {};
+  templateConfig.last_sync[type] = {
+    ...templateConfig.last_sync[type],
+    [envId]: {
+      hash: unpublishedChanges ? null : hashFiles(localFiles),
+      updated_at: remoteTemplate.updated_at ?? null,
+      version: remoteTemplate.version ?? null,
+    },
+  };
+  fsUtils.writeConfig(templateType, name, templateConfig);
+}
+
+/**
+ * Remove the details of the last sync of a template in an environment (e.g. when it was deleted there)
+ * @param {String} type `firm` or `partner`
+ * @param {Number} envId
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ */
+function forgetSync(type, envId, templateType, name) {
+  fs.rmSync(snapshotPath(type, envId, templateType, name), { force: true });
+  if (!fsUtils.configExists(templateType, name)) return;
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  if (!templateConfig.last_sync?.[type]?.[envId]) return;
+  delete templateConfig.last_sync[type][envId];
+  if (!Object.keys(templateConfig.last_sync[type]).length) {
+    delete templateConfig.last_sync[type];
+  }
+  fsUtils.writeConfig(templateType, name, templateConfig);
+}
+
+/**
+ * Check if the local files of a template were changed since its last import or update (in any environment)
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ * @returns {Promise<Boolean>} False for templates that were never synced
+ */
+async function hasLocalChanges(templateType, name) {
+  if (!name || !fsUtils.configExists(templateType, name)) return false;
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  const syncs = ["firm", "partner"].flatMap((type) =>
+    Object.entries(templateConfig.last_sync?.[type] || {}).map(
+      ([envId, details]) => ({ type, envId, details })
+    )
+  );
+  if (!syncs.length) return false;
+
+  for (const { type, envId, details } of syncs) {
+    const files = await readLocalFiles(type, envId, templateType, name);
+    if (files && hashFiles(files) === details.hash) return false;
+  }
+  return true;
+}
+
+// The remote template was updated since the last sync (by `updated_at`, `version` or its content)
+function remoteChanged(syncDetails, remoteTemplate, templateType, name, base) {
+  if (syncDetails.updated_at && remoteTemplate.updated_at) {
+    return syncDetails.updated_at !== remoteTemplate.updated_at;
+  }
+  if (syncDetails.version != null && remoteTemplate.version != null) {
+    return syncDetails.version !== remoteTemplate.version;
+  }
+  if (!base) return false;
+  const remoteFiles = templateDiff.templateFiles(
+    templateType,
+    name,
+    remoteTemplate,
+    configAttributes(base)
+  );
+  return hashFiles(remoteFiles) !== hashFiles(base);
+}
+
+/**
+ * Check if a template was changed in Silverfin since its last import or update, without changing anything
+ * @param {String} type firm or partner
+ * @param {Number} envId
+ * @param {String} templateType Options: `reconciliationText`, `sharedPart`, `exportFile` or `accountTemplate`
+ * @param {String} name Handle or name of the template
+ * @param {Object} remoteTemplate Template returned by the Silverfin API
+ * @returns {Boolean} False for templates that were never synced
+ */
+function changedInSilverfin(type, envId, templateType, name, remoteTemplate) {
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  const syncDetails = getSyncDetails(type, envId, templateConfig);
+  if (!syncDetails || !remoteTemplate) return false;
+  const base = readSnapshot(type, envId, templateType, name);
+  return remoteChanged(syncDetails, remoteTemplate, templateType, name, base);
+}
+
+// The line break at the end of a file is not considered a change
+function sameContent(text, otherText) {
+  if (text === undefined || otherText === undefined) {
+    return text === otherText;
+  }
+  return (
+    diffUtils.splitLines(text).join("\n") ===
+    diffUtils.splitLines(otherText).join("\n")
+  );
+}
+
+// Three-way merge of a file, which could be missing in any of the versions
+function mergeFile(base, ours, theirs) {
+  if (sameContent(ours, theirs) || sameContent(theirs, base)) {
+    return { content: ours };
+  }
+  if (sameContent(ours, base)) return { content: theirs };
+  if (ours === undefined || theirs === undefined) {
+    // Removed on one side and changed on the other one
+    return { content: ours ?? theirs, conflicts: 1 };
+  }
+  const merged = diffUtils.mergeTexts(base, ours, theirs, CONFLICT_LABELS);
+  return { content: merged.text, conflicts: merged.conflicts };
+}
+
+function mergeAttributes(base, ours, theirs, conflicts) {
+  const merged = {};
+  for (const attribute of Object.keys(ours)) {
+    if (UNMERGED_ATTRIBUTES.includes(attribute)) continue;
+    const [baseValue, ourValue, theirValue] = [base, ours, theirs].map(
+      (values) => JSON.stringify(values[attribute] ?? null)
+    );
+    if (ourValue === baseValue && theirValue !== baseValue) {
+      merged[attribute] = theirs[attribute] ?? null;
+    } else if (ourValue !== theirValue && theirValue !== baseValue) {
+      // Our value is kept
+      conflicts.push(`config.json (${attribute})`);
+    }
+  }
+  return merged;
+}
+
+// Path of a file of the template (see `templateDiff.templateFiles`), relative to the folder of the template
+function filePathInTemplate(templateConfig, fileName, mainFile) {
+  if (fileName === mainFile) return templateConfig.text || mainFile;
+  const partName = fileName.match(/^text_parts\/(.+)\.liquid$/)?.[1];
+  return templateConfig.text_parts?.[partName] || fileName;
+}
+
+/**
+ * Merge the changes made in Silverfin since the last sync into the local files. Conflicts are marked in the files (like git does)
+ * @param {String} type firm or partner
+ * @param {Number} envId
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ * @param {Object} remoteTemplate Template returned by the Silverfin API
+ * @returns {Promise<String[]|false>} Files with conflicts. False when the base of the merge is not available
+ */
+async function mergeRemoteChanges(
+  type,
+  envId,
+  templateType,
+  name,
+  remoteTemplate
+) {
+  const label = templateDiff.TEMPLATE_DETAILS[templateType].label;
+  const base = readSnapshot(type, envId, templateType, name);
+  if (!base) {
+    consola.error(
+      `${label} ${name}: the version of the last import or update is not available, so the changes can't be merged. Import the template again, or use "--force" to overwrite the changes made in Silverfin`
+    );
+    return false;
+  }
+  const local = await readLocalFiles(type, envId, templateType, name);
+  const remote = templateDiff.templateFiles(
+    templateType,
+    name,
+    remoteTemplate,
+    configAttributes(local)
+  );
+
+  const conflicts = [];
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  const templateFolder = path.join(
+    process.cwd(),
+    fsUtils.FOLDERS[templateType],
+    name
+  );
+  const mainFile =
+    templateType === "sharedPart" ? `${name}.liquid` : "main.liquid";
+  const fileNames = new Set([
+    ...Object.keys(base),
+    ...Object.keys(local),
+    ...Object.keys(remote),
+  ]);
+  fileNames.delete("config.json");
+
+  for (const fileName of fileNames) {
+    const merged = mergeFile(base[fileName], local[fileName], remote[fileName]);
+    if (merged.conflicts) conflicts.push(fileName);
+    if (merged.content === local[fileName]) continue;
+
+    const relativePath = filePathInTemplate(templateConfig, fileName, mainFile);
+    const partName = fileName.match(/^text_parts\/(.+)\.liquid$/)?.[1];
+    if (merged.content === undefined) {
+      fs.rmSync(path.join(templateFolder, relativePath), { force: true });
+      if (partName) delete templateConfig.text_parts[partName];
+      continue;
+    }
+    fs.mkdirSync(path.dirname(path.join(templateFolder, relativePath)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(templateFolder, relativePath), merged.content);
+    if (partName) {
+      templateConfig.text_parts = {
+        ...templateConfig.text_parts,
+        [partName]: relativePath,
+      };
+    }
+  }
+
+  const attributes = mergeAttributes(
+    JSON.parse(base["config.json"] || "{}"),
+    JSON.parse(local["config.json"]),
+    JSON.parse(remote["config.json"]),
+    conflicts
+  );
+  fsUtils.writeConfig(templateType, name, {
+    ...templateConfig,
+    ...attributes,
+  });
+
+  // The remote template is the base of the next merge
+  await recordSync(type, envId, templateType, name, remoteTemplate, true);
+  return conflicts;
+}
+
+/**
+ * Check that a template can be published: it has no unresolved conflicts and it was not changed in Silverfin since its last import or update.
+ * Changes made in Silverfin can be merged into the local files first
+ * @param {String} type firm or partner
+ * @param {Number} envId
+ * @param {String} templateType Options: `reconciliationText`, `sharedPart`, `exportFile` or `accountTemplate`
+ * @param {String} name Handle or name of the template
+ * @param {Number} templateId
+ * @param {Boolean} force Overwrite the changes made in Silverfin
+ * @param {Boolean} merge Merge the changes made in Silverfin into the local files
+ * @returns {Promise<Boolean>}
+ */
+async function checkBeforePublish(
+  type,
+  envId,
+  templateType,
+  name,
+  templateId,
+  force = false,
+  merge = false
+) {
+  const details = templateDiff.TEMPLATE_DETAILS[templateType];
+  const local = await readLocalFiles(type, envId, templateType, name);
+  if (!local) return true;
+
+  const conflicted = Object.keys(local).filter((fileName) =>
+    CONFLICT_MARKER.test(local[fileName])
+  );
+  if (conflicted.length) {
+    consola.error(
+      `${
+        details.label
+      } ${name}: resolve the merge conflicts before publishing it (${conflicted.join(
+        ", "
+      )})`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return false;
+  }
+
+  const templateConfig = fsUtils.readConfig(templateType, name);
+  if (force || !getSyncDetails(type, envId, templateConfig)) return true;
+
+  const remoteTemplate = await details.readById(type, envId, templateId);
+  if (!changedInSilverfin(type, envId, templateType, name, remoteTemplate)) {
+    return true;
+  }
+
+  if (!merge) {
+    consola.error(
+      `${details.label} ${name} was changed in ${type} ${envId} since its last import or update. Use "--merge" to merge those changes into the local files first, "--force" to overwrite them, or import the template again`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return false;
+  }
+
+  const conflicts = await mergeRemoteChanges(
+    type,
+    envId,
+    templateType,
+    name,
+    remoteTemplate
+  );
+  if (conflicts === false) {
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return false;
+  }
+  if (conflicts.length) {
+    consola.error(
+      `${
+        details.label
+      } ${name}: the changes made in ${type} ${envId} were merged with conflicts in ${conflicts.join(
+        ", "
+      )}. Resolve them and run the update again`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return false;
+  }
+  consola.success(
+    `${details.label} ${name}: the changes made in ${type} ${envId} were merged into the local files`
+  );
+  return true;
+}
+
+/**
+ * Save a template imported from Silverfin, unless its local files were changed since the last import or update
+ * @param {String} type firm or partner
+ * @param {Number} envId
+ * @param {String} templateType Options: `reconciliationText`, `sharedPart`, `exportFile` or `accountTemplate`
+ * @param {Object} template Template returned by the Silverfin API
+ * @param {Boolean} force Overwrite the local changes
+ * @returns {Promise<Boolean>} The template was saved
+ */
+async function importTemplate(type, envId, templateType, template, force) {
+  const details = templateDiff.TEMPLATE_DETAILS[templateType];
+  const name = templateName(templateType, template);
+  if (!force && (await hasLocalChanges(templateType, name))) {
+    consola.error(
+      `${details.label} ${name} was changed locally since its last import or update. Use "--force" to overwrite the local changes`
+    );
+    errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+    return false;
+  }
+
+  const saved = await details.templateClass.save(type, envId, template);
+  if (saved) {
+    await recordSync(type, envId, templateType, name, template);
+  }
+  return saved;
+}
+
+module.exports = {
+  getSyncDetails,
+  recordSync,
+  forgetSync,
+  hasLocalChanges,
+  changedInSilverfin,
+  mergeRemoteChanges,
+  checkBeforePublish,
+  importTemplate,
+};
@@ -72,6 +72,7 @@ class AccountTemplate {
       },
       test: `tests/${name}_liquid_test.yml`,
       ...configDetails,
+      last_sync: existingConfig?.last_sync,
     };
 
     fsUtils.writeConfig(this.TEMPLATE_TYPE, name, configContent);
@@ -48,6 +48,7 @@ class ExportFile {
         ...addNewId(type, "partner", envId, template),
       },
       ...configDetails,
+      last_sync: existingConfig?.last_sync,
     };
     fsUtils.writeConfig(this.TEMPLATE_TYPE, name, configContent);
 
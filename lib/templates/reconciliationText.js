@@ -80,6 +80,7 @@ class ReconciliationText {
       },
       test: `tests/${handle}_liquid_test.yml`,
       ...configDetails,
+      last_sync: existingConfig?.last_sync,
     };
 
     fsUtils.writeConfig(this.TEMPLATE_TYPE, handle, configContent);
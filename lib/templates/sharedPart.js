@@ -49,6 +49,7 @@ class SharedPart {
       text: `${template.name}.liquid`,
       used_in: usedIn,
       externally_managed: template.externally_managed,
+      last_sync: existingConfig?.last_sync,
     };
 
     fsUtils.writeConfig(this.TEMPLATE_TYPE, template.name, config);
@@ -1,5 +1,6 @@
 const { firmCredentials } = require("../api/firmCredentials");
 const { consola } = require("consola");
+const errorUtils = require("./errorUtils");
 
 function checkAuthorizePartners(partner_id) {
   const partnerCredentials = firmCredentials.getPartnerCredentials(partner_id);
@@ -18,7 +19,7 @@ function checkRequiredEnvVariables() {
     consola.log(
       `If you don't have credentials yet, you need to register your app with Silverfin to get them`
     );
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.API_ERROR);
   }
 }
 
@@ -46,6 +47,7 @@ async function responseErrorHandler(error) {
       consola.error(
         `Response Error (404): ${JSON.stringify(error.response.data.error)}`
       );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return;
     }
     // Bad Request
@@ -53,6 +55,7 @@ async function responseErrorHandler(error) {
       consola.error(
         `Response Error (400): ${JSON.stringify(error.response.data.error)}`
       );
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
       return;
     }
     // Unprocessable Entity
@@ -62,7 +65,7 @@ async function responseErrorHandler(error) {
         "\n",
         `You don't have the rights to update the previous parameters`
       );
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
     if (error.response.status === 401) {
       consola.debug(
@@ -72,7 +75,7 @@ async function responseErrorHandler(error) {
     // Forbidden
     if (error.response.status === 403) {
       consola.error("Error (403): Forbidden access. Terminating process");
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.API_ERROR);
     }
   }
   // Not handled
@@ -0,0 +1,280 @@
+// Line based diffs of texts (e.g. Liquid code), printed in the unified format
+
+// Lines of unchanged code shown around each change
+const DEFAULT_CONTEXT = 3;
+
+// The line break at the end of a text is not considered a change
+function splitLines(text) {
+  if (text === undefined || text === null || text === "") return [];
+  const lines = String(text).split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Shortest edit script between two lists of lines (Myers' algorithm)
+ * @param {String[]} oldLines
+ * @param {String[]} newLines
+ * @returns {Object[]} `{ type, line }` for every line, where type is ` ` (unchanged), `-` (removed) or `+` (added)
+ */
+function diffLines(oldLines, newLines) {
+  // Lines at the start and end that didn't change are skipped
+  let start = 0;
+  while (
+    start < oldLines.length &&
+    start < newLines.length &&
+    oldLines[start] === newLines[start]
+  ) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldLines[oldEnd - 1] === newLines[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const unchanged = (line) => ({ type: " ", line });
+  return [
+    ...oldLines.slice(0, start).map(unchanged),
+    ...shortestEdit(
+      oldLines.slice(start, oldEnd),
+      newLines.slice(start, newEnd)
+    ),
+    ...oldLines.slice(oldEnd).map(unchanged),
+  ];
+}
+
+function shortestEdit(a, b) {
+  const max = a.length + b.length;
+  const v = new Array(2 * max + 2).fill(0);
+  const offset = max + 1;
+  // Furthest point of each diagonal, after every step (only the diagonals reachable in that step)
+  const trace = [];
+  const chooseDown = (d, k, values) =>
+    k === -d || (k !== d && values(k - 1) < values(k + 1));
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = chooseDown(d, k, (i) => v[offset + i])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, a, b, chooseDown);
+      }
+    }
+  }
+  return [];
+}
+
+function backtrack(trace, a, b, chooseDown) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const values = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const previousK = chooseDown(d, k, values) ? k + 1 : k - 1;
+    const previousX = values(previousK);
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      edits.push({ type: " ", line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        edits.push({ type: "+", line: b[y - 1] });
+      } else {
+        edits.push({ type: "-", line: a[x - 1] });
+      }
+    }
+    x = previousX;
+    y = previousY;
+  }
+  return edits.reverse();
+}
+
+function hunkRange(start, count) {
+  // Empty ranges point to the line before them
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {String} oldText
+ * @param {String} newText
+ * @param {Object} options
+ * @param {String} options.oldLabel Name of the old text (e.g. `remote/main.liquid`)
+ * @param {String} options.newLabel Name of the new text (e.g. `local/main.liquid`)
+ * @param {Number} options.context Lines of unchanged code around each change
+ * @returns {String[]} Lines of the diff (headers, hunks and changes). Empty if both texts are the same
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const context = options.context ?? DEFAULT_CONTEXT;
+  const edits = diffLines(splitLines(oldText), splitLines(newText));
+  const changes = edits
+    .map((edit, index) => (edit.type === " " ? -1 : index))
+    .filter((index) => index !== -1);
+  if (!changes.length) return [];
+
+  // Line numbers (old and new) of every edit
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const edit of edits) {
+    positions.push({ oldLine, newLine });
+    if (edit.type !== "+") oldLine++;
+    if (edit.type !== "-") newLine++;
+  }
+
+  // Changes closer than twice the context are shown in the same hunk
+  const hunks = [];
+  for (const index of changes) {
+    const from = Math.max(0, index - context);
+    const to = Math.min(edits.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  }
+
+  const lines = [
+    `--- ${options.oldLabel || "a"}`,
+    `+++ ${options.newLabel || "b"}`,
+  ];
+  for (const { from, to } of hunks) {
+    const hunkEdits = edits.slice(from, to + 1);
+    const oldCount = hunkEdits.filter((edit) => edit.type !== "+").length;
+    const newCount = hunkEdits.filter((edit) => edit.type !== "-").length;
+    lines.push(
+      `@@ -${hunkRange(positions[from].oldLine, oldCount)} +${hunkRange(
+        positions[from].newLine,
+        newCount
+      )} @@`
+    );
+    for (const edit of hunkEdits) {
+      lines.push(`${edit.type}${edit.line}`);
+    }
+  }
+  return lines;
+}
+
+// Regions of the base that were changed: `{ start, end, lines }` (lines of the base replaced by the new lines)
+function changedRegions(baseLines, newLines) {
+  const regions = [];
+  let baseIndex = 0;
+  let region = null;
+  for (const edit of diffLines(baseLines, newLines)) {
+    if (edit.type === " ") {
+      region = null;
+      baseIndex++;
+      continue;
+    }
+    if (!region) {
+      region = { start: baseIndex, end: baseIndex, lines: [] };
+      regions.push(region);
+    }
+    if (edit.type === "-") {
+      baseIndex++;
+      region.end = baseIndex;
+    } else {
+      region.lines.push(edit.line);
+    }
+  }
+  return regions;
+}
+
+// Lines of the base between start and end, with the changes of one side
+function applyRegions(baseLines, regions, start, end) {
+  const lines = [];
+  let index = start;
+  for (const region of regions) {
+    lines.push(...baseLines.slice(index, region.start), ...region.lines);
+    index = region.end;
+  }
+  lines.push(...baseLines.slice(index, end));
+  return lines;
+}
+
+/**
+ * Three-way merge of texts. Changes of both sides to the same lines (or adjacent lines) are conflicts, marked like git does
+ * @param {String} baseText Common ancestor of both texts
+ * @param {String} oursText
+ * @param {String} theirsText
+ * @param {Object} labels
+ * @param {String} labels.ours Label of the conflict markers of our side (e.g. `local`)
+ * @param {String} labels.theirs Label of the conflict markers of their side (e.g. `remote`)
+ * @returns {Object} `{ text, conflicts }`, where conflicts is the number of conflicts
+ */
+function mergeTexts(baseText, oursText, theirsText, labels = {}) {
+  const baseLines = splitLines(baseText);
+  const ours = changedRegions(baseLines, splitLines(oursText)).map(
+    (region) => ({ ...region, side: "ours" })
+  );
+  const theirs = changedRegions(baseLines, splitLines(theirsText)).map(
+    (region) => ({ ...region, side: "theirs" })
+  );
+  const regions = [...ours, ...theirs].sort(
+    (a, b) => a.start - b.start || a.end - b.end
+  );
+
+  const lines = [];
+  let conflicts = 0;
+  let index = 0;
+  while (regions.length) {
+    // Group the regions that overlap or touch each other
+    const group = [regions.shift()];
+    let end = group[0].end;
+    while (regions.length && regions[0].start <= end) {
+      const region = regions.shift();
+      group.push(region);
+      end = Math.max(end, region.end);
+    }
+    const start = group[0].start;
+    lines.push(...baseLines.slice(index, start));
+    index = end;
+
+    const oursRegions = group.filter((region) => region.side === "ours");
+    const theirsRegions = group.filter((region) => region.side === "theirs");
+    const oursLines = applyRegions(baseLines, oursRegions, start, end);
+    const theirsLines = applyRegions(baseLines, theirsRegions, start, end);
+    if (
+      !theirsRegions.length ||
+      oursLines.join("\n") === theirsLines.join("\n")
+    ) {
+      lines.push(...oursLines);
+    } else if (!oursRegions.length) {
+      lines.push(...theirsLines);
+    } else {
+      conflicts++;
+      lines.push(
+        `<<<<<<< ${labels.ours || "ours"}`,
+        ...oursLines,
+        "=======",
+        ...theirsLines,
+        `>>>>>>> ${labels.theirs || "theirs"}`
+      );
+    }
+  }
+  lines.push(...baseLines.slice(index));
+
+  const newline = /\n$/.test(oursText || theirsText || "") ? "\n" : "";
+  return { text: lines.length ? lines.join("\n") + newline : "", conflicts };
+}
+
+module.exports = { splitLines, diffLines, unifiedDiff, mergeTexts };
@@ -2,6 +2,48 @@ const pkg = require("../../package.json");
 const chalk = require("chalk");
 const { consola } = require("consola");
 
+/**
+ * Exit codes used by every command of the CLI
+ * - `SUCCESS`: the command finished without errors
+ * - `TEST_FAILURE`: one or more Liquid Tests failed or couldn't be completed
+ * - `API_ERROR`: a request to the Silverfin API failed or the firm/partner is not authorized
+ * - `INVALID_INPUT`: invalid options, missing or invalid config files, templates or test files
+ * - `PARTIAL_FAILURE`: a command processing several templates (e.g. `--all`) failed for some of them
+ * - `UNEXPECTED_ERROR`: uncaught errors
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  TEST_FAILURE: 1,
+  API_ERROR: 2,
+  INVALID_INPUT: 3,
+  PARTIAL_FAILURE: 4,
+  UNEXPECTED_ERROR: 5,
+};
+
+/**
+ * Set the exit code of the process without terminating it. The first failure is kept.
+ * @param {Number} code One of `EXIT_CODES`
+ */
+function setExitCode(code) {
+  if (!process.exitCode) {
+    process.exitCode = code;
+  }
+}
+
+/**
+ * Log the number of failures of a command processing several templates and set the exit code accordingly: `PARTIAL_FAILURE` when only some templates failed, `API_ERROR` when all of them failed. As with `setExitCode`, an exit code that is already set (e.g. by the failures themselves) is kept.
+ * @param {Number} failed Number of templates that failed
+ * @param {Number} total Number of templates processed
+ * @param {String} description Description of the command (e.g. `Update reconciliations`)
+ */
+function setBatchExitCode(failed, total, description) {
+  if (!failed) return;
+  consola.error(`${description}: ${failed} of ${total} failed`);
+  setExitCode(
+    failed < total ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.API_ERROR
+  );
+}
+
 // Uncaught Errors. Open Issue in GitHub
 function uncaughtErrors(error) {
   if (error.stack) {
@@ -16,7 +58,7 @@ function uncaughtErrors(error) {
     console.error(error.stack);
     console.error("----------------------------");
   }
-  process.exit(1);
+  process.exit(EXIT_CODES.UNEXPECTED_ERROR);
 }
 
 function errorHandler(error) {
@@ -24,7 +66,7 @@ function errorHandler(error) {
     consola.error(
       `The path ${error.path} was not found, please ensure you've imported or created all required files`
     );
-    process.exit(1);
+    process.exit(EXIT_CODES.INVALID_INPUT);
   } else {
     uncaughtErrors(error);
   }
@@ -32,7 +74,7 @@ function errorHandler(error) {
 
 function missingConfig(identifier) {
   consola.error(`Missing config file for "${identifier}"`);
-  process.exit(1);
+  process.exit(EXIT_CODES.INVALID_INPUT);
 }
 
 function missingReconciliationId(handle) {
@@ -42,6 +84,7 @@ function missingReconciliationId(handle) {
       `silverfin get-reconciliation-id --handle ${handle}`
     )} or ${chalk.bold(`silverfin get-reconciliation-id --all`)}`
   );
+  setExitCode(EXIT_CODES.INVALID_INPUT);
   return false;
 }
 
@@ -52,20 +95,26 @@ function missingSharedPartId(name) {
       `silverfin get-shared-part-id --shared-part ${name}`
     )} or ${chalk.bold(`silverfin get-shared-part-id --all`)}`
   );
+  setExitCode(EXIT_CODES.INVALID_INPUT);
   return false;
 }
 
 function missingExportFileId(name) {
   consola.error(`Export file ${name}: ID is missing. Aborted`);
+  setExitCode(EXIT_CODES.INVALID_INPUT);
   return false;
 }
 
 function missingAccountTemplateId(name) {
   consola.error(`Account template ${name}: ID is missing. Aborted`);
+  setExitCode(EXIT_CODES.INVALID_INPUT);
   return false;
 }
 
 module.exports = {
+  EXIT_CODES,
+  setExitCode,
+  setBatchExitCode,
   uncaughtErrors,
   errorHandler,
   missingConfig,
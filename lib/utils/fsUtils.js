@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const { consola } = require("consola");
+const errorUtils = require("./errorUtils");
 
 const FOLDERS = {
   reconciliationText: "reconciliation_texts",
@@ -184,7 +185,7 @@ function readConfig(templateType, handle) {
     );
 
     consola.error(error);
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
 }
 
@@ -1,7 +1,12 @@
 const YAML = require("yaml");
 const fs = require("fs");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
 const fsUtils = require("./fsUtils");
 const { consola } = require("consola");
+const errorUtils = require("./errorUtils");
+const { findDependencies } = require("../liquid/dependencies");
+const { parseAccountRanges, inAccountRange } = require("../liquid/drops");
 
 // Create base Liquid Test object
 function createBaseLiquidTest(testName) {
@@ -25,8 +30,8 @@ function createBaseLiquidTest(testName) {
   };
 }
 
-// Provide a link to reconciliation in Silverfin
-// Extract firm id, company id, period id, reconciliation id
+// Provide a link to reconciliation or account in Silverfin
+// Extract firm id, company id, period id, reconciliation id or account id
 function extractURL(url) {
   try {
     let parts = url.split("?")[0].split("/f/")[1].split("/");
@@ -39,7 +44,7 @@ function extractURL(url) {
       consola.error(
         "Not possible to identify if it's a reconciliation text or account entry."
       );
-      process.exit(1);
+      process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
     }
     return {
       firmId: parts[0],
@@ -52,42 +57,56 @@ function extractURL(url) {
     consola.error(
       "The URL provided is not correct. Double check it and run the command again."
     );
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
 }
 
-function generateFileName(handle, counter = 0) {
+function generateFileName(handle, counter = 0, templateType) {
   let fileName = `${handle}_liquid_test.yml`;
   if (counter != 0) {
     fileName = `${handle}_${counter}_liquid_test.yml`;
   }
-  const filePath = `./reconciliation_texts/${handle}/tests/${fileName}`;
+  const filePath = `./${fsUtils.FOLDERS[templateType]}/${handle}/tests/${fileName}`;
   if (fs.existsSync(filePath)) {
-    return generateFileName(handle, counter + 1);
+    return generateFileName(handle, counter + 1, templateType);
   }
   return filePath;
 }
 
+const YAML_OPTIONS = {
+  defaultKeyType: "PLAIN",
+  defaultStringType: "QUOTE_DOUBLE",
+  indent: 2,
+  lineWidth: 0,
+};
+
 // Create YAML
-function exportYAML(handle, liquidTestObject) {
-  const relativePath = `./reconciliation_texts/${handle}`;
-  fsUtils.createFolder(`./reconciliation_texts`);
-  fsUtils.createTemplateFolders("reconciliationText", handle, true);
-  const filePath = generateFileName(handle);
+// templateType: `reconciliationText` or `accountTemplate`
+// append: add the test to the test file of the template (see appendYAML) instead of creating a new file
+function exportYAML(
+  handle,
+  liquidTestObject,
+  templateType = "reconciliationText",
+  append = false,
+  overwrite = false,
+  anchors = false
+) {
+  fsUtils.createFolder(`./${fsUtils.FOLDERS[templateType]}`);
+  fsUtils.createTemplateFolders(templateType, handle, true);
+  if (append) {
+    appendYAML(handle, liquidTestObject, templateType, overwrite, anchors);
+    return;
+  }
+  const filePath = generateFileName(handle, 0, templateType);
   fs.writeFile(
     filePath,
     YAML.stringify(liquidTestObject, {
-      toStringDefaults: {
-        defaultKeyType: "PLAIN",
-        defaultStringType: "QUOTE_DOUBLE",
-        indent: 2,
-        lineWidth: 0,
-      },
+      toStringDefaults: YAML_OPTIONS,
     }),
     (err, _) => {
       if (err) {
         consola.error(err);
-        process.exit(1);
+        process.exit(errorUtils.EXIT_CODES.UNEXPECTED_ERROR);
       } else {
         consola.info(`File saved: ${filePath}`);
       }
@@ -95,6 +114,185 @@ function exportYAML(handle, liquidTestObject) {
   );
 }
 
+// Test file configured for the template (`test` in its config)
+function testFilePath(handle, templateType) {
+  const config = fsUtils.configExists(templateType, handle)
+    ? fsUtils.readConfig(templateType, handle)
+    : {};
+  return path.join(
+    fsUtils.FOLDERS[templateType],
+    handle,
+    config.test || `tests/${handle}_liquid_test.yml`
+  );
+}
+
+function findPair(node, key) {
+  if (!YAML.isMap(node)) return;
+  return node.items.find((pair) => String(pair.key?.value) === key);
+}
+
+// Company and period data of the new test that are equal to the data of a previous test are replaced by an alias
+// Returns the anchors to add to the existing content ({ offset, anchor }) and the aliases to use in the new test ({ path, anchor })
+function findSharedData(doc, content, testData, previousTests) {
+  const usedAnchors = new Set();
+  YAML.visit(doc, (key, node) => {
+    if (node.anchor) usedAnchors.add(node.anchor);
+  });
+  const newAnchor = (base) => {
+    let anchor = base;
+    for (let counter = 2; usedAnchors.has(anchor); counter++) {
+      anchor = `${base}_${counter}`;
+    }
+    usedAnchors.add(anchor);
+    return anchor;
+  };
+
+  const candidates = [];
+  if (testData?.company) {
+    candidates.push({ path: ["company"], value: testData.company });
+  }
+  for (const [period, periodData] of Object.entries(testData?.periods || {})) {
+    if (!periodData) continue;
+    candidates.push({ path: ["periods", period], value: periodData });
+  }
+
+  const anchorsToAdd = [];
+  const aliases = [];
+  for (const candidate of candidates) {
+    for (const testPair of previousTests) {
+      let pair = findPair(testPair.value, "data");
+      for (const key of candidate.path) {
+        pair = pair && findPair(pair.value, key);
+      }
+      if (!pair?.value) continue;
+      const node = YAML.isAlias(pair.value)
+        ? pair.value.resolve(doc)
+        : pair.value;
+      if (!node || !isDeepStrictEqual(node.toJS(doc), candidate.value)) {
+        continue;
+      }
+      let anchor = YAML.isAlias(pair.value) ? pair.value.source : node.anchor;
+      if (!anchor) {
+        anchor = newAnchor(candidate.path.join("_").replace(/[^\w]/g, "_"));
+        node.anchor = anchor;
+        anchorsToAdd.push({
+          offset: content.indexOf(":", pair.key.range[1]) + 1,
+          anchor,
+        });
+      }
+      aliases.push({ path: ["data", ...candidate.path], anchor });
+      break;
+    }
+  }
+  return { anchorsToAdd, aliases };
+}
+
+// Add the test to the test file of the template, keeping its comments and anchors
+// An existing test with the same name is only replaced with `overwrite`
+// anchors: reuse the company and period data of previous tests through YAML anchors
+function appendYAML(
+  handle,
+  liquidTestObject,
+  templateType = "reconciliationText",
+  overwrite = false,
+  anchors = false
+) {
+  const [testName] = Object.keys(liquidTestObject);
+  const filePath = testFilePath(handle, templateType);
+  const content = fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, "utf-8")
+    : "";
+  const doc = YAML.parseDocument(content);
+  if (doc.errors.length || (doc.contents && !YAML.isMap(doc.contents))) {
+    consola.error(
+      `File ${filePath} is not a valid Liquid Test file. Fix it before adding a test`
+    );
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+
+  const tests = doc.contents?.items || [];
+  const existingTest = findPair(doc.contents, testName);
+  if (existingTest && !overwrite) {
+    consola.error(
+      `Test "${testName}" already exists in ${filePath}. Use "--overwrite" to replace it or choose another name with "--test"`
+    );
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+
+  // Aliases can only refer to anchors defined before them
+  const previousTests = existingTest
+    ? tests.slice(0, tests.indexOf(existingTest))
+    : tests;
+  const { anchorsToAdd, aliases } = anchors
+    ? findSharedData(
+        doc,
+        content,
+        liquidTestObject[testName].data,
+        previousTests
+      )
+    : { anchorsToAdd: [], aliases: [] };
+
+  const testDoc = new YAML.Document(liquidTestObject);
+  for (const { path: dataPath, anchor } of aliases) {
+    testDoc.setIn([testName, ...dataPath], `__ALIAS_${anchor}__`);
+  }
+  let testText = testDoc.toString(YAML_OPTIONS);
+  for (const { anchor } of aliases) {
+    testText = testText.replace(`"__ALIAS_${anchor}__"`, `*${anchor}`);
+  }
+
+  // Edits from the end of the file, so the offsets stay valid
+  const edits = anchorsToAdd.map(({ offset, anchor }) => ({
+    start: offset,
+    end: offset,
+    text: ` &${anchor}`,
+  }));
+  if (existingTest) {
+    edits.push({
+      start: existingTest.key.range[0],
+      end: existingTest.value.range[1],
+      text: testText,
+    });
+  } else {
+    const separator = !content.trim()
+      ? ""
+      : content.endsWith("\n")
+      ? "\n"
+      : "\n\n";
+    edits.push({
+      start: content.length,
+      end: content.length,
+      text: separator + testText,
+    });
+  }
+  let updatedContent = content;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    updatedContent =
+      updatedContent.slice(0, edit.start) +
+      edit.text +
+      updatedContent.slice(edit.end);
+  }
+
+  // An overwritten test could contain an anchor used by other tests
+  const updatedDoc = YAML.parseDocument(updatedContent);
+  try {
+    if (updatedDoc.errors.length) throw updatedDoc.errors[0];
+    updatedDoc.toJS({ maxAliasCount: -1 });
+  } catch (error) {
+    consola.error(
+      `Test "${testName}" could not be added to ${filePath}: ${error.message}`
+    );
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
+  }
+
+  fs.writeFileSync(filePath, updatedContent);
+  consola.info(
+    `Test "${testName}" ${
+      existingTest ? "replaced in" : "added to"
+    } ${filePath}`
+  );
+}
+
 // Format TextoProperties/Customs to an Object
 function processCustom(customArray) {
   const obj = {};
@@ -110,44 +308,56 @@ function processCustom(customArray) {
   return obj;
 }
 
-// Company Drop used
-function getCompanyDependencies(reconcilationObject, reconciliationHandle) {
-  const reCompanySearch = RegExp(/company\.\w+(?:\.\w+\.\w+)?/g); // company.foo or company.custom.foo.bar
-
+// Dependencies found by the Liquid parser in the code of a template or shared part (see lib/liquid/dependencies.js)
+// `sharedParts` ({ name: code }) are analysed where they are included. Returns undefined when there is no code
+function findDependenciesInLiquid(
+  reconcilationObject,
+  reconciliationHandle,
+  sharedParts = {}
+) {
   // No main part ?
   if (!reconcilationObject || !reconcilationObject.text) {
     consola.warn(
       `Reconciliation "${reconciliationHandle}": no liquid code found`
     );
-    return { standardDropElements: [], customDropElements: [] };
+    return;
   }
+  const dependencies = findDependencies(reconcilationObject, sharedParts);
+  for (const { name, error } of dependencies.errors) {
+    consola.warn(
+      `"${reconciliationHandle}" (${name}): ${error.message}. Its dependencies are not included in the test`
+    );
+  }
+  return dependencies;
+}
 
-  // Main Part
-  let companyFound = reconcilationObject.text.match(reCompanySearch) || [];
-
-  // Parts
-  for (part of reconcilationObject.text_parts) {
-    let companyPart = part.content.match(reCompanySearch) || [];
-    if (companyPart) {
-      companyFound = companyFound.concat(companyPart);
+// Results or custom drops of reconciliations (`handle: { results, custom }`) added to a collection ({ handle: [names] })
+function collectReconciliationDrops(reconciliations, section, collection) {
+  for (const [handle, drops] of Object.entries(reconciliations)) {
+    if (!drops[section].length) continue;
+    collection[handle] = collection[handle] || [];
+    for (const name of drops[section]) {
+      if (!collection[handle].includes(name)) collection[handle].push(name);
     }
   }
+  return collection;
+}
 
-  // Filter repeated elements
-  companyFound = companyFound.filter((tag, index) => {
-    return companyFound.indexOf(tag) === index;
-  });
-
-  // Separate custom drop from standard drop
-  const customDropElements = companyFound.filter((tag) =>
-    tag.includes("custom")
-  ); // [ 'company.custom.foo.bar', ...]
-
-  // Get only standard drop elements
-  const standardDropElements = companyFound.filter(
-    (tag) => !customDropElements.includes(tag)
+// Company Drop used
+function getCompanyDependencies(reconcilationObject, reconciliationHandle) {
+  const dependencies = findDependenciesInLiquid(
+    reconcilationObject,
+    reconciliationHandle
+  );
+  if (!dependencies) {
+    return { standardDropElements: [], customDropElements: [] };
+  }
+  const standardDropElements = dependencies.company.drops.map(
+    (drop) => `company.${drop}`
   ); // [ 'company.foo´, ...]
-
+  const customDropElements = dependencies.company.custom.map(
+    (drop) => `company.custom.${drop}`
+  ); // [ 'company.custom.foo.bar', ...]
   return { standardDropElements, customDropElements };
 }
 
@@ -158,94 +368,18 @@ function searchForResultsFromDependenciesInLiquid(
   reconciliationHandle,
   resultsCollection = {}
 ) {
-  // Normal Scenario
-  const reResultsFetched = RegExp(
-    /period\.reconciliations\.\w+\.results\.\w+/g
-  ); // period.reconciliations.handle.results.result_name
-
-  // No main part ?
-  if (!reconcilationObject || !reconcilationObject.text) {
-    consola.warn(
-      `Reconciliation "${reconciliationHandle}": no liquid code found`
-    );
+  const dependencies = findDependenciesInLiquid(
+    reconcilationObject,
+    reconciliationHandle
+  );
+  if (!dependencies || !dependencies.periods.current) {
     return resultsCollection;
   }
-
-  // Main Part (or shared part)
-  let resultsFound = reconcilationObject.text.match(reResultsFetched) || [];
-
-  // Parts
-  if (reconcilationObject.text_parts) {
-    for (part of reconcilationObject.text_parts) {
-      let resultsPart = part.content.match(reResultsFetched) || [];
-      if (resultsPart) {
-        resultsFound = resultsFound.concat(resultsPart);
-      }
-    }
-  }
-
-  // Process Results.
-  for (result of resultsFound) {
-    let [a, b, handle, c, resultName] = result.split("."); // period;reconciliation;handle;results;result_name
-    // Check if handle is already there. Empty array
-    if (!resultsCollection.hasOwnProperty(handle)) {
-      resultsCollection[handle] = [];
-    }
-    // Check if result is already there.
-    if (resultsCollection[handle].indexOf(resultName) == -1) {
-      resultsCollection[handle].push(resultName);
-    }
-  }
-
-  // Assign: Scenarios
-  // {% assign variable_name = period.reconciliations.handle %} && {{ variable_name.results.result_name }}
-  // {% assign variable_name = period.reconciliations.handle.results %} && {{ variable_name.result_name }}
-  const reAssign = RegExp(
-    /\w+(\ )?=(\ )?period\.reconciliations\.\w+(\.results)?(\ |\%)/g
-  ); // period.reconciliations.handle or period.reconciliations.handle.results
-  let resultsFoundAssign = reconcilationObject.text.match(reAssign) || [];
-  const variables = resultsFoundAssign.map((element) => {
-    let parts = element.split("="); // variable, period.reconciliation.handle...
-    return [parts[0].trim(), parts[1].split(".")[2].trim()]; // [variable name, handle]
-  });
-  for ([variableName, handle] of variables) {
-    let expression = `(\ |\%|\{)${variableName}(\.results)?\.\\w+(\ |\%|\})`; // variable.result_name or variable.results.result_name
-    let reAssignResults = new RegExp(expression, "g");
-    // Main
-    let assignResultsFound =
-      reconcilationObject.text.match(reAssignResults) || [];
-    // Parts
-    if (reconcilationObject.text_parts) {
-      for (part of reconcilationObject.text_parts) {
-        let assignResultsPart = part.content.match(reAssignResults) || [];
-        if (assignResultsPart) {
-          assignResultsFound = assignResultsFound.concat(assignResultsPart);
-        }
-      }
-    }
-    // Process
-    for (result of assignResultsFound) {
-      let parts = result.split(".");
-      if (parts.length > 1) {
-        let resultName = parts[parts.length - 1].trim();
-        // Check if handle is already there. Empty array
-        if (!resultsCollection.hasOwnProperty(handle)) {
-          resultsCollection[handle] = [];
-        }
-        // Check if result is already there.
-        if (resultsCollection[handle].indexOf(resultName) == -1) {
-          resultsCollection[handle].push(resultName);
-        }
-      }
-    }
-  }
-
-  // Capture: Scenarios
-  // period.reconcilations.handle.results.[result_name_capture] ?
-  // period.reconciliations.[handle_capture].results.[result_name_capture] ?
-  // TO DO
-
-  return resultsCollection; // { handle: [result_1, result_2], ...}
+  return collectReconciliationDrops(
+    dependencies.periods.current.reconciliations,
+    "results",
+    resultsCollection
+  ); // { handle: [result_1, result_2], ...}
 }
 
 // Do we need to get custom drops from other templates? Check Liquid Code (handle & custom names)
@@ -255,92 +389,77 @@ function searchForCustomsFromDependenciesInLiquid(
   reconciliationHandle,
   customCollection = {}
 ) {
-  // Normal Scenario
-  const reCustomsFetched = RegExp(
-    /period\.reconciliations\.\w+\.custom\.\w+\.\w+/g
-  ); // period.reconciliations.handle.custom.namespace.key
-
-  // No main part ?
-  if (!reconcilationObject || !reconcilationObject.text) {
-    consola.warn(
-      `Reconciliation "${reconciliationHandle}": no liquid code found`
-    );
+  const dependencies = findDependenciesInLiquid(
+    reconcilationObject,
+    reconciliationHandle
+  );
+  if (!dependencies || !dependencies.periods.current) {
     return customCollection;
   }
-
-  // Main Part (or shared part)
-  let customsFound = reconcilationObject.text.match(reCustomsFetched) || [];
-
-  // Parts
-  if (reconcilationObject.text_parts) {
-    for (part of reconcilationObject.text_parts) {
-      let customsPart = part.content.match(reCustomsFetched) || [];
-      if (customsPart) {
-        customsFound = customsFound.concat(customsPart);
-      }
-    }
-  }
-
-  // Process Customs.
-  for (custom of customsFound) {
-    let [a, b, handle, c, namespace, key] = custom.split("."); // handle;custom;namespace;key
-    let customNamespaceKey = `${namespace}.${key}`;
-    // Check if handle is already there. Empty array
-    if (!customCollection.hasOwnProperty(handle)) {
-      customCollection[handle] = [];
-    }
-    // Check if custom is already there.
-    if (customCollection[handle].indexOf(customNamespaceKey) == -1) {
-      customCollection[handle].push(customNamespaceKey);
-    }
-  }
-
-  // Assign: Scenarios
-  // assign variable = period.reconciliations && variable.custom.namespace.key ?
-  // assign variable = period.reconciliations.handle && varaible.custom.namespace.key ?
-  // TO DO
-
-  // Capture: Scenarios
-  // TO DO
-
-  return customCollection; // { handle: [result_1, result_2], ...}
+  return collectReconciliationDrops(
+    dependencies.periods.current.reconciliations,
+    "custom",
+    customCollection
+  ); // { handle: [namespace.key, namespace.*], ...}
 }
 
 // Look for Shared Parts used
 function lookForSharedPartsInLiquid(reconcilationObject, reconciliationHandle) {
-  const sharedPartsNamesArray = [];
-  const reSharedParts = RegExp(/shared\/\w+/g); // shared/shared_part_name
+  const dependencies = findDependenciesInLiquid(
+    reconcilationObject,
+    reconciliationHandle
+  );
+  if (!dependencies) return;
+  return dependencies.sharedParts; // [ shared_part_name_1, shared_part_name_2 ...]
+}
 
-  // No main part ?
-  if (!reconcilationObject || !reconcilationObject.text) {
-    consola.warn(
-      `Reconciliation "${reconciliationHandle}": no liquid code found`
+// Data of the previous period used in the liquid code (template and the shared parts it includes, as { name: code })
+// Results and custom drops of reconciliations through `period.minus_1y`, accounts and rollforward tags
+function searchForPreviousPeriodDependenciesInLiquid(
+  reconcilationObject,
+  sharedParts = {}
+) {
+  const dependencies = {
+    results: {},
+    customs: {},
+    previousPeriod: false,
+    accounts: false,
+    rollforward: false,
+  };
+  if (!reconcilationObject || !reconcilationObject.text) return dependencies;
+  const { periods, tags } = findDependencies(reconcilationObject, sharedParts);
+  const previousPeriod = periods.minus_1y;
+  if (previousPeriod) {
+    collectReconciliationDrops(
+      previousPeriod.reconciliations,
+      "results",
+      dependencies.results
     );
-    return;
-  }
-
-  // Main Part (or other shared parts)
-  let sharedPartsFound = reconcilationObject.text.match(reSharedParts) || [];
-
-  // Parts
-  if (reconcilationObject.text_parts) {
-    for (part of reconcilationObject.text_parts) {
-      let eachPart = part.content.match(reSharedParts) || [];
-      if (eachPart) {
-        sharedPartsFound = sharedPartsFound.concat(eachPart);
-      }
-    }
+    collectReconciliationDrops(
+      previousPeriod.reconciliations,
+      "custom",
+      dependencies.customs
+    );
+    dependencies.previousPeriod = true;
+    dependencies.accounts = previousPeriod.accounts;
   }
+  dependencies.rollforward = tags.includes("rollforward");
+  return dependencies; // { results: { handle: [result_1] }, customs: { handle: [namespace.key] }, previousPeriod, accounts, rollforward }
+}
 
-  // Process
-  for (sharedPart of sharedPartsFound) {
-    const [shared, name] = sharedPart.split("/"); // shared/shared_part_name
-    if (!sharedPartsNamesArray.includes(name)) {
-      sharedPartsNamesArray.push(name);
-    }
+// Drops ({ name: value }) whose names were found in the liquid code. `*` selects all of them and `namespace.*` all the keys of a namespace
+function selectDrops(drops, names) {
+  const selected = {};
+  for (const [key, value] of Object.entries(drops || {})) {
+    const found = names.some(
+      (name) =>
+        name === key ||
+        name === "*" ||
+        (name.endsWith(".*") && key.startsWith(name.slice(0, -1)))
+    );
+    if (found) selected[key] = value;
   }
-
-  return sharedPartsNamesArray; // [ shared_part_name_1, shared_part_name_2 ...]
+  return selected;
 }
 
 // Look for Account IDs in customs
@@ -352,34 +471,57 @@ function lookForAccountsIDs(obj) {
   return uniqueArray; // [ #12345678, ...]
 }
 
-// Search for account_collections that have defaults defined
-/*
-function lookForDefaultAccounts(reconcilationObject) {
-  // No main part ?
-  if (!reconcilationObject.text) {
-    consola.warn(`Reconciliation "${reconciliationHandle}": no liquid code found`);
-    return;
-  };
-  // Main
-  const inputFields = liquidUtils.lookForInputFields(reconcilationObject.text,'account_collection');
-  const defaultVariables = liquidUtils.lookForDefault(inputFields);
-  const accountsArray = [];
-  for (variable of defaultVariables){
-    accountsArray.push(liquidUtils.lookForAssign(reconcilationObject.text, variable));
-  };
-  // ??
-  // We cannot search accounts by it's number, we need the id
-};
-*/
+// Default accounts of the account collection inputs (e.g. `{% input custom.costs.accounts as:account_collection default:"61__62" %}`)
+// Defaults are resolved through assign and capture tags. Returns the account ranges ([ "61__62", ... ])
+function lookForDefaultAccounts(dependencies, reconciliationHandle) {
+  const ranges = [];
+  for (const input of dependencies.inputs) {
+    if (input.as !== "account_collection" || !input.options.default) continue;
+    const defaultAccounts = input.options.default;
+    if (defaultAccounts.type !== "text") {
+      consola.warn(
+        `"${reconciliationHandle}": the default accounts of input "${input.name}" (line ${input.line}) can't be found in the liquid code. Add them to the test manually`
+      );
+      continue;
+    }
+    if (!ranges.includes(defaultAccounts.value)) {
+      ranges.push(defaultAccounts.value);
+    }
+  }
+  return ranges;
+}
+
+// Accounts ({ account: { number } }) that are in one of the account ranges (`6`, `60__62` or `6,70__71`)
+function filterAccountsInRanges(accounts, ranges) {
+  const parsedRanges = [];
+  for (const range of ranges) {
+    try {
+      parsedRanges.push(...parseAccountRanges(range));
+    } catch (error) {
+      consola.warn(`${error.message}. Add its accounts to the test manually`);
+    }
+  }
+  return accounts.filter((account) =>
+    parsedRanges.some((range) =>
+      inAccountRange(String(account.account.number), range)
+    )
+  );
+}
 
 module.exports = {
   createBaseLiquidTest,
   extractURL,
   exportYAML,
+  appendYAML,
   processCustom,
+  findDependenciesInLiquid,
   getCompanyDependencies,
   searchForResultsFromDependenciesInLiquid,
   searchForCustomsFromDependenciesInLiquid,
   lookForSharedPartsInLiquid,
+  searchForPreviousPeriodDependenciesInLiquid,
+  selectDrops,
   lookForAccountsIDs,
+  lookForDefaultAccounts,
+  filterAccountsInRanges,
 };
@@ -1,6 +1,10 @@
 const { consola } = require("consola");
+const errorUtils = require("./errorUtils");
+const { parse } = require("../liquid/parser");
+const { findDependencies } = require("../liquid/dependencies");
 
 // Search for all "input" tags in Liquid
+// Values of the options are resolved through assign and capture tags ({ type: "text", value } when known)
 function lookForInputTags(liquidCode, input_type = "") {
   const input_types = [
     "account_collection",
@@ -16,64 +20,53 @@ function lookForInputTags(liquidCode, input_type = "") {
   ];
   if (!input_types.includes(input_type)) {
     consola.error("Input type defined not supported");
-    process.exit(1);
+    process.exit(errorUtils.EXIT_CODES.INVALID_INPUT);
   }
-  let reInput;
-  if (input_type) {
-    let expression = `{%.*input.*as:${input_type}.*%}`; // {% input as:account_collection %}
-    reInput = new RegExp(expression, "g");
-  } else {
-    reInput = RegExp(/{%.*input.*%}/g); // {% input %}
-  }
-  return found; // return array with all the input tags found [{% input custom.foo.bar as:account_collection %}]
+  const { inputs } = findDependencies({ text: liquidCode });
+  if (!input_type) return inputs;
+  return inputs.filter((input) => input.as === input_type); // [{ name: "custom.foo.bar", as, markup, options: { default, ... }, line }]
 }
 
 // Look for default parameter. You could pass a string (full liquid code) or an array (e.g input tags)
+// Only the defaults that are known without the data are returned (literals or variables assigned or captured as text)
 function lookForDefault(text) {
-  reDefault = RegExp(/default:\w+/g); // default:variable_name
-  if (typeof text === "string") {
-    const found = text.match(reDefault) || [];
-    const variableNames = found.map((element) => {
-      return element.split(":")[1]; // default:variable_name
-    });
-    const uniqueVariables = [...new Set(variableNames)];
-    return uniqueVariables;
-  }
-  // Each element of the array should have only one default
-  if (Array.isArray(text)) {
-    const defaultsArray = text
-      .map((element) => {
-        let matchItem = element.match(reDefault);
-        if (matchItem) {
-          return matchItem[0].split(":")[1]; // default:variable_name
-        }
-      })
-      .filter((element) => element); // remove undefined
-    const uniqueVariables = [...new Set(defaultsArray)];
-    return uniqueVariables;
+  const inputs = typeof text === "string" ? lookForInputTags(text) : text;
+  const defaults = inputs
+    .map((input) => input.options.default)
+    .filter((value) => value && value.type === "text")
+    .map((value) => value.value);
+  return [...new Set(defaults)];
+}
+
+// Tags with a name in parsed Liquid, also in the body of blocks
+function findTags(nodes, name, found = []) {
+  for (const node of nodes) {
+    if (node.type !== "tag") continue;
+    if (node.name === name) found.push(node);
+    if (node.body) findTags(node.body, name, found);
+    for (const branch of node.branches || []) {
+      findTags(branch.body, name, found);
+    }
   }
+  return found;
 }
 
 // Search for an specific "assign" tag in Liquid by it's name
 function lookForAssign(text, variableName) {
-  let expression = `{%.*assign.*${variableName}.*=.*%}`; // {% assign variable_name = content %}
-  reAssign = new RegExp(expression, "g");
-  const found = text.match(reAssign) || [];
-  const variables = found.map((element) => {
-    let parts = element.split("=");
-    return parts[1].replace("%}", "").trim();
-  });
-  return variables[0]; // return the content of the assign tag
+  const assign = findTags(parse(text).body, "assign").find(
+    (node) => node.variable === variableName
+  );
+  if (!assign) return;
+  return assign.markup.slice(assign.markup.indexOf("=") + 1).trim(); // return the content of the assign tag
 }
 
 // Search for all capture tags in Liquid.
 function lookForCaptureTags(liquidCode) {
-  const reCapture = RegExp(/{%.*capture.*%}.*{%.*endcapture.*%}/g); // {% input %}
-  const found = liquidCode.match(reCapture) || [];
-  return found; // return array with all the capture tags found [{% capture variable_name %}Content{% endcapture %}]
+  return findTags(parse(liquidCode).body, "capture"); // return array with all the capture tags found [{ variable, body, line }]
 }
 
 module.exports = {
+  findTags,
   lookForInputTags,
   lookForDefault,
   lookForAssign,
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const yaml = require("yaml");
+const fsUtils = require("./fsUtils");
+
+const MANIFEST_FILE = "silverfin.yml";
+
+/**
+ * Find where a template is mentioned in the environments of `silverfin.yml`: in their lists of templates and in their overrides
+ * @param {Object} document Manifest parsed with `yaml.parseDocument`
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ * @returns {Array<Object>} `{ node, collection }` of each mention: the scalar of the list item or of the override key, and the list or overrides it belongs to
+ */
+function findTemplateNodes(document, templateType, name) {
+  const folder = fsUtils.FOLDERS[templateType];
+  const mentions = [];
+  const environments = document.get("environments");
+  for (const environment of environments?.items || []) {
+    const templates = environment.value?.get?.(folder, true);
+    for (const item of templates?.items || []) {
+      if (yaml.isScalar(item) && item.value === name) {
+        mentions.push({ node: item, collection: templates });
+      }
+    }
+    const overrides = environment.value?.getIn?.(["overrides", folder], true);
+    for (const pair of overrides?.items || []) {
+      if (yaml.isScalar(pair.key) && pair.key.value === name) {
+        mentions.push({ node: pair, collection: overrides });
+      }
+    }
+  }
+  return mentions;
+}
+
+// Text of a list item or override (with its attributes), including its separator in a flow collection or its lines in a block collection
+function entryRange(source, node, collection) {
+  const first = yaml.isPair(node) ? node.key : node;
+  const last = yaml.isPair(node) ? node.value || node.key : node;
+  let start = first.range[0];
+  let end = last.range[2];
+  if (collection.flow) {
+    const after = source.slice(end).match(/^\s*,\s*/);
+    if (after) return [start, end + after[0].length];
+    const before = source.slice(0, start).match(/,\s*$/);
+    return [before ? start - before[0].length : start, end];
+  }
+  start = source.lastIndexOf("\n", start - 1) + 1;
+  if (source[end - 1] !== "\n") {
+    const lineEnd = source.indexOf("\n", end);
+    end = lineEnd === -1 ? source.length : lineEnd + 1;
+  }
+  return [start, end];
+}
+
+/**
+ * Remove a template from the environments of `silverfin.yml` (lists and overrides), keeping the rest of the file (comments, quotes, anchors) as it is. A list left without templates becomes `[]`
+ * @param {String} source Content of `silverfin.yml`
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ * @returns {String|null} The new content. Null when the template is not mentioned (or the file is not valid YAML)
+ */
+function removeFromManifest(source, templateType, name) {
+  const document = yaml.parseDocument(source);
+  if (document.errors.length) return null;
+  const mentions = findTemplateNodes(document, templateType, name);
+  if (!mentions.length) return null;
+
+  const edits = [];
+  for (const collection of new Set(mentions.map((m) => m.collection))) {
+    const ranges = mentions
+      .filter((mention) => mention.collection === collection)
+      .map(({ node }) => entryRange(source, node, collection));
+    // Lists can't be empty: the whole list is replaced
+    if (yaml.isSeq(collection) && ranges.length === collection.items.length) {
+      edits.push({
+        start: source.slice(0, collection.range[0]).trimEnd().length,
+        end: collection.flow
+          ? collection.range[1]
+          : Math.max(...ranges.map(([, end]) => end)),
+        text: collection.flow ? " []" : " []\n",
+      });
+      continue;
+    }
+    for (const [start, end] of ranges) edits.push({ start, end, text: "" });
+  }
+
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (text, edit) =>
+        text.slice(0, edit.start) + edit.text + text.slice(edit.end),
+      source
+    );
+}
+
+/**
+ * Remove a template from `silverfin.yml` (in the current directory), when the file exists
+ * @param {String} templateType
+ * @param {String} name Handle or name of the template
+ * @returns {Boolean} True when the manifest was changed
+ */
+function removeTemplateFromManifest(templateType, name) {
+  if (!fs.existsSync(MANIFEST_FILE)) return false;
+  const content = removeFromManifest(
+    fs.readFileSync(MANIFEST_FILE, "utf-8"),
+    templateType,
+    name
+  );
+  if (content === null) return false;
+  fs.writeFileSync(MANIFEST_FILE, content);
+  return true;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  findTemplateNodes,
+  removeFromManifest,
+  removeTemplateFromManifest,
+};
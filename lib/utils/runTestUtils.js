@@ -1,3 +1,5 @@
+const yaml = require("yaml");
+
 function checkRenderMode(htmlInput, htmlPreview) {
   if (htmlInput && htmlPreview) {
     return "all";
@@ -10,6 +12,265 @@ function checkRenderMode(htmlInput, htmlPreview) {
   }
 }
 
+/**
+ * Process every item with an async worker, running at most `limit` workers at the same time
+ * @param {Array} items
+ * @param {Number} limit Maximum number of workers running at the same time
+ * @param {Function} worker Async function called with each item
+ * @returns {Array} Results of the worker, in the same order as the items
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    workers.push(runNext());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+// Tags of a test: `@tag` words in the comment above the test or next to its name
+function listTestTags(pair) {
+  const comments = [pair.key?.commentBefore, pair.value?.commentBefore];
+  const tags = [];
+  for (const comment of comments) {
+    if (!comment) continue;
+    for (const match of comment.matchAll(/(?:^|\s)@([\w-]+)/g)) {
+      tags.push(match[1]);
+    }
+  }
+  return tags;
+}
+
+// Column of a position in a text (starting at 0)
+function columnOf(text, position) {
+  return position - (text.lastIndexOf("\n", position - 1) + 1);
+}
+
+// Indentation of the line of a position in a text
+function lineIndent(text, position) {
+  const line = text.slice(position - columnOf(text, position));
+  return line.length - line.trimStart().length;
+}
+
+// Indent the lines of a text at `indent` spaces, keeping their relative indentation
+function reindent(lines, indent) {
+  const base = Math.min(
+    ...lines
+      .filter((line) => line.trim())
+      .map((line) => line.length - line.trimStart().length)
+  );
+  return lines.map((line) =>
+    line.trim() ? " ".repeat(indent) + line.slice(base) : ""
+  );
+}
+
+// Source of a part of a YAML file, where the aliases to nodes that are not kept are replaced by the source of those nodes
+function resolveAliases(source, doc, start, end, isKept) {
+  const aliases = [];
+  yaml.visit(doc, {
+    Alias(_, node, path) {
+      if (node.range[0] < start || node.range[1] > end) return;
+      const target = node.resolve(doc);
+      if (!target || isKept(target)) return;
+      const flow = path.some(
+        (parent) => yaml.isCollection(parent) && parent.flow
+      );
+      aliases.push({ node, target, flow });
+    },
+  });
+
+  let text = source.slice(start, end);
+  for (const { node, target, flow } of aliases.reverse()) {
+    let replacement;
+    let before = text.slice(0, node.range[0] - start);
+    if (flow && yaml.isCollection(target) && !target.flow) {
+      // Block collections can't be written inside a flow collection
+      replacement = JSON.stringify(target.toJS(doc));
+    } else {
+      const lines = resolveAliases(
+        source,
+        doc,
+        target.range[0],
+        target.range[1],
+        isKept
+      )
+        .trimEnd()
+        .split("\n");
+      // The node is nested under the key (or sequence item) of the alias
+      const indent = lineIndent(source, node.range[0]) + 2;
+      if (yaml.isCollection(target) && !target.flow) {
+        before = before.replace(/ +$/, "");
+        lines[0] = " ".repeat(columnOf(source, target.range[0])) + lines[0];
+        replacement = "\n" + reindent(lines, indent).join("\n");
+      } else if (lines.length > 1) {
+        replacement = [lines[0], ...reindent(lines.slice(1), indent)].join(
+          "\n"
+        );
+      } else {
+        replacement = lines[0];
+      }
+    }
+    text = before + replacement + text.slice(node.range[1] - start);
+  }
+  return text;
+}
+
+/**
+ * Select the tests of a Liquid Test file by name and/or tag
+ * @param {String} testContent Content of the YAML file
+ * @param {Object} testFilter `{ grep, tag }`: regular expression to be matched by the name of the tests, tag set in a YAML comment of the tests (e.g. `# @rollforward`)
+ * @returns {Object} `{ testNames, content }`: names of the selected tests and a YAML document with only those tests.
+ * The source of the tests is kept as it is (Silverfin reads it as YAML 1.1), aliases to the tests left out are replaced by the source of their node
+ */
+function selectTests(testContent, testFilter) {
+  const doc = yaml.parseDocument(testContent, { merge: true });
+  const regex = testFilter.grep ? new RegExp(testFilter.grep) : null;
+
+  const selectedPairs = (doc.contents?.items || []).filter((pair) => {
+    const testName = String(pair.key?.value);
+    if (regex && !regex.test(testName)) return false;
+    if (testFilter.tag && !listTestTags(pair).includes(testFilter.tag)) {
+      return false;
+    }
+    return true;
+  });
+  const testNames = selectedPairs.map((pair) => String(pair.key.value));
+
+  const ranges = selectedPairs.map((pair) => [
+    pair.key.range[0],
+    pair.value?.range ? pair.value.range[1] : pair.key.range[1],
+  ]);
+  const isKept = (node) =>
+    ranges.some(
+      ([start, end]) => node.range[0] >= start && node.range[1] <= end
+    );
+  const content = ranges
+    .map(([start, end]) =>
+      resolveAliases(testContent, doc, start, end, isKept).trimEnd()
+    )
+    .join("\n")
+    .concat(testNames.length ? "\n" : "");
+
+  return { testNames, content };
+}
+
+/**
+ * Locate the tests of a Liquid Test file: the exact range of each top-level key (comments and values are ignored)
+ * @param {String} testContent Content of the YAML file
+ * @returns {Array<Object>} `{ name, line, col, endLine }` of each test, in order of appearance. Lines and columns start at 1. `endLine` is the last line of the test, without trailing comments or blank lines
+ */
+function locateTests(testContent) {
+  const lineCounter = new yaml.LineCounter();
+  const doc = yaml.parseDocument(testContent, { merge: true, lineCounter });
+  if (!yaml.isMap(doc.contents)) return [];
+
+  return doc.contents.items
+    .filter((pair) => pair.key?.range)
+    .map((pair) => {
+      const start = lineCounter.linePos(pair.key.range[0]);
+      // End of the value (or of the key when the value is empty), excluding the line break
+      const end = pair.value?.range ? pair.value.range[1] : pair.key.range[1];
+      return {
+        name: String(pair.key.value),
+        line: start.line,
+        col: start.col,
+        endLine: lineCounter.linePos(Math.max(end - 1, pair.key.range[0])).line,
+      };
+    });
+}
+
+/**
+ * Find the test a line of a Liquid Test file belongs to (e.g. the position of the cursor in an editor)
+ * @param {String} testContent Content of the YAML file
+ * @param {Number} line Line number (starting at 1)
+ * @returns {String|undefined} Name of the test, `undefined` when the line is outside of any test
+ */
+function findTestAtLine(testContent, line) {
+  const test = locateTests(testContent).find(
+    (test) => line >= test.line && line <= test.endLine
+  );
+  return test?.name;
+}
+
+function isMergeKey(key) {
+  return (
+    yaml.isScalar(key) && (typeof key.value === "symbol" || key.value === "<<")
+  );
+}
+
+// Pair of a map with the given key, including the keys of merged maps (`<<`)
+function findPair(doc, node, key) {
+  const map = yaml.isAlias(node) ? node.resolve(doc) : node;
+  if (!yaml.isMap(map)) return;
+
+  const pair = map.items.find(
+    (item) => !isMergeKey(item.key) && String(item.key?.value) === key
+  );
+  if (pair) return pair;
+
+  for (const item of map.items.filter((item) => isMergeKey(item.key))) {
+    const sources = yaml.isSeq(item.value) ? item.value.items : [item.value];
+    for (const source of sources) {
+      const mergedPair = findPair(doc, source, key);
+      if (mergedPair) return mergedPair;
+    }
+  }
+}
+
+/**
+ * Point the line numbers of the failed expectations to the original Liquid Test file.
+ * Needed when the YAML sent to the platform was not the file itself (e.g. only some tests were selected)
+ * @param {Object} testsFeedback Feedback of every test, as returned by the platform (`testRun.tests`). It's updated in place
+ * @param {String} testContent Content of the original YAML file
+ */
+function locateFailureLines(testsFeedback, testContent) {
+  const lineCounter = new yaml.LineCounter();
+  const doc = yaml.parseDocument(testContent, { merge: true, lineCounter });
+  const lineOf = (pair) =>
+    pair?.key?.range ? lineCounter.linePos(pair.key.range[0]).line : null;
+
+  for (const testName of Object.keys(testsFeedback || {})) {
+    const testElements = testsFeedback[testName];
+    const expectation = findPair(
+      doc,
+      findPair(doc, doc.contents, testName)?.value,
+      "expectation"
+    )?.value;
+    if (!expectation) continue;
+
+    if (testElements.reconciled) {
+      const line = lineOf(findPair(doc, expectation, "reconciled"));
+      if (line) testElements.reconciled.line_number = line;
+    }
+    // The section `rollforwards` of the feedback is stored as `rollforward` in the YAML
+    const sections = { results: "results", rollforwards: "rollforward" };
+    for (const [section, yamlKey] of Object.entries(sections)) {
+      const items = testElements[section] || {};
+      const sectionNode = findPair(doc, expectation, yamlKey)?.value;
+      for (const itemName of Object.keys(items)) {
+        const line = lineOf(findPair(doc, sectionNode, itemName));
+        if (line) items[itemName].line_number = line;
+      }
+    }
+  }
+}
+
 module.exports = {
   checkRenderMode,
+  runWithConcurrency,
+  selectTests,
+  locateTests,
+  findTestAtLine,
+  locateFailureLines,
 };
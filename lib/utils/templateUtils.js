@@ -71,6 +71,32 @@ function missingLiquidCode(template) {
   return false;
 }
 
+/** Check if a name is a selection of templates (a glob pattern like `unit_*` or a comma separated list) instead of a single template */
+function isTemplateSelection(name) {
+  return /[*?,]/.test(name);
+}
+
+/**
+ * Filter a list of template names by a selection
+ * @param {Array<string>} names Names (or handles) of the templates
+ * @param {string} selection Glob pattern (`*` and `?` wildcards) or comma separated list of patterns
+ * @returns {Array<string>} Names that match at least one of the patterns
+ */
+function filterTemplatesBySelection(names, selection) {
+  const patterns = selection
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern)
+    .map((pattern) => {
+      const expression = pattern
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".");
+      return new RegExp(`^${expression}$`);
+    });
+  return names.filter((name) => patterns.some((pattern) => pattern.test(name)));
+}
+
 module.exports = {
   TEMPLATES_NAME_ATTRIBUTE,
   TEMPLATE_TYPE_NAMES,
@@ -79,4 +105,6 @@ module.exports = {
   checkValidName,
   filterParts,
   missingLiquidCode,
+  isTemplateSelection,
+  filterTemplatesBySelection,
 };
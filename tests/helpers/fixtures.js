@@ -0,0 +1,44 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Run each test of the current `describe` in a new temporary directory, removed after the test. Call it before the hooks that create files
+ * @param {String} prefix Prefix of the name of the directory
+ */
+function useTemporaryDirectory(prefix) {
+  let originalDirectory;
+  let workingDirectory;
+
+  beforeEach(() => {
+    originalDirectory = process.cwd();
+    workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    process.chdir(workingDirectory);
+  });
+
+  afterEach(() => {
+    process.chdir(originalDirectory);
+    fs.rmSync(workingDirectory, { recursive: true, force: true });
+  });
+}
+
+// Write a file, creating its folders. Objects are stored as JSON
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    typeof content === "string" ? content : JSON.stringify(content, null, 2)
+  );
+}
+
+// Write a template folder with its Liquid file and config
+function writeTemplate(folder, name, liquidFile, text, config) {
+  writeFile(path.join(folder, name, liquidFile), text);
+  writeFile(path.join(folder, name, "config.json"), {
+    id: {},
+    partner_id: {},
+    ...config,
+  });
+}
+
+module.exports = { useTemporaryDirectory, writeFile, writeTemplate };
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const {
+  useTemporaryDirectory,
+  writeFile,
+  writeTemplate,
+} = require("./helpers/fixtures");
+const SF = require("../lib/api/sfApi");
+const fsUtils = require("../lib/utils/fsUtils");
+const errorUtils = require("../lib/utils/errorUtils");
+const toolkit = require("../index");
+
+jest.mock("consola");
+jest.mock("../lib/api/sfApi", () => ({
+  readReconciliationTextById: jest.fn(),
+  readSharedPartById: jest.fn(),
+  removeSharedPartFromReconciliation: jest.fn(),
+  deleteReconciliationText: jest.fn(),
+  deleteSharedPart: jest.fn(),
+}));
+
+describe("deleteTemplate", () => {
+  useTemporaryDirectory("delete-");
+
+  const lastSync = { hash: "x", updated_at: "2024-01-01", version: 1 };
+  const readConfig = (templateType, name) =>
+    fsUtils.readConfig(templateType, name);
+
+  beforeEach(() => {
+    writeTemplate(
+      "reconciliation_texts",
+      "example",
+      "main.liquid",
+      "{% include 'shared/part' %}",
+      {
+        id: { 100: 1, 200: 2 },
+        handle: "example",
+        text: "main.liquid",
+        text_parts: {},
+        last_sync: { firm: { 100: lastSync, 200: lastSync } },
+      }
+    );
+    writeTemplate("shared_parts", "part", "part.liquid", "{% assign a = 1 %}", {
+      id: { 100: 5, 200: 6 },
+      name: "part",
+      text: "part.liquid",
+      used_in: [
+        {
+          type: "reconciliationText",
+          handle: "example",
+          id: { 100: 1, 200: 2 },
+        },
+        { type: "reconciliationText", handle: "other", id: { 100: 3 } },
+      ],
+    });
+    SF.readSharedPartById.mockResolvedValue({
+      data: {
+        id: 5,
+        used_in: [
+          { id: 1, type: "reconciliation" },
+          { id: 3, type: "reconciliation" },
+        ],
+      },
+    });
+    SF.removeSharedPartFromReconciliation.mockResolvedValue({ status: 200 });
+    SF.deleteReconciliationText.mockResolvedValue({ status: 204 });
+    SF.deleteSharedPart.mockResolvedValue({ status: 204 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    process.exitCode = undefined;
+  });
+
+  it("should remove the shared parts from the template before deleting it", async () => {
+    const deleted = await toolkit.deleteTemplate(
+      "firm",
+      100,
+      "reconciliationText",
+      "example"
+    );
+
+    expect(deleted).toBe(true);
+    expect(SF.removeSharedPartFromReconciliation).toHaveBeenCalledWith(
+      "firm",
+      100,
+      5,
+      1
+    );
+    expect(
+      SF.removeSharedPartFromReconciliation.mock.invocationCallOrder[0]
+    ).toBeLessThan(SF.deleteReconciliationText.mock.invocationCallOrder[0]);
+    expect(SF.deleteReconciliationText).toHaveBeenCalledWith("firm", 100, 1);
+  });
+
+  it("should not delete the template when a shared part can't be removed from it", async () => {
+    SF.removeSharedPartFromReconciliation.mockResolvedValue({ status: 422 });
+
+    const deleted = await toolkit.deleteTemplate(
+      "firm",
+      100,
+      "reconciliationText",
+      "example"
+    );
+
+    expect(deleted).toBe(false);
+    expect(SF.deleteReconciliationText).not.toHaveBeenCalled();
+    expect(process.exitCode).toBe(errorUtils.EXIT_CODES.API_ERROR);
+    expect(readConfig("reconciliationText", "example").id).toEqual({
+      100: 1,
+      200: 2,
+    });
+  });
+
+  it("should only remove the ID and last sync of the environment from the config", async () => {
+    await toolkit.deleteTemplate("firm", 100, "reconciliationText", "example");
+
+    const config = readConfig("reconciliationText", "example");
+    expect(config.id).toEqual({ 200: 2 });
+    expect(config.last_sync).toEqual({ firm: { 200: lastSync } });
+  });
+
+  it("should remove a deleted shared part from every template and keep the templates of other environments", async () => {
+    const deleted = await toolkit.deleteTemplate(
+      "firm",
+      100,
+      "sharedPart",
+      "part"
+    );
+
+    expect(deleted).toBe(true);
+    expect(SF.removeSharedPartFromReconciliation.mock.calls).toEqual([
+      ["firm", 100, 5, 1],
+      ["firm", 100, 5, 3],
+    ]);
+    expect(SF.deleteSharedPart).toHaveBeenCalledWith("firm", 100, 5);
+    const config = readConfig("sharedPart", "part");
+    expect(config.id).toEqual({ 200: 6 });
+    expect(config.used_in).toEqual([
+      { type: "reconciliationText", handle: "example", id: { 200: 2 } },
+    ]);
+  });
+
+  describe("with local", () => {
+    it("should refuse to remove a template still stored in other environments", async () => {
+      const deleted = await toolkit.deleteTemplate(
+        "firm",
+        100,
+        "reconciliationText",
+        "example",
+        true
+      );
+
+      expect(deleted).toBe(false);
+      expect(SF.deleteReconciliationText).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.INVALID_INPUT);
+      expect(fs.existsSync("reconciliation_texts/example")).toBe(true);
+    });
+
+    it("should remove the template folder and its references in the shared parts", async () => {
+      const config = readConfig("reconciliationText", "example");
+      fsUtils.writeConfig("reconciliationText", "example", {
+        ...config,
+        id: { 100: 1 },
+      });
+
+      const deleted = await toolkit.deleteTemplate(
+        "firm",
+        100,
+        "reconciliationText",
+        "example",
+        true
+      );
+
+      expect(deleted).toBe(true);
+      expect(fs.existsSync("reconciliation_texts/example")).toBe(false);
+      expect(readConfig("sharedPart", "part").used_in).toEqual([
+        { type: "reconciliationText", handle: "other", id: { 100: 3 } },
+      ]);
+    });
+
+    it("should forget the last sync of the template and remove it from silverfin.yml", async () => {
+      const config = readConfig("reconciliationText", "example");
+      fsUtils.writeConfig("reconciliationText", "example", {
+        ...config,
+        id: { 100: 1 },
+        last_sync: { firm: { 100: lastSync } },
+      });
+      writeFile(
+        ".silverfin/sync/reconciliation_texts/example/firm_100.json",
+        "{}"
+      );
+      writeFile(
+        "silverfin.yml",
+        [
+          "environments:",
+          "  staging:",
+          "    firm: 100",
+          "    reconciliation_texts:",
+          "      - example",
+          "      - other",
+          "    overrides:",
+          "      reconciliation_texts:",
+          "        example:",
+          "          name_en: Example",
+          "",
+        ].join("\n")
+      );
+
+      await toolkit.deleteTemplate(
+        "firm",
+        100,
+        "reconciliationText",
+        "example",
+        true
+      );
+
+      expect(
+        fs.existsSync(
+          ".silverfin/sync/reconciliation_texts/example/firm_100.json"
+        )
+      ).toBe(false);
+      expect(fs.readFileSync("silverfin.yml", "utf-8")).toBe(
+        [
+          "environments:",
+          "  staging:",
+          "    firm: 100",
+          "    reconciliation_texts:",
+          "      - other",
+          "    overrides:",
+          "      reconciliation_texts:",
+          "",
+        ].join("\n")
+      );
+    });
+  });
+});
+
+describe("fetchExistingReconciliations", () => {
+  useTemporaryDirectory("import-");
+
+  beforeEach(() => {
+    for (const [handle, id] of [
+      ["found", 1],
+      ["missing", 2],
+    ]) {
+      writeTemplate("reconciliation_texts", handle, "main.liquid", "", {
+        id: { 100: id },
+        handle,
+        text: "main.liquid",
+        text_parts: {},
+      });
+    }
+    SF.readReconciliationTextById.mockImplementation(async (type, envId, id) =>
+      id === 1
+        ? {
+            data: {
+              id: 1,
+              handle: "found",
+              text: "{{ 1 }}",
+              text_parts: [],
+            },
+          }
+        : undefined
+    );
+    jest.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+  });
+
+  it("should import the other templates when one of them fails", async () => {
+    await toolkit.fetchExistingReconciliations("firm", 100);
+
+    expect(SF.readReconciliationTextById).toHaveBeenCalledTimes(2);
+    expect(fs.existsSync(".silverfin/sync/reconciliation_texts/found")).toBe(
+      true
+    );
+    expect(process.exit).not.toHaveBeenCalled();
+    expect(process.exitCode).toBe(errorUtils.EXIT_CODES.API_ERROR);
+  });
+});
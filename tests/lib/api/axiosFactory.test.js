@@ -1,7 +1,11 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { consola } = require("consola");
 const axios = require("axios");
 const { firmCredentials } = require("../../../lib/api/firmCredentials");
 const { AxiosFactory } = require("../../../lib/api/axiosFactory");
+const cassettes = require("../../../lib/api/cassettes");
 const AxiosMockAdapter = require("axios-mock-adapter");
 
 jest.mock("consola");
@@ -53,10 +57,10 @@ describe("AxiosFactory", () => {
 
       expect(() => {
         AxiosFactory.createInstance("invalid", 123);
-      }).toThrow("Process.exit called with code 1");
+      }).toThrow("Process.exit called with code 3");
 
       expect(consola.error).toHaveBeenCalled();
-      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(exitSpy).toHaveBeenCalledWith(3);
     });
   });
 
@@ -89,12 +93,12 @@ describe("AxiosFactory", () => {
 
       expect(() => {
         AxiosFactory.createInstance("firm", firmId);
-      }).toThrow("Process.exit called with code 1");
+      }).toThrow("Process.exit called with code 2");
 
       expect(consola.error).toHaveBeenCalledWith(
         "Missing authorization for firm id: 50000"
       );
-      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(exitSpy).toHaveBeenCalledWith(2);
     });
 
     it("should refresh tokens on 401 Unauthorized error", async () => {
@@ -146,6 +150,43 @@ describe("AxiosFactory", () => {
       expect(response.data).toBe("Success");
     });
 
+    it("should not store the tokens of a replayed refresh", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "cassettes-"));
+      firmCredentials.getHost.mockReturnValue(mockHost);
+      firmCredentials.getTokenPair.mockReturnValue(mockTokenPair);
+      axiosMockAdapter
+        .onGet("/test-endpoint")
+        .replyOnce(401, "Unauthorized")
+        .onGet("/test-endpoint")
+        .replyOnce(200, "Success");
+      axiosMockAdapter
+        .onPost(`${mockHost}/f/${firmId}/oauth/token`)
+        .reply(200, {
+          access_token: "new-access",
+          refresh_token: "new-refresh",
+        });
+
+      try {
+        process.env[cassettes.RECORD_ENV] = directory;
+        await AxiosFactory.createInstance("firm", firmId).get("/test-endpoint");
+        delete process.env[cassettes.RECORD_ENV];
+        firmCredentials.storeNewTokenPair.mockClear();
+
+        process.env[cassettes.REPLAY_ENV] = directory;
+        const response = await AxiosFactory.createInstance("firm", firmId).get(
+          "/test-endpoint"
+        );
+
+        expect(response.data).toBe("Success");
+        expect(axiosMockAdapter.history.post.length).toBe(1);
+        expect(firmCredentials.storeNewTokenPair).not.toHaveBeenCalled();
+      } finally {
+        delete process.env[cassettes.RECORD_ENV];
+        delete process.env[cassettes.REPLAY_ENV];
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
     it("should attempt to refresh tokens only once on 401 and terminate the process", async () => {
       firmCredentials.getHost.mockReturnValue(mockHost);
       firmCredentials.getTokenPair.mockReturnValue(mockTokenPair);
@@ -161,14 +202,14 @@ describe("AxiosFactory", () => {
         .reply(401, "Unauthorized");
 
       await expect(axiosInstance.get("/test-endpoint")).rejects.toThrow(
-        "Process.exit called with code 1"
+        "Process.exit called with code 2"
       );
 
       expect(axiosMockAdapter.history.get.length).toBe(1);
       expect(axiosMockAdapter.history.post.length).toBe(1);
 
       expect(firmCredentials.storeNewTokenPair).toHaveBeenCalledTimes(0);
-      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(exitSpy).toHaveBeenCalledWith(2);
       expect(consola.error).toHaveBeenCalledWith(
         "Error refreshing credentials. Try running the authentication process again"
       );
@@ -266,12 +307,12 @@ describe("AxiosFactory", () => {
 
       expect(() => {
         AxiosFactory.createInstance("partner", partnerId);
-      }).toThrow("Process.exit called with code 1");
+      }).toThrow("Process.exit called with code 2");
 
       expect(consola.error).toHaveBeenCalledWith(
         "Missing authorization for partner id: 100"
       );
-      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(exitSpy).toHaveBeenCalledWith(2);
     });
 
     it("should refresh API key on 401 Unauthorized error", async () => {
@@ -342,14 +383,14 @@ describe("AxiosFactory", () => {
       jest.spyOn(axiosInstance, "post");
 
       await expect(axiosInstance.get("/test-endpoint")).rejects.toThrow(
-        "Process.exit called with code 1"
+        "Process.exit called with code 2"
       );
 
       expect(axiosMockAdapter.history.get.length).toBe(1);
       expect(axiosMockAdapter.history.post.length).toBe(1);
 
       expect(firmCredentials.storeNewTokenPair).toHaveBeenCalledTimes(0);
-      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(exitSpy).toHaveBeenCalledWith(2);
       expect(consola.error).toHaveBeenCalledWith(
         "Error refreshing credentials. Try running the authentication process again"
       );
@@ -420,10 +461,10 @@ describe("AxiosFactory", () => {
 
       expect(() => {
         AxiosFactory.createInstance("firm", 123);
-      }).toThrow("Process.exit called with code 1");
+      }).toThrow("Process.exit called with code 2");
 
       expect(consola.error).toHaveBeenCalled();
-      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(exitSpy).toHaveBeenCalledWith(2);
     });
 
     it("should use basic auth for firm instance in staging", () => {
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const cassettes = require("../../../lib/api/cassettes");
+
+jest.mock("consola");
+
+describe("cassettes", () => {
+  let directory;
+  let exitSpy;
+
+  // Axios instance of a firm, whose requests are answered by the given responses
+  const createInstance = (responses = []) => {
+    const adapter = jest.fn(async (config) => {
+      const { status, data } = responses.shift();
+      const response = { data, status, statusText: "", headers: {}, config };
+      if (status >= 400) {
+        throw new axios.AxiosError(
+          `Request failed with status code ${status}`,
+          axios.AxiosError.ERR_BAD_REQUEST,
+          config,
+          {},
+          response
+        );
+      }
+      return response;
+    });
+    const instance = axios.create({
+      baseURL: "https://live.getsilverfin.com/api/v4/f/100",
+      params: { access_token: "secret-token" },
+      adapter,
+    });
+    return { instance: cassettes.useCassettes(instance), adapter };
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "cassettes-"));
+    exitSpy = jest.spyOn(process, "exit").mockImplementation((code) => {
+      throw new Error(`Process.exit called with code ${code}`);
+    });
+  });
+
+  afterEach(() => {
+    delete process.env[cassettes.RECORD_ENV];
+    delete process.env[cassettes.REPLAY_ENV];
+    exitSpy.mockRestore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("should not change the requests without record or replay mode", async () => {
+    const { instance, adapter } = createInstance([{ status: 200, data: "{}" }]);
+
+    await instance.get("reconciliations");
+
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  it("should record the requests without credentials and replay them", async () => {
+    process.env[cassettes.RECORD_ENV] = directory;
+    const recorder = createInstance([
+      { status: 200, data: JSON.stringify([{ id: 1, handle: "first" }]) },
+      { status: 200, data: JSON.stringify({ access_token: "new-token" }) },
+    ]);
+    await recorder.instance.get("reconciliations", { params: { page: 1 } });
+    await recorder.instance.post(
+      "https://live.getsilverfin.com/f/100/oauth/token",
+      {
+        refresh_token: "secret-refresh",
+        grant_type: "refresh_token",
+      }
+    );
+
+    const recorded = fs
+      .readdirSync(directory)
+      .map((file) => fs.readFileSync(path.join(directory, file), "utf-8"))
+      .join("\n");
+    expect(recorded).not.toMatch(/secret-token|secret-refresh|new-token/);
+
+    delete process.env[cassettes.RECORD_ENV];
+    process.env[cassettes.REPLAY_ENV] = directory;
+    const player = createInstance();
+    player.instance.defaults.params.access_token = "other-token";
+    const response = await player.instance.get("reconciliations", {
+      params: { page: 1 },
+    });
+
+    expect(response.data).toEqual([{ id: 1, handle: "first" }]);
+    expect(player.adapter).not.toHaveBeenCalled();
+  });
+
+  it("should not record nested credentials", async () => {
+    process.env[cassettes.RECORD_ENV] = directory;
+    const recorder = createInstance([
+      {
+        status: 200,
+        data: JSON.stringify({
+          data: { attributes: { access_token: "nested-token" } },
+          tokens: [{ refresh_token: "listed-token", expires_in: 7200 }],
+        }),
+      },
+    ]);
+    await recorder.instance.post("authorizations", {
+      credentials: { client_secret: "nested-secret" },
+    });
+
+    const [file] = fs.readdirSync(directory);
+    const cassette = JSON.parse(
+      fs.readFileSync(path.join(directory, file), "utf-8")
+    );
+    expect(cassette.request.data).toEqual({
+      credentials: { client_secret: "[FILTERED]" },
+    });
+    expect(cassette.responses[0].data).toEqual({
+      data: { attributes: { access_token: "[FILTERED]" } },
+      tokens: [{ refresh_token: "[FILTERED]", expires_in: 7200 }],
+    });
+  });
+
+  it("should replay the responses of the same request in order", async () => {
+    process.env[cassettes.RECORD_ENV] = directory;
+    const recorder = createInstance([
+      { status: 200, data: '{"status":"started"}' },
+      { status: 200, data: '{"status":"completed"}' },
+    ]);
+    await recorder.instance.get("reconciliations/test_runs/5");
+    await recorder.instance.get("reconciliations/test_runs/5");
+
+    delete process.env[cassettes.RECORD_ENV];
+    process.env[cassettes.REPLAY_ENV] = directory;
+    const { instance } = createInstance();
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await instance.get("reconciliations/test_runs/5");
+      statuses.push(response.data.status);
+    }
+
+    expect(statuses).toEqual(["started", "completed", "completed"]);
+  });
+
+  it("should replay failed requests", async () => {
+    process.env[cassettes.RECORD_ENV] = directory;
+    const recorder = createInstance([
+      { status: 404, data: '{"error":"Not found"}' },
+    ]);
+    await expect(
+      recorder.instance.get("reconciliations/9")
+    ).rejects.toMatchObject({ response: { status: 404 } });
+
+    delete process.env[cassettes.RECORD_ENV];
+    process.env[cassettes.REPLAY_ENV] = directory;
+    const { instance } = createInstance();
+
+    await expect(instance.get("reconciliations/9")).rejects.toMatchObject({
+      response: { status: 404, data: { error: "Not found" } },
+    });
+  });
+
+  it("should fail on requests that were not recorded", async () => {
+    process.env[cassettes.REPLAY_ENV] = directory;
+    const { instance } = createInstance();
+
+    await expect(instance.get("reconciliations")).rejects.toThrow(
+      "Process.exit called with code 2"
+    );
+  });
+});
@@ -152,7 +152,7 @@ describe("SilverfinAuthorizer", () => {
 
       await expect(async () => {
         await SilverfinAuthorizer.authorizeFirm();
-      }).rejects.toThrow("Process.exit called with code 1");
+      }).rejects.toThrow("Process.exit called with code 3");
 
       expect(mockPrompt).toHaveBeenNthCalledWith(1, "Enter the firm ID: ");
 
@@ -166,7 +166,7 @@ describe("SilverfinAuthorizer", () => {
       expect(consola.error).toHaveBeenCalledWith(
         "Firm ID is missing. Please provide a valid one."
       );
-      expect(exitSpy).toHaveBeenCalledWith(1);
+      expect(exitSpy).toHaveBeenCalledWith(3);
     });
 
     it("should handle response errors", async () => {
@@ -184,7 +184,7 @@ describe("SilverfinAuthorizer", () => {
 
       await expect(async () => {
         await SilverfinAuthorizer.authorizeFirm(mockFirmId);
-      }).rejects.toThrow("Process.exit called with code 1");
+      }).rejects.toThrow("Process.exit called with code 2");
 
       expect(consola.error).toHaveBeenCalledWith(
         "Response Status: 400 (Bad Request)"
@@ -248,7 +248,7 @@ describe("SilverfinAuthorizer", () => {
 
       await expect(async () => {
         await SilverfinAuthorizer.refreshFirm(mockFirmId);
-      }).rejects.toThrow("Process.exit called with code 1");
+      }).rejects.toThrow("Process.exit called with code 2");
 
       expect(mockAxiosInstance.post).not.toHaveBeenCalled();
       expect(mockAxiosInstance.get).not.toHaveBeenCalled();
@@ -279,7 +279,7 @@ describe("SilverfinAuthorizer", () => {
 
       await expect(async () => {
         await SilverfinAuthorizer.refreshFirm(mockFirmId);
-      }).rejects.toThrow("Process.exit called with code 1");
+      }).rejects.toThrow("Process.exit called with code 2");
 
       expect(consola.error).toHaveBeenCalledWith(
         "Response Status: 401 (Unauthorized)",
@@ -324,7 +324,7 @@ describe("SilverfinAuthorizer", () => {
 
       await expect(async () => {
         await SilverfinAuthorizer.refreshPartner("partner_123");
-      }).rejects.toThrow("Process.exit called with code 1");
+      }).rejects.toThrow("Process.exit called with code 2");
 
       expect(mockAxiosInstance.post).not.toHaveBeenCalled();
       expect(mockAxiosInstance.get).not.toHaveBeenCalled();
@@ -350,7 +350,7 @@ describe("SilverfinAuthorizer", () => {
 
       await expect(async () => {
         await SilverfinAuthorizer.refreshPartner(mockPartnerId);
-      }).rejects.toThrow("Process.exit called with code 1");
+      }).rejects.toThrow("Process.exit called with code 2");
 
       expect(consola.error).toHaveBeenCalledWith(
         "Response Status: 401 (Unauthorized). An error occurred trying to refresh the partner API key"
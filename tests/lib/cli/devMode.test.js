@@ -0,0 +1,54 @@
+const { debounceTask } = require("../../../lib/cli/devMode");
+
+jest.mock("../../../index", () => ({}));
+jest.mock("../../../lib/liquidTestRunner", () => ({}));
+jest.mock("consola");
+
+describe("devMode", () => {
+  describe("debounceTask", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should run the task once after a burst of calls", async () => {
+      const task = jest.fn().mockResolvedValue();
+      const schedule = debounceTask(task, 100);
+
+      schedule();
+      schedule();
+      await jest.advanceTimersByTimeAsync(50);
+      schedule();
+      expect(task).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(100);
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    it("should run the task once more when called while it's running", async () => {
+      let finishTask;
+      const task = jest.fn(
+        () => new Promise((resolve) => (finishTask = resolve))
+      );
+      const schedule = debounceTask(task, 100);
+
+      schedule();
+      await jest.advanceTimersByTimeAsync(100);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      // Changes while the task is running
+      schedule();
+      await jest.advanceTimersByTimeAsync(100);
+      schedule();
+      await jest.advanceTimersByTimeAsync(100);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      finishTask();
+      await jest.advanceTimersByTimeAsync(100);
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+  });
+});
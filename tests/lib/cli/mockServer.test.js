@@ -0,0 +1,157 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { MockServer } = require("../../../lib/cli/mockServer");
+
+jest.mock("consola");
+
+describe("MockServer", () => {
+  let fixturesPath;
+  let mockServer;
+  let firm;
+  let partner;
+
+  beforeEach(async () => {
+    fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), "mock-server-"));
+    fs.mkdirSync(path.join(fixturesPath, "firms", "100"), { recursive: true });
+    fs.writeFileSync(
+      path.join(fixturesPath, "firms", "100", "reconciliations.json"),
+      JSON.stringify([
+        {
+          id: 7,
+          handle: "existing",
+          text: "{% result 'total' 10 %}",
+          text_parts: [],
+          reconciliation_type: "can_be_reconciled_without_data",
+        },
+      ])
+    );
+
+    mockServer = new MockServer(fixturesPath, true);
+    const host = await mockServer.listen(0);
+    firm = axios.create({
+      baseURL: `${host}/api/v4/f/100`,
+      headers: { Authorization: "Bearer token" },
+    });
+    partner = axios.create({
+      baseURL: `${host}/api/partner/v1`,
+      params: { partner_id: 5, api_key: "key" },
+    });
+  });
+
+  afterEach(async () => {
+    await mockServer.close();
+    fs.rmSync(fixturesPath, { recursive: true, force: true });
+  });
+
+  it("should serve the templates of the fixtures", async () => {
+    const list = await firm.get("reconciliations", {
+      params: { page: 1, per_page: 200 },
+    });
+    const nextPage = await firm.get("reconciliations", {
+      params: { page: 2, per_page: 200 },
+    });
+    const single = await firm.get("reconciliations/7");
+
+    expect(list.data.map((item) => item.handle)).toEqual(["existing"]);
+    expect(nextPage.data).toEqual([]);
+    expect(single.data.id).toBe(7);
+    await expect(firm.get("reconciliations/8")).rejects.toMatchObject({
+      response: { status: 404 },
+    });
+  });
+
+  it("should create and update templates, and persist them in the fixtures", async () => {
+    const created = await firm.post("reconciliations", {
+      handle: "new_one",
+      text: "",
+    });
+    await firm.post(`reconciliations/${created.data.id}`, { text: "updated" });
+
+    expect(created.status).toBe(201);
+    expect(created.data.id).toBe(8);
+    const stored = JSON.parse(
+      fs.readFileSync(
+        path.join(fixturesPath, "firms", "100", "reconciliations.json"),
+        "utf-8"
+      )
+    );
+    expect(stored[1]).toEqual({
+      handle: "new_one",
+      text: "updated",
+      id: 8,
+      updated_at: expect.any(String),
+    });
+    await expect(
+      firm.post("reconciliations", { handle: "new_one" })
+    ).rejects.toMatchObject({ response: { status: 422 } });
+  });
+
+  it("should add and remove shared parts of templates", async () => {
+    const sharedPart = await firm.post("shared_parts", { name: "part" });
+    await firm.post(`reconciliations/7/shared_parts/${sharedPart.data.id}`);
+    const linked = await firm.get(`shared_parts/${sharedPart.data.id}`);
+    await firm.delete(`reconciliations/7/shared_parts/${sharedPart.data.id}`);
+    const unlinked = await firm.get(`shared_parts/${sharedPart.data.id}`);
+
+    expect(linked.data.used_in).toEqual([
+      { id: 7, type: "reconciliation", handle: "existing" },
+    ]);
+    expect(unlinked.data.used_in).toEqual([]);
+  });
+
+  it("should delete templates and remove them from the shared parts", async () => {
+    const sharedPart = await firm.post("shared_parts", { name: "part" });
+    await firm.post(`reconciliations/7/shared_parts/${sharedPart.data.id}`);
+    await firm.delete("reconciliations/7");
+
+    await expect(firm.get("reconciliations/7")).rejects.toMatchObject({
+      response: { status: 404 },
+    });
+    const unlinked = await firm.get(`shared_parts/${sharedPart.data.id}`);
+    expect(unlinked.data.used_in).toEqual([]);
+  });
+
+  it("should keep the environments of partners apart", async () => {
+    await partner.post("shared_parts", { name: "partner_part" });
+    const partnerParts = await partner.get("shared_parts");
+    const firmParts = await firm.get("shared_parts");
+
+    expect(partnerParts.data.map((item) => item.name)).toEqual([
+      "partner_part",
+    ]);
+    expect(firmParts.data).toEqual([]);
+  });
+
+  it("should run Liquid Tests with the local engine", async () => {
+    const testRunId = await firm.post("reconciliations/test", {
+      template: {
+        handle: "existing",
+        text: "{% result 'total' 10 %}",
+        reconciliation_type: "can_be_reconciled_without_data",
+      },
+      tests:
+        "unit_1:\n  context:\n    period: 2023-12-31\n  expectation:\n    results:\n      total: 20\n",
+      mode: "none",
+    });
+    const testRun = await firm.get(
+      `reconciliations/test_runs/${testRunId.data}`
+    );
+
+    expect(testRun.data.status).toBe("completed");
+    expect(testRun.data.tests.unit_1.results).toEqual({
+      total: { got: 10, expected: 20, line_number: 6 },
+    });
+  });
+
+  it("should require credentials", async () => {
+    const unauthorized = axios.create({
+      baseURL: firm.defaults.baseURL,
+    });
+
+    await expect(unauthorized.get("reconciliations")).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+  });
+});
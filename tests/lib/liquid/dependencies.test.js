@@ -0,0 +1,104 @@
+const { findDependencies } = require("../../../lib/liquid/dependencies");
+
+describe("liquid dependencies", () => {
+  const analyse = (text, textParts = [], sharedParts = {}) =>
+    findDependencies({ text, text_parts: textParts }, sharedParts);
+
+  it("should follow the variables assigned and captured", () => {
+    const { periods } = analyse(
+      [
+        "{% assign loans = period.reconciliations.loans %}",
+        "{% assign loan_results = loans.results %}",
+        "{{ loan_results.total }} {{ loans.custom.loan.amount }}",
+        "{% capture handle %}fixed_{{ 'assets' }}{% endcapture %}",
+        "{% if period.reconciliations[handle].results.gross > 0 %}{% endif %}",
+        "{% assign unused = period.reconciliations.unused %}",
+      ].join("\n")
+    );
+
+    expect(periods.current.reconciliations).toEqual({
+      loans: { results: ["total"], custom: ["loan.amount"] },
+      fixed_assets: { results: ["gross"], custom: [] },
+    });
+  });
+
+  it("should use wildcards for the names of a loop", () => {
+    const { periods } = analyse(
+      [
+        "{% for item in period.reconciliations.loans.custom.lines %}",
+        "{{ item.amount }}",
+        "{% endfor %}",
+        "{% for result in period.minus_1y.reconciliations.loans.results %}{% endfor %}",
+        "{% for account in period.accounts %}{{ account.value }}{% endfor %}",
+      ].join("\n")
+    );
+
+    expect(periods).toEqual({
+      current: {
+        reconciliations: { loans: { results: [], custom: ["lines.*"] } },
+        accounts: true,
+      },
+      minus_1y: {
+        reconciliations: { loans: { results: ["*"], custom: [] } },
+        accounts: false,
+      },
+    });
+  });
+
+  it("should analyse parts and shared parts where they are included", () => {
+    const dependencies = analyse(
+      '{% assign rec = period.reconciliations.taxes %}{% include "parts/details" %}',
+      [
+        {
+          name: "details",
+          content: '{% include "shared/helpers" %}{{ company.name }}',
+        },
+      ],
+      {
+        helpers:
+          '{{ rec.results.due }} {{ company.custom.info.vat }}{% include "shared/missing" %}{% include "shared/helpers" %}',
+      }
+    );
+
+    expect(dependencies.periods.current.reconciliations).toEqual({
+      taxes: { results: ["due"], custom: [] },
+    });
+    expect(dependencies.company).toEqual({
+      drops: ["name"],
+      custom: ["info.vat"],
+    });
+    expect(dependencies.sharedParts).toEqual(["helpers", "missing"]);
+    expect(dependencies.parts).toEqual(["details"]);
+  });
+
+  it("should list the inputs with the values of their options", () => {
+    const { inputs, tags } = analyse(
+      [
+        '{% assign default_accounts = "61" | append: "__62" %}',
+        "{% input custom.costs.accounts as:account_collection range:'6' default:default_accounts %}",
+        "{% rollforward custom.costs.accounts custom.costs.previous_accounts %}",
+      ].join("\n")
+    );
+
+    expect(inputs).toEqual([
+      expect.objectContaining({
+        name: "custom.costs.accounts",
+        as: "account_collection",
+        line: 2,
+      }),
+    ]);
+    expect(inputs[0].options.default).toEqual({
+      type: "text",
+      value: "61__62",
+    });
+    expect(tags).toContain("rollforward");
+  });
+
+  it("should report the code that can't be parsed", () => {
+    const { errors, periods } = analyse("{% if %}{{ period.accounts }}");
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].name).toBe("main");
+    expect(periods).toEqual({});
+  });
+});
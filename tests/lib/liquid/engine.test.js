@@ -0,0 +1,130 @@
+const { render } = require("../../../lib/liquid/engine");
+const { buildGlobals } = require("../../../lib/liquid/drops");
+const {
+  LiquidSyntaxError,
+  LiquidUnsupportedError,
+} = require("../../../lib/liquid/errors");
+
+describe("liquid engine", () => {
+  const test = {
+    context: { period: "2023-12-31" },
+    data: {
+      periods: {
+        "2023-12-31": {
+          custom: { "period.note": "closing" },
+          accounts: {
+            610000: 100,
+            620000: { name: "Rent", value: 50.5 },
+            630000: 0,
+            700000: -300,
+          },
+          reconciliations: {
+            current: { custom: { "check.amount": 150.5 } },
+            other: { results: { total: 42 } },
+          },
+        },
+        "2022-12-31": { accounts: { 610000: 80 } },
+      },
+      company: { name: "Acme", custom: { "company.size": "small" } },
+    },
+  };
+  const renderTest = (source, options = {}) =>
+    render(source, {
+      globals: buildGlobals(test, "reconciliationText", "current"),
+      ...options,
+    });
+
+  it("should render outputs, filters and control flow", () => {
+    const { output } = renderTest(
+      `{%- assign items = "b,a,c" | split: "," | sort -%}
+{%- for item in items reversed %}{{ forloop.index }}.{{ item | upcase }}{% unless forloop.last %}, {% endunless %}{% endfor %}
+{% if company.name == "Acme" and custom.check.amount > 100 %}big{% elsif true %}small{% else %}none{% endif %}
+{% case company.custom.company.size %}{% when "large" %}L{% when "small", "medium" %}S{% endcase %}
+{% capture label %}{{ period.custom.period.note | capitalize }}{% endcapture %}{{ label | append: "!" }}
+{{ 7 | divided_by: 2 }} {{ 7.5 | divided_by: 2 }} {{ 2.5 | round }} {{ 1234.5 | currency }}`
+    );
+
+    expect(output.split("\n")).toEqual([
+      "1.C, 2.B, 3.A",
+      "big",
+      "S",
+      "Closing!",
+      "3 3.75 3 1,234.50",
+    ]);
+  });
+
+  it("should collect results, rollforwards and unreconciled values", () => {
+    const rendered = renderTest(
+      `{% assign costs = period.accounts | range:"6" %}
+{% result 'costs' costs.value %}
+{% result 'count' costs.count %}
+{% result 'all' period.accounts.include_zeros.count %}
+{% result 'previous' period.minus_1y.accounts.value %}
+{% result 'other' period.reconciliations.other.results.total %}
+{% result 'missing' period.reconciliations.missing.results.total %}
+{% include 'parts/detail' %}
+{% rollforward costs.value custom.check.amount %}
+{% unreconciled costs.value | minus: custom.check.amount %}`,
+      { templates: { "parts/detail": "{% result 'part' 1 %}" } }
+    );
+
+    expect(rendered.results).toEqual({
+      costs: 150.5,
+      count: 2,
+      all: 4,
+      previous: 80,
+      other: 42,
+      missing: undefined,
+      part: 1,
+    });
+    expect(rendered.rollforwards).toEqual({ "custom.check.amount": 150.5 });
+    expect(rendered.unreconciled).toEqual([0]);
+  });
+
+  it("should use the translations of the locale", () => {
+    const source = `{% t= "title" default:"Title" nl:"Titel" %}{% t "title" %} {{ 1234.5 | currency }}`;
+
+    expect(renderTest(source, { locale: "nl" }).output).toBe("Titel 1.234,50");
+    expect(renderTest(source, { locale: "fr" }).output).toBe("Title 1.234,50");
+  });
+
+  it("should use the custom data of the current account in account templates", () => {
+    const accountTest = {
+      context: { period: "2023-12-31", current_account: "610000" },
+      data: {
+        periods: {
+          "2023-12-31": {
+            accounts: {
+              610000: { value: 10, custom: { "details.note": "ok" } },
+            },
+          },
+        },
+      },
+    };
+    const { output } = render(
+      "{{ current_account.value }} {{ custom.details.note }}",
+      { globals: buildGlobals(accountTest, "accountTemplate") }
+    );
+
+    expect(output).toBe("10 ok");
+  });
+
+  it("should refuse code that can't be rendered locally", () => {
+    const unsupported = [
+      "{{ user.name }}",
+      "{{ period.year_end_date }}",
+      "{{ 1 | unknown_filter }}",
+      "{% fori item in custom.items %}{% endfori %}",
+      "{% include 'shared/missing' %}",
+      "{{ a | | }}",
+    ];
+    for (const source of unsupported) {
+      expect(() => renderTest(source)).toThrow(LiquidUnsupportedError);
+    }
+  });
+
+  it("should throw syntax errors of blocks that are not closed", () => {
+    expect(() => renderTest("{% if true %}")).toThrow(LiquidSyntaxError);
+    expect(() => renderTest("{% endfor %}")).toThrow(LiquidSyntaxError);
+  });
+});
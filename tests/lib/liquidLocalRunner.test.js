@@ -0,0 +1,117 @@
+const liquidLocalRunner = require("../../lib/liquidLocalRunner");
+const { LiquidUnsupportedError } = require("../../lib/liquid/errors");
+
+describe("liquidLocalRunner", () => {
+  const tests = `unit_1:
+  context:
+    period: 2023-12-31
+  data:
+    periods:
+      2023-12-31:
+        reconciliations:
+          handle:
+            custom:
+              amounts.total: 100
+  expectation:
+    reconciled: true
+    results:
+      total: "100.0"
+      label: Total
+    rollforward:
+      custom.amounts.previous: 100
+
+unit_2:
+  context:
+    period: 2023-12-31
+  expectation:
+    reconciled: true
+    results:
+      total: 100
+`;
+  const testParams = {
+    template: {
+      handle: "handle",
+      reconciliation_type: "can_be_reconciled_without_data",
+      text: `{% include 'parts/total' %}{% result 'label' 'Total' %}
+{% rollforward custom.amounts.total custom.amounts.previous %}
+{% unreconciled 100 | minus: custom.amounts.total %}`,
+      text_parts: [
+        {
+          name: "total",
+          content: "{% include 'shared/totals' %}",
+        },
+      ],
+      text_shared_parts: [
+        {
+          name: "totals",
+          content: "{% result 'total' custom.amounts.total %}",
+        },
+      ],
+    },
+    tests,
+    mode: "none",
+  };
+
+  it("should return the feedback of the failed expectations like the platform", () => {
+    const testRun = liquidLocalRunner.runTestsLocally(
+      "reconciliationText",
+      testParams
+    );
+
+    expect(testRun).toEqual({
+      status: "completed",
+      tests: {
+        unit_1: { reconciled: null, results: {}, rollforwards: {} },
+        unit_2: {
+          reconciled: { got: false, expected: true, line_number: 23 },
+          results: {
+            total: { got: null, expected: 100, line_number: 25 },
+          },
+          rollforwards: {},
+        },
+      },
+    });
+  });
+
+  it("should run only the test of the test line", () => {
+    const testRun = liquidLocalRunner.runTestsLocally("reconciliationText", {
+      ...testParams,
+      test_line: 21,
+    });
+
+    expect(Object.keys(testRun.tests)).toEqual(["unit_2"]);
+  });
+
+  it("should skip the data shared through anchors", () => {
+    const testRun = liquidLocalRunner.runTestsLocally("reconciliationText", {
+      ...testParams,
+      tests: `shared_data: &shared
+  context:
+    period: 2023-12-31
+
+unit_1:
+  <<: *shared
+  expectation:
+    reconciled: true
+`,
+    });
+
+    expect(Object.keys(testRun.tests)).toEqual(["unit_1"]);
+  });
+
+  it("should require the platform for code that can't be rendered locally", () => {
+    const run = () =>
+      liquidLocalRunner.runTestsLocally("reconciliationText", {
+        ...testParams,
+        template: { ...testParams.template, text: "{{ user.name }}" },
+      });
+
+    expect(run).toThrow(LiquidUnsupportedError);
+    try {
+      run();
+    } catch (error) {
+      expect(liquidLocalRunner.requiresPlatform(error)).toBe(true);
+    }
+    expect(liquidLocalRunner.requiresPlatform(new Error("API"))).toBe(false);
+  });
+});
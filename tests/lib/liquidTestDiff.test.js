@@ -0,0 +1,59 @@
+const testDiff = require("../../lib/liquidTestDiff");
+
+describe("liquidTestDiff", () => {
+  describe("diffValues", () => {
+    it("should list the keys added, removed and changed in objects", () => {
+      const diff = testDiff.diffValues(
+        { a: 1, b: { c: "x", d: [1, 2] }, e: true },
+        { a: 1, b: { c: "y", d: [1, 3, 4] }, f: null }
+      );
+
+      expect(diff.type).toBe("object");
+      expect(diff.changes).toEqual([
+        { path: "b.c", kind: "changed", expected: "x", got: "y" },
+        { path: "b.d[1]", kind: "changed", expected: 2, got: 3, delta: 1 },
+        { path: "b.d[2]", kind: "added", got: 4 },
+        { path: "e", kind: "removed", expected: true },
+        { path: "f", kind: "added", got: null },
+      ]);
+      expect(testDiff.formatDiff(diff)).toEqual([
+        '~ b.c: "x" -> "y"',
+        "~ b.d[1]: 2 -> 3 (+1)",
+        "+ b.d[2]: 4",
+        "- e: true",
+        "+ f: null",
+      ]);
+    });
+
+    it("should calculate the delta of numbers, also when sent as text", () => {
+      const diff = testDiff.diffValues("0.1", 0.3);
+
+      expect(diff).toEqual({
+        type: "number",
+        delta: 0.2,
+        expected: "0.1",
+        got: 0.3,
+      });
+      expect(testDiff.formatDiff(diff)).toEqual(['"0.1" -> 0.3 (+0.2)']);
+    });
+
+    it("should show the part of a long text that changed", () => {
+      const diff = testDiff.diffValues(
+        "The company has a positive equity at the end of the year 2022",
+        "The company has a negative equity at the end of the year 2022"
+      );
+
+      expect(diff.type).toBe("string");
+      expect(diff.excerpt).toBe(
+        "The company has a [-posi-]{+nega+}tive equity at the e…"
+      );
+    });
+
+    it("should compare any other value as a whole", () => {
+      const diff = testDiff.diffValues(true, "nothing");
+
+      expect(diff.type).toBe("value");
+      expect(testDiff.formatDiff(diff)).toEqual(['true -> "nothing"']);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const testExpectations = require("../../lib/liquidTestExpectations");
+
+describe("liquidTestExpectations", () => {
+  const testContent = `# Base test
+unit_1: &base
+  context:
+    period: 2022-12-31 # end of year
+  expectation:
+    reconciled: false # to be checked
+    results:
+      total: 100
+      label: "old"
+      empty:
+    rollforward: {custom.a.b: 1}
+
+unit_2:
+  <<: *base
+  context:
+    period: 2023-12-31
+`;
+
+  const testsFeedback = {
+    unit_1: {
+      reconciled: { got: true, expected: false, line_number: 6 },
+      results: {
+        total: { got: "150.5", expected: 100, line_number: 8 },
+        label: { got: "new", expected: "old", line_number: 9 },
+        empty: { got: "x", expected: null, line_number: 10 },
+      },
+      rollforwards: { "custom.a.b": { got: 2, expected: 1, line_number: 11 } },
+    },
+    unit_2: {
+      reconciled: null,
+      results: { total: { got: 50, expected: 100, line_number: 8 } },
+    },
+  };
+
+  describe("listExpectationChanges", () => {
+    it("should list every failed expectation", () => {
+      const changes = testExpectations.listExpectationChanges(testsFeedback);
+
+      expect(changes.length).toBe(6);
+      expect(changes[0]).toEqual({
+        testName: "unit_1",
+        section: "reconciled",
+        name: "reconciled",
+        got: true,
+        expected: false,
+      });
+      expect(testExpectations.describeChange(changes[4])).toBe(
+        "unit_1 > rollforward.custom.a.b: 1 -> 2"
+      );
+    });
+  });
+
+  describe("applyExpectationChanges", () => {
+    it("should update the expectations keeping comments, anchors and the order of the keys", () => {
+      const changes = testExpectations
+        .listExpectationChanges(testsFeedback)
+        .filter((change) => change.testName === "unit_1");
+      const { content, applied, skipped } =
+        testExpectations.applyExpectationChanges(testContent, changes);
+
+      expect(applied.length).toBe(5);
+      expect(skipped.length).toBe(0);
+      expect(content).toBe(`# Base test
+unit_1: &base
+  context:
+    period: 2022-12-31 # end of year
+  expectation:
+    reconciled: true # to be checked
+    results:
+      total: 150.5
+      label: "new"
+      empty: x
+    rollforward: {custom.a.b: 2}
+
+unit_2:
+  <<: *base
+  context:
+    period: 2023-12-31
+`);
+    });
+
+    it("should skip the expectations inherited from other tests", () => {
+      const changes = testExpectations
+        .listExpectationChanges(testsFeedback)
+        .filter((change) => change.testName === "unit_2");
+      const { content, applied, skipped } =
+        testExpectations.applyExpectationChanges(testContent, changes);
+
+      expect(applied.length).toBe(0);
+      expect(content).toBe(testContent);
+      expect(skipped[0].reason).toBe(
+        "expectation is inherited through a merge key (<<)"
+      );
+    });
+
+    it("should replace a scalar expectation by an object or an array", () => {
+      const changes = testExpectations.listExpectationChanges({
+        unit_1: {
+          results: {
+            total: { got: { a: 1, b: [2] }, expected: 100, line_number: 8 },
+            label: { got: ["x", "y"], expected: "old", line_number: 9 },
+          },
+        },
+      });
+      const { content, applied } = testExpectations.applyExpectationChanges(
+        testContent,
+        changes
+      );
+
+      expect(applied.length).toBe(2);
+      expect(content).toContain(`    results:
+      total:
+        a: 1
+        b:
+          - 2
+      label:
+        - x
+        - "y"
+      empty:
+`);
+    });
+
+    it("should only change the text of the updated expectations", () => {
+      const content = `unit_1:
+  data:
+    company:
+      custom:
+        info:
+          octal: 010
+          signed: +12
+          fraction: .5
+          exponent: 1e3
+          answer: "yes"
+  expectation:
+    results:
+      total: 1
+      items: {first: 1, second: 0x1F}
+`;
+      const changes = testExpectations.listExpectationChanges({
+        unit_1: {
+          results: {
+            total: { got: 2, expected: 1, line_number: 13 },
+            items: { got: { first: 2, second: 31 }, expected: {} },
+          },
+        },
+      });
+
+      expect(
+        testExpectations.applyExpectationChanges(content, changes).content
+      ).toBe(
+        content
+          .replace("total: 1", "total: 2")
+          .replace(
+            " {first: 1, second: 0x1F}",
+            "\n        first: 2\n        second: 31"
+          )
+      );
+    });
+  });
+});
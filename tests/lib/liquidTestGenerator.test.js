@@ -0,0 +1,303 @@
+const fs = require("fs");
+const { useTemporaryDirectory } = require("../helpers/fixtures");
+const yaml = require("yaml");
+const SF = require("../../lib/api/sfApi");
+const { testGenerator } = require("../../lib/liquidTestGenerator");
+
+jest.mock("consola");
+jest.mock("../../lib/api/firmCredentials", () => ({
+  firmCredentials: { data: { 100: {} } },
+}));
+jest.mock("../../lib/api/sfApi", () => ({
+  getPeriods: jest.fn(),
+  findPeriod: (periodId, periods) =>
+    periods.find((period) => period.id == periodId),
+  getAccounts: jest.fn(),
+  getAccountDetails: jest.fn(),
+  readReconciliationTextDetails: jest.fn(),
+  findReconciliationInWorkflow: jest.fn(),
+  getReconciliationCustom: jest.fn(),
+  findReconciliationTextByHandle: jest.fn(),
+  readAccountTemplateById: jest.fn(),
+  getAccountTemplateCustom: jest.fn(),
+  getAccountTemplateResults: jest.fn(),
+  findReconciliationInWorkflows: jest.fn(),
+  getReconciliationResults: jest.fn(),
+  getCompanyDrop: jest.fn(),
+  findSharedPartByName: jest.fn(),
+  readSharedPartById: jest.fn(),
+}));
+
+describe("liquidTestGenerator", () => {
+  useTemporaryDirectory("generator-");
+
+  // The YAML file is written asynchronously
+  const readWhenWritten = async (filePath) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if (fs.existsSync(filePath) && fs.statSync(filePath).size) break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return yaml.parse(fs.readFileSync(filePath, "utf-8"));
+  };
+
+  beforeEach(() => {
+    global.reconciledStatus = true;
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete global.reconciledStatus;
+  });
+
+  describe("reconciliations", () => {
+    it("should add the previous period data used by the template and the rollforward expectations", async () => {
+      SF.getPeriods.mockResolvedValue({
+        data: [
+          { id: 3, fiscal_year: { end_date: "2024-12-31" } },
+          { id: 2, fiscal_year: { end_date: "2023-12-31" } },
+        ],
+      });
+      SF.readReconciliationTextDetails.mockResolvedValue({
+        data: { handle: "loans" },
+      });
+      SF.findReconciliationInWorkflow.mockResolvedValue({ starred: true });
+      SF.getReconciliationCustom.mockImplementation(
+        async (type, firmId, companyId, periodId) => ({
+          data:
+            periodId == 3
+              ? [{ namespace: "loan", key: "amount", value: "500" }]
+              : [
+                  { namespace: "loan", key: "amount", value: "400" },
+                  { namespace: "loan", key: "rate", value: "2" },
+                ],
+        })
+      );
+      SF.getReconciliationResults.mockImplementation(
+        async (type, firmId, companyId, periodId) => ({
+          data: periodId == 3 ? { total: 500 } : { total: 400, other: 1 },
+        })
+      );
+      SF.findReconciliationTextByHandle.mockResolvedValue({
+        handle: "loans",
+        text: [
+          "{% result 'total' custom.loan.amount %}",
+          "{{ period.minus_1y.reconciliations.loans.results.total }}",
+          "{% rollforward custom.loan.amount custom.loan.previous_amount %}",
+        ].join("\n"),
+        text_parts: [],
+      });
+      SF.findReconciliationInWorkflows.mockResolvedValue({ id: 8 });
+
+      await testGenerator(
+        "https://live.getsilverfin.com/f/100/200/ledgers/3/workflows/4/reconciliation_texts/8",
+        "unit_1"
+      );
+
+      const test = await readWhenWritten(
+        "reconciliation_texts/loans/tests/loans_liquid_test.yml"
+      );
+      expect(SF.findReconciliationInWorkflows).toHaveBeenCalledWith(
+        "100",
+        "loans",
+        "200",
+        2
+      );
+      expect(test.unit_1.data.periods["2023-12-31"]).toEqual({
+        reconciliations: {
+          loans: {
+            custom: { "loan.amount": "400", "loan.rate": "2" },
+            results: { total: 400 },
+          },
+        },
+      });
+      expect(test.unit_1.expectation).toEqual({
+        reconciled: true,
+        results: { total: 500 },
+        rollforward: { "custom.loan.previous_amount": "500" },
+      });
+    });
+
+    it("should fetch the data used through variables and nested shared parts", async () => {
+      SF.getPeriods.mockResolvedValue({
+        data: [{ id: 3, fiscal_year: { end_date: "2024-12-31" } }],
+      });
+      SF.readReconciliationTextDetails.mockResolvedValue({
+        data: { handle: "summary" },
+      });
+      SF.findReconciliationInWorkflow.mockResolvedValue({ starred: true });
+      SF.getReconciliationCustom.mockImplementation(
+        async (type, firmId, companyId, periodId, reconciliationId) => ({
+          data:
+            reconciliationId == 9
+              ? [
+                  { namespace: "lines", key: "a", value: "1" },
+                  { namespace: "lines", key: "b", value: "2" },
+                  { namespace: "other", key: "c", value: "3" },
+                ]
+              : [],
+        })
+      );
+      SF.getReconciliationResults.mockResolvedValue({
+        data: { total: 500, other: 1 },
+      });
+      SF.findReconciliationTextByHandle.mockResolvedValue({
+        handle: "summary",
+        text: [
+          "{% assign loans = period.reconciliations.loans %}",
+          '{% include "shared/outer" %}',
+        ].join("\n"),
+        text_parts: [],
+      });
+      const sharedParts = {
+        outer: '{% include "shared/inner" %}{{ loans.results.total }}',
+        inner: "{% for line in loans.custom.lines %}{{ line }}{% endfor %}",
+      };
+      SF.findSharedPartByName.mockImplementation(async (type, firmId, name) =>
+        sharedParts[name] ? { id: name } : undefined
+      );
+      SF.readSharedPartById.mockImplementation(async (type, firmId, id) => ({
+        data: { name: id, text: sharedParts[id] },
+      }));
+      SF.findReconciliationInWorkflows.mockResolvedValue({ id: 9 });
+
+      await testGenerator(
+        "https://live.getsilverfin.com/f/100/200/ledgers/3/workflows/4/reconciliation_texts/8",
+        "unit_1"
+      );
+
+      const test = await readWhenWritten(
+        "reconciliation_texts/summary/tests/summary_liquid_test.yml"
+      );
+      expect(SF.readSharedPartById).toHaveBeenCalledTimes(2);
+      expect(
+        test.unit_1.data.periods["2024-12-31"].reconciliations.loans
+      ).toEqual({
+        results: { total: 500 },
+        custom: { "lines.a": "1", "lines.b": "2" },
+      });
+    });
+
+    it("should add the default accounts of account collection inputs", async () => {
+      SF.getPeriods.mockResolvedValue({
+        data: [{ id: 3, fiscal_year: { end_date: "2024-12-31" } }],
+      });
+      SF.readReconciliationTextDetails.mockResolvedValue({
+        data: { handle: "costs" },
+      });
+      SF.findReconciliationInWorkflow.mockResolvedValue({ starred: true });
+      SF.getReconciliationCustom.mockResolvedValue({ data: [] });
+      SF.getReconciliationResults.mockResolvedValue({ data: {} });
+      SF.findReconciliationTextByHandle.mockResolvedValue({
+        handle: "costs",
+        text: [
+          "{% capture default_accounts %}61__62,{{ '70' }}{% endcapture %}",
+          "{% input custom.costs.accounts as:account_collection range:'6,7' default:default_accounts %}",
+        ].join("\n"),
+        text_parts: [],
+      });
+      const account = (id, number, value) => ({
+        account: { id, number, name: `Account ${number}` },
+        value,
+      });
+      SF.getAccounts.mockImplementation(
+        async (firmId, companyId, periodId, page) => ({
+          data:
+            page == 1
+              ? [account(1, "600000", "1"), account(2, "610000", "10.5")]
+              : page == 2
+              ? [account(3, "629999", "-2"), account(4, "700100", "7")]
+              : [],
+        })
+      );
+
+      await testGenerator(
+        "https://live.getsilverfin.com/f/100/200/ledgers/3/workflows/4/reconciliation_texts/8",
+        "unit_1"
+      );
+
+      const test = await readWhenWritten(
+        "reconciliation_texts/costs/tests/costs_liquid_test.yml"
+      );
+      expect(SF.getAccounts).toHaveBeenCalledWith("100", "200", "3", 1);
+      expect(test.unit_1.data.periods["2024-12-31"].accounts).toEqual({
+        610000: { id: 2, name: "Account 610000", value: 10.5 },
+        629999: { id: 3, name: "Account 629999", value: -2 },
+        700100: { id: 4, name: "Account 700100", value: 7 },
+      });
+    });
+  });
+
+  describe("account templates", () => {
+    it("should create a Liquid Test with the account, its customs, the results and the dependencies", async () => {
+      SF.getPeriods.mockResolvedValue({
+        data: [
+          { id: 3, fiscal_year: { end_date: "2024-12-31" } },
+          { id: 2, fiscal_year: { end_date: "2023-12-31" } },
+        ],
+      });
+      SF.getAccountDetails.mockResolvedValue({
+        data: {
+          account: { id: 55, number: "610000", name: "Rent" },
+          value: "1200.5",
+          account_reconciliation_template: { id: 7 },
+        },
+      });
+      SF.readAccountTemplateById.mockResolvedValue({
+        id: 7,
+        name_nl: "rent_details",
+        text: "{{ period.reconciliations.leases.results.total }} {{ company.name }}",
+        text_parts: [],
+      });
+      SF.getAccountTemplateCustom.mockResolvedValue({
+        data: [{ namespace: "details", key: "comment", value: "Office" }],
+      });
+      SF.getAccountTemplateResults.mockResolvedValue({
+        data: { total: 1200.5 },
+      });
+      SF.findReconciliationInWorkflows.mockResolvedValue({ id: 9 });
+      SF.getReconciliationResults.mockResolvedValue({
+        data: { total: 1000, other: 1 },
+      });
+      SF.getCompanyDrop.mockResolvedValue({ data: { name: "Company" } });
+
+      await testGenerator(
+        "https://live.getsilverfin.com/f/100/200/ledgers/3/workflows/4/account_entry/55",
+        "unit_1"
+      );
+
+      expect(SF.getAccountTemplateCustom).toHaveBeenCalledWith(
+        "firm",
+        "100",
+        "200",
+        "3",
+        "55"
+      );
+      const test = await readWhenWritten(
+        "account_templates/rent_details/tests/rent_details_liquid_test.yml"
+      );
+      expect(test).toEqual({
+        unit_1: {
+          context: { period: "2024-12-31", current_account: "610000" },
+          data: {
+            periods: {
+              "2024-12-31": {
+                accounts: {
+                  610000: {
+                    id: 55,
+                    name: "Rent",
+                    value: 1200.5,
+                    custom: { "details.comment": "Office" },
+                  },
+                },
+                reconciliations: { leases: { results: { total: 1000 } } },
+              },
+              "2023-12-31": null,
+            },
+            company: { name: "Company" },
+          },
+          expectation: { reconciled: true, results: { total: 1200.5 } },
+        },
+      });
+    });
+  });
+});
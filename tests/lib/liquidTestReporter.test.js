@@ -0,0 +1,130 @@
+const testReporter = require("../../lib/liquidTestReporter");
+
+jest.mock("consola");
+
+describe("liquidTestReporter", () => {
+  const completedRun = {
+    status: "completed",
+    tests: {
+      unit_2: {
+        reconciled: { got: false, expected: true, line_number: 12 },
+        results: { total: { got: 10, expected: 20, line_number: 14 } },
+        rollforwards: {},
+      },
+      unit_1: { reconciled: null, results: {}, rollforwards: {} },
+    },
+  };
+  const erroredRun = {
+    status: "test_error",
+    error_message: "Period <2023> not found",
+  };
+
+  describe("buildSuite", () => {
+    it("should create a test case for each test", () => {
+      const suite = testReporter.buildSuite(
+        "handle",
+        "reconciliationText",
+        completedRun
+      );
+
+      expect(suite.status).toBe("completed");
+      expect(suite.tests.map((test) => test.name)).toEqual([
+        "unit_1",
+        "unit_2",
+      ]);
+      expect(suite.tests[0].failures).toEqual([]);
+      expect(suite.tests[1].failures).toEqual([
+        {
+          section: "reconciled",
+          name: "reconciled",
+          got: false,
+          expected: true,
+          line_number: 12,
+          diff: { type: "value" },
+        },
+        {
+          section: "results",
+          name: "total",
+          got: 10,
+          expected: 20,
+          line_number: 14,
+          diff: { type: "number", delta: -10 },
+        },
+      ]);
+    });
+
+    it("should keep the error message of errored test runs", () => {
+      const suite = testReporter.buildSuite(
+        "handle",
+        "reconciliationText",
+        erroredRun
+      );
+
+      expect(suite.tests).toEqual([]);
+      expect(suite.errorMessage).toBe("Period <2023> not found");
+    });
+
+    it("should skip the reconciled expectation of account templates", () => {
+      const suite = testReporter.buildSuite("name", "accountTemplate", {
+        status: "completed",
+        tests: { unit_1: { results: {} } },
+      });
+
+      expect(suite.tests[0].failures).toEqual([]);
+    });
+  });
+
+  describe("generateReport", () => {
+    const suites = [
+      testReporter.buildSuite("handle", "reconciliationText", completedRun),
+      testReporter.buildSuite("other", "reconciliationText", erroredRun),
+    ];
+
+    it("should generate a JUnit report", () => {
+      const report = testReporter.generateReport(suites, "junit");
+
+      expect(report).toContain(
+        '<testsuites name="silverfin" tests="2" failures="1" errors="1">'
+      );
+      expect(report).toContain(
+        '<testcase name="unit_1" classname="reconciliationText.handle"/>'
+      );
+      expect(report).toContain(
+        'message="results.total: got 10 but expected 20 (line 14)" type="results">20 -&gt; 10 (-10)</failure>'
+      );
+      expect(report).toContain(
+        '<error message="Period &lt;2023&gt; not found" type="test_error">'
+      );
+    });
+
+    it("should generate a JSON report", () => {
+      const report = JSON.parse(testReporter.generateReport(suites, "json"));
+
+      expect(report.status).toBe("FAILED");
+      expect(report.summary).toEqual({
+        suites: 2,
+        tests: 2,
+        passed: 1,
+        failed: 1,
+        errors: 1,
+      });
+      expect(report.suites[0].tests[1].status).toBe("failed");
+    });
+
+    it("should generate a TAP report", () => {
+      const report = testReporter.generateReport(suites, "tap");
+      const lines = report.split("\n");
+
+      expect(lines[0]).toBe("TAP version 13");
+      expect(lines[1]).toBe("1..3");
+      expect(lines[2]).toBe("ok 1 - handle > unit_1");
+      expect(lines[3]).toBe("not ok 2 - handle > unit_2");
+      expect(report).toContain("not ok 3 - other # test run test_error");
+      expect(report).toContain("      line: 14");
+    });
+
+    it("should throw for unknown reporters", () => {
+      expect(() => testReporter.generateReport(suites, "html")).toThrow();
+    });
+  });
+});
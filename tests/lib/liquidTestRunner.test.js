@@ -0,0 +1,183 @@
+const fs = require("fs");
+const SF = require("../../lib/api/sfApi");
+const errorUtils = require("../../lib/utils/errorUtils");
+const {
+  runTestsBatch,
+  runTestsWithOutput,
+  runTestsStatusOnly,
+} = require("../../lib/liquidTestRunner");
+const {
+  useTemporaryDirectory,
+  writeTemplate,
+  writeFile,
+} = require("../helpers/fixtures");
+
+jest.mock("consola");
+jest.mock("../../lib/api/sfApi", () => ({ createTestRun: jest.fn() }));
+
+describe("liquidTestRunner", () => {
+  describe("runTestsBatch", () => {
+    useTemporaryDirectory("runner-");
+
+    // Templates run with the local Liquid engine. Including a missing part makes them run in Silverfin
+    const writeReconciliation = (handle, text, expected) => {
+      writeTemplate("reconciliation_texts", handle, "main.liquid", text, {
+        handle,
+        text: "main.liquid",
+        text_parts: {},
+        test: `tests/${handle}_liquid_test.yml`,
+      });
+      writeFile(
+        `reconciliation_texts/${handle}/tests/${handle}_liquid_test.yml`,
+        [
+          "unit_1:",
+          "  context:",
+          "    period: 2024-12-31",
+          "  expectation:",
+          "    results:",
+          `      total: ${expected}`,
+        ].join("\n")
+      );
+    };
+    const run = (handles) =>
+      runTestsBatch(
+        100,
+        handles.map((handle) => ({
+          templateType: "reconciliationText",
+          handle,
+        })),
+        1,
+        true,
+        "",
+        "",
+        {},
+        true
+      );
+
+    beforeEach(() => {
+      writeReconciliation("passing", "{% result 'total' 1 %}", 1);
+      writeReconciliation("failing", "{% result 'total' 1 %}", 2);
+      writeReconciliation(
+        "remote",
+        "{% result 'total' 1 %}{% include 'parts/missing' %}",
+        1
+      );
+      writeReconciliation("invalid", "{% result 'total' 1 %}", 1);
+      fs.rmSync("reconciliation_texts/invalid/tests/invalid_liquid_test.yml");
+      SF.createTestRun.mockResolvedValue(undefined);
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+      process.exitCode = undefined;
+    });
+
+    it("should set TEST_FAILURE when tests failed", async () => {
+      await run(["passing", "failing"]);
+
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.TEST_FAILURE);
+    });
+
+    it("should set API_ERROR when no test run could be created", async () => {
+      await run(["remote"]);
+
+      expect(SF.createTestRun).toHaveBeenCalled();
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.API_ERROR);
+    });
+
+    it("should set PARTIAL_FAILURE when the tests of some templates couldn't be run", async () => {
+      await run(["passing", "remote"]);
+
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.PARTIAL_FAILURE);
+    });
+
+    it("should set TEST_FAILURE when tests failed and the tests of other templates couldn't be run", async () => {
+      await run(["invalid", "remote", "failing"]);
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.TEST_FAILURE);
+
+      process.exitCode = undefined;
+      await run(["failing", "remote", "invalid"]);
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.TEST_FAILURE);
+    });
+
+    it("should set INVALID_INPUT when no tests could be run and a test file is missing", async () => {
+      await run(["remote", "invalid"]);
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.INVALID_INPUT);
+
+      process.exitCode = undefined;
+      await run(["invalid", "remote"]);
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.INVALID_INPUT);
+    });
+
+    it("should keep an exit code set before the tests were run", async () => {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+
+      await run(["passing", "failing"]);
+
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.API_ERROR);
+    });
+  });
+
+  describe("reports of tests that couldn't be run", () => {
+    useTemporaryDirectory("runner-");
+
+    const readReport = () =>
+      JSON.parse(fs.readFileSync("report.json", "utf-8"));
+
+    beforeEach(() => {
+      // No Liquid Test file
+      writeTemplate("reconciliation_texts", "missing", "main.liquid", "", {
+        handle: "missing",
+        text: "main.liquid",
+        text_parts: {},
+      });
+    });
+
+    afterEach(() => {
+      jest.clearAllMocks();
+      process.exitCode = undefined;
+    });
+
+    it("should write a report with the error of runTestsWithOutput", async () => {
+      await runTestsWithOutput(
+        100,
+        "missing",
+        "",
+        false,
+        false,
+        false,
+        "json",
+        "report.json"
+      );
+
+      const report = readReport();
+      expect(report.status).toBe("FAILED");
+      expect(report.suites).toEqual([
+        expect.objectContaining({
+          name: "missing",
+          status: "not_run",
+          errorMessage: "Tests could not be run",
+        }),
+      ]);
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.INVALID_INPUT);
+    });
+
+    it("should write a report with the error of runTestsStatusOnly", async () => {
+      const status = await runTestsStatusOnly(
+        100,
+        "missing",
+        "",
+        "json",
+        "report.json"
+      );
+
+      expect(status).toBe("FAILED");
+      expect(readReport().suites).toEqual([
+        expect.objectContaining({
+          name: "missing",
+          errorMessage: "Tests could not be run",
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const testValidator = require("../../lib/liquidTestValidator");
+
+describe("liquidTestValidator", () => {
+  describe("validateTestContent", () => {
+    it("should not report issues for a valid test", () => {
+      const content = `
+unit_1:
+  context:
+    period: 2022-12-31
+  data:
+    periods:
+      2022-12-31:
+        accounts:
+          "100000": 1000.5
+          "110000":
+            name: Bank
+            value: -200
+        reconciliations:
+          other_reconciliation:
+            starred: true
+            results:
+              total: 100
+      "2021-12-31":
+  expectation:
+    reconciled: true
+    results:
+      total: 100
+      label: "text"
+`;
+      expect(testValidator.validateTestContent(content)).toEqual([]);
+    });
+
+    it("should report syntax errors with their position", () => {
+      const issues = testValidator.validateTestContent(
+        "unit_1: [1\nunit_2: 2\n"
+      );
+
+      expect(issues.length).toBe(1);
+      expect(issues[0]).toMatchObject({ severity: "error", line: 2, col: 1 });
+    });
+
+    it("should report periods that are not dates", () => {
+      const content = `unit_1:
+  context:
+    period: 2022-12-31
+  data:
+    periods:
+      replace_period_name:
+        accounts: {}
+  expectation:
+    reconciled: true
+`;
+      expect(testValidator.validateTestContent(content)).toEqual([
+        {
+          severity: "error",
+          line: 6,
+          col: 7,
+          message:
+            "unit_1.data.periods.replace_period_name: period keys should be dates (YYYY-MM-DD)",
+        },
+      ]);
+    });
+
+    it("should report accounts without numeric values", () => {
+      const content = `unit_1:
+  context:
+    period: 2022-12-31
+  data:
+    periods:
+      2022-12-31:
+        accounts:
+          "100000": "1,000"
+          "110000":
+            value: abc
+  expectation:
+    reconciled: true
+`;
+      const issues = testValidator.validateTestContent(content);
+
+      expect(issues.map((issue) => [issue.line, issue.col])).toEqual([
+        [8, 21],
+        [10, 20],
+      ]);
+    });
+
+    it("should report expectations with a wrong type", () => {
+      const content = `unit_1:
+  context:
+    period: 2022-12-31
+  expectation:
+    reconciled: "true"
+    results: [1, 2]
+`;
+      const messages = testValidator
+        .validateTestContent(content)
+        .map((issue) => issue.message);
+
+      expect(messages).toEqual([
+        "unit_1.expectation.reconciled should be true or false",
+        "unit_1.expectation.results should be a map",
+      ]);
+    });
+
+    it("should accept objects and arrays as expected results and rollforwards", () => {
+      const content = `unit_1:
+  context:
+    period: 2022-12-31
+  expectation:
+    results:
+      list: [1, 2]
+      details:
+        total: 100
+        lines:
+          - a
+    rollforward:
+      custom.lines.all: [1, 2]
+`;
+      expect(testValidator.validateTestContent(content)).toEqual([]);
+    });
+
+    it("should resolve anchors and merge keys", () => {
+      const content = `unit_1:
+  context: &context
+    period: 2022-12-31
+  data: &data
+    periods:
+      2022-12-31:
+        accounts:
+          "100000": 10
+  expectation:
+    reconciled: true
+unit_2:
+  <<: { context: *context }
+  data: *data
+  expectation:
+    reconciled: false
+`;
+      expect(testValidator.validateTestContent(content)).toEqual([]);
+    });
+
+    it("should report anchors that are not defined", () => {
+      const content = `unit_1:
+  context:
+    period: 2022-12-31
+  data: *missing
+  expectation:
+    reconciled: true
+`;
+      expect(testValidator.validateTestContent(content)).toEqual([
+        {
+          severity: "error",
+          line: 4,
+          col: 9,
+          message: 'Anchor "missing" is not defined',
+        },
+      ]);
+    });
+
+    it("should warn about unknown keys", () => {
+      const content = `unit_1:
+  context:
+    period: 2022-12-31
+  expectation:
+    reconciled: true
+    rollforwards: {}
+`;
+      expect(testValidator.validateTestContent(content)).toEqual([
+        {
+          severity: "warning",
+          line: 6,
+          col: 5,
+          message:
+            'unit_1.expectation: unknown key "rollforwards" (did you mean "rollforward"?)',
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,345 @@
+const fs = require("fs");
+const { consola } = require("consola");
+const { useTemporaryDirectory, writeTemplate } = require("../helpers/fixtures");
+const SF = require("../../lib/api/sfApi");
+const fsUtils = require("../../lib/utils/fsUtils");
+const errorUtils = require("../../lib/utils/errorUtils");
+const manifestSync = require("../../lib/manifestSync");
+
+jest.mock("consola");
+jest.mock("../../lib/api/sfApi", () => ({
+  readReconciliationTextById: jest.fn(),
+  readSharedPartById: jest.fn(),
+  findReconciliationTextByHandle: jest.fn(),
+  findSharedPartByName: jest.fn(),
+  createSharedPart: jest.fn(),
+  updateReconciliationText: jest.fn(),
+}));
+jest.mock("../../index", () => ({
+  addSharedPart: jest.fn(),
+  removeSharedPart: jest.fn(),
+}));
+
+describe("manifestSync", () => {
+  useTemporaryDirectory("manifest-");
+
+  const writeManifest = (text) => fs.writeFileSync("silverfin.yml", text);
+
+  beforeEach(() => {
+    writeTemplate(
+      "reconciliation_texts",
+      "example",
+      "main.liquid",
+      "{% include 'shared/part' %}",
+      {
+        id: { 100: 1 },
+        handle: "example",
+        name_nl: "Example",
+        text: "main.liquid",
+        text_parts: {},
+      }
+    );
+    writeTemplate("shared_parts", "part", "part.liquid", "{% assign a = 1 %}", {
+      name: "part",
+      text: "part.liquid",
+      used_in: [],
+    });
+    writeTemplate("shared_parts", "old", "old.liquid", "{% assign b = 1 %}", {
+      id: { 100: 5 },
+      name: "old",
+      text: "old.liquid",
+      used_in: [],
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+  });
+
+  describe("loadManifest", () => {
+    beforeEach(() => {
+      jest.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+    });
+
+    it("should read the environments with their templates and overrides", () => {
+      writeManifest(
+        [
+          "environments:",
+          "  test:",
+          "    firm: 100",
+          "    reconciliation_texts: all",
+          "    overrides:",
+          "      reconciliation_texts:",
+          "        example:",
+          "          published: false",
+        ].join("\n")
+      );
+
+      const [environment] = manifestSync.loadManifest();
+      expect(environment).toMatchObject({
+        name: "test",
+        type: "firm",
+        envId: "100",
+        templates: { reconciliationText: ["example"], sharedPart: [] },
+        overrides: { reconciliationText: { example: { published: false } } },
+      });
+    });
+
+    it("should refuse overrides of the Liquid code or of templates not in the environment", () => {
+      writeManifest(
+        [
+          "environments:",
+          "  test:",
+          "    partner: 9",
+          "    overrides:",
+          "      reconciliation_texts:",
+          "        example:",
+          "          published: false",
+        ].join("\n")
+      );
+      expect(() => manifestSync.loadManifest()).toThrow("exit 3");
+
+      writeManifest(
+        [
+          "environments:",
+          "  test:",
+          "    partner: 9",
+          "    reconciliation_texts: [example]",
+          "    overrides:",
+          "      reconciliation_texts:",
+          "        example:",
+          "          text: main.liquid",
+        ].join("\n")
+      );
+      expect(() => manifestSync.loadManifest()).toThrow("exit 3");
+    });
+
+    it("should refuse environments without a firm or partner, and missing templates", () => {
+      writeManifest("environments:\n  test:\n    shared_parts: [part]");
+      expect(() => manifestSync.loadManifest()).toThrow("exit 3");
+
+      writeManifest(
+        "environments:\n  test:\n    firm: 100\n    shared_parts: [missing]"
+      );
+      expect(() => manifestSync.loadManifest()).toThrow("exit 3");
+    });
+  });
+
+  describe("planEnvironment", () => {
+    const environment = {
+      name: "test",
+      type: "firm",
+      envId: "100",
+      templates: {
+        sharedPart: [],
+        reconciliationText: ["example"],
+        exportFile: [],
+        accountTemplate: [],
+      },
+      overrides: {
+        sharedPart: {},
+        reconciliationText: { example: { published: false } },
+        exportFile: {},
+        accountTemplate: {},
+      },
+    };
+
+    it("should plan the creations, updates and shared parts to add or remove", async () => {
+      SF.readReconciliationTextById.mockResolvedValue({
+        data: {
+          id: 1,
+          handle: "example",
+          name_nl: "Example",
+          text: "{% include 'shared/part' %}",
+          text_parts: [],
+          published: true,
+        },
+      });
+      SF.readSharedPartById.mockResolvedValue({
+        data: {
+          id: 5,
+          name: "old",
+          text: "{% assign b = 1 %}",
+          used_in: [{ id: 1, type: "reconciliation" }],
+        },
+      });
+
+      const actions = await manifestSync.planEnvironment(environment);
+
+      expect(
+        actions.map(({ action, templateType, name, sharedPart, files }) => ({
+          action,
+          templateType,
+          name,
+          sharedPart,
+          files,
+        }))
+      ).toEqual([
+        {
+          action: "create",
+          templateType: "sharedPart",
+          name: "part",
+          sharedPart: undefined,
+          files: undefined,
+        },
+        {
+          action: "update",
+          templateType: "reconciliationText",
+          name: "example",
+          sharedPart: undefined,
+          files: ["config.json"],
+        },
+        {
+          action: "link",
+          templateType: "reconciliationText",
+          name: "example",
+          sharedPart: "part",
+          files: undefined,
+        },
+        {
+          action: "unlink",
+          templateType: "reconciliationText",
+          name: "example",
+          sharedPart: "old",
+          files: undefined,
+        },
+      ]);
+      expect(SF.findSharedPartByName).toHaveBeenCalledWith(
+        "firm",
+        "100",
+        "part"
+      );
+    });
+
+    it("should keep the shared parts still listed in the used_in of the repository", async () => {
+      writeTemplate("shared_parts", "old", "old.liquid", "{% assign b = 1 %}", {
+        id: { 100: 5 },
+        name: "old",
+        text: "old.liquid",
+        used_in: [
+          { id: { 100: 1 }, type: "reconciliationText", handle: "example" },
+        ],
+      });
+      SF.readReconciliationTextById.mockResolvedValue({
+        data: { id: 1, handle: "example", text: "", text_parts: [] },
+      });
+      SF.readSharedPartById.mockResolvedValue({
+        data: {
+          id: 5,
+          name: "old",
+          text: "{% assign b = 1 %}",
+          used_in: [{ id: 1, type: "reconciliation" }],
+        },
+      });
+
+      const actions = await manifestSync.planEnvironment(environment);
+
+      expect(actions.some(({ action }) => action === "unlink")).toBe(false);
+    });
+  });
+
+  describe("syncManifest", () => {
+    const remoteExample = {
+      id: 1,
+      handle: "example",
+      name_nl: "Example",
+      text: "{% include 'shared/part' %}",
+      text_parts: [],
+      published: false,
+      updated_at: "2024-02-01",
+    };
+    const updates = () =>
+      SF.updateReconciliationText.mock.calls.map((call) => call[2]);
+
+    beforeEach(() => {
+      fs.writeFileSync(
+        "silverfin.yml",
+        "environments:\n  test:\n    firm: 100\n    reconciliation_texts: [example]"
+      );
+      SF.readReconciliationTextById.mockResolvedValue({ data: remoteExample });
+      SF.readSharedPartById.mockImplementation(async (type, envId, id) => ({
+        data:
+          id === 5
+            ? { id, name: "old", text: "{% assign b = 1 %}", used_in: [] }
+            : {
+                id,
+                name: "part",
+                text: "{% assign a = 1 %}",
+                used_in: [{ id: 1, type: "reconciliation" }],
+              },
+      }));
+      SF.createSharedPart.mockResolvedValue({ status: 201, data: { id: 6 } });
+      SF.updateReconciliationText.mockResolvedValue({ data: remoteExample });
+    });
+
+    it("should only update the templates changed in Silverfin since their last sync when forced", async () => {
+      const config = fsUtils.readConfig("reconciliationText", "example");
+      fsUtils.writeConfig("reconciliationText", "example", {
+        ...config,
+        published: true,
+        last_sync: {
+          firm: { 100: { hash: "x", updated_at: "2024-01-01", version: 1 } },
+        },
+      });
+
+      const [update] = (
+        await manifestSync.planEnvironment(manifestSync.loadManifest()[0])
+      ).filter(({ action }) => action === "update");
+      expect(update).toMatchObject({
+        name: "example",
+        changedInSilverfin: true,
+      });
+      // The plan doesn't fail
+      expect(process.exitCode).toBeUndefined();
+
+      await manifestSync.syncManifest([], true);
+      expect(SF.updateReconciliationText).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.INVALID_INPUT);
+
+      await manifestSync.syncManifest([], true, undefined, true);
+      expect(updates()).toEqual([1]);
+    });
+
+    it("should ask for confirmation once the plan is printed", async () => {
+      const confirm = jest.fn(() => false);
+
+      const synced = await manifestSync.syncManifest(
+        [],
+        true,
+        undefined,
+        false,
+        confirm
+      );
+
+      expect(synced).toBe(false);
+      expect(confirm).toHaveBeenCalledTimes(1);
+      expect(consola.log.mock.invocationCallOrder[0]).toBeLessThan(
+        confirm.mock.invocationCallOrder[0]
+      );
+      expect(SF.createSharedPart).not.toHaveBeenCalled();
+      expect(SF.updateReconciliationText).not.toHaveBeenCalled();
+    });
+
+    it("should store the ID of a template found by its name only once it was updated", async () => {
+      const config = fsUtils.readConfig("reconciliationText", "example");
+      fsUtils.writeConfig("reconciliationText", "example", {
+        ...config,
+        id: {},
+        published: true,
+      });
+      SF.findReconciliationTextByHandle.mockResolvedValue({ id: 1 });
+      SF.updateReconciliationText.mockResolvedValue(undefined);
+
+      await manifestSync.syncManifest([], true);
+
+      expect(updates()).toEqual([1]);
+      expect(fsUtils.readConfig("reconciliationText", "example").id).toEqual(
+        {}
+      );
+    });
+  });
+});
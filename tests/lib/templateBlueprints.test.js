@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  useTemporaryDirectory,
+  writeFile: write,
+} = require("../helpers/fixtures");
+const templateBlueprints = require("../../lib/templateBlueprints");
+
+jest.mock("consola");
+
+describe("templateBlueprints", () => {
+  useTemporaryDirectory("blueprints-");
+
+  const read = (filePath) => fs.readFileSync(filePath, "utf-8");
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    process.exitCode = undefined;
+  });
+
+  it("should create a reconciliation from a bundled blueprint", () => {
+    const created = templateBlueprints.newTemplate(
+      "reconciliationText",
+      "fixed_assets_2024",
+      "fixed_assets"
+    );
+
+    expect(created).toBe(true);
+    const config = JSON.parse(
+      read("reconciliation_texts/fixed_assets_2024/config.json")
+    );
+    expect(config).toMatchObject({
+      id: {},
+      partner_id: {},
+      handle: "fixed_assets_2024",
+      name_en: "Fixed assets 2024",
+      text: "main.liquid",
+      test: "tests/fixed_assets_2024_liquid_test.yml",
+    });
+    for (const textPart of Object.values(config.text_parts)) {
+      expect(
+        fs.existsSync(
+          path.join("reconciliation_texts/fixed_assets_2024", textPart)
+        )
+      ).toBe(true);
+    }
+    expect(
+      read(
+        "reconciliation_texts/fixed_assets_2024/tests/fixed_assets_2024_liquid_test.yml"
+      )
+    ).not.toContain("__HANDLE__");
+  });
+
+  it("should prefer the custom blueprints of the repository", () => {
+    write("blueprints/reconciliation_texts/default/blueprint.json", {
+      description: "Our own default",
+    });
+    write("blueprints/reconciliation_texts/default/config.json", {
+      reconciliation_type: "can_be_reconciled_without_data",
+    });
+    write(
+      "blueprints/reconciliation_texts/default/main.liquid",
+      "{% comment %}__NAME__{% endcomment %}"
+    );
+
+    expect(
+      templateBlueprints
+        .listBlueprints("reconciliationText")
+        .map(({ name, description }) => ({ name, description }))
+    ).toEqual([
+      { name: "default", description: "Our own default" },
+      expect.objectContaining({ name: "fixed_assets" }),
+    ]);
+
+    templateBlueprints.newTemplate("reconciliationText", "team_template");
+    expect(read("reconciliation_texts/team_template/main.liquid")).toBe(
+      "{% comment %}Team template{% endcomment %}"
+    );
+    expect(
+      JSON.parse(read("reconciliation_texts/team_template/config.json"))
+        .reconciliation_type
+    ).toBe("can_be_reconciled_without_data");
+  });
+
+  it("should include shared parts and store the link in their config", () => {
+    write("shared_parts/part/part.liquid", "{% assign a = 1 %}");
+    write("shared_parts/part/config.json", {
+      id: { 100: 4 },
+      partner_id: {},
+      name: "part",
+      text: "part.liquid",
+      used_in: [],
+    });
+
+    templateBlueprints.newTemplate(
+      "reconciliationText",
+      "example",
+      "default",
+      [],
+      ["part", "missing"]
+    );
+
+    expect(read("reconciliation_texts/example/main.liquid")).toMatch(
+      /^{% include "shared\/part" %}\n/
+    );
+    expect(JSON.parse(read("shared_parts/part/config.json")).used_in).toEqual([
+      { id: {}, partner_id: {}, type: "reconciliationText", handle: "example" },
+    ]);
+  });
+
+  it("should not overwrite an existing template or use an unknown blueprint", () => {
+    write("reconciliation_texts/example/config.json", { handle: "example" });
+
+    expect(
+      templateBlueprints.newTemplate("reconciliationText", "example")
+    ).toBe(false);
+    expect(
+      templateBlueprints.newTemplate("exportFile", "export", "missing")
+    ).toBe(false);
+    expect(process.exitCode).toBe(3);
+    expect(fs.existsSync("export_files/export")).toBe(false);
+  });
+});
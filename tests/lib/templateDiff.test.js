@@ -0,0 +1,116 @@
+const { consola } = require("consola");
+const templateDiff = require("../../lib/templateDiff");
+const { useTemporaryDirectory, writeTemplate } = require("../helpers/fixtures");
+
+jest.mock("consola");
+jest.mock("../../lib/api/sfApi", () => ({}));
+
+describe("templateDiff", () => {
+  describe("compareTemplates", () => {
+    const remoteTemplate = {
+      id: 10,
+      handle: "example",
+      reconciliation_type: "reconciliation_not_necessary",
+      published: true,
+      text: "{% include 'parts/part_1' %}",
+      text_parts: [
+        { name: "part_1", content: "old" },
+        { name: "part_2", content: "removed" },
+      ],
+      tests: "# Not sent by the update commands",
+    };
+
+    it("should compare the Liquid code and the attributes that would be sent", () => {
+      const localTemplate = {
+        handle: "example",
+        reconciliation_type: "reconciliation_not_necessary",
+        published: false,
+        text: "{% include 'parts/part_1' %}",
+        text_parts: [{ name: "part_1", content: "new" }],
+      };
+
+      const lines = templateDiff.compareTemplates(
+        "reconciliationText",
+        "example",
+        localTemplate,
+        remoteTemplate
+      );
+
+      expect(lines).toEqual([
+        "--- remote/reconciliation_texts/example/text_parts/part_1.liquid",
+        "+++ local/reconciliation_texts/example/text_parts/part_1.liquid",
+        "@@ -1 +1 @@",
+        "-old",
+        "+new",
+        "--- remote/reconciliation_texts/example/text_parts/part_2.liquid",
+        "+++ /dev/null",
+        "@@ -1 +0,0 @@",
+        "-removed",
+        "--- remote/reconciliation_texts/example/config.json",
+        "+++ local/reconciliation_texts/example/config.json",
+        "@@ -1,5 +1,5 @@",
+        " {",
+        '   "handle": "example",',
+        '   "reconciliation_type": "reconciliation_not_necessary",',
+        '-  "published": true',
+        '+  "published": false',
+        " }",
+      ]);
+    });
+
+    it("should be empty without changes", () => {
+      const lines = templateDiff.compareTemplates(
+        "sharedPart",
+        "example",
+        { name: "example", text: "{% assign a = 1 %}\n" },
+        { id: 1, name: "example", text: "{% assign a = 1 %}", used_in: [] }
+      );
+
+      expect(lines).toEqual([]);
+    });
+  });
+
+  describe("diffTemplate", () => {
+    useTemporaryDirectory("diff-");
+
+    afterEach(() => {
+      jest.clearAllMocks();
+      process.exitCode = undefined;
+    });
+
+    it("should report a template that is not in the repository", async () => {
+      const compared = await templateDiff.diffTemplate(
+        "firm",
+        100,
+        "reconciliationText",
+        "missing"
+      );
+
+      expect(compared).toBe(false);
+      expect(consola.error).toHaveBeenCalledWith(
+        'Reconciliation "missing" not found in the repository'
+      );
+      expect(process.exitCode).toBe(3);
+    });
+
+    it("should report a missing ID for the environment", async () => {
+      writeTemplate("reconciliation_texts", "example", "main.liquid", "", {
+        id: { 200: 1 },
+        handle: "example",
+      });
+
+      const compared = await templateDiff.diffTemplate(
+        "firm",
+        100,
+        "reconciliationText",
+        "example"
+      );
+
+      expect(compared).toBe(false);
+      expect(consola.error).toHaveBeenCalledWith(
+        "Reconciliation example: ID is missing."
+      );
+      expect(process.exitCode).toBe(3);
+    });
+  });
+});
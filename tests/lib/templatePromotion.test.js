@@ -0,0 +1,158 @@
+const { useTemporaryDirectory, writeTemplate } = require("../helpers/fixtures");
+const SF = require("../../lib/api/sfApi");
+const toolkit = require("../../index");
+const fsUtils = require("../../lib/utils/fsUtils");
+const templateDiff = require("../../lib/templateDiff");
+const templatePromotion = require("../../lib/templatePromotion");
+
+jest.mock("consola");
+jest.mock("../../lib/api/sfApi", () => ({
+  readReconciliationTextById: jest.fn(),
+  readSharedPartById: jest.fn(),
+  findReconciliationTextByHandle: jest.fn(),
+  findSharedPartByName: jest.fn(),
+}));
+jest.mock("../../index", () => ({
+  newReconciliation: jest.fn(),
+  publishReconciliationByHandle: jest.fn(),
+  newSharedPart: jest.fn(),
+  publishSharedPartByName: jest.fn(),
+  addSharedPart: jest.fn(),
+}));
+
+describe("templatePromotion", () => {
+  const source = { type: "firm", envId: "100" };
+  const target = { type: "firm", envId: "200" };
+  useTemporaryDirectory("promotion-");
+
+  // Templates created in the target get the next id
+  const createIn = (templateType) => async (type, envId, name) => {
+    const templateConfig = fsUtils.readConfig(templateType, name);
+    fsUtils.setTemplateId(type, envId, templateConfig, 50);
+    fsUtils.writeConfig(templateType, name, templateConfig);
+    return true;
+  };
+
+  // The source has the same version as the local files
+  const readFromSource = (templateType) => async (type, envId, id) => ({
+    data: {
+      id,
+      ...(await templateDiff.readLocalTemplate(
+        type,
+        envId,
+        templateType,
+        templateType === "sharedPart" ? "part" : "example"
+      )),
+    },
+  });
+
+  beforeEach(() => {
+    writeTemplate(
+      "reconciliation_texts",
+      "example",
+      "main.liquid",
+      "{% include 'shared/part' %}",
+      {
+        id: { 100: 1 },
+        handle: "example",
+        name_nl: "Example",
+        text: "main.liquid",
+        text_parts: {},
+      }
+    );
+    writeTemplate("shared_parts", "part", "part.liquid", "{% assign a = 1 %}", {
+      id: { 100: 1 },
+      name: "part",
+      text: "part.liquid",
+      used_in: [],
+    });
+
+    SF.readReconciliationTextById.mockImplementation(
+      readFromSource("reconciliationText")
+    );
+    SF.readSharedPartById.mockImplementation(readFromSource("sharedPart"));
+    toolkit.newSharedPart.mockImplementation(createIn("sharedPart"));
+    toolkit.newReconciliation.mockImplementation(
+      createIn("reconciliationText")
+    );
+    toolkit.addSharedPart.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    process.exitCode = undefined;
+  });
+
+  it("should create the templates and the shared parts they include, and add those shared parts", async () => {
+    const promoted = await templatePromotion.promoteTemplates(
+      source,
+      [target],
+      { reconciliationText: ["example"] },
+      { message: "Release" }
+    );
+
+    expect(promoted).toBe(true);
+    expect(toolkit.newSharedPart).toHaveBeenCalledWith("firm", "200", "part");
+    expect(toolkit.newReconciliation).toHaveBeenCalledWith(
+      "firm",
+      "200",
+      "example"
+    );
+    expect(toolkit.newSharedPart.mock.invocationCallOrder[0]).toBeLessThan(
+      toolkit.newReconciliation.mock.invocationCallOrder[0]
+    );
+    expect(toolkit.addSharedPart).toHaveBeenCalledWith(
+      "firm",
+      "200",
+      "part",
+      "example",
+      "reconciliationText"
+    );
+  });
+
+  it("should update the templates that are already in the target", async () => {
+    SF.findSharedPartByName.mockResolvedValue({ id: 7 });
+    SF.findReconciliationTextByHandle.mockResolvedValue({ id: 8 });
+    toolkit.publishSharedPartByName.mockResolvedValue(true);
+    toolkit.publishReconciliationByHandle.mockResolvedValue(true);
+
+    await templatePromotion.promoteTemplates(
+      source,
+      [target],
+      { reconciliationText: ["example"] },
+      { message: "Release", force: true }
+    );
+
+    expect(toolkit.newReconciliation).not.toHaveBeenCalled();
+    expect(toolkit.publishReconciliationByHandle).toHaveBeenCalledWith(
+      "firm",
+      "200",
+      "example",
+      "Release",
+      false,
+      true,
+      false
+    );
+    expect(
+      fsUtils.readConfig("reconciliationText", "example").id
+    ).toMatchObject({ 200: 8 });
+  });
+
+  it("should not promote anything when the local files don't match the source", async () => {
+    SF.readSharedPartById.mockResolvedValue({
+      data: { id: 1, name: "part", text: "{% assign a = 2 %}" },
+    });
+
+    const promoted = await templatePromotion.promoteTemplates(
+      source,
+      [target],
+      { reconciliationText: ["example"] },
+      {}
+    );
+
+    expect(promoted).toBe(false);
+    expect(process.exitCode).toBe(3);
+    expect(toolkit.newSharedPart).not.toHaveBeenCalled();
+    expect(toolkit.newReconciliation).not.toHaveBeenCalled();
+  });
+});
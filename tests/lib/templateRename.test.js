@@ -0,0 +1,214 @@
+const fs = require("fs");
+const { consola } = require("consola");
+const {
+  useTemporaryDirectory,
+  writeFile: write,
+} = require("../helpers/fixtures");
+const toolkit = require("../../index");
+const templateRename = require("../../lib/templateRename");
+
+jest.mock("consola");
+jest.mock("../../lib/api/sfApi", () => ({}));
+jest.mock("../../index", () => ({
+  publishReconciliationByHandle: jest.fn(),
+  publishSharedPartByName: jest.fn(),
+}));
+
+describe("templateRename", () => {
+  useTemporaryDirectory("rename-");
+
+  const read = (filePath) => fs.readFileSync(filePath, "utf-8");
+
+  beforeEach(() => {
+    write(
+      "reconciliation_texts/old/main.liquid",
+      "{% include 'shared/part' %}"
+    );
+    write("reconciliation_texts/old/tests/old_liquid_test.yml", "# Tests");
+    write("reconciliation_texts/old/config.json", {
+      id: { 100: 1 },
+      partner_id: { 9: 2 },
+      handle: "old",
+      text: "main.liquid",
+      text_parts: {},
+      test: "tests/old_liquid_test.yml",
+    });
+    write(
+      "reconciliation_texts/other/main.liquid",
+      "{{ period.reconciliations.old.results.total }} {{ period.reconciliations.older.results.total }}"
+    );
+    write(
+      "reconciliation_texts/other/tests/other_liquid_test.yml",
+      [
+        "# Comments are kept",
+        "unit_1:",
+        "  data:",
+        "    periods:",
+        "      2023-12-31:",
+        "        reconciliations:",
+        "          old: # data of old",
+        "            results:",
+        "              total: 1",
+        "  expectation:",
+        "    results:",
+        "      old: 1",
+      ].join("\n")
+    );
+    write("reconciliation_texts/other/config.json", {
+      id: { 100: 3 },
+      partner_id: {},
+      handle: "other",
+      text: "main.liquid",
+      text_parts: {},
+    });
+    write("shared_parts/part/part.liquid", "{% assign a = 1 %}");
+    write("shared_parts/part/config.json", {
+      id: { 100: 4 },
+      partner_id: {},
+      name: "part",
+      text: "part.liquid",
+      used_in: [
+        {
+          id: { 100: 1 },
+          partner_id: {},
+          type: "reconciliationText",
+          handle: "old",
+        },
+      ],
+    });
+
+    toolkit.publishReconciliationByHandle.mockResolvedValue(true);
+    toolkit.publishSharedPartByName.mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    process.exitCode = undefined;
+  });
+
+  it("should rename a reconciliation with its references, tests and config, and publish it", async () => {
+    const renamed = await templateRename.renameReconciliation(
+      "old",
+      "new",
+      "Rename"
+    );
+
+    expect(renamed).toBe(true);
+    expect(fs.existsSync("reconciliation_texts/old")).toBe(false);
+    expect(
+      JSON.parse(read("reconciliation_texts/new/config.json"))
+    ).toMatchObject({ handle: "new", test: "tests/new_liquid_test.yml" });
+    expect(
+      fs.existsSync("reconciliation_texts/new/tests/new_liquid_test.yml")
+    ).toBe(true);
+    expect(read("reconciliation_texts/other/main.liquid")).toBe(
+      "{{ period.reconciliations.new.results.total }} {{ period.reconciliations.older.results.total }}"
+    );
+    const test = read("reconciliation_texts/other/tests/other_liquid_test.yml");
+    expect(test).toContain("          new: # data of old");
+    expect(test).toContain("      old: 1");
+    expect(
+      JSON.parse(read("shared_parts/part/config.json")).used_in[0].handle
+    ).toBe("new");
+
+    expect(toolkit.publishReconciliationByHandle.mock.calls).toEqual([
+      ["firm", "100", "new", "Rename", false, true, false],
+      ["partner", "9", "new", "Rename", false, true, false],
+      ["firm", "100", "other", "Rename", false, true, false],
+    ]);
+  });
+
+  it("should rename the references of previous periods and of variables assigned to the reconciliations", async () => {
+    write(
+      "reconciliation_texts/other/main.liquid",
+      [
+        "{% assign recs = period.minus_1y.reconciliations %}",
+        "{% assign old_rec = period.reconciliations.old %}",
+        "{{ period.minus_1y.reconciliations.old.results.total }} {{ recs.old.custom.loans.amount }}",
+        "{{ old_rec.results.total }} {{ period.reconciliations['old'].results.total }}",
+      ].join("\n")
+    );
+    write(
+      "reconciliation_texts/other/part_1.liquid",
+      "{{ recs.old.results.due }}"
+    );
+    const config = JSON.parse(read("reconciliation_texts/other/config.json"));
+    write("reconciliation_texts/other/config.json", {
+      ...config,
+      text_parts: { part_1: "part_1.liquid" },
+    });
+
+    const renamed = await templateRename.renameReconciliation(
+      "old",
+      "new",
+      "Rename"
+    );
+
+    expect(renamed).toBe(true);
+    expect(read("reconciliation_texts/other/main.liquid")).toBe(
+      [
+        "{% assign recs = period.minus_1y.reconciliations %}",
+        "{% assign old_rec = period.reconciliations.new %}",
+        "{{ period.minus_1y.reconciliations.new.results.total }} {{ recs.new.custom.loans.amount }}",
+        "{{ old_rec.results.total }} {{ period.reconciliations['new'].results.total }}",
+      ].join("\n")
+    );
+    expect(read("reconciliation_texts/other/part_1.liquid")).toBe(
+      "{{ recs.new.results.due }}"
+    );
+  });
+
+  it("should not rename anything when references can't be renamed", async () => {
+    const liquid =
+      "{% capture handle %}o{{ 'ld' }}{% endcapture %}{{ period.minus_1y.reconciliations[handle].results.total }}";
+    write("reconciliation_texts/other/main.liquid", liquid);
+
+    const renamed = await templateRename.renameReconciliation(
+      "old",
+      "new",
+      "Rename"
+    );
+
+    expect(renamed).toBe(false);
+    expect(process.exitCode).toBe(3);
+    expect(consola.error).toHaveBeenCalledWith(
+      `"other": period.minus_1y.reconciliations.old couldn't be renamed`
+    );
+    expect(fs.existsSync("reconciliation_texts/old/config.json")).toBe(true);
+    expect(read("reconciliation_texts/other/main.liquid")).toBe(liquid);
+    expect(toolkit.publishReconciliationByHandle).not.toHaveBeenCalled();
+  });
+
+  it("should rename the includes of a shared part", async () => {
+    await templateRename.renameSharedPart("part", "renamed", "Release");
+
+    expect(read("shared_parts/renamed/renamed.liquid")).toBe(
+      "{% assign a = 1 %}"
+    );
+    expect(JSON.parse(read("shared_parts/renamed/config.json"))).toMatchObject({
+      name: "renamed",
+      text: "renamed.liquid",
+    });
+    expect(read("reconciliation_texts/old/main.liquid")).toBe(
+      "{% include 'shared/renamed' %}"
+    );
+    expect(toolkit.publishSharedPartByName).toHaveBeenCalledWith(
+      "firm",
+      "100",
+      "renamed",
+      "Release",
+      false,
+      true,
+      false
+    );
+  });
+
+  it("should not rename anything when a message is missing for partners", async () => {
+    const renamed = await templateRename.renameReconciliation("old", "new");
+
+    expect(renamed).toBe(false);
+    expect(process.exitCode).toBe(3);
+    expect(fs.existsSync("reconciliation_texts/old/config.json")).toBe(true);
+    expect(toolkit.publishReconciliationByHandle).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const { useTemporaryDirectory } = require("../helpers/fixtures");
+const SF = require("../../lib/api/sfApi");
+const templateSync = require("../../lib/templateSync");
+
+jest.mock("consola");
+jest.mock("../../lib/api/sfApi", () => ({ readSharedPartById: jest.fn() }));
+
+describe("templateSync", () => {
+  const remoteTemplate = {
+    id: 3,
+    name: "example",
+    text: "{% assign a = 1 %}\n{% assign b = 2 %}\n{% assign c = 3 %}",
+    used_in: [],
+    updated_at: "2024-01-01T10:00:00Z",
+  };
+  const liquidPath = path.join("shared_parts", "example", "example.liquid");
+  useTemporaryDirectory("template-sync-");
+
+  beforeEach(async () => {
+    await templateSync.importTemplate(
+      "firm",
+      100,
+      "sharedPart",
+      remoteTemplate,
+      false
+    );
+  });
+
+  afterEach(() => {
+    process.exitCode = undefined;
+  });
+
+  const readConfig = () =>
+    JSON.parse(
+      fs.readFileSync(
+        path.join("shared_parts", "example", "config.json"),
+        "utf-8"
+      )
+    );
+
+  it("should record the last import in the config", () => {
+    expect(readConfig().last_sync.firm["100"]).toEqual({
+      hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      updated_at: "2024-01-01T10:00:00Z",
+      version: null,
+    });
+  });
+
+  it("should not overwrite local changes unless forced", async () => {
+    fs.writeFileSync(liquidPath, "{% assign local = true %}");
+    const newVersion = { ...remoteTemplate, text: "{% assign d = 4 %}" };
+
+    const skipped = await templateSync.importTemplate(
+      "firm",
+      100,
+      "sharedPart",
+      newVersion,
+      false
+    );
+    expect(skipped).toBe(false);
+    expect(fs.readFileSync(liquidPath, "utf-8")).toBe(
+      "{% assign local = true %}"
+    );
+    expect(process.exitCode).toBe(3);
+
+    const forced = await templateSync.importTemplate(
+      "firm",
+      100,
+      "sharedPart",
+      newVersion,
+      true
+    );
+    expect(forced).toBe(true);
+    expect(fs.readFileSync(liquidPath, "utf-8")).toBe("{% assign d = 4 %}");
+  });
+
+  describe("checkBeforePublish", () => {
+    const changedRemotely = {
+      ...remoteTemplate,
+      text: "{% assign a = 1 %}\n{% assign b = 2 %}\n{% assign c = 30 %}",
+      updated_at: "2024-02-01T10:00:00Z",
+    };
+
+    const check = (force, merge) =>
+      templateSync.checkBeforePublish(
+        "firm",
+        100,
+        "sharedPart",
+        "example",
+        3,
+        force,
+        merge
+      );
+
+    it("should publish when the template didn't change in Silverfin", async () => {
+      SF.readSharedPartById.mockResolvedValue({ data: remoteTemplate });
+      fs.writeFileSync(liquidPath, "{% assign a = 10 %}");
+
+      expect(await check(false, false)).toBe(true);
+    });
+
+    it("should not publish when the template changed in Silverfin, unless forced", async () => {
+      SF.readSharedPartById.mockResolvedValue({ data: changedRemotely });
+
+      expect(await check(false, false)).toBe(false);
+      expect(process.exitCode).toBe(3);
+      expect(await check(true, false)).toBe(true);
+    });
+
+    it("should merge the changes made in Silverfin", async () => {
+      SF.readSharedPartById.mockResolvedValue({ data: changedRemotely });
+      fs.writeFileSync(
+        liquidPath,
+        "{% assign a = 10 %}\n{% assign b = 2 %}\n{% assign c = 3 %}\n"
+      );
+
+      expect(await check(false, true)).toBe(true);
+      expect(fs.readFileSync(liquidPath, "utf-8")).toBe(
+        "{% assign a = 10 %}\n{% assign b = 2 %}\n{% assign c = 30 %}\n"
+      );
+      expect(readConfig().last_sync.firm["100"]).toMatchObject({
+        hash: null,
+        updated_at: "2024-02-01T10:00:00Z",
+      });
+    });
+
+    it("should mark the conflicts and not publish until they are resolved", async () => {
+      SF.readSharedPartById.mockResolvedValue({ data: changedRemotely });
+      fs.writeFileSync(
+        liquidPath,
+        "{% assign a = 1 %}\n{% assign b = 2 %}\n{% assign c = 300 %}"
+      );
+
+      expect(await check(false, true)).toBe(false);
+      expect(fs.readFileSync(liquidPath, "utf-8")).toBe(
+        [
+          "{% assign a = 1 %}",
+          "{% assign b = 2 %}",
+          "<<<<<<< local",
+          "{% assign c = 300 %}",
+          "=======",
+          "{% assign c = 30 %}",
+          ">>>>>>> remote",
+        ].join("\n")
+      );
+      // Conflict markers are never published, even when forced
+      expect(await check(true, false)).toBe(false);
+    });
+  });
+});
@@ -11,6 +11,8 @@ jest.mock("../../../lib/utils/templateUtils");
 jest.mock("consola");
 
 describe("ReconciliationText", () => {
+  const originalDirectory = process.cwd();
+
   describe("save", () => {
     const testContent = "Test content as string";
     const textParts = { part_1: "Part 1: updated content" };
@@ -106,6 +108,7 @@ describe("ReconciliationText", () => {
     });
 
     afterEach(() => {
+      process.chdir(originalDirectory);
       if (fs.existsSync(tempDir)) {
         fs.rmdirSync(tempDir, { recursive: true });
       }
@@ -350,6 +353,7 @@ describe("ReconciliationText", () => {
     });
 
     afterEach(() => {
+      process.chdir(originalDirectory);
       if (fs.existsSync(tempDir)) {
         fs.rmdirSync(tempDir, { recursive: true });
       }
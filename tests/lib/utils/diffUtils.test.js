@@ -0,0 +1,99 @@
+const diffUtils = require("../../../lib/utils/diffUtils");
+
+describe("diffUtils", () => {
+  describe("diffLines", () => {
+    it("should find the shortest list of changes", () => {
+      const edits = diffUtils.diffLines(
+        ["a", "b", "c", "a", "b", "b", "a"],
+        ["c", "b", "a", "b", "a", "c"]
+      );
+
+      expect(edits.filter((edit) => edit.type !== " ")).toHaveLength(5);
+      expect(
+        edits.filter((edit) => edit.type !== "+").map((edit) => edit.line)
+      ).toEqual(["a", "b", "c", "a", "b", "b", "a"]);
+      expect(
+        edits.filter((edit) => edit.type !== "-").map((edit) => edit.line)
+      ).toEqual(["c", "b", "a", "b", "a", "c"]);
+    });
+  });
+
+  describe("unifiedDiff", () => {
+    it("should group the changes in hunks with context", () => {
+      const lines = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"];
+      const changed = [...lines];
+      changed[1] = "two";
+      changed.push("11");
+
+      const diff = diffUtils.unifiedDiff(lines.join("\n"), changed.join("\n"), {
+        oldLabel: "remote/main.liquid",
+        newLabel: "local/main.liquid",
+        context: 2,
+      });
+
+      expect(diff).toEqual([
+        "--- remote/main.liquid",
+        "+++ local/main.liquid",
+        "@@ -1,4 +1,4 @@",
+        " 1",
+        "-2",
+        "+two",
+        " 3",
+        " 4",
+        "@@ -9,2 +9,3 @@",
+        " 9",
+        " 10",
+        "+11",
+      ]);
+    });
+
+    it("should be empty when the texts are the same", () => {
+      expect(diffUtils.unifiedDiff("a\nb\n", "a\nb")).toEqual([]);
+      expect(diffUtils.unifiedDiff("", "a")).toEqual([
+        "--- a",
+        "+++ b",
+        "@@ -0,0 +1 @@",
+        "+a",
+      ]);
+    });
+  });
+
+  describe("mergeTexts", () => {
+    const base = ["1", "2", "3", "4", "5"].join("\n");
+
+    it("should keep the changes of both sides", () => {
+      const merged = diffUtils.mergeTexts(
+        base,
+        ["one", "2", "3", "4", "5"].join("\n"),
+        ["1", "2", "3", "5", "6"].join("\n")
+      );
+
+      expect(merged).toEqual({
+        text: ["one", "2", "3", "5", "6"].join("\n"),
+        conflicts: 0,
+      });
+    });
+
+    it("should mark the changes of both sides to the same lines as conflicts", () => {
+      const merged = diffUtils.mergeTexts(
+        base,
+        ["1", "two", "3", "4", "5"].join("\n"),
+        ["1", "deux", "3", "4", "5"].join("\n"),
+        { ours: "local", theirs: "remote" }
+      );
+
+      expect(merged.conflicts).toBe(1);
+      expect(merged.text.split("\n")).toEqual([
+        "1",
+        "<<<<<<< local",
+        "two",
+        "=======",
+        "deux",
+        ">>>>>>> remote",
+        "3",
+        "4",
+        "5",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const errorUtils = require("../../../lib/utils/errorUtils");
+const { consola } = require("consola");
+
+jest.mock("consola");
+
+describe("errorUtils", () => {
+  afterEach(() => {
+    process.exitCode = undefined;
+    jest.clearAllMocks();
+  });
+
+  describe("setExitCode", () => {
+    it("should set the exit code of the process", () => {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+
+      expect(process.exitCode).toBe(2);
+    });
+
+    it("should keep the exit code of the first failure", () => {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.API_ERROR);
+
+      expect(process.exitCode).toBe(3);
+    });
+  });
+
+  describe("setBatchExitCode", () => {
+    it("should not set an exit code when nothing failed", () => {
+      errorUtils.setBatchExitCode(0, 3, "Update reconciliations");
+
+      expect(process.exitCode).toBeUndefined();
+      expect(consola.error).not.toHaveBeenCalled();
+    });
+
+    it("should set a partial failure when some templates failed", () => {
+      errorUtils.setBatchExitCode(1, 3, "Update reconciliations");
+
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.PARTIAL_FAILURE);
+      expect(consola.error).toHaveBeenCalledWith(
+        "Update reconciliations: 1 of 3 failed"
+      );
+    });
+
+    it("should keep the exit code of the failures when some templates failed", () => {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      errorUtils.setBatchExitCode(1, 3, "Update reconciliations");
+
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.INVALID_INPUT);
+    });
+
+    it("should keep the exit code of the failures when all templates failed", () => {
+      errorUtils.setExitCode(errorUtils.EXIT_CODES.INVALID_INPUT);
+      errorUtils.setBatchExitCode(3, 3, "Update reconciliations");
+
+      expect(process.exitCode).toBe(errorUtils.EXIT_CODES.INVALID_INPUT);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const { useTemporaryDirectory } = require("../../helpers/fixtures");
+const { appendYAML } = require("../../../lib/utils/liquidTestUtils");
+
+jest.mock("consola");
+
+describe("liquidTestUtils", () => {
+  describe("appendYAML", () => {
+    useTemporaryDirectory("append-");
+    const testFile = "reconciliation_texts/example/tests/example_test.yml";
+
+    const newTest = (name, companyName = "Company") => ({
+      [name]: {
+        context: { period: "2024-12-31" },
+        data: {
+          periods: { "2024-12-31": { reconciliations: {} } },
+          company: { name: companyName },
+        },
+        expectation: { reconciled: true, results: { total: 1 } },
+      },
+    });
+
+    beforeEach(() => {
+      fs.mkdirSync("reconciliation_texts/example/tests", { recursive: true });
+      fs.writeFileSync(
+        "reconciliation_texts/example/config.json",
+        JSON.stringify({ handle: "example", test: "tests/example_test.yml" })
+      );
+      fs.writeFileSync(
+        testFile,
+        [
+          "# Tests of example",
+          "unit_1: # first test",
+          "  context:",
+          "    period: 2024-12-31",
+          "  data:",
+          "    company:",
+          "      name: 'Company'",
+          "  expectation:",
+          "    reconciled: false",
+          "",
+        ].join("\n")
+      );
+      jest.spyOn(process, "exit").mockImplementation((code) => {
+        throw new Error(`exit ${code}`);
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should add the test to the configured test file and keep its content", () => {
+      appendYAML("example", newTest("unit_2"));
+
+      const content = fs.readFileSync(testFile, "utf-8");
+      expect(content).toMatch(/^# Tests of example\nunit_1: # first test\n/);
+      expect(content).toContain("      name: 'Company'\n");
+      expect(content).toContain(
+        '\nunit_2:\n  context:\n    period: "2024-12-31"'
+      );
+    });
+
+    it("should refuse a test with the same name unless overwrite is used", () => {
+      expect(() => appendYAML("example", newTest("unit_1"))).toThrow("exit 3");
+
+      appendYAML(
+        "example",
+        newTest("unit_1", "Other"),
+        "reconciliationText",
+        true
+      );
+      const content = fs.readFileSync(testFile, "utf-8");
+      expect(content).toMatch(/^# Tests of example\nunit_1:\n/);
+      expect(content).toContain('name: "Other"');
+      expect(content).not.toContain("reconciled: false");
+    });
+
+    it("should reuse the data of previous tests through anchors", () => {
+      appendYAML(
+        "example",
+        newTest("unit_2"),
+        "reconciliationText",
+        false,
+        true
+      );
+      appendYAML(
+        "example",
+        newTest("unit_3"),
+        "reconciliationText",
+        false,
+        true
+      );
+
+      const content = fs.readFileSync(testFile, "utf-8");
+      expect(content).toContain("    company: &company\n      name: 'Company'");
+      expect(content.match(/company: \*company/g)).toHaveLength(2);
+    });
+  });
+});
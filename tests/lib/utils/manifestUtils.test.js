@@ -0,0 +1,65 @@
+const manifestUtils = require("../../../lib/utils/manifestUtils");
+
+describe("manifestUtils", () => {
+  describe("removeFromManifest", () => {
+    const source = [
+      "# Environments of the repository",
+      "environments:",
+      "  staging:",
+      "    firm: 100",
+      "    reconciliation_texts:",
+      "      - example # to be removed",
+      '      - "other"',
+      "    overrides:",
+      "      reconciliation_texts:",
+      "        example:",
+      "          name_en: Example",
+      "        other: { name_en: Other }",
+      "  production:",
+      "    partner: 5",
+      "    reconciliation_texts: [other, example]",
+      "  single:",
+      "    firm: 200",
+      "    reconciliation_texts:",
+      "      - example",
+      "    export_files: all",
+      "",
+    ].join("\n");
+
+    it("should remove the template from the lists and overrides, keeping the rest of the file", () => {
+      expect(
+        manifestUtils.removeFromManifest(
+          source,
+          "reconciliationText",
+          "example"
+        )
+      ).toBe(
+        [
+          "# Environments of the repository",
+          "environments:",
+          "  staging:",
+          "    firm: 100",
+          "    reconciliation_texts:",
+          '      - "other"',
+          "    overrides:",
+          "      reconciliation_texts:",
+          "        other: { name_en: Other }",
+          "  production:",
+          "    partner: 5",
+          "    reconciliation_texts: [other]",
+          "  single:",
+          "    firm: 200",
+          "    reconciliation_texts: []",
+          "    export_files: all",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should return null when the template is not mentioned", () => {
+      expect(
+        manifestUtils.removeFromManifest(source, "exportFile", "example")
+      ).toBeNull();
+    });
+  });
+});
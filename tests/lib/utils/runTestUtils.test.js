@@ -0,0 +1,175 @@
+const yaml = require("yaml");
+const runTestUtils = require("../../../lib/utils/runTestUtils");
+
+describe("runTestUtils", () => {
+  describe("selectTests", () => {
+    const testContent = `# @rollforward
+unit_1: &base
+  context:
+    period: 2022-12-31
+  expectation:
+    reconciled: true
+
+unit_10: # @slow @rollforward
+  <<: *base
+  data:
+    periods:
+      2022-12-31:
+        accounts:
+          "100000": 10
+
+# Regular test
+unit_2_rollforward_check:
+  context:
+    period: 2022-12-31
+  expectation:
+    reconciled: false
+`;
+
+    it("should select the tests whose name matches the regular expression", () => {
+      const selection = runTestUtils.selectTests(testContent, {
+        grep: "rollforward",
+      });
+
+      expect(selection.testNames).toEqual(["unit_2_rollforward_check"]);
+      expect(Object.keys(yaml.parse(selection.content))).toEqual([
+        "unit_2_rollforward_check",
+      ]);
+    });
+
+    it("should select the tests marked with a tag", () => {
+      const selection = runTestUtils.selectTests(testContent, {
+        tag: "rollforward",
+      });
+
+      expect(selection.testNames).toEqual(["unit_1", "unit_10"]);
+    });
+
+    it("should combine the regular expression and the tag", () => {
+      const selection = runTestUtils.selectTests(testContent, {
+        grep: "^unit_1$",
+        tag: "rollforward",
+      });
+
+      expect(selection.testNames).toEqual(["unit_1"]);
+    });
+
+    it("should resolve anchors and aliases in the selected tests", () => {
+      const selection = runTestUtils.selectTests(testContent, { tag: "slow" });
+
+      expect(selection.content).not.toContain("*base");
+      // Merge keys are part of YAML 1.1
+      expect(yaml.parse(selection.content, { merge: true })).toEqual({
+        unit_10: {
+          context: { period: "2022-12-31" },
+          expectation: { reconciled: true },
+          data: {
+            periods: { "2022-12-31": { accounts: { 100000: 10 } } },
+          },
+        },
+      });
+    });
+
+    it("should keep the source of the selected tests, read as YAML 1.1 by Silverfin", () => {
+      const content = `unit_1:
+  context:
+    period: 2022-12-31
+  data:
+    company:
+      custom:
+        info:
+          vat: "yes"
+          start: "2023-01-01"
+          code: 0x1F
+          rate: .5
+  expectation:
+    reconciled: true
+
+unit_2: &shared
+  expectation:
+    reconciled: "no"
+`;
+      const selection = runTestUtils.selectTests(content, { grep: "unit_1" });
+
+      expect(selection.content).toBe(content.split("\n\n")[0] + "\n");
+    });
+
+    it("should return no tests when nothing matches", () => {
+      const selection = runTestUtils.selectTests(testContent, {
+        grep: "missing",
+      });
+
+      expect(selection).toEqual({ testNames: [], content: "" });
+    });
+  });
+
+  describe("test locator", () => {
+    const testContent = `# unit_1 is the base test
+unit_10: &base
+  context:
+    period: 2022-12-31
+  data:
+    company:
+      name: unit_1
+  expectation:
+    reconciled: true
+    results:
+      total: 100
+
+# Copy of unit_10
+unit_1:
+  <<: *base
+  expectation:
+    reconciled: false
+    results:
+      total: 100
+    rollforward:
+      custom.a.b: 1
+"unit_2":
+unit_3:
+  <<: *base
+`;
+
+    it("should locate the exact top-level keys, ignoring substrings, values and comments", () => {
+      expect(runTestUtils.locateTests(testContent)).toEqual([
+        { name: "unit_10", line: 2, col: 1, endLine: 11 },
+        { name: "unit_1", line: 14, col: 1, endLine: 21 },
+        { name: "unit_2", line: 22, col: 1, endLine: 22 },
+        { name: "unit_3", line: 23, col: 1, endLine: 24 },
+      ]);
+    });
+
+    it("should find the test of a line", () => {
+      expect(runTestUtils.findTestAtLine(testContent, 1)).toBeUndefined();
+      expect(runTestUtils.findTestAtLine(testContent, 7)).toBe("unit_10");
+      expect(runTestUtils.findTestAtLine(testContent, 13)).toBeUndefined();
+      expect(runTestUtils.findTestAtLine(testContent, 15)).toBe("unit_1");
+      expect(runTestUtils.findTestAtLine(testContent, 22)).toBe("unit_2");
+    });
+
+    it("should point the failures to the lines of the original file", () => {
+      const testsFeedback = {
+        unit_1: {
+          reconciled: { got: true, expected: false, line_number: 3 },
+          results: { total: { got: 50, expected: 100, line_number: 5 } },
+          rollforwards: {
+            "custom.a.b": { got: 2, expected: 1, line_number: 7 },
+          },
+        },
+        unit_3: {
+          reconciled: null,
+          results: { total: { got: 50, expected: 100, line_number: 10 } },
+        },
+      };
+      runTestUtils.locateFailureLines(testsFeedback, testContent);
+
+      expect(testsFeedback.unit_1.reconciled.line_number).toBe(17);
+      expect(testsFeedback.unit_1.results.total.line_number).toBe(19);
+      expect(testsFeedback.unit_1.rollforwards["custom.a.b"].line_number).toBe(
+        21
+      );
+      // Expectation merged from unit_10
+      expect(testsFeedback.unit_3.results.total.line_number).toBe(11);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+const templateUtils = require("../../../lib/utils/templateUtils");
+
+jest.mock("consola");
+
+describe("templateUtils", () => {
+  describe("isTemplateSelection", () => {
+    it("should detect glob patterns and lists", () => {
+      expect(templateUtils.isTemplateSelection("unit_*")).toBe(true);
+      expect(templateUtils.isTemplateSelection("unit_?")).toBe(true);
+      expect(templateUtils.isTemplateSelection("unit_1,unit_2")).toBe(true);
+    });
+
+    it("should not detect a single handle", () => {
+      expect(templateUtils.isTemplateSelection("unit_1")).toBe(false);
+    });
+  });
+
+  describe("filterTemplatesBySelection", () => {
+    const handles = ["unit_1", "unit_10", "unit_2", "other_unit"];
+
+    it("should filter by a glob pattern", () => {
+      expect(
+        templateUtils.filterTemplatesBySelection(handles, "unit_*")
+      ).toEqual(["unit_1", "unit_10", "unit_2"]);
+      expect(
+        templateUtils.filterTemplatesBySelection(handles, "unit_?")
+      ).toEqual(["unit_1", "unit_2"]);
+    });
+
+    it("should filter by a comma separated list", () => {
+      expect(
+        templateUtils.filterTemplatesBySelection(handles, "unit_1, other_*")
+      ).toEqual(["unit_1", "other_unit"]);
+    });
+
+    it("should escape regular expression characters", () => {
+      expect(
+        templateUtils.filterTemplatesBySelection(["a.b", "axb"], "a.b")
+      ).toEqual(["a.b"]);
+    });
+  });
+});